@@ -19,13 +19,13 @@ export default class AreaChart extends LineChart {
         areaOpacity: 0.2,
         // Add stacked option for multiple datasets
         stacked: false,
+        // Baseline of the stack: 'zero', 'expand' (shares of the total),
+        // 'silhouette' (centered) or 'wiggle' (streamgraph)
+        stackOffset: 'zero',
         // Add gradient option for better visuals
         gradient: false,
         // Add smooth curve option (use monotone by default)
         curve: 'monotone',
-        // Default to nicer colors for areas
-        colors: ['rgba(66, 133, 244, 0.8)', 'rgba(52, 168, 83, 0.8)', 
-                 'rgba(251, 188, 5, 0.8)', 'rgba(234, 67, 53, 0.8)'],
         chartType: 'area',
         ...config.options
       }
@@ -41,25 +41,64 @@ export default class AreaChart extends LineChart {
     super.processDatasets();
     
     // Process stacked datasets if needed
-    if (this.options.stacked && this.state.datasets.length > 1) {
+    if (this.options.stacked) {
       this.createStackedData();
     }
   }
   
   /**
-   * Create stacked data for multiple datasets
+   * Check whether a dataset is part of the area stacks
+   * Studies, sub-pane datasets and line, bar or scatter series are not stacked.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {boolean} True if the dataset is stacked
+   */
+  isStackedDataset(dataset) {
+    return Boolean(this.options.stacked) && !dataset.isStudy && !dataset.paneId && dataset.type === 'area';
+  }
+  
+  /**
+   * Create stacked data for the area datasets, one stack per Y axis
+   * Every point keeps its unstacked value in originalValue and the bottom
+   * of its band in y0, the top of the band goes in the y field.
    * @private
    */
   createStackedData() {
-    const { xField, yField } = this.options;
+    const stackedData = new Map();
     
-    // Get all x values across all datasets
+    ['left', 'right'].forEach(side => {
+      const datasets = this.state.datasets.filter(dataset => {
+        return this.isStackedDataset(dataset) && (dataset.yAxis || 'left') === side;
+      });
+      
+      if (datasets.length) {
+        this.stackDatasets(datasets, stackedData);
+      }
+    });
+    
+    // Update datasets
+    this.state.datasets = this.state.datasets.map(dataset => {
+      return stackedData.has(dataset.id) ?
+        { ...dataset, data: stackedData.get(dataset.id) } :
+        dataset;
+    });
+  }
+  
+  /**
+   * Stack datasets on top of each other
+   * @private
+   * @param {Array} datasets - Datasets of one stack, bottom first
+   * @param {Map} stackedData - Receives dataset ID -> stacked data
+   */
+  stackDatasets(datasets, stackedData) {
+    const { xField, yField, stackOffset } = this.options;
+    
+    // Get all x values across the stacked datasets
     const allXValues = new Set();
-    this.state.datasets.forEach(dataset => {
+    datasets.forEach(dataset => {
       dataset.data.forEach(d => {
         if (d[xField] !== undefined) {
-          allXValues.add(d[xField] instanceof Date ? 
-                         d[xField].getTime() : d[xField]);
+          allXValues.add(this.toComparableX(d[xField]));
         }
       });
     });
@@ -67,51 +106,136 @@ export default class AreaChart extends LineChart {
     // Sort x values
     const sortedXValues = Array.from(allXValues).sort((a, b) => a - b);
     
-    // Create a lookup map for each dataset
-    const datasetMaps = this.state.datasets.map(dataset => {
-      const map = new Map();
-      dataset.data.forEach(d => {
-        if (d[xField] !== undefined && d[yField] !== undefined) {
-          const xVal = d[xField] instanceof Date ? 
-                      d[xField].getTime() : d[xField];
-          map.set(xVal, d[yField]);
-        }
-      });
-      return map;
+    // Value of each dataset at every x, null outside the dataset's own range
+    const values = datasets.map(dataset => this.getStackValues(dataset, sortedXValues));
+    const baselines = this.getStackBaselines(values, stackOffset);
+    
+    // Totals for the 'expand' offset
+    const totals = sortedXValues.map((xVal, j) => {
+      return values.reduce((sum, series) => sum + (series[j] || 0), 0);
     });
     
-    // Create stacked data for each dataset
-    this.state.datasets = this.state.datasets.map((dataset, datasetIndex) => {
-      // Skip first dataset (it's the base)
-      if (datasetIndex === 0) return dataset;
+    // Top of the stack so far at each x
+    const tops = baselines.slice();
+    
+    datasets.forEach((dataset, i) => {
+      const data = [];
       
-      // Create stacked data
-      const stackedData = sortedXValues.map(xVal => {
-        // Get value for this dataset
-        const value = datasetMaps[datasetIndex].get(xVal) || 0;
+      sortedXValues.forEach((xVal, j) => {
+        const value = values[i][j];
+        const height = stackOffset === 'expand' ?
+          (totals[j] ? (value || 0) / totals[j] : 0) :
+          (value || 0);
         
-        // Sum values from previous datasets
-        let stackedValue = value;
-        for (let i = 0; i < datasetIndex; i++) {
-          stackedValue += datasetMaps[i].get(xVal) || 0;
-        }
+        const y0 = tops[j];
+        tops[j] += height;
         
-        // Create data point
-        return {
-          [xField]: xVal instanceof Date ? new Date(xVal) : xVal,
-          [yField]: stackedValue,
+        // Datasets only cover their own x range
+        if (value === null) return;
+        
+        data.push({
+          [xField]: this.fromComparableX(xVal),
+          [yField]: tops[j],
+          y0,
           originalValue: value
-        };
+        });
       });
       
-      // Update dataset
-      return {
-        ...dataset,
-        data: stackedData
-      };
+      stackedData.set(dataset.id, data);
     });
   }
   
+  /**
+   * Get a dataset's values at a set of x values
+   * X values the dataset has no point for are interpolated between its
+   * neighboring points instead of counting as 0.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {Array} sortedXValues - Sorted x values (comparable form)
+   * @returns {Array} Values, null outside the dataset's x range
+   */
+  getStackValues(dataset, sortedXValues) {
+    const { xField, yField } = this.options;
+    
+    const points = dataset.data
+      .filter(d => d[xField] !== undefined && typeof d[yField] === 'number' && !isNaN(d[yField]))
+      .map(d => [this.toComparableX(d[xField]), d[yField]])
+      .sort((a, b) => a[0] - b[0]);
+    
+    if (!points.length) return sortedXValues.map(() => null);
+    
+    const firstX = points[0][0];
+    const lastX = points[points.length - 1][0];
+    let index = 0;
+    
+    return sortedXValues.map(xVal => {
+      if (xVal < firstX || xVal > lastX) return null;
+      
+      // Last point at or before xVal
+      while (index < points.length - 1 && points[index + 1][0] <= xVal) {
+        index++;
+      }
+      
+      const [x0, y0] = points[index];
+      if (x0 === xVal) return y0;
+      
+      const [x1, y1] = points[index + 1];
+      return y0 + (y1 - y0) * (xVal - x0) / (x1 - x0);
+    });
+  }
+  
+  /**
+   * Get the bottom of the stack at each x value
+   * @private
+   * @param {Array} values - Values per dataset from getStackValues
+   * @param {string} stackOffset - 'zero', 'expand', 'silhouette' or 'wiggle'
+   * @returns {Array} Baseline per x value
+   */
+  getStackBaselines(values, stackOffset) {
+    const count = values.length ? values[0].length : 0;
+    const valueAt = (i, j) => values[i][j] || 0;
+    
+    // Centered around zero
+    if (stackOffset === 'silhouette') {
+      return Array.from({ length: count }, (_, j) => {
+        return -values.reduce((sum, series, i) => sum + valueAt(i, j), 0) / 2;
+      });
+    }
+    
+    // Streamgraph: move the baseline to minimize the weighted slope of all
+    // layers (Byron & Wattenberg)
+    if (stackOffset === 'wiggle') {
+      const baselines = [0];
+      let baseline = 0;
+      
+      for (let j = 1; j < count; j++) {
+        let totalValue = 0;
+        let weightedSlope = 0;
+        let slopeBelow = 0;
+        
+        values.forEach((series, i) => {
+          const value = valueAt(i, j);
+          const change = value - valueAt(i, j - 1);
+          
+          weightedSlope += value * (slopeBelow + change / 2);
+          totalValue += value;
+          slopeBelow += change;
+        });
+        
+        if (totalValue) {
+          baseline -= weightedSlope / totalValue;
+        }
+        
+        baselines.push(baseline);
+      }
+      
+      return baselines.slice(0, count);
+    }
+    
+    // 'zero' and 'expand' start at zero
+    return new Array(count).fill(0);
+  }
+  
   /**
    * Render chart data
    * @private
@@ -126,8 +250,7 @@ export default class AreaChart extends LineChart {
       pointRadius,
       area,
       areaOpacity,
-      gradient,
-      stacked
+      gradient
     } = this.options;
     
     // No data to render
@@ -136,8 +259,9 @@ export default class AreaChart extends LineChart {
     }
     
     // Create data group
-    const dataGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    const dataGroup = this.renderer.createElement('g');
     dataGroup.setAttribute('class', 'visioncharts-data');
+    this.clipToPlot(dataGroup);
     
     // Create gradient definitions if needed
     if (gradient) {
@@ -146,28 +270,38 @@ export default class AreaChart extends LineChart {
     
     // Render datasets in reverse order for proper stacking visualization
     // (first dataset should be on top in the SVG)
-    const reversedDatasets = [...this.state.datasets].reverse();
+    // Sub-pane studies are drawn by renderSubPanes
+    const reversedDatasets = this.getMainDatasets().reverse();
     
     reversedDatasets.forEach(dataset => {
       if (!dataset.data || !dataset.data.length) return;
       
+      // Lines, bars, scatter series and studies are drawn like in a line chart
+      if (dataset.type !== 'area') {
+        dataGroup.appendChild(this.renderDataset(dataset));
+        return;
+      }
+      
+      // Left or right Y axis
+      const yScale = this.getYScale(dataset);
+      
       // Create dataset group
-      const datasetGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      const datasetGroup = this.renderer.createElement('g');
       datasetGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
       
       // Render area if enabled
       if (area) {
         let areaPath;
         
-        if (stacked) {
-          // Generate stacked area path (connects to the dataset below it)
-          areaPath = this.generateStackedAreaPath(dataset);
+        if (this.isStackedDataset(dataset)) {
+          // Generate stacked area path (down to the bottom of its band)
+          areaPath = this.generateStackedAreaPath(dataset, yScale);
         } else {
           // Generate simple area path (connects to the x-axis)
-          areaPath = this.generateAreaPath(dataset.data);
+          areaPath = this.generateAreaPath(dataset.data, yScale);
         }
         
-        const areaElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        const areaElement = this.renderer.createElement('path');
         areaElement.setAttribute('d', areaPath);
         
         // Apply fill (either gradient or color)
@@ -186,8 +320,8 @@ export default class AreaChart extends LineChart {
       }
       
       // Render line
-      const linePath = this.generateLinePath(dataset.data);
-      const lineElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+      const linePath = this.generateLinePath(dataset.data, this.state.scales.x, yScale);
+      const lineElement = this.renderer.createElement('path');
       lineElement.setAttribute('d', linePath);
       lineElement.setAttribute('stroke', dataset.color);
       lineElement.setAttribute('stroke-width', dataset.width);
@@ -198,20 +332,20 @@ export default class AreaChart extends LineChart {
       
       // Render points if enabled
       if (showPoints) {
-        const pointsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        const pointsGroup = this.renderer.createElement('g');
         pointsGroup.setAttribute('class', 'visioncharts-points');
         
         dataset.data.forEach(d => {
           if (d[xField] === undefined || d[yField] === undefined) return;
           
           const x = this.state.scales.x.scale(d[xField]);
-          const y = this.state.scales.y.scale(d[yField]);
+          const y = yScale.scale(d[yField]);
           
-          const point = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+          const point = this.renderer.createElement('circle');
           point.setAttribute('cx', x);
           point.setAttribute('cy', y);
           point.setAttribute('r', pointRadius);
-          point.setAttribute('fill', '#fff');
+          point.setAttribute('fill', this.theme.point.fill);
           point.setAttribute('stroke', dataset.color);
           point.setAttribute('stroke-width', dataset.width / 2);
           point.setAttribute('class', 'visioncharts-point');
@@ -227,7 +361,7 @@ export default class AreaChart extends LineChart {
     });
     
     // Add data group to chart
-    this.state.chart.appendChild(dataGroup);
+    this.getDataLayer().appendChild(dataGroup);
   }
   
   /**
@@ -280,60 +414,24 @@ export default class AreaChart extends LineChart {
   /**
    * Generate stacked area path
    * @private
-   * @param {Object} dataset - Dataset
+   * @param {Object} dataset - Stacked dataset
+   * @param {Object} [yScale] - Y scale, the left one by default
    * @returns {string} Path definition
    */
-  generateStackedAreaPath(dataset) {
+  generateStackedAreaPath(dataset, yScale = this.state.scales.y) {
     const { xField, yField } = this.options;
     const xScale = this.state.scales.x;
-    const yScale = this.state.scales.y;
-    
-    // Get dataset index
-    const datasetIndex = this.state.datasets.findIndex(d => d.id === dataset.id);
-    if (datasetIndex <= 0) {
-      // First dataset uses standard area path
-      return this.generateAreaPath(dataset.data);
-    }
-    
-    // Get previous dataset
-    const prevDataset = this.state.datasets[datasetIndex - 1];
-    
-    // Create a map of x values to previous dataset y values
-    const prevDataMap = new Map();
-    prevDataset.data.forEach(d => {
-      const xVal = d[xField] instanceof Date ? d[xField].getTime() : d[xField];
-      prevDataMap.set(xVal, d[yField]);
-    });
     
-    // Generate points for current dataset
-    const currentPoints = dataset.data.map(d => {
-      return [
-        xScale.scale(d[xField]),
-        yScale.scale(d[yField])
-      ];
-    });
+    if (!dataset.data.length) return '';
     
-    // Generate baseline points from previous dataset in reverse order
-    const baselinePoints = [...dataset.data]
-      .reverse()
-      .map(d => {
-        const xVal = d[xField] instanceof Date ? d[xField].getTime() : d[xField];
-        const yVal = prevDataMap.get(xVal) || 0;
-        
-        return [
-          xScale.scale(d[xField]),
-          yScale.scale(yVal)
-        ];
-      });
+    // Top of the band left to right, then its bottom right to left; on log
+    // axes the zero baseline of the bottom band sits at the bottom of the axis
+    const topPoints = dataset.data.map(d => [xScale.scale(d[xField]), yScale.scale(Math.max(d[yField], yScale.domain[0]))]);
+    const bottomPoints = dataset.data
+      .map(d => [xScale.scale(d[xField]), yScale.scale(Math.max(d.y0, yScale.domain[0]))])
+      .reverse();
     
-    // Combine points to create a closed path
-    const allPoints = [...currentPoints, ...baselinePoints];
-    
-    // Generate path
-    if (allPoints.length === 0) return '';
-    
-    const [firstPoint, ...restPoints] = allPoints;
-    const [firstX, firstY] = firstPoint;
+    const [[firstX, firstY], ...restPoints] = [...topPoints, ...bottomPoints];
     
     const pathParts = [
       `M ${firstX},${firstY}`,
@@ -346,97 +444,60 @@ export default class AreaChart extends LineChart {
   
   /**
    * Update scales with actual data
-   * Overrides parent method to handle stacked data correctly
+   * Stacked areas must fit their whole bands, 'expand' stacks fill the axis.
    * @private
    */
   updateScales() {
-    const { xField, yField, isLogarithmic, stacked } = this.options;
-    
-    // Get all data points from all datasets
-    const allPoints = this.state.datasets.reduce((acc, dataset) => {
-      return acc.concat(dataset.data || []);
-    }, []);
+    super.updateScales();
     
-    if (!allPoints.length) {
-      // Set default domain if no data
-      this.state.scales.x.setDomain([0, 1]);
-      this.state.scales.y.setDomain(isLogarithmic ? [0.1, 1] : [0, 1]);
-      
-      // Set ranges based on dimensions
-      this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
-      this.state.scales.y.setRange([this.state.dimensions.innerHeight, 0]);
-      return;
-    }
+    const { stacked, stackOffset } = this.options;
+    if (!stacked || stackOffset !== 'expand') return;
     
-    // Extract X and Y values
-    const xValues = allPoints.map(d => d[xField]);
-    
-    // For stacked area charts, we need to consider the sum of values
-    let yValues;
-    if (stacked && this.state.datasets.length > 1) {
-      // Get all x values
-      const uniqueXValues = Array.from(new Set(xValues.map(x => 
-        x instanceof Date ? x.getTime() : x
-      )));
-      
-      // Create a map of x values to arrays of y values from each dataset
-      const yValuesByX = new Map();
-      uniqueXValues.forEach(x => yValuesByX.set(x, []));
-      
-      this.state.datasets.forEach(dataset => {
-        dataset.data.forEach(d => {
-          const xVal = d[xField] instanceof Date ? d[xField].getTime() : d[xField];
-          const yVal = d[yField] || 0;
-          
-          const values = yValuesByX.get(xVal) || [];
-          values.push(yVal);
-          yValuesByX.set(xVal, values);
-        });
-      });
-      
-      // Calculate sums for each x value
-      yValues = Array.from(yValuesByX.values()).map(values => 
-        values.reduce((sum, val) => sum + val, 0)
-      );
-    } else {
-      // Standard non-stacked chart
-      yValues = allPoints.map(d => d[yField]);
-    }
+    ['left', 'right'].forEach(side => {
+      const { scale, isLogarithmic } = this.getYAxisOptions(side);
+      const hasStack = this.getAxisDatasets(side).some(dataset => this.isStackedDataset(dataset));
+      if (hasStack && !isLogarithmic) {
+        scale.setDomain([0, 1]);
+      }
+    });
+  }
+  
+  /**
+   * Get the values of a dataset that the Y domain must include
+   * Stacked datasets also include the bottoms of their bands, except for
+   * the zero baseline on log axes.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Array} Y values
+   */
+  getDatasetYValues(dataset) {
+    const values = super.getDatasetYValues(dataset);
     
-    // Calculate domains
-    let xMin, xMax, yMin, yMax;
-    
-    if (this.options.xType === 'time') {
-      // For time type, convert string dates to Date objects
-      const dates = xValues.map(x => x instanceof Date ? x : new Date(x));
-      xMin = new Date(Math.min(...dates.map(d => d.getTime())));
-      xMax = new Date(Math.max(...dates.map(d => d.getTime())));
-    } else {
-      xMin = Math.min(...xValues);
-      xMax = Math.max(...xValues);
-    }
+    if (!this.isStackedDataset(dataset)) return values;
     
-    yMin = Math.min(...yValues);
-    yMax = Math.max(...yValues);
+    const { isLogarithmic } = this.getYAxisOptions(dataset.yAxis === 'right' ? 'right' : 'left');
     
-    // Add some padding to Y domain
-    const yPadding = (yMax - yMin) * 0.1;
+    return values.concat(dataset.data
+      .map(d => d.y0)
+      .filter(value => typeof value === 'number' && (!isLogarithmic || value > 0)));
+  }
+  
+  /**
+   * Get the options of one Y axis
+   * Axes with 'expand' stacks show percentages.
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object} Axis options { scale, isLogarithmic, yType }
+   */
+  getYAxisOptions(side) {
+    const axisOptions = super.getYAxisOptions(side);
     
-    // For logarithmic scale, ensure minimum is positive
-    if (isLogarithmic) {
-      yMin = Math.max(yMin, 0.01); // Ensure minimum positive value
+    if (this.options.stacked && this.options.stackOffset === 'expand' &&
+        this.getAxisDatasets(side).some(dataset => this.isStackedDataset(dataset))) {
+      return { ...axisOptions, yType: 'percent' };
     }
     
-    // Set domains
-    this.state.scales.x.setDomain([xMin, xMax]);
-    this.state.scales.y.setDomain([
-      isLogarithmic ? yMin : (yMin - yPadding),
-      yMax + yPadding
-    ]);
-    
-    // Set ranges based on dimensions
-    this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
-    this.state.scales.y.setRange([this.state.dimensions.innerHeight, 0]);
+    return axisOptions;
   }
   
   /**
@@ -450,6 +511,22 @@ export default class AreaChart extends LineChart {
     return this.update();
   }
   
+  /**
+   * Set the baseline of stacked areas
+   * @public
+   * @param {string} stackOffset - 'zero', 'expand', 'silhouette' or 'wiggle'
+   * @returns {AreaChart} This chart instance
+   */
+  setStackOffset(stackOffset) {
+    if (!['zero', 'expand', 'silhouette', 'wiggle'].includes(stackOffset)) {
+      console.warn('Unknown stack offset:', stackOffset);
+      return this;
+    }
+    
+    this.options.stackOffset = stackOffset;
+    return this.update();
+  }
+  
   /**
    * Toggle gradient fill
    * @public
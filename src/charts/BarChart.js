@@ -1,5 +1,10 @@
 import Chart from '../core/Chart.js';
 import { LinearScale, TimeScale, LogScale } from '../core/Scale.js';
+import { extent } from '../utils/math.js';
+import { formatCompactNumber, getCompactNumberPrecision, formatPercent, getPercentDecimals } from '../utils/chartUtils.js';
+
+// Height of the value labels along the top axis of horizontal bars
+const HORIZONTAL_AXIS_LABEL_HEIGHT = 12;
 
 /**
  * BarChart class for rendering bar charts
@@ -23,9 +28,13 @@ export default class BarChart extends Chart {
         barSpacing: 0.2, // Spacing between groups of bars
         barGap: 0.05, // Gap between bars in a group
         groupBars: true, // Group bars for multiple datasets
+        stackMode: 'none', // 'none', 'stacked', 'percent'
+        showStackTotals: false, // Whether to show the total above each stack
         showValues: false, // Whether to show values on bars
-        valuePosition: 'top', // 'top', 'middle', 'bottom'
-        colors: ['#4285F4', '#34A853', '#FBBC05', '#EA4335'],
+        valuePosition: 'top', // 'top', 'middle', 'bottom' ('top' is the bar end)
+        orientation: 'vertical', // 'vertical', 'horizontal' (categories down the left side)
+        pointRadius: 3, // Point size of scatter overlays
+        zoomable: false, // Bars are laid out in bands, so the X axis cannot be zoomed
         ...config.options
       }
     });
@@ -36,32 +45,58 @@ export default class BarChart extends Chart {
    * @private
    */
   createScales() {
-    const { xType, yType, isLogarithmic } = this.options;
+    const { xType, yType, isLogarithmic, isRightLogarithmic } = this.options;
     
     // Create X scale
     this.state.scales.x = xType === 'time' ? 
       new TimeScale([0, 1], [0, 1]) :
       new LinearScale([0, 1], [0, 1]);
     
-    // Create Y scale - use LogScale if isLogarithmic is true
-    this.state.scales.y = isLogarithmic ? 
-      new LogScale([0.1, 1], [0, 1]) :
-      new LinearScale([0, 1], [0, 1]);
+    // Create Y scales - use LogScale if isLogarithmic is true
+    // The right scale is only drawn when a dataset has yAxis: 'right'
+    this.state.scales.y = this.createYScale(isLogarithmic);
+    this.state.scales.yRight = this.createYScale(isRightLogarithmic);
     
     // Update scales with actual data
     this.updateScales();
   }
   
+  /**
+   * Create an empty Y scale
+   * @private
+   * @param {boolean|string} isLogarithmic - Logarithmic setting or scale type, see toggleLogarithmic
+   * @returns {Object} Y scale
+   */
+  createYScale(isLogarithmic) {
+    switch (this.getScaleType(isLogarithmic)) {
+      case 'log':
+        return new LogScale([0.1, 1], [0, 1]);
+      case 'symlog':
+        return this.createSymlogScale();
+      default:
+        return new LinearScale([0, 1], [0, 1]);
+    }
+  }
+  
+  /**
+   * Get the type of datasets that don't set one
+   * @private
+   * @returns {string} 'bar'
+   */
+  getDefaultDatasetType() {
+    return 'bar';
+  }
+  
   /**
    * Create axes for the chart
    * @private
    */
   createAxes() {
-    // Create X axis
+    // Create X axis, the category axis along the bottom (or down the left side
+    // for horizontal bars)
     this.state.axes.x = {
       render: (container, width, height) => {
-        const { xType, xField } = this.options;
-        const scale = this.state.scales.x;
+        const horizontal = this.isHorizontal();
         
         // Create axis group
         const axisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
@@ -70,84 +105,55 @@ export default class BarChart extends Chart {
         // Draw axis line
         const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
         axisLine.setAttribute('x1', 0);
-        axisLine.setAttribute('y1', height);
-        axisLine.setAttribute('x2', width);
+        axisLine.setAttribute('y1', horizontal ? 0 : height);
+        axisLine.setAttribute('x2', horizontal ? 0 : width);
         axisLine.setAttribute('y2', height);
-        axisLine.setAttribute('stroke', '#ccc');
+        axisLine.setAttribute('stroke', this.theme.axis.line);
         axisLine.setAttribute('stroke-width', 1);
         axisGroup.appendChild(axisLine);
         
         // Get unique x values for bar charts
-        let tickValues = [];
-        
-        if (this.state.datasets.length > 0) {
-          // Collect all unique x values across datasets
-          const uniqueXValues = new Set();
-          this.state.datasets.forEach(dataset => {
-            dataset.data.forEach(d => {
-              if (d[xField] !== undefined) {
-                uniqueXValues.add(d[xField]);
-              }
-            });
-          });
-          
-          // Convert to array and sort
-          tickValues = Array.from(uniqueXValues);
-          
-          // Sort based on type
-          if (xType === 'time') {
-            tickValues.sort((a, b) => {
-              const dateA = a instanceof Date ? a : new Date(a);
-              const dateB = b instanceof Date ? b : new Date(b);
-              return dateA - dateB;
-            });
-          } else if (xType === 'number') {
-            tickValues.sort((a, b) => a - b);
-          } else {
-            // String sorting for category
-            tickValues.sort();
-          }
-        }
+        const tickValues = this.getUniqueXValues();
+        const bandWidth = (horizontal ? height : width) / tickValues.length;
         
         // Draw ticks and labels
         tickValues.forEach((value, index) => {
           // For bar charts, position tick in the middle of the bar
-          const barWidth = width / tickValues.length;
-          const x = index * barWidth + barWidth / 2;
+          const position = index * bandWidth + bandWidth / 2;
           
           // Draw tick
           const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-          tick.setAttribute('x1', x);
-          tick.setAttribute('y1', height);
-          tick.setAttribute('x2', x);
-          tick.setAttribute('y2', height + 6);
-          tick.setAttribute('stroke', '#ccc');
+          tick.setAttribute('x1', horizontal ? 0 : position);
+          tick.setAttribute('y1', horizontal ? position : height);
+          tick.setAttribute('x2', horizontal ? -6 : position);
+          tick.setAttribute('y2', horizontal ? position : height + 6);
+          tick.setAttribute('stroke', this.theme.axis.line);
           tick.setAttribute('stroke-width', 1);
           axisGroup.appendChild(tick);
           
-          // Format label text
-          let labelText;
-          if (xType === 'time') {
-            const date = value instanceof Date ? value : new Date(value);
-            labelText = date.toLocaleDateString();
-          } else {
-            labelText = String(value);
-          }
-          
           // Draw label
           const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-          label.textContent = labelText;
-          label.setAttribute('x', x);
-          label.setAttribute('y', height + 20);
-          label.setAttribute('text-anchor', 'middle');
+          label.textContent = this.formatCategory(value);
           label.setAttribute('font-size', '12px');
-          label.setAttribute('font-family', this.options.fontFamily);
-          label.setAttribute('fill', this.options.textColor);
+          label.setAttribute('font-family', this.theme.fontFamily);
+          label.setAttribute('fill', this.theme.textColor);
           
-          // Rotate label if more than 10 ticks
-          if (tickValues.length > 10) {
-            label.setAttribute('transform', `rotate(-45, ${x}, ${height + 20})`);
+          if (horizontal) {
+            // Labels read left to right, so long names need no rotation
+            label.setAttribute('x', -10);
+            label.setAttribute('y', position);
             label.setAttribute('text-anchor', 'end');
+            label.setAttribute('dominant-baseline', 'middle');
+          } else {
+            label.setAttribute('x', position);
+            label.setAttribute('y', height + 20);
+            label.setAttribute('text-anchor', 'middle');
+            
+            // Rotate label if more than 10 ticks
+            if (tickValues.length > 10) {
+              label.setAttribute('transform', `rotate(-45, ${position}, ${height + 20})`);
+              label.setAttribute('text-anchor', 'end');
+            }
           }
           
           axisGroup.appendChild(label);
@@ -155,13 +161,13 @@ export default class BarChart extends Chart {
           // Draw grid line if needed
           if (this.options.grid) {
             const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-            gridLine.setAttribute('x1', x);
-            gridLine.setAttribute('y1', 0);
-            gridLine.setAttribute('x2', x);
-            gridLine.setAttribute('y2', height);
-            gridLine.setAttribute('stroke', '#eee');
+            gridLine.setAttribute('x1', horizontal ? 0 : position);
+            gridLine.setAttribute('y1', horizontal ? position : 0);
+            gridLine.setAttribute('x2', horizontal ? width : position);
+            gridLine.setAttribute('y2', horizontal ? position : height);
+            gridLine.setAttribute('stroke', this.theme.grid.stroke);
             gridLine.setAttribute('stroke-width', 1);
-            gridLine.setAttribute('stroke-dasharray', '4,4');
+            gridLine.setAttribute('stroke-dasharray', this.theme.grid.dashArray);
             axisGroup.appendChild(gridLine);
           }
         });
@@ -173,184 +179,767 @@ export default class BarChart extends Chart {
       }
     };
     
-    // Create Y axis
-    this.state.axes.y = {
+    // Create Y axes, left and right
+    this.state.axes.y = this.createValueAxis('left');
+    this.state.axes.yRight = this.createValueAxis('right');
+  }
+  
+  /**
+   * Create a value axis
+   * Vertical bars use the regular Y axes. Horizontal bars draw the left
+   * axis along the bottom and the right axis along the top.
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object} Axis with a render(container, width, height) method
+   */
+  createValueAxis(side) {
+    const verticalAxis = this.createYAxis(side);
+    
+    return {
       render: (container, width, height) => {
-        const { yType, isLogarithmic } = this.options;
-        const scale = this.state.scales.y;
-        
-        // Create axis group
-        const axisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        axisGroup.setAttribute('class', 'visioncharts-y-axis');
-        
-        // Draw axis line
-        const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        axisLine.setAttribute('x1', 0);
-        axisLine.setAttribute('y1', 0);
-        axisLine.setAttribute('x2', 0);
-        axisLine.setAttribute('y2', height);
-        axisLine.setAttribute('stroke', '#ccc');
-        axisLine.setAttribute('stroke-width', 1);
-        axisGroup.appendChild(axisLine);
-        
-        // Generate ticks
-        const tickCount = 5;
-        const domain = scale.domain;
-        
-        // Create tick values based on domain and scale type
-        let tickValues = [];
-        
-        if (isLogarithmic) {
-          // Logarithmic scale ticks
-          const minExp = Math.floor(Math.log10(domain[0]));
-          const maxExp = Math.ceil(Math.log10(domain[1]));
-          
-          for (let exp = minExp; exp <= maxExp; exp++) {
-            tickValues.push(Math.pow(10, exp));
-          }
-        } else {
-          // Linear scale ticks
-          const start = domain[0];
-          const end = domain[1];
-          const step = (end - start) / tickCount;
-          
-          for (let i = 0; i <= tickCount; i++) {
-            tickValues.push(start + step * i);
-          }
-        }
-        
-        // Draw ticks and labels
-        tickValues.forEach(value => {
-          const y = scale.scale(value);
-          
-          // Skip if out of range
-          if (y < 0 || y > height) return;
-          
-          // Draw tick
-          const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-          tick.setAttribute('x1', 0);
-          tick.setAttribute('y1', y);
-          tick.setAttribute('x2', -6);
-          tick.setAttribute('y2', y);
-          tick.setAttribute('stroke', '#ccc');
-          tick.setAttribute('stroke-width', 1);
-          axisGroup.appendChild(tick);
-          
-          // Format label text
-          let labelText;
-          if (yType === 'percent') {
-            labelText = (value * 100).toFixed(0) + '%';
-          } else if (yType === 'currency') {
-            labelText = '$' + value.toFixed(2);
-          } else {
-            labelText = value.toFixed(isLogarithmic ? 0 : 1);
-          }
-          
-          // Draw label
-          const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-          label.textContent = labelText;
-          label.setAttribute('x', -10);
-          label.setAttribute('y', y);
-          label.setAttribute('text-anchor', 'end');
-          label.setAttribute('dominant-baseline', 'middle');
-          label.setAttribute('font-size', '12px');
-          label.setAttribute('font-family', this.options.fontFamily);
-          label.setAttribute('fill', this.options.textColor);
-          axisGroup.appendChild(label);
+        return this.isHorizontal() ?
+          this.renderHorizontalValueAxis(container, width, height, side) :
+          verticalAxis.render(container, width, height);
+      }
+    };
+  }
+  
+  /**
+   * Render a value axis for horizontal bars
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {number} width - Plot width
+   * @param {number} height - Plot height
+   * @param {string} side - 'left' (drawn at the bottom) or 'right' (drawn at the top)
+   * @returns {SVGElement|null} Axis group element
+   */
+  renderHorizontalValueAxis(container, width, height, side) {
+    const { scale } = this.getYAxisOptions(side);
+    if (!scale) return null;
+    
+    const isRight = side === 'right';
+    const axisY = isRight ? 0 : height;
+    const direction = isRight ? -1 : 1;
+    
+    // Create axis group
+    const axisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    axisGroup.setAttribute('class', isRight ? 'visioncharts-y-right-axis' : 'visioncharts-y-axis');
+    
+    // Draw axis line
+    const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    axisLine.setAttribute('x1', 0);
+    axisLine.setAttribute('y1', axisY);
+    axisLine.setAttribute('x2', width);
+    axisLine.setAttribute('y2', axisY);
+    axisLine.setAttribute('stroke', this.theme.axis.line);
+    axisLine.setAttribute('stroke-width', 1);
+    axisGroup.appendChild(axisLine);
+    
+    // Draw ticks and labels
+    const tickValues = this.getYTickValues(side);
+    tickValues.forEach(value => {
+      const x = scale.scale(value);
+      
+      // Skip if out of range
+      if (x < 0 || x > width) return;
+      
+      // Draw tick
+      const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      tick.setAttribute('x1', x);
+      tick.setAttribute('y1', axisY);
+      tick.setAttribute('x2', x);
+      tick.setAttribute('y2', axisY + direction * 6);
+      tick.setAttribute('stroke', this.theme.axis.line);
+      tick.setAttribute('stroke-width', 1);
+      axisGroup.appendChild(tick);
+      
+      // Draw label
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.textContent = this.formatYTickValue(value, side, tickValues);
+      label.setAttribute('x', x);
+      label.setAttribute('y', isRight ? axisY - 10 : axisY + 20);
+      label.setAttribute('text-anchor', 'middle');
+      label.setAttribute('font-size', '12px');
+      label.setAttribute('font-family', this.theme.fontFamily);
+      label.setAttribute('fill', this.theme.textColor);
+      axisGroup.appendChild(label);
+      
+      // Draw grid line if needed (the right axis shares the left axis grid)
+      if (this.options.grid && !isRight) {
+        const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        gridLine.setAttribute('x1', x);
+        gridLine.setAttribute('y1', 0);
+        gridLine.setAttribute('x2', x);
+        gridLine.setAttribute('y2', height);
+        gridLine.setAttribute('stroke', this.theme.grid.stroke);
+        gridLine.setAttribute('stroke-width', 1);
+        gridLine.setAttribute('stroke-dasharray', this.theme.grid.dashArray);
+        axisGroup.appendChild(gridLine);
+      }
+    });
+    
+    // Draw short unlabeled minor ticks between the labeled ones
+    this.getYMinorTickValues(side).forEach(value => {
+      const x = scale.scale(value);
+      if (x < 0 || x > width) return;
+      
+      const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      tick.setAttribute('x1', x);
+      tick.setAttribute('y1', axisY);
+      tick.setAttribute('x2', x);
+      tick.setAttribute('y2', axisY + direction * 3);
+      tick.setAttribute('stroke', this.theme.axis.line);
+      tick.setAttribute('stroke-width', 1);
+      tick.setAttribute('class', 'visioncharts-minor-tick');
+      axisGroup.appendChild(tick);
+    });
+    
+    // Add to container
+    container.appendChild(axisGroup);
+    
+    return axisGroup;
+  }
+  
+  /**
+   * Format a category (X value) label
+   * @private
+   * @param {*} value - X value
+   * @returns {string} Label text
+   */
+  formatCategory(value) {
+    if (this.options.xType === 'time') {
+      const date = value instanceof Date ? value : new Date(value);
+      return date.toLocaleDateString();
+    }
+    
+    return String(value);
+  }
+  
+  /**
+   * Check whether bars run horizontally
+   * @private
+   * @returns {boolean} True for the horizontal orientation
+   */
+  isHorizontal() {
+    return this.options.orientation === 'horizontal';
+  }
+  
+  /**
+   * Get the pixel length of the category axis
+   * @private
+   * @returns {number} Plot height for horizontal bars, otherwise plot width
+   */
+  getBandLength() {
+    const { innerWidth, innerHeight } = this.state.dimensions;
+    return this.isHorizontal() ? innerHeight : innerWidth;
+  }
+  
+  /**
+   * Get the pixel range of the value scales
+   * @private
+   * @returns {Array} Range, left to right for horizontal bars, bottom to top otherwise
+   */
+  getValueRange() {
+    const { innerWidth, innerHeight } = this.state.dimensions;
+    return this.isHorizontal() ? [0, innerWidth] : [innerHeight, 0];
+  }
+  
+  /**
+   * Get the value bars grow from
+   * Zero, or the bottom of the domain for logarithmic scales.
+   * @private
+   * @param {Object} yScale - Value scale
+   * @returns {number} Base value
+   */
+  getBarBase(yScale) {
+    return Math.max(0, yScale.domain[0]);
+  }
+  
+  /**
+   * Get the rectangle of a bar
+   * @private
+   * @param {number} bandStart - Start of the bar across the category axis
+   * @param {number} bandSize - Thickness of the bar
+   * @param {number} valueStart - Pixel position of the bar base on the value axis
+   * @param {number} valueEnd - Pixel position of the bar end on the value axis
+   * @param {boolean} [horizontal] - Whether the bar runs horizontally
+   * @returns {Object} Rectangle { x, y, width, height }
+   */
+  getBarRect(bandStart, bandSize, valueStart, valueEnd, horizontal = this.isHorizontal()) {
+    const start = Math.min(valueStart, valueEnd);
+    const length = Math.max(1, Math.abs(valueEnd - valueStart)); // Ensure at least 1px
+    
+    return horizontal ?
+      { x: start, y: bandStart, width: length, height: bandSize } :
+      { x: bandStart, y: start, width: bandSize, height: length };
+  }
+  
+  /**
+   * Get the margins around the plot
+   * Horizontal bars need room for the category labels on the left, and for
+   * the right value axis along the top.
+   * @private
+   * @returns {Object} Margins { top, right, bottom, left }
+   */
+  computeMargins() {
+    if (!this.isHorizontal()) return super.computeMargins();
+    
+    const margins = { ...this.options.margins };
+    
+    // Scales are created after the first layout
+    if (!this.state.scales.y) return margins;
+    
+    const { xAxisName, rightYAxisName } = this.options;
+    const categoryLabels = this.getUniqueXValues().map(value => this.formatCategory(value));
+    
+    margins.left = Math.max(margins.left, this.getAxisMargin(this.getLabelWidth(categoryLabels), xAxisName));
+    
+    if (this.hasRightAxis()) {
+      margins.top = Math.max(margins.top, this.getAxisMargin(HORIZONTAL_AXIS_LABEL_HEIGHT, rightYAxisName));
+    }
+    
+    return margins;
+  }
+  
+  /**
+   * Render axes
+   * @private
+   */
+  renderAxes() {
+    if (!this.state.chart) return;
+    
+    const { innerWidth, innerHeight, plotHeight } = this.state.dimensions;
+    
+    // X axis goes below the last sub-pane, or beside the main pane for horizontal bars
+    this.state.axes.x.render(this.state.chart, innerWidth, this.isHorizontal() ? innerHeight : plotHeight);
+    this.state.axes.y.render(this.state.chart, innerWidth, innerHeight);
+    
+    // Right Y axis only if a dataset uses it
+    if (this.hasRightAxis()) {
+      this.state.axes.yRight.render(this.state.chart, innerWidth, innerHeight);
+    }
+  }
+  
+  /**
+   * Render axis names
+   * Horizontal bars name the category axis on the left, the value axis at
+   * the bottom and the right value axis at the top.
+   * @private
+   */
+  renderAxisNames() {
+    if (!this.isHorizontal()) {
+      super.renderAxisNames();
+      return;
+    }
+    
+    if (!this.state.svg) return;
+    
+    const { xAxisName, yAxisName, rightYAxisName } = this.options;
+    const { height, innerWidth, innerHeight } = this.state.dimensions;
+    const { left, top } = this.state.margins;
+    
+    const createName = (text, x, y, className, rotate) => {
+      const nameElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      nameElement.textContent = text;
+      nameElement.setAttribute('x', x);
+      nameElement.setAttribute('y', y);
+      nameElement.setAttribute('text-anchor', 'middle');
+      nameElement.setAttribute('font-size', '14px');
+      nameElement.setAttribute('font-family', this.theme.fontFamily);
+      nameElement.setAttribute('fill', this.theme.textColor);
+      nameElement.setAttribute('class', `visioncharts-axis-name ${className}`);
+      
+      if (rotate) {
+        nameElement.setAttribute('transform', `rotate(-90, ${x}, ${y})`);
+      }
+      
+      this.state.svg.appendChild(nameElement);
+    };
+    
+    // Category axis name, along the left edge
+    if (xAxisName) {
+      createName(xAxisName, 15, top + innerHeight / 2, 'x-axis-name', true);
+    }
+    
+    // Value axis name, below the plot
+    if (yAxisName) {
+      createName(yAxisName, left + innerWidth / 2, height - 5, 'y-axis-name', false);
+    }
+    
+    // Right value axis name, above its labels
+    if (rightYAxisName && this.hasRightAxis()) {
+      createName(rightYAxisName, left + innerWidth / 2, 15, 'y-right-axis-name', false);
+    }
+  }
+  
+  /**
+   * Render the zero line, vertical for horizontal bars
+   * @private
+   */
+  renderZeroLine() {
+    if (!this.isHorizontal()) {
+      super.renderZeroLine();
+      return;
+    }
+    
+    if (!this.state.chart || !this.state.scales.y) return;
+    
+    const { innerWidth, innerHeight } = this.state.dimensions;
+    const zeroX = this.state.scales.y.scale(0);
+    
+    // Only render if zero is within the visible range
+    if (zeroX >= 0 && zeroX <= innerWidth) {
+      const zeroLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      zeroLine.setAttribute('x1', zeroX);
+      zeroLine.setAttribute('y1', 0);
+      zeroLine.setAttribute('x2', zeroX);
+      zeroLine.setAttribute('y2', innerHeight);
+      zeroLine.setAttribute('stroke', this.theme.zeroLine.stroke);
+      zeroLine.setAttribute('stroke-width', 1);
+      zeroLine.setAttribute('stroke-dasharray', '4,4');
+      zeroLine.setAttribute('class', 'visioncharts-zero-line');
+      
+      this.state.chart.appendChild(zeroLine);
+    }
+  }
+  
+  /**
+   * Update axes
+   * @private
+   */
+  updateAxes() {
+    if (!this.state.rendered || !this.state.chart) return;
+    
+    ['.visioncharts-x-axis', '.visioncharts-y-axis', '.visioncharts-y-right-axis'].forEach(selector => {
+      const axis = this.state.chart.querySelector(selector);
+      if (axis) {
+        axis.parentNode.removeChild(axis);
+      }
+    });
+    
+    this.renderAxes();
+  }
+  
+  /**
+   * Update scales with actual data
+   * @private
+   */
+  updateScales() {
+    const { xField, yField, xType, isLogarithmic, isRightLogarithmic } = this.options;
+    
+    // Get all data points from all datasets
+    const allPoints = this.state.datasets.reduce((acc, dataset) => {
+      return acc.concat(dataset.data || []);
+    }, []);
+    
+    if (!allPoints.length) {
+      // Set default domain if no data
+      this.state.scales.x.setDomain([0, 1]);
+      this.state.scales.y.setDomain(this.getScaleType(isLogarithmic) === 'log' ? [0.1, 1] : [0, 1]);
+      this.state.scales.yRight.setDomain(this.getScaleType(isRightLogarithmic) === 'log' ? [0.1, 1] : [0, 1]);
+      
+      // Set ranges based on dimensions
+      this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
+      this.state.scales.y.setRange(this.getValueRange());
+      this.state.scales.yRight.setRange(this.getValueRange());
+      return;
+    }
+    
+    // Extract X values
+    const xValues = allPoints.map(d => d[xField]);
+    
+    let xMin, xMax;
+    
+    // X domain depends on the type
+    if (xType === 'time') {
+      // For time type, convert string dates to Date objects if needed
+      const dates = xValues.map(x => x instanceof Date ? x : new Date(x));
+      const [minTime, maxTime] = extent(dates.map(d => d.getTime()));
+      xMin = new Date(minTime);
+      xMax = new Date(maxTime);
+    } else if (xType === 'number') {
+      [xMin, xMax] = extent(xValues);
+    } else {
+      // For category, we need to create a band scale but are using linear scale as approximation
+      // Set range from -0.5 to (uniqueValues.length - 0.5) to center bars
+      const uniqueValues = Array.from(new Set(xValues));
+      xMin = -0.5;
+      xMax = uniqueValues.length - 0.5;
+      
+      // Store unique values for bar positioning
+      this.state.uniqueXValues = uniqueValues;
+    }
+    
+    // Stack offsets are needed for the Y domains
+    this.state.stacks = this.isStacked() ?
+      { left: this.getStacks('left'), right: this.getStacks('right') } :
+      null;
+    
+    // Set domains, one Y scale per axis (sub-pane studies have their own Y scales)
+    this.state.scales.x.setDomain([xMin, xMax]);
+    this.fitYScale(this.state.scales.y, this.getAxisYValues('left'), isLogarithmic);
+    this.fitYScale(this.state.scales.yRight, this.getAxisYValues('right'), isRightLogarithmic);
+    
+    // 100%-stacked axes show the whole share range instead
+    if (this.isPercentAxis('left')) this.fitPercentScale(this.state.scales.y, 'left', isLogarithmic);
+    if (this.isPercentAxis('right')) this.fitPercentScale(this.state.scales.yRight, 'right', isRightLogarithmic);
+    
+    // Set ranges based on dimensions
+    this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
+  }
+  
+  /**
+   * Fit a Y scale to its values, with some padding
+   * @private
+   * @param {Object} scale - Y scale
+   * @param {Array} yValues - Values the domain must include
+   * @param {boolean|string} isLogarithmic - Logarithmic setting or scale type of the axis
+   * @param {Array} [range] - Pixel range, the main plot's value range by default
+   */
+  fitYScale(scale, yValues, isLogarithmic, range = this.getValueRange()) {
+    const scaleType = this.getScaleType(isLogarithmic);
+    let [yMin, yMax] = extent(yValues);
+    
+    // An axis without datasets keeps a default domain
+    if (!yValues.length) {
+      [yMin, yMax] = [0, 1];
+    }
+    
+    scale.setRange(range);
+    
+    // Symlog bars grow from 0 too, padded in symlog space
+    if (scaleType === 'symlog') {
+      scale.setDomain(this.padSymlogDomain(scale, Math.min(0, yMin), Math.max(0, yMax)));
+      return;
+    }
+    
+    // For logarithmic scale, bars start just below the smallest positive value
+    if (scaleType === 'log') {
+      const [positiveMin] = extent(yValues.filter(value => value > 0));
+      yMin = isFinite(positiveMin) ? positiveMin / 2 : 0.01;
+      yMax = Math.max(yMax, yMin * 10);
+    } else {
+      yMin = Math.min(0, yMin); // Include 0 for bar charts
+    }
+    
+    // Add some padding to Y domain
+    const yPadding = (yMax - yMin) * 0.1;
+    
+    scale.setDomain([
+      scaleType === 'log' ? yMin : yMin - yPadding,
+      yMax + yPadding
+    ]);
+  }
+  
+  /**
+   * Fit a Y scale to the shares of 100%-stacked bars, without padding
+   * Linear and symlog axes span 0% to 100%, or -100% to 100% when some
+   * shares are negative. Log axes span from the decade of the smallest
+   * segment (1% at the lowest) to 100%.
+   * @private
+   * @param {Object} scale - Y scale
+   * @param {string} side - 'left' or 'right'
+   * @param {boolean|string} isLogarithmic - Logarithmic setting or scale type of the axis
+   */
+  fitPercentScale(scale, side, isLogarithmic) {
+    const stacks = Array.from(this.state.stacks[side].values());
+    
+    if (this.getScaleType(isLogarithmic) === 'log') {
+      const [smallestShare] = extent(stacks.reduce((acc, stack) => {
+        stack.segments.forEach(segment => {
+          if (segment.y1 > 0) acc.push(segment.y1);
+        });
+        return acc;
+      }, []));
+      const decade = isFinite(smallestShare) ?
+        Math.pow(scale.base, Math.floor(Math.log(smallestShare) / Math.log(scale.base))) :
+        0.01;
+      
+      scale.setDomain([Math.max(0.01, Math.min(decade, 1 / scale.base)), 1]);
+      return;
+    }
+    
+    scale.setDomain([stacks.some(stack => stack.bottom < 0) ? -1 : 0, 1]);
+  }
+  
+  /**
+   * Get the values one Y axis must include
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Array} Y values
+   */
+  getAxisYValues(side) {
+    const { yField } = this.options;
+    const stacks = this.state.stacks && this.state.stacks[side];
+    
+    // Stacked bars are covered by their stack tops and bottoms
+    const values = this.getAxisDatasets(side)
+      .filter(dataset => !stacks || !this.isStackedDataset(dataset))
+      .reduce((acc, dataset) => {
+        return acc.concat((dataset.data || []).map(d => d[yField]));
+      }, []);
+    
+    if (stacks) {
+      stacks.forEach(stack => values.push(stack.top, stack.bottom));
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Get the options of one Y axis
+   * Axes with 100%-stacked bars show percentages.
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object} Axis options { scale, isLogarithmic, yType }
+   */
+  getYAxisOptions(side) {
+    const axisOptions = super.getYAxisOptions(side);
+    
+    if (this.isPercentAxis(side)) {
+      return { ...axisOptions, yType: 'percent' };
+    }
+    
+    return axisOptions;
+  }
+  
+  /**
+   * Check whether a Y axis shows 100%-stacked bars
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {boolean} True in percent stack mode for axes with stacked datasets
+   */
+  isPercentAxis(side) {
+    return this.options.stackMode === 'percent' &&
+      this.getAxisDatasets(side).some(dataset => this.isStackedDataset(dataset));
+  }
+  
+  /**
+   * Get the tick values of a Y axis
+   * Linear 100%-stacked axes tick every 25% (every 50% from -100% to 100%).
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Array} Tick values
+   */
+  getYTickValues(side) {
+    const { scale, scaleType } = this.getYAxisOptions(side);
+    
+    if (scale && scaleType === 'linear' && this.isPercentAxis(side)) {
+      const [start, end] = scale.domain;
+      return [0, 1, 2, 3, 4].map(i => start + (end - start) * i / 4);
+    }
+    
+    return super.getYTickValues(side);
+  }
+  
+  /**
+   * Check whether bars are stacked
+   * @private
+   * @returns {boolean} True for the 'stacked' and 'percent' stack modes
+   */
+  isStacked() {
+    const { stackMode } = this.options;
+    return stackMode === 'stacked' || stackMode === 'percent';
+  }
+  
+  /**
+   * Check whether a dataset is part of the bar stacks
+   * Studies and line, area or scatter overlays are not stacked.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {boolean} True if the dataset is stacked
+   */
+  isStackedDataset(dataset) {
+    return this.isStacked() && !dataset.isStudy && !dataset.paneId && dataset.type === 'bar';
+  }
+  
+  /**
+   * Calculate the stacks of one Y axis
+   * Positive values stack upward and negative values downward from zero,
+   * in dataset order. In percent mode each segment is a share of the sum
+   * of absolute values at its X value, so a stack spans 100% in total.
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Map} Comparable X value -> { total, top, bottom, segments }
+   *   where segments maps dataset ID -> { value, share, y0, y1 }
+   */
+  getStacks(side) {
+    const { xField, yField, stackMode } = this.options;
+    const stacks = new Map();
+    
+    this.getAxisDatasets(side)
+      .filter(dataset => this.isStackedDataset(dataset))
+      .forEach(dataset => {
+        (dataset.data || []).forEach(d => {
+          const value = d[yField];
+          if (d[xField] === undefined || typeof value !== 'number' || isNaN(value)) return;
           
-          // Draw grid line if needed
-          if (this.options.grid) {
-            const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-            gridLine.setAttribute('x1', 0);
-            gridLine.setAttribute('y1', y);
-            gridLine.setAttribute('x2', width);
-            gridLine.setAttribute('y2', y);
-            gridLine.setAttribute('stroke', '#eee');
-            gridLine.setAttribute('stroke-width', 1);
-            gridLine.setAttribute('stroke-dasharray', '4,4');
-            axisGroup.appendChild(gridLine);
+          const key = this.toComparableX(d[xField]);
+          if (!stacks.has(key)) {
+            stacks.set(key, { total: 0, absTotal: 0, top: 0, bottom: 0, segments: new Map() });
           }
+          
+          const stack = stacks.get(key);
+          stack.total += value;
+          stack.absTotal += Math.abs(value);
+          stack.segments.set(dataset.id, { value });
         });
+      });
+    
+    // Offsets go up from zero for positive values and down for negative ones
+    stacks.forEach(stack => {
+      stack.segments.forEach(segment => {
+        segment.share = stack.absTotal ? segment.value / stack.absTotal : 0;
         
-        // Add to container
-        container.appendChild(axisGroup);
+        const value = stackMode === 'percent' ? segment.share : segment.value;
         
-        return axisGroup;
-      }
-    };
+        if (value >= 0) {
+          segment.y0 = stack.top;
+          stack.top += value;
+          segment.y1 = stack.top;
+        } else {
+          segment.y0 = stack.bottom;
+          stack.bottom += value;
+          segment.y1 = stack.bottom;
+        }
+      });
+    });
+    
+    return stacks;
   }
   
   /**
-   * Update scales with actual data
+   * Get the stack a dataset's bar belongs to
    * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @returns {Object|null} Stack from getStacks, or null if the bar isn't stacked
    */
-  updateScales() {
-    const { xField, yField, xType, isLogarithmic } = this.options;
-    
-    // Get all data points from all datasets
-    const allPoints = this.state.datasets.reduce((acc, dataset) => {
-      return acc.concat(dataset.data || []);
-    }, []);
+  getStack(dataset, xValue) {
+    if (!this.state.stacks || !this.isStackedDataset(dataset)) return null;
     
-    if (!allPoints.length) {
-      // Set default domain if no data
-      this.state.scales.x.setDomain([0, 1]);
-      this.state.scales.y.setDomain(isLogarithmic ? [0.1, 1] : [0, 1]);
-      
-      // Set ranges based on dimensions
-      this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
-      this.state.scales.y.setRange([this.state.dimensions.innerHeight, 0]);
-      return;
-    }
+    const stack = this.state.stacks[dataset.yAxis === 'right' ? 'right' : 'left'].get(this.toComparableX(xValue));
+    return stack && stack.segments.has(dataset.id) ? stack : null;
+  }
+  
+  /**
+   * Get the sorted unique X values across all datasets
+   * @private
+   * @returns {Array} Sorted X values
+   */
+  getUniqueXValues() {
+    const { xField, xType } = this.options;
     
-    // Extract unique X values and all Y values
-    const xValues = allPoints.map(d => d[xField]);
-    const yValues = allPoints.map(d => d[yField]);
+    // Collect all unique x values across datasets
+    const allXValues = new Set();
+    this.state.datasets.forEach(dataset => {
+      dataset.data.forEach(d => {
+        if (d[xField] !== undefined) {
+          allXValues.add(d[xField]);
+        }
+      });
+    });
     
-    let xMin, xMax, yMin, yMax;
+    const uniqueXValues = Array.from(allXValues);
     
-    // X domain depends on the type
+    // Sort X values based on type
     if (xType === 'time') {
-      // For time type, convert string dates to Date objects if needed
-      const dates = xValues.map(x => x instanceof Date ? x : new Date(x));
-      xMin = new Date(Math.min(...dates.map(d => d.getTime())));
-      xMax = new Date(Math.max(...dates.map(d => d.getTime())));
+      uniqueXValues.sort((a, b) => {
+        const dateA = a instanceof Date ? a : new Date(a);
+        const dateB = b instanceof Date ? b : new Date(b);
+        return dateA - dateB;
+      });
     } else if (xType === 'number') {
-      xMin = Math.min(...xValues);
-      xMax = Math.max(...xValues);
+      uniqueXValues.sort((a, b) => a - b);
     } else {
-      // For category, we need to create a band scale but are using linear scale as approximation
-      // Set range from -0.5 to (uniqueValues.length - 0.5) to center bars
-      const uniqueValues = Array.from(new Set(xValues));
-      xMin = -0.5;
-      xMax = uniqueValues.length - 0.5;
-      
-      // Store unique values for bar positioning
-      this.state.uniqueXValues = uniqueValues;
+      // String sorting for category
+      uniqueXValues.sort();
     }
     
-    // Y domain
-    yMin = Math.min(0, ...yValues); // Include 0 for bar charts
-    yMax = Math.max(...yValues);
+    return uniqueXValues;
+  }
+  
+  /**
+   * Find the bar group under the cursor
+   * Bars are laid out in equal-width groups, one per unique X value,
+   * so the group index comes straight from the cursor position.
+   * Horizontal bars are grouped top to bottom, the cursor X is kept.
+   * @private
+   * @param {number} mouseX - X coordinate in plot space
+   * @param {number} mouseY - Y coordinate in plot space
+   * @returns {Object|null} Hover data { x, xValue, points }
+   */
+  getHoverData(mouseX, mouseY) {
+    const { xField, yField } = this.options;
+    const uniqueXValues = this.getUniqueXValues();
+    
+    if (!uniqueXValues.length) return null;
     
-    // Add some padding to Y domain
-    const yPadding = (yMax - yMin) * 0.1;
+    const horizontal = this.isHorizontal();
+    const groupWidth = this.getBandLength() / uniqueXValues.length;
+    const position = horizontal ? mouseY : mouseX;
+    const index = Math.max(0, Math.min(uniqueXValues.length - 1, Math.floor(position / groupWidth)));
+    const xValue = uniqueXValues[index];
+    const x = horizontal ? mouseX : index * groupWidth + groupWidth / 2;
+    
+    const target = this.toComparableX(xValue);
+    const points = [];
+    this.state.datasets.forEach(dataset => {
+      const point = dataset.data.find(d => d[xField] !== undefined && this.toComparableX(d[xField]) === target);
+      if (point && point[yField] !== undefined) {
+        const hoverPoint = { dataset, point, value: point[yField], x };
+        
+        // Stacked bars also report their stack total and share of it
+        const stack = this.getStack(dataset, xValue);
+        if (stack) {
+          hoverPoint.total = stack.total;
+          hoverPoint.share = stack.segments.get(dataset.id).share;
+        }
+        
+        points.push(hoverPoint);
+      }
+    });
     
-    // For logarithmic scale, ensure minimum is positive
-    if (isLogarithmic) {
-      yMin = Math.max(yMin, 0.01); // Ensure minimum positive value
+    return { x, xValue, points };
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * Stacked bars show their share in percent mode, followed by the stack total.
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    if (typeof this.options.tooltipFormatter === 'function' || !this.isStacked()) {
+      return super.formatTooltip(hover);
     }
     
-    // Set domains
-    this.state.scales.x.setDomain([xMin, xMax]);
-    this.state.scales.y.setDomain([
-      isLogarithmic ? yMin : yMin - yPadding,
-      yMax + yPadding
-    ]);
+    const [title, ...lines] = super.formatTooltip(hover);
+    const isPercent = this.options.stackMode === 'percent';
     
-    // Set ranges based on dimensions
-    this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
-    this.state.scales.y.setRange([this.state.dimensions.innerHeight, 0]);
+    // One line per segment, lines match hover.points one to one
+    const segmentLines = lines.map((line, index) => {
+      const { share } = hover.points[index];
+      if (!isPercent || share === undefined) return line;
+      
+      return { ...line, text: `${line.text} (${(share * 100).toFixed(1)}%)` };
+    });
+    
+    // One total per stacked axis
+    const totals = new Map();
+    hover.points.forEach(({ dataset, total }) => {
+      if (total !== undefined) {
+        totals.set(dataset.yAxis === 'right' ? 'right' : 'left', total);
+      }
+    });
+    
+    const totalLines = Array.from(totals.entries()).map(([side, total]) => {
+      const label = totals.size > 1 ? `Total (${side})` : 'Total';
+      return `${label}: ${this.formatValue(total)}`;
+    });
+    
+    return [title, ...segmentLines, ...totalLines];
   }
   
   /**
@@ -372,51 +961,35 @@ export default class BarChart extends Chart {
     } = this.options;
     
     // Create data group
-    const dataGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    const dataGroup = this.renderer.createElement('g');
     dataGroup.setAttribute('class', 'visioncharts-data');
     
     // No data to render
     if (!this.state.datasets.length) {
-      this.state.chart.appendChild(dataGroup);
+      this.getDataLayer().appendChild(dataGroup);
       return;
     }
     
     // Get unique X values
-    const allXValues = new Set();
-    this.state.datasets.forEach(dataset => {
-      dataset.data.forEach(d => {
-        if (d[xField] !== undefined) {
-          allXValues.add(d[xField]);
-        }
-      });
-    });
+    const uniqueXValues = this.getUniqueXValues();
     
-    const uniqueXValues = Array.from(allXValues);
+    // Calculate bar dimensions, across the category axis
+    const totalGroupWidth = this.getBandLength() / uniqueXValues.length;
+    const usableGroupWidth = totalGroupWidth * (1 - barSpacing);
     
-    // Sort X values based on type
-    if (this.options.xType === 'time') {
-      uniqueXValues.sort((a, b) => {
-        const dateA = a instanceof Date ? a : new Date(a);
-        const dateB = b instanceof Date ? b : new Date(b);
-        return dateA - dateB;
-      });
-    } else if (this.options.xType === 'number') {
-      uniqueXValues.sort((a, b) => a - b);
-    } else {
-      // String sorting for category
-      uniqueXValues.sort();
-    }
+    // Studies and line, area or scatter datasets are drawn as overlays,
+    // only bar datasets get bars
+    const barDatasets = this.state.datasets.filter(dataset => !dataset.isStudy && dataset.type === 'bar');
     
-    // Calculate bar dimensions
-    const totalGroupWidth = this.state.dimensions.innerWidth / uniqueXValues.length;
-    const usableGroupWidth = totalGroupWidth * (1 - barSpacing);
+    // Stacked bars share one bar per group instead of sitting side by side
+    const grouped = groupBars && !this.isStacked() && barDatasets.length > 1;
     
     // Render each dataset
-    this.state.datasets.forEach((dataset, datasetIndex) => {
+    barDatasets.forEach((dataset, datasetIndex) => {
       if (!dataset.data || !dataset.data.length) return;
       
       // Create dataset group
-      const datasetGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      const datasetGroup = this.renderer.createElement('g');
       datasetGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
       
       // Create a map for faster lookup
@@ -428,9 +1001,9 @@ export default class BarChart extends Chart {
       // Calculate dataset-specific bar width
       let singleBarWidth;
       
-      if (groupBars && this.state.datasets.length > 1) {
+      if (grouped) {
         // Multiple datasets, divide group width among them
-        singleBarWidth = (usableGroupWidth * barWidth) / this.state.datasets.length;
+        singleBarWidth = (usableGroupWidth * barWidth) / barDatasets.length;
       } else {
         // Single dataset gets the full width
         singleBarWidth = usableGroupWidth * barWidth;
@@ -446,7 +1019,7 @@ export default class BarChart extends Chart {
         
         // Calculate bar position
         let x;
-        if (groupBars && this.state.datasets.length > 1) {
+        if (grouped) {
           // Position bar within the group
           const groupX = xIndex * totalGroupWidth + (totalGroupWidth - usableGroupWidth) / 2;
           x = groupX + datasetIndex * singleBarWidth;
@@ -456,21 +1029,23 @@ export default class BarChart extends Chart {
           x = groupX + (usableGroupWidth - singleBarWidth) / 2;
         }
         
-        // Calculate bar height
-        const zeroY = this.state.scales.y.scale(0);
-        const valueY = this.state.scales.y.scale(yValue);
+        // Calculate bar length against the dataset's Y axis
+        const yScale = this.getYScale(dataset);
+        const segment = this.getBarSegment(dataset, xValue, yValue, this.getBarBase(yScale));
+        
+        // Logarithmic bars can't start below the bottom of the domain
+        const valueStart = yScale.scale(Math.max(segment.y0, yScale.domain[0]));
+        const valueEnd = yScale.scale(segment.y1);
         
-        // Bars go from zero to value
-        const barY = yValue >= 0 ? valueY : zeroY;
-        const barHeight = Math.abs(zeroY - valueY);
+        const rect = this.getBarRect(x, singleBarWidth, valueStart, valueEnd);
         
         // Create bar element
-        const bar = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        bar.setAttribute('x', x);
-        bar.setAttribute('y', barY);
-        bar.setAttribute('width', singleBarWidth);
-        bar.setAttribute('height', Math.max(1, barHeight)); // Ensure at least 1px height
-        bar.setAttribute('fill', dataset.color);
+        const bar = this.renderer.createElement('rect');
+        bar.setAttribute('x', rect.x);
+        bar.setAttribute('y', rect.y);
+        bar.setAttribute('width', rect.width);
+        bar.setAttribute('height', rect.height);
+        bar.setAttribute('fill', this.getBarColor(dataset, xValue, yValue));
         bar.setAttribute('class', 'visioncharts-bar');
         
         // Add data attributes for tooltips
@@ -482,27 +1057,15 @@ export default class BarChart extends Chart {
         
         // Show values if enabled
         if (showValues) {
-          const value = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-          value.textContent = yValue.toFixed(1);
+          const value = this.renderer.createElement('text');
+          value.textContent = this.formatBarValue(dataset, xValue, yValue);
           
           // Position value based on option
-          let valueX = x + singleBarWidth / 2;
-          let valueY;
+          this.placeValueLabel(value, rect, valueStart, valueEnd, valuePosition);
           
-          if (valuePosition === 'top') {
-            valueY = barY - 5;
-          } else if (valuePosition === 'middle') {
-            valueY = barY + barHeight / 2;
-          } else { // bottom
-            valueY = barY + barHeight + 15;
-          }
-          
-          value.setAttribute('x', valueX);
-          value.setAttribute('y', valueY);
-          value.setAttribute('text-anchor', 'middle');
           value.setAttribute('font-size', '10px');
-          value.setAttribute('font-family', this.options.fontFamily);
-          value.setAttribute('fill', this.options.textColor);
+          value.setAttribute('font-family', this.theme.fontFamily);
+          value.setAttribute('fill', this.theme.textColor);
           value.setAttribute('class', 'visioncharts-bar-value');
           
           datasetGroup.appendChild(value);
@@ -513,8 +1076,273 @@ export default class BarChart extends Chart {
       dataGroup.appendChild(datasetGroup);
     });
     
+    // Total labels above the stacks
+    if (this.state.stacks && this.options.showStackTotals) {
+      this.renderStackTotals(dataGroup, uniqueXValues, totalGroupWidth);
+    }
+    
+    // Render overlays on top of the bars
+    ['left', 'right'].forEach(side => {
+      const overlays = this.getAxisDatasets(side).filter(dataset => dataset.isStudy || dataset.type !== 'bar');
+      this.renderStudies(dataGroup, overlays, this.getYAxisOptions(side).scale, this.isHorizontal());
+    });
+    
     // Add data group to chart
-    this.state.chart.appendChild(dataGroup);
+    this.getDataLayer().appendChild(dataGroup);
+  }
+  
+  /**
+   * Get the values a bar spans
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @param {number} yValue - Y value
+   * @param {number} base - Value bars grow from
+   * @returns {Object} Segment { y0, y1 }, from the bar base to the bar end
+   */
+  getBarSegment(dataset, xValue, yValue, base) {
+    // Bars go from zero to value, stacked bars from their stack offset
+    const stack = this.getStack(dataset, xValue);
+    return stack ? stack.segments.get(dataset.id) : { y0: base, y1: yValue };
+  }
+  
+  /**
+   * Get the fill color of a bar
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @param {number} yValue - Y value
+   * @returns {string} Fill color
+   */
+  getBarColor(dataset, xValue, yValue) {
+    return dataset.color;
+  }
+  
+  /**
+   * Format the value label of a bar
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @param {number} yValue - Y value
+   * @returns {string} Label text
+   */
+  formatBarValue(dataset, xValue, yValue) {
+    return yValue.toFixed(1);
+  }
+  
+  /**
+   * Position a value label on its bar
+   * Vertical bars keep their labels above, inside or below the bar. Labels of
+   * horizontal bars go at the bar end ('top'), the middle, or the base ('bottom').
+   * @private
+   * @param {SVGElement} label - Text element
+   * @param {Object} rect - Bar rectangle from getBarRect
+   * @param {number} valueStart - Pixel position of the bar base
+   * @param {number} valueEnd - Pixel position of the bar end
+   * @param {string} valuePosition - 'top', 'middle' or 'bottom'
+   */
+  placeValueLabel(label, rect, valueStart, valueEnd, valuePosition) {
+    if (!this.isHorizontal()) {
+      let valueY;
+      
+      if (valuePosition === 'top') {
+        valueY = rect.y - 5;
+      } else if (valuePosition === 'middle') {
+        valueY = rect.y + rect.height / 2;
+      } else { // bottom
+        valueY = rect.y + rect.height + 15;
+      }
+      
+      label.setAttribute('x', rect.x + rect.width / 2);
+      label.setAttribute('y', valueY);
+      label.setAttribute('text-anchor', 'middle');
+      return;
+    }
+    
+    // Negative bars run to the left
+    const direction = valueEnd < valueStart ? -1 : 1;
+    const outward = direction > 0 ? 'start' : 'end';
+    
+    let valueX;
+    let anchor;
+    
+    if (valuePosition === 'top') {
+      // Just past the end of the bar
+      valueX = valueEnd + direction * 5;
+      anchor = outward;
+    } else if (valuePosition === 'middle') {
+      valueX = (valueStart + valueEnd) / 2;
+      anchor = 'middle';
+    } else { // bottom, inside the bar at its base
+      valueX = valueStart + direction * 5;
+      anchor = outward;
+    }
+    
+    label.setAttribute('x', valueX);
+    label.setAttribute('y', rect.y + rect.height / 2);
+    label.setAttribute('text-anchor', anchor);
+    label.setAttribute('dominant-baseline', 'middle');
+  }
+  
+  /**
+   * Render the total of each stack above it (or at its end for horizontal bars)
+   * Stacks without positive values get their total below them.
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Array} uniqueXValues - Sorted X values, one bar group each
+   * @param {number} groupWidth - Width of a bar group
+   */
+  renderStackTotals(container, uniqueXValues, groupWidth) {
+    const totalsGroup = this.renderer.createElement('g');
+    totalsGroup.setAttribute('class', 'visioncharts-stack-totals');
+    
+    ['left', 'right'].forEach(side => {
+      const stacks = this.state.stacks[side];
+      const yScale = this.getYAxisOptions(side).scale;
+      
+      uniqueXValues.forEach((xValue, xIndex) => {
+        const stack = stacks.get(this.toComparableX(xValue));
+        if (!stack) return;
+        
+        const hasPositive = stack.top > 0 || stack.bottom === 0;
+        
+        // The label goes at the end of the whole stack
+        const valueStart = yScale.scale(this.getBarBase(yScale));
+        const valueEnd = yScale.scale(hasPositive ? stack.top : stack.bottom);
+        const rect = this.getBarRect(xIndex * groupWidth, groupWidth, valueStart, valueEnd);
+        
+        const label = this.renderer.createElement('text');
+        label.textContent = this.formatValue(stack.total);
+        this.placeValueLabel(label, rect, valueStart, valueEnd, hasPositive || this.isHorizontal() ? 'top' : 'bottom');
+        label.setAttribute('font-size', '10px');
+        label.setAttribute('font-weight', 'bold');
+        label.setAttribute('font-family', this.theme.fontFamily);
+        label.setAttribute('fill', this.theme.textColor);
+        label.setAttribute('class', 'visioncharts-stack-total');
+        
+        totalsGroup.appendChild(label);
+      });
+    });
+    
+    container.appendChild(totalsGroup);
+  }
+  
+  /**
+   * Render study, line, area and scatter datasets as overlays through the
+   * bar group centers
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Array} datasets - Overlay datasets
+   * @param {Object} yScale - Y scale
+   * @param {boolean} [horizontal] - Whether the bar groups run top to bottom
+   */
+  renderStudies(container, datasets, yScale, horizontal = false) {
+    const { xField, yField } = this.options;
+    const { innerWidth, innerHeight } = this.state.dimensions;
+    const uniqueXValues = this.getUniqueXValues();
+    const groupWidth = (horizontal ? innerHeight : innerWidth) / uniqueXValues.length;
+    
+    // Map each X value to the center of its bar group
+    const bandPositions = new Map();
+    uniqueXValues.forEach((xValue, index) => {
+      bandPositions.set(this.toComparableX(xValue), index * groupWidth + groupWidth / 2);
+    });
+    
+    // Band and value positions become [x, y] screen points
+    const toPoint = (band, value) => horizontal ? [value, band] : [band, value];
+    const baseValue = yScale.scale(this.getBarBase(yScale));
+    
+    datasets
+      .filter(dataset => dataset.data && dataset.data.length)
+      .forEach(dataset => {
+        const studyGroup = this.renderer.createElement('g');
+        studyGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
+        
+        const positions = dataset.data
+          .filter(d => d[xField] !== undefined && typeof d[yField] === 'number')
+          .map(d => [bandPositions.get(this.toComparableX(d[xField])), yScale.scale(d[yField])])
+          .filter(([band]) => band !== undefined);
+        
+        const points = positions.map(([band, value]) => toPoint(band, value));
+        
+        if (dataset.type === 'histogram') {
+          // Narrow bars from zero
+          const width = Math.max(1, groupWidth * 0.2);
+          
+          positions.forEach(([band, value]) => {
+            const rect = this.getBarRect(band - width / 2, width, baseValue, value, horizontal);
+            const bar = this.renderer.createElement('rect');
+            bar.setAttribute('x', rect.x);
+            bar.setAttribute('y', rect.y);
+            bar.setAttribute('width', rect.width);
+            bar.setAttribute('height', rect.height);
+            bar.setAttribute('fill', dataset.color);
+            bar.setAttribute('fill-opacity', 0.6);
+            bar.setAttribute('class', 'visioncharts-histogram-bar');
+            studyGroup.appendChild(bar);
+          });
+        } else if (dataset.type === 'scatter') {
+          // Points only
+          points.forEach(([x, y]) => {
+            const point = this.renderer.createElement('circle');
+            point.setAttribute('cx', x);
+            point.setAttribute('cy', y);
+            point.setAttribute('r', this.options.pointRadius);
+            point.setAttribute('fill', dataset.color);
+            point.setAttribute('class', 'visioncharts-point');
+            studyGroup.appendChild(point);
+          });
+        } else if (points.length) {
+          // Areas are filled down to zero below their line
+          if (dataset.type === 'area') {
+            const areaPoints = [
+              ...points,
+              toPoint(positions[positions.length - 1][0], baseValue),
+              toPoint(positions[0][0], baseValue)
+            ];
+            const areaD = areaPoints
+              .map(([x, y], index) => `${index === 0 ? 'M' : 'L'} ${x},${y}`)
+              .join(' ') + ' Z';
+            
+            const area = this.renderer.createElement('path');
+            area.setAttribute('d', areaD);
+            area.setAttribute('fill', dataset.color);
+            area.setAttribute('fill-opacity', 0.3);
+            area.setAttribute('stroke', 'none');
+            area.setAttribute('class', 'visioncharts-area');
+            studyGroup.appendChild(area);
+          }
+          
+          const pathD = points
+            .map(([x, y], index) => `${index === 0 ? 'M' : 'L'} ${x},${y}`)
+            .join(' ');
+          
+          const line = this.renderer.createElement('path');
+          line.setAttribute('d', pathD);
+          line.setAttribute('stroke', dataset.color);
+          line.setAttribute('stroke-width', dataset.width);
+          line.setAttribute('fill', 'none');
+          line.setAttribute('class', dataset.isStudy ? 'visioncharts-study-line' : 'visioncharts-line');
+          
+          if (dataset.dashArray) {
+            line.setAttribute('stroke-dasharray', dataset.dashArray);
+          }
+          
+          studyGroup.appendChild(line);
+        }
+        
+        container.appendChild(studyGroup);
+      });
+  }
+  
+  /**
+   * Render the datasets of a study sub-pane
+   * @private
+   * @param {SVGElement} container - Pane group element
+   * @param {Object} pane - Sub-pane from state.subPanes
+   */
+  renderSubPaneData(container, pane) {
+    this.renderStudies(container, pane.datasets, pane.yScale);
   }
   
   /**
@@ -524,7 +1352,8 @@ export default class BarChart extends Chart {
   renderPanels() {
     if (!this.state.chart) return;
     
-    const { innerWidth, innerHeight } = this.state.dimensions;
+    // Panels use the whole plot height, sub-panes are not drawn in panel view
+    const { innerWidth, plotHeight: innerHeight } = this.state.dimensions;
     
     // Determine number of panels (one per dataset)
     const panelCount = this.state.datasets.length;
@@ -548,39 +1377,26 @@ export default class BarChart extends Chart {
       panelBg.setAttribute('y', 0);
       panelBg.setAttribute('width', innerWidth);
       panelBg.setAttribute('height', effectivePanelHeight);
-      panelBg.setAttribute('fill', '#f9f9f9');
-      panelBg.setAttribute('stroke', '#eee');
+      panelBg.setAttribute('fill', this.theme.panel.background);
+      panelBg.setAttribute('stroke', this.theme.panel.border);
       panelGroup.appendChild(panelBg);
       
-      // Create local scales for this panel
-      const xScale = { ...this.state.scales.x };
-      const yScale = this.options.isLogarithmic ? 
-        new LogScale([0.1, 1], [0, 1]) :
-        new LinearScale([0, 1], [0, 1]);
-      
-      // Update Y scale range to panel height
-      yScale.setRange([effectivePanelHeight, 0]);
-      
-      // Calculate Y domain for this dataset
-      const yValues = dataset.data.map(d => d[this.options.yField]);
-      if (yValues.length) {
-        const yMin = Math.min(0, ...yValues); // Include 0 for bar charts
-        const yMax = Math.max(...yValues);
-        const yPadding = (yMax - yMin) * 0.1;
-        
-        // Set domain based on scale type
-        if (this.options.isLogarithmic) {
-          yScale.setDomain([Math.max(yMin, 0.01), yMax + yPadding]);
-        } else {
-          yScale.setDomain([yMin - yPadding, yMax + yPadding]);
-        }
-      }
+      // Create local scales for this panel, on the dataset's own axis type
+      const xScale = this.state.scales.x;
+      const { isLogarithmic, scaleType, yType } = super.getYAxisOptions(dataset.yAxis === 'right' ? 'right' : 'left');
+      const yScale = this.createYScale(scaleType);
+      
+      // Fit the value scale to this dataset, across the panel width for horizontal bars
+      const yValues = dataset.data.map(d => d[this.options.yField]).filter(value => typeof value === 'number');
+      this.fitYScale(yScale, yValues, scaleType,
+        this.isHorizontal() ? [0, innerWidth] : [effectivePanelHeight, 0]);
       
       // Render simplified panel axes
-      this.renderPanelAxes(panelGroup, xScale, yScale, innerWidth, effectivePanelHeight);
+      this.renderPanelAxes(panelGroup, xScale, yScale, innerWidth, effectivePanelHeight, { isLogarithmic, scaleType, yType });
       
       // Render panel data
-      this.renderPanelData(panelGroup, dataset, xScale, yScale);
+      const panelData = this.createDataGroup('visioncharts-panel-data', panelGroup, index * panelHeight);
+      this.renderPanelData(panelData, dataset, xScale, yScale, innerWidth, effectivePanelHeight);
       
       // Render panel label
       const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
@@ -600,15 +1416,24 @@ export default class BarChart extends Chart {
   /**
    * Render axes for a panel
    * @private
+   * @param {SVGElement} panel - Panel group element
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Panel value scale
+   * @param {number} width - Panel width
+   * @param {number} height - Panel height
+   * @param {Object} axisOptions - Value axis options { isLogarithmic, scaleType, yType }
    */
-  renderPanelAxes(panel, xScale, yScale, width, height) {
+  renderPanelAxes(panel, xScale, yScale, width, height, axisOptions) {
+    const { isLogarithmic, scaleType, yType } = axisOptions;
+    const horizontal = this.isHorizontal();
+    
     // X-axis (simplified, only draw line)
     const xAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
     xAxis.setAttribute('x1', 0);
     xAxis.setAttribute('y1', height);
     xAxis.setAttribute('x2', width);
     xAxis.setAttribute('y2', height);
-    xAxis.setAttribute('stroke', '#ccc');
+    xAxis.setAttribute('stroke', this.theme.axis.line);
     xAxis.setAttribute('stroke-width', 1);
     panel.appendChild(xAxis);
     
@@ -618,7 +1443,7 @@ export default class BarChart extends Chart {
     yAxis.setAttribute('y1', 0);
     yAxis.setAttribute('x2', 0);
     yAxis.setAttribute('y2', height);
-    yAxis.setAttribute('stroke', '#ccc');
+    yAxis.setAttribute('stroke', this.theme.axis.line);
     yAxis.setAttribute('stroke-width', 1);
     panel.appendChild(yAxis);
     
@@ -627,29 +1452,38 @@ export default class BarChart extends Chart {
     const tickValues = [domain[0], (domain[0] + domain[1]) / 2, domain[1]];
     
     tickValues.forEach(value => {
-      const y = yScale.scale(value);
+      const position = yScale.scale(value);
       
       // Skip if out of range
-      if (y < 0 || y > height) return;
+      if (position < 0 || position > (horizontal ? width : height)) return;
       
       // Format label text
       let labelText;
-      if (this.options.yType === 'percent') {
-        labelText = (value * 100).toFixed(0) + '%';
-      } else if (this.options.yType === 'currency') {
+      if (yType === 'percent') {
+        labelText = formatPercent(value, getPercentDecimals(tickValues));
+      } else if (yType === 'currency') {
         labelText = '$' + value.toFixed(2);
+      } else if (scaleType === 'symlog') {
+        labelText = String(Number(value.toPrecision(6)));
+      } else if (isLogarithmic) {
+        labelText = formatCompactNumber(value, getCompactNumberPrecision(tickValues));
       } else {
-        labelText = value.toFixed(this.options.isLogarithmic ? 0 : 1);
+        labelText = value.toFixed(1);
       }
       
-      // Draw label
+      // Draw label, along the bottom of the panel for horizontal bars
       const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
       label.textContent = labelText;
-      label.setAttribute('x', 5);
-      label.setAttribute('y', y);
+      label.setAttribute('x', horizontal ? position : 5);
+      label.setAttribute('y', horizontal ? height - 4 : position);
       label.setAttribute('font-size', '10px');
-      label.setAttribute('dominant-baseline', 'middle');
-      label.setAttribute('fill', '#666');
+      label.setAttribute('dominant-baseline', horizontal ? 'auto' : 'middle');
+      label.setAttribute('fill', this.theme.mutedTextColor);
+      
+      if (horizontal) {
+        label.setAttribute('text-anchor', 'middle');
+      }
+      
       panel.appendChild(label);
     });
   }
@@ -657,8 +1491,14 @@ export default class BarChart extends Chart {
   /**
    * Render data for a panel
    * @private
+   * @param {SVGElement} panel - Panel data group
+   * @param {Object} dataset - Dataset
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Panel value scale
+   * @param {number} width - Panel width
+   * @param {number} height - Panel height
    */
-  renderPanelData(panel, dataset, xScale, yScale) {
+  renderPanelData(panel, dataset, xScale, yScale, width, height) {
     const { 
       xField, 
       yField, 
@@ -686,8 +1526,8 @@ export default class BarChart extends Chart {
       uniqueXValues.sort();
     }
     
-    // Calculate bar dimensions
-    const totalBarWidth = xScale.range()[1] / uniqueXValues.length;
+    // Calculate bar dimensions, the categories run down the panel for horizontal bars
+    const totalBarWidth = (this.isHorizontal() ? height : width) / uniqueXValues.length;
     const usableBarWidth = totalBarWidth * (1 - barSpacing);
     const actualBarWidth = usableBarWidth * barWidth;
     
@@ -708,20 +1548,15 @@ export default class BarChart extends Chart {
       // Calculate bar position
       const x = index * totalBarWidth + (totalBarWidth - actualBarWidth) / 2;
       
-      // Calculate bar height
-      const zeroY = yScale.scale(0);
-      const valueY = yScale.scale(yValue);
-      
       // Bars go from zero to value
-      const barY = yValue >= 0 ? valueY : zeroY;
-      const barHeight = Math.abs(zeroY - valueY);
+      const rect = this.getBarRect(x, actualBarWidth, yScale.scale(this.getBarBase(yScale)), yScale.scale(yValue));
       
       // Create bar element
-      const bar = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-      bar.setAttribute('x', x);
-      bar.setAttribute('y', barY);
-      bar.setAttribute('width', actualBarWidth);
-      bar.setAttribute('height', Math.max(1, barHeight)); // Ensure at least 1px height
+      const bar = this.renderer.createElement('rect');
+      bar.setAttribute('x', rect.x);
+      bar.setAttribute('y', rect.y);
+      bar.setAttribute('width', rect.width);
+      bar.setAttribute('height', rect.height);
       bar.setAttribute('fill', dataset.color);
       bar.setAttribute('class', 'visioncharts-panel-bar');
       
@@ -730,14 +1565,19 @@ export default class BarChart extends Chart {
   }
   
   /**
-   * Process studies/indicators
-   * Currently not implemented for bar charts
+   * Update chart data
    * @private
    */
-  processStudies() {
-    // Bar charts typically don't have studies like moving averages
-    // This is a placeholder for potential future implementation
-    console.warn('Studies are not implemented for bar charts yet');
+  updateData() {
+    if (!this.state.chart) return;
+    
+    // Remove existing data and render it again
+    const dataGroup = this.getDataLayer().querySelector('.visioncharts-data');
+    if (dataGroup) {
+      dataGroup.parentNode.removeChild(dataGroup);
+    }
+    
+    this.renderData();
   }
   
   /**
@@ -751,6 +1591,52 @@ export default class BarChart extends Chart {
     return this.update();
   }
   
+  /**
+   * Set the bar orientation
+   * @public
+   * @param {string} orientation - 'vertical' or 'horizontal'
+   * @returns {BarChart} This chart instance
+   */
+  setOrientation(orientation) {
+    if (!['vertical', 'horizontal'].includes(orientation)) {
+      console.warn('Unknown bar orientation:', orientation);
+      return this;
+    }
+    
+    this.options.orientation = orientation;
+    
+    // Axes, names and margins all move, so lay the chart out again
+    this.setDimensionsWithoutUpdatingAxes();
+    return this.render();
+  }
+  
+  /**
+   * Set the stack mode
+   * @public
+   * @param {string} stackMode - 'none', 'stacked' or 'percent'
+   * @returns {BarChart} This chart instance
+   */
+  setStackMode(stackMode) {
+    if (!['none', 'stacked', 'percent'].includes(stackMode)) {
+      console.warn('Unknown stack mode:', stackMode);
+      return this;
+    }
+    
+    this.options.stackMode = stackMode;
+    return this.update();
+  }
+  
+  /**
+   * Toggle the total labels above stacked bars
+   * @public
+   * @param {boolean} showStackTotals - Whether to show stack totals
+   * @returns {BarChart} This chart instance
+   */
+  toggleStackTotals(showStackTotals) {
+    this.options.showStackTotals = showStackTotals;
+    return this.update();
+  }
+  
   /**
    * Toggle showing of values on bars
    * @public
@@ -791,16 +1677,25 @@ export default class BarChart extends Chart {
   /**
    * Toggle logarithmic scale
    * @public
-   * @param {boolean} isLogarithmic - Whether to use logarithmic scale
+   * @param {boolean|string} isLogarithmic - Whether to use logarithmic scale, or the
+   *   scale type: 'log', 'symlog' (for values that cross zero) or 'linear'
+   * @param {string} [axis='left'] - Y axis to change, 'left' or 'right'
    * @returns {BarChart} This chart instance
    */
-  toggleLogarithmic(isLogarithmic) {
-    this.options.isLogarithmic = isLogarithmic;
+  toggleLogarithmic(isLogarithmic, axis = 'left') {
+    if (!this.getScaleType(isLogarithmic)) {
+      console.warn('Unknown scale type:', isLogarithmic);
+      return this;
+    }
     
     // Re-create Y scale based on type
-    this.state.scales.y = isLogarithmic ? 
-      new LogScale([0.1, 1], [0, 1]) :
-      new LinearScale([0, 1], [0, 1]);
+    if (axis === 'right') {
+      this.options.isRightLogarithmic = isLogarithmic;
+      this.state.scales.yRight = this.createYScale(isLogarithmic);
+    } else {
+      this.options.isLogarithmic = isLogarithmic;
+      this.state.scales.y = this.createYScale(isLogarithmic);
+    }
     
     return this.update();
   }
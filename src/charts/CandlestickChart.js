@@ -0,0 +1,435 @@
+import LineChart from './LineChart.js';
+import { LinearScale } from '../core/Scale.js';
+import { formatDateValue } from '../utils/chartUtils.js';
+import { extent } from '../utils/math.js';
+
+/**
+ * CandlestickChart class for rendering financial price series
+ * Extends LineChart so studies, panel view and recession lines work the same way.
+ * Datasets with open/high/low/close points are drawn as candles (or OHLC bars),
+ * all other datasets (e.g. studies) are drawn as lines.
+ */
+export default class CandlestickChart extends LineChart {
+  /**
+   * Create a new candlestick chart
+   * @param {Object} config - Chart configuration
+   */
+  constructor(config) {
+    // Call parent constructor with merged options
+    super({
+      ...config,
+      options: {
+        chartType: 'candlestick',
+        candleStyle: 'candlestick', // 'candlestick', 'ohlc'
+        xType: 'time',
+        openField: 'open',
+        highField: 'high',
+        lowField: 'low',
+        closeField: 'close',
+        volumeField: 'volume',
+        // Studies and the tooltip read the close price
+        yField: 'close',
+        upColor: null, // Defaults to the theme candle colors
+        downColor: null,
+        candleWidth: 0.7, // Width of candle as percentage of the slot between points
+        showVolume: true,
+        volumeHeight: 0.2, // Portion of the plot height used by volume bars
+        volumeOpacity: 0.4,
+        showPoints: false,
+        ...config.options
+      }
+    });
+  }
+  
+  /**
+   * Process datasets and mark OHLC datasets as candles
+   * @private
+   */
+  processDatasets() {
+    super.processDatasets();
+    
+    this.state.datasets = this.state.datasets.map(dataset => {
+      if (!this.isOhlcDataset(dataset)) return dataset;
+      
+      return {
+        ...dataset,
+        type: this.options.candleStyle
+      };
+    });
+  }
+  
+  /**
+   * Check whether a dataset holds OHLC points
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {boolean} True if the points have open, high, low and close values
+   */
+  isOhlcDataset(dataset) {
+    const { openField, highField, lowField, closeField } = this.options;
+    
+    if (!dataset.data || !dataset.data.length) return false;
+    
+    const point = dataset.data.find(d => d && d[closeField] !== undefined);
+    
+    return Boolean(point) &&
+      point[openField] !== undefined &&
+      point[highField] !== undefined &&
+      point[lowField] !== undefined;
+  }
+  
+  /**
+   * Get the value fields that are rebased in the comparison mode
+   * OHLC points are rebased at their close.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Array<string>} Field names
+   */
+  getComparisonFields(dataset) {
+    const { openField, highField, lowField, closeField } = this.options;
+    
+    return this.isOhlcDataset(dataset) ?
+      [closeField, openField, highField, lowField] :
+      super.getComparisonFields(dataset);
+  }
+  
+  /**
+   * Check whether a dataset is drawn as candles or OHLC bars
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {boolean} True for candle datasets
+   */
+  isCandleDataset(dataset) {
+    return dataset.type === 'candlestick' || dataset.type === 'ohlc';
+  }
+  
+  /**
+   * Get the OHLC points of a dataset that can be drawn
+   * Missing values (e.g. holidays exported as empty rows) are skipped
+   * @private
+   * @param {Array} data - Dataset data
+   * @returns {Array} Valid OHLC points
+   */
+  getValidCandles(data) {
+    const { xField, openField, highField, lowField, closeField } = this.options;
+    
+    return data.filter(d => d && d[xField] !== undefined && d[xField] !== null &&
+      [openField, highField, lowField, closeField].every(field =>
+        typeof d[field] === 'number' && !isNaN(d[field])
+      )
+    );
+  }
+  
+  /**
+   * Get the values of a dataset that the Y domain must include
+   * Candles need their full low-high range
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Array} Y values
+   */
+  getDatasetYValues(dataset) {
+    if (!this.isCandleDataset(dataset)) {
+      return super.getDatasetYValues(dataset);
+    }
+    
+    const { highField, lowField } = this.options;
+    
+    return this.getValidCandles(dataset.data).reduce((acc, d) => {
+      acc.push(d[lowField], d[highField]);
+      return acc;
+    }, []);
+  }
+  
+  /**
+   * Update scales with actual data
+   * Reserves room at the bottom of the price scale for volume bars
+   * @private
+   */
+  updateScales() {
+    super.updateScales();
+    
+    if (!this.hasVolume()) return;
+    
+    const { volumeHeight } = this.options;
+    
+    // Room goes on the Y axes the candles are plotted against
+    ['left', 'right'].forEach(side => {
+      const { scale, scaleType } = this.getYAxisOptions(side);
+      const hasCandles = this.getAxisDatasets(side).some(dataset => this.isCandleDataset(dataset));
+      
+      // Volume room is only added on linear axes
+      if (!hasCandles || scaleType !== 'linear') return;
+      
+      const [yMin, yMax] = scale.domain;
+      const extra = (yMax - yMin) * volumeHeight / (1 - volumeHeight);
+      
+      scale.setDomain([yMin - extra, yMax]);
+    });
+  }
+  
+  /**
+   * Check whether volume bars should be drawn
+   * @private
+   * @returns {boolean} True if volume is enabled and present in the data
+   */
+  hasVolume() {
+    const { showVolume, volumeField } = this.options;
+    
+    if (!showVolume) return false;
+    
+    return this.state.datasets.some(dataset =>
+      this.isCandleDataset(dataset) &&
+      dataset.data.some(d => d && typeof d[volumeField] === 'number')
+    );
+  }
+  
+  /**
+   * Get the colors of rising and falling candles
+   * @private
+   * @returns {Object} Colors { upColor, downColor }
+   */
+  getCandleColors() {
+    const { upColor, downColor } = this.options;
+    
+    return {
+      upColor: upColor || this.theme.candle.up,
+      downColor: downColor || this.theme.candle.down
+    };
+  }
+  
+  /**
+   * Calculate the pixel width of a single candle
+   * @private
+   * @param {Array} candles - Valid OHLC points
+   * @param {Object} xScale - X scale
+   * @returns {number} Candle width in pixels
+   */
+  getCandleWidth(candles, xScale) {
+    return Math.max(1, this.getSlotWidth(candles, xScale) * this.options.candleWidth);
+  }
+  
+  /**
+   * Render a single dataset
+   * @private
+   * @param {Object} dataset - Dataset to render
+   * @returns {SVGElement} Dataset group element
+   */
+  renderDataset(dataset) {
+    if (!this.isCandleDataset(dataset)) {
+      return super.renderDataset(dataset);
+    }
+    
+    const datasetGroup = this.renderer.createElement('g');
+    datasetGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
+    
+    // Volume goes underneath the candles
+    if (this.hasVolume()) {
+      this.renderVolume(datasetGroup, dataset, this.state.scales.x, this.state.dimensions.innerHeight);
+    }
+    
+    this.renderCandles(datasetGroup, dataset, this.state.scales.x, this.getYScale(dataset));
+    
+    return datasetGroup;
+  }
+  
+  /**
+   * Render candles or OHLC bars for a dataset
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Object} dataset - Dataset
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Y scale
+   */
+  renderCandles(container, dataset, xScale, yScale) {
+    const {
+      xField,
+      openField,
+      highField,
+      lowField,
+      closeField
+    } = this.options;
+    const { upColor, downColor } = this.getCandleColors();
+    
+    const candles = this.getValidCandles(dataset.data);
+    const width = this.getCandleWidth(candles, xScale);
+    const isOhlc = dataset.type === 'ohlc';
+    
+    candles.forEach(d => {
+      const x = xScale.scale(d[xField]);
+      const openY = yScale.scale(d[openField]);
+      const closeY = yScale.scale(d[closeField]);
+      const highY = yScale.scale(d[highField]);
+      const lowY = yScale.scale(d[lowField]);
+      const isUp = d[closeField] >= d[openField];
+      const color = isUp ? upColor : downColor;
+      
+      const candle = this.renderer.createElement('g');
+      candle.setAttribute('class', `visioncharts-candle ${isUp ? 'up' : 'down'}`);
+      
+      // High-low range
+      const wick = this.renderer.createElement('line');
+      wick.setAttribute('x1', x);
+      wick.setAttribute('y1', highY);
+      wick.setAttribute('x2', x);
+      wick.setAttribute('y2', lowY);
+      wick.setAttribute('stroke', color);
+      wick.setAttribute('stroke-width', 1);
+      candle.appendChild(wick);
+      
+      if (isOhlc) {
+        // Open tick on the left, close tick on the right
+        const openTick = this.renderer.createElement('line');
+        openTick.setAttribute('x1', x - width / 2);
+        openTick.setAttribute('y1', openY);
+        openTick.setAttribute('x2', x);
+        openTick.setAttribute('y2', openY);
+        openTick.setAttribute('stroke', color);
+        openTick.setAttribute('stroke-width', 1);
+        candle.appendChild(openTick);
+        
+        const closeTick = this.renderer.createElement('line');
+        closeTick.setAttribute('x1', x);
+        closeTick.setAttribute('y1', closeY);
+        closeTick.setAttribute('x2', x + width / 2);
+        closeTick.setAttribute('y2', closeY);
+        closeTick.setAttribute('stroke', color);
+        closeTick.setAttribute('stroke-width', 1);
+        candle.appendChild(closeTick);
+      } else {
+        // Body from open to close
+        const body = this.renderer.createElement('rect');
+        body.setAttribute('x', x - width / 2);
+        body.setAttribute('y', Math.min(openY, closeY));
+        body.setAttribute('width', width);
+        body.setAttribute('height', Math.max(1, Math.abs(closeY - openY))); // Ensure at least 1px height
+        body.setAttribute('fill', color);
+        body.setAttribute('stroke', color);
+        body.setAttribute('stroke-width', 1);
+        candle.appendChild(body);
+      }
+      
+      container.appendChild(candle);
+    });
+  }
+  
+  /**
+   * Render volume bars along the bottom of the plot
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Object} dataset - Dataset
+   * @param {Object} xScale - X scale
+   * @param {number} height - Plot height
+   */
+  renderVolume(container, dataset, xScale, height) {
+    const {
+      xField,
+      openField,
+      closeField,
+      volumeField,
+      volumeHeight,
+      volumeOpacity
+    } = this.options;
+    const { upColor, downColor } = this.getCandleColors();
+    
+    const candles = this.getValidCandles(dataset.data)
+      .filter(d => typeof d[volumeField] === 'number');
+    
+    if (!candles.length) return;
+    
+    const width = this.getCandleWidth(candles, xScale);
+    const maxVolume = extent(candles.map(d => d[volumeField]))[1];
+    
+    // Volume has its own scale in the bottom part of the plot
+    const volumeScale = new LinearScale([0, maxVolume || 1], [height, height * (1 - volumeHeight)]);
+    
+    const volumeGroup = this.renderer.createElement('g');
+    volumeGroup.setAttribute('class', 'visioncharts-volume');
+    
+    candles.forEach(d => {
+      const x = xScale.scale(d[xField]);
+      const y = volumeScale.scale(d[volumeField]);
+      const isUp = d[closeField] >= d[openField];
+      
+      const bar = this.renderer.createElement('rect');
+      bar.setAttribute('x', x - width / 2);
+      bar.setAttribute('y', y);
+      bar.setAttribute('width', width);
+      bar.setAttribute('height', Math.max(0, height - y));
+      bar.setAttribute('fill', isUp ? upColor : downColor);
+      bar.setAttribute('fill-opacity', volumeOpacity);
+      bar.setAttribute('class', 'visioncharts-volume-bar');
+      
+      volumeGroup.appendChild(bar);
+    });
+    
+    container.appendChild(volumeGroup);
+  }
+  
+  /**
+   * Render data for a panel
+   * @private
+   */
+  renderPanelData(panel, dataset, xScale, yScale) {
+    if (!this.isCandleDataset(dataset)) {
+      return super.renderPanelData(panel, dataset, xScale, yScale);
+    }
+    
+    this.renderCandles(panel, dataset, xScale, yScale);
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * Candle datasets list their open, high, low, close and volume
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    if (typeof this.options.tooltipFormatter === 'function') {
+      return this.options.tooltipFormatter(hover);
+    }
+    
+    const { openField, highField, lowField, closeField, volumeField } = this.options;
+    const lines = [formatDateValue(hover.xValue)];
+    
+    hover.points.forEach(hoverPoint => {
+      const { dataset, point } = hoverPoint;
+      
+      if (!this.isCandleDataset(dataset)) {
+        lines.push(this.formatPointLine(hoverPoint));
+        return;
+      }
+      
+      lines.push({ text: dataset.name, color: dataset.color });
+      lines.push(`O ${this.formatValue(point[openField])}  H ${this.formatValue(point[highField])}`);
+      lines.push(`L ${this.formatValue(point[lowField])}  C ${this.formatValue(point[closeField])}`);
+      
+      if (typeof point[volumeField] === 'number') {
+        lines.push(`Vol ${point[volumeField].toLocaleString()}`);
+      }
+    });
+    
+    return lines;
+  }
+  
+  /**
+   * Set candle style
+   * @public
+   * @param {string} candleStyle - 'candlestick' or 'ohlc'
+   * @returns {CandlestickChart} This chart instance
+   */
+  setCandleStyle(candleStyle) {
+    this.options.candleStyle = candleStyle;
+    return this.update();
+  }
+  
+  /**
+   * Toggle volume bars
+   * @public
+   * @param {boolean} showVolume - Whether to show volume bars
+   * @returns {CandlestickChart} This chart instance
+   */
+  toggleVolume(showVolume) {
+    this.options.showVolume = showVolume;
+    return this.update();
+  }
+}
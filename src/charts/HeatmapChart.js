@@ -0,0 +1,776 @@
+import Chart from '../core/Chart.js';
+import { LinearScale } from '../core/Scale.js';
+import Legend from '../components/Legend.js';
+import { formatDateValue } from '../utils/chartUtils.js';
+import { extent, correlation } from '../utils/math.js';
+import { COLOR_SCHEMES, createColorScale, getContrastColor } from '../utils/colors.js';
+
+// Supported layouts
+const LAYOUTS = ['calendar', 'matrix'];
+
+// Supported color scale types ('auto' picks diverging when values fall on both sides of the midpoint)
+const COLOR_SCALE_TYPES = ['auto', 'sequential', 'diverging'];
+
+// Right margin taken by the color legend
+const COLOR_LEGEND_WIDTH = 70;
+
+// Rows of one calendar year: the month label row, seven weekdays and a gap
+const CALENDAR_BLOCK_ROWS = 9;
+
+// Weeks a calendar year can touch
+const CALENDAR_COLUMNS = 54;
+
+// Matrix cells smaller than this (in pixels) don't show their values by default
+const MIN_VALUE_CELL_SIZE = 28;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * HeatmapChart class for values on a grid of colored cells
+ * The calendar layout shows daily values (e.g. returns) in a weeks x weekdays
+ * grid per year. The matrix layout shows the correlations between datasets,
+ * or a precomputed table. Cells are colored by a sequential or diverging
+ * color scale, explained by a color bar legend.
+ */
+export default class HeatmapChart extends Chart {
+  /**
+   * Create a new heatmap chart
+   * @param {Object} config - Chart configuration
+   */
+  constructor(config) {
+    // Call parent constructor with merged options
+    super({
+      ...config,
+      options: {
+        chartType: 'heatmap',
+        layout: 'calendar', // 'calendar', 'matrix'
+        xField: 'x',
+        yField: 'y',
+        colorScale: 'auto', // 'auto', 'sequential', 'diverging'
+        colorScheme: null, // Scheme name (see COLOR_SCHEMES) or colors, defaults per scale type
+        colorDomain: null, // [min, max], defaults to the extent of the values
+        colorMidpoint: 0, // Value of the middle color of a diverging scale
+        weekStart: 1, // First row of a calendar week, 0 = Sunday, 1 = Monday
+        matrix: null, // Precomputed matrix { labels, values } instead of correlating the datasets
+        correlateReturns: false, // Correlate period-over-period changes instead of levels
+        showValues: null, // Show values in matrix cells; by default when the cells are big enough
+        showColorLegend: true,
+        cellGap: 1, // Gap between cells in pixels
+        showCrosshair: false,
+        zoomable: false, // Cells are laid out on a grid, so there is nothing to zoom
+        ...config.options
+      }
+    });
+  }
+  
+  /**
+   * Process datasets and lay their values out on the grid
+   * @private
+   */
+  processDatasets() {
+    super.processDatasets();
+    
+    this.state.grid = this.options.layout === 'matrix' ?
+      this.createMatrixGrid() :
+      this.createCalendarGrid();
+    
+    this.state.colorScale = this.createCellColorScale();
+  }
+  
+  /**
+   * Lay out daily values of the first dataset as a calendar
+   * Each year is a block of weekday rows and week columns, headed by a row
+   * of month labels. Dates are read in UTC, so 'YYYY-MM-DD' strings land on
+   * their own day.
+   * @private
+   * @returns {Object} Grid { columns, rows, cells, columnLabels, rowLabels }
+   */
+  createCalendarGrid() {
+    const { xField, yField, weekStart } = this.options;
+    const dataset = this.state.datasets.find(d => !d.isStudy);
+    
+    // Points by day, a later point on the same day replaces an earlier one
+    const pointsByDay = new Map();
+    
+    (dataset ? dataset.data : []).forEach(point => {
+      const date = point[xField] instanceof Date ? point[xField] : new Date(point[xField]);
+      if (isNaN(date.getTime()) || typeof point[yField] !== 'number' || !isFinite(point[yField])) return;
+      
+      pointsByDay.set(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()), point);
+    });
+    
+    const grid = this.createGrid(CALENDAR_COLUMNS, 0);
+    
+    if (!pointsByDay.size) return grid;
+    
+    const [firstYear, lastYear] = extent([...pointsByDay.keys()].map(time => new Date(time).getUTCFullYear()));
+    
+    for (let year = firstYear; year <= lastYear; year++) {
+      const blockTop = (year - firstYear) * CALENDAR_BLOCK_ROWS;
+      
+      // Year label beside the month row, weekday labels on every other row
+      grid.rowLabels.push({ row: blockTop, text: String(year), strong: true });
+      for (let i = 0; i < 7; i += 2) {
+        grid.rowLabels.push({ row: blockTop + 1 + i, text: WEEKDAY_NAMES[(weekStart + i) % 7] });
+      }
+      
+      // Position of January 1 in its week
+      const offset = (new Date(Date.UTC(year, 0, 1)).getUTCDay() - weekStart + 7) % 7;
+      
+      for (let day = 0; ; day++) {
+        const time = Date.UTC(year, 0, 1 + day);
+        const date = new Date(time);
+        if (date.getUTCFullYear() !== year) break;
+        
+        const column = Math.floor((day + offset) / 7);
+        const row = blockTop + 1 + (date.getUTCDay() - weekStart + 7) % 7;
+        
+        if (date.getUTCDate() === 1) {
+          grid.columnLabels.push({ column, row: blockTop, text: MONTH_NAMES[date.getUTCMonth()] });
+        }
+        
+        const point = pointsByDay.get(time) || null;
+        
+        this.addCell(grid, {
+          column,
+          row,
+          value: point ? point[yField] : null,
+          dataset,
+          point,
+          xValue: date
+        });
+      }
+    }
+    
+    // No gap below the last year
+    grid.rows = (lastYear - firstYear + 1) * CALENDAR_BLOCK_ROWS - 1;
+    
+    return grid;
+  }
+  
+  /**
+   * Lay out a matrix of values, one row and one column per dataset
+   * @private
+   * @returns {Object} Grid { columns, rows, cells, columnLabels, rowLabels }
+   */
+  createMatrixGrid() {
+    const { matrix } = this.options;
+    let items;
+    let values;
+    
+    if (matrix && Array.isArray(matrix.labels) && Array.isArray(matrix.values)) {
+      // Precomputed table, rows and columns are named by its labels
+      items = matrix.labels.map((label, i) => ({
+        id: String(label),
+        name: String(label),
+        color: this.theme.palette[i % this.theme.palette.length]
+      }));
+      values = matrix.values;
+    } else {
+      items = this.state.datasets.filter(d => !d.isStudy);
+      values = this.getCorrelationMatrix(items);
+    }
+    
+    const size = items.length;
+    const grid = this.createGrid(size, size);
+    
+    items.forEach((item, row) => {
+      grid.rowLabels.push({ row, text: item.name });
+      grid.columnLabels.push({ column: row, row: size, text: item.name });
+      
+      items.forEach((other, column) => {
+        const value = values[row] ? values[row][column] : null;
+        
+        this.addCell(grid, {
+          column,
+          row,
+          value: typeof value === 'number' && isFinite(value) ? value : null,
+          dataset: item,
+          point: { row: item.name, column: other.name, value },
+          xValue: other.name
+        });
+      });
+    });
+    
+    return grid;
+  }
+  
+  /**
+   * Create an empty grid
+   * @private
+   * @param {number} columns - Number of columns
+   * @param {number} rows - Number of rows
+   * @returns {Object} Grid
+   */
+  createGrid(columns, rows) {
+    return {
+      columns,
+      rows,
+      cells: [],
+      cellIndex: new Map(), // 'column,row' -> cell, used for hover lookups
+      columnLabels: [],
+      rowLabels: []
+    };
+  }
+  
+  /**
+   * Add a cell to a grid
+   * @private
+   * @param {Object} grid - Grid
+   * @param {Object} cell - Cell { column, row, value, dataset, point, xValue }
+   */
+  addCell(grid, cell) {
+    grid.cells.push(cell);
+    grid.cellIndex.set(`${cell.column},${cell.row}`, cell);
+  }
+  
+  /**
+   * Get the correlations between datasets
+   * Values are paired by x value; with correlateReturns, the changes from
+   * one point to the next are correlated instead.
+   * @private
+   * @param {Array} datasets - Datasets
+   * @returns {Array<Array<number>>} Correlation matrix
+   */
+  getCorrelationMatrix(datasets) {
+    const series = datasets.map(dataset => this.getSeriesByX(dataset));
+    
+    return series.map((a, i) => series.map((b, j) => {
+      if (i === j) return a.size > 1 ? 1 : NaN;
+      
+      const pairedA = [];
+      const pairedB = [];
+      
+      a.forEach((value, key) => {
+        if (b.has(key)) {
+          pairedA.push(value);
+          pairedB.push(b.get(key));
+        }
+      });
+      
+      return correlation(pairedA, pairedB);
+    }));
+  }
+  
+  /**
+   * Get the values of a dataset by x value
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Map} Comparable x -> value (or change from the previous point)
+   */
+  getSeriesByX(dataset) {
+    const { xField, yField, correlateReturns } = this.options;
+    
+    const points = (dataset.data || [])
+      .filter(d => d[xField] !== undefined && typeof d[yField] === 'number' && isFinite(d[yField]))
+      .map(d => ({ key: this.toComparableX(d[xField]), value: d[yField] }))
+      .sort((a, b) => a.key - b.key);
+    
+    const series = new Map();
+    
+    points.forEach((point, i) => {
+      if (!correlateReturns) {
+        series.set(point.key, point.value);
+      } else if (i > 0 && points[i - 1].value) {
+        series.set(point.key, point.value / points[i - 1].value - 1);
+      }
+    });
+    
+    return series;
+  }
+  
+  /**
+   * Convert an x value to a number that can be compared
+   * Date strings are compared as dates.
+   * @private
+   * @param {Date|string|number} value - X value
+   * @returns {number|string} Comparable value
+   */
+  toComparableX(value) {
+    if (value instanceof Date) return value.getTime();
+    
+    if (typeof value === 'string') {
+      const time = new Date(value).getTime();
+      return isNaN(time) ? value : time;
+    }
+    
+    return value;
+  }
+  
+  /**
+   * Create the color scale of the cells
+   * @private
+   * @returns {Object|null} Color scale, or null without values
+   */
+  createCellColorScale() {
+    const { colorScale, colorScheme, colorDomain, colorMidpoint, layout, matrix } = this.options;
+    
+    const values = this.state.grid.cells
+      .map(cell => cell.value)
+      .filter(value => value !== null);
+    
+    if (!values.length) return null;
+    
+    // Correlations always span -1 to 1
+    const isCorrelation = layout === 'matrix' && !matrix;
+    const domain = colorDomain || (isCorrelation ? [-1, 1] : extent(values));
+    
+    let type = colorScale;
+    if (type === 'auto') {
+      type = domain[0] < colorMidpoint && domain[1] > colorMidpoint ? 'diverging' : 'sequential';
+    }
+    
+    // Calendars of returns read best as losses in red and gains in green
+    const scheme = colorScheme || (type === 'diverging' && layout === 'calendar' ? 'red-green' : null);
+    
+    try {
+      return createColorScale({ type, scheme, domain, midpoint: colorMidpoint });
+    } catch (error) {
+      console.warn('Invalid color scale:', error.message);
+      return createColorScale({ type, domain, midpoint: colorMidpoint });
+    }
+  }
+  
+  /**
+   * Create scales for the chart
+   * The scales map grid columns and rows to pixels.
+   * @private
+   */
+  createScales() {
+    this.state.scales.x = new LinearScale([0, 1], [0, 1]);
+    this.state.scales.y = new LinearScale([0, 1], [0, 1]);
+    
+    this.updateScales();
+  }
+  
+  /**
+   * Fit square cells into the plot area
+   * @private
+   */
+  updateScales() {
+    const { innerWidth, innerHeight } = this.state.dimensions;
+    const { columns, rows } = this.state.grid;
+    
+    const cellSize = columns && rows ?
+      Math.max(1, Math.min(innerWidth / columns, innerHeight / rows)) :
+      1;
+    
+    this.state.cellSize = cellSize;
+    this.state.scales.x.setDomain([0, Math.max(1, columns)]).setRange([0, Math.max(1, columns) * cellSize]);
+    this.state.scales.y.setDomain([0, Math.max(1, rows)]).setRange([0, Math.max(1, rows) * cellSize]);
+  }
+  
+  /**
+   * Get the margins around the plot
+   * The left margin fits the row labels, the bottom margin the rotated column
+   * labels of a matrix, and the right margin the color legend.
+   * @private
+   * @returns {Object} Margins { top, right, bottom, left }
+   */
+  computeMargins() {
+    const margins = { ...this.options.margins };
+    const { grid, colorScale } = this.state;
+    
+    // Datasets are processed before the first layout, but be safe
+    if (!grid) return margins;
+    
+    const { xAxisName, yAxisName, layout, showColorLegend } = this.options;
+    
+    margins.left = Math.max(
+      margins.left,
+      this.getAxisMargin(this.getLabelWidth(grid.rowLabels.map(label => label.text)), yAxisName)
+    );
+    
+    // Column labels are rotated 45 degrees
+    if (layout === 'matrix') {
+      const labelWidth = this.getLabelWidth(grid.columnLabels.map(label => label.text));
+      margins.bottom = Math.max(margins.bottom, this.getAxisMargin(Math.ceil(labelWidth * Math.SQRT1_2) + 6, xAxisName));
+    }
+    
+    if (showColorLegend && colorScale) {
+      margins.right += COLOR_LEGEND_WIDTH;
+    }
+    
+    return margins;
+  }
+  
+  /**
+   * Create axes for the chart
+   * The X axis holds the column labels (month names in a calendar), the Y
+   * axis the row labels (years and weekdays in a calendar).
+   * @private
+   */
+  createAxes() {
+    this.state.axes.x = {
+      render: container => this.renderLabels(container, 'visioncharts-x-axis', this.state.grid.columnLabels, 'column')
+    };
+    
+    this.state.axes.y = {
+      render: container => this.renderLabels(container, 'visioncharts-y-axis', this.state.grid.rowLabels, 'row')
+    };
+  }
+  
+  /**
+   * Render row or column labels
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {string} className - Class of the label group
+   * @param {Array} labels - Labels { column, row, text, strong }
+   * @param {string} kind - 'column' or 'row'
+   * @returns {SVGElement} Label group
+   */
+  renderLabels(container, className, labels, kind) {
+    const { scales, cellSize } = this.state;
+    const isMatrix = this.options.layout === 'matrix';
+    
+    const axisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    axisGroup.setAttribute('class', className);
+    
+    labels.forEach(({ column, row, text, strong }) => {
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.textContent = text;
+      label.setAttribute('font-size', isMatrix ? '12px' : '10px');
+      label.setAttribute('font-family', this.theme.fontFamily);
+      label.setAttribute('fill', this.theme.textColor);
+      
+      if (kind === 'row') {
+        // Left of the row, vertically centered
+        label.setAttribute('x', -6);
+        label.setAttribute('y', scales.y.scale(row + 0.5));
+        label.setAttribute('text-anchor', 'end');
+        label.setAttribute('dominant-baseline', 'middle');
+        
+        if (strong) {
+          label.setAttribute('font-weight', 'bold');
+        }
+      } else if (isMatrix) {
+        // Below the matrix, rotated so long names fit under narrow columns
+        const x = scales.x.scale(column + 0.5);
+        const y = scales.y.scale(row) + 12;
+        
+        label.setAttribute('x', x);
+        label.setAttribute('y', y);
+        label.setAttribute('text-anchor', 'end');
+        label.setAttribute('transform', `rotate(-45, ${x}, ${y})`);
+      } else {
+        // Month names sit in the label row above their first week
+        label.setAttribute('x', scales.x.scale(column));
+        label.setAttribute('y', scales.y.scale(row) + cellSize * 0.8);
+      }
+      
+      axisGroup.appendChild(label);
+    });
+    
+    container.appendChild(axisGroup);
+    
+    return axisGroup;
+  }
+  
+  /**
+   * Render axes
+   * @private
+   */
+  renderAxes() {
+    if (!this.state.chart) return;
+    
+    const { innerWidth, innerHeight } = this.state.dimensions;
+    
+    this.state.axes.x.render(this.state.chart, innerWidth, innerHeight);
+    this.state.axes.y.render(this.state.chart, innerWidth, innerHeight);
+  }
+  
+  /**
+   * Update axes
+   * @private
+   */
+  updateAxes() {
+    if (!this.state.rendered || !this.state.chart) return;
+    
+    ['.visioncharts-x-axis', '.visioncharts-y-axis'].forEach(selector => {
+      const axis = this.state.chart.querySelector(selector);
+      if (axis) {
+        axis.parentNode.removeChild(axis);
+      }
+    });
+    
+    this.renderAxes();
+  }
+  
+  /**
+   * Check whether matrix cells show their values
+   * @private
+   * @returns {boolean} True if values are drawn in the cells
+   */
+  showsValues() {
+    const { showValues, layout } = this.options;
+    
+    if (layout !== 'matrix') return false;
+    if (showValues !== null && showValues !== undefined) return Boolean(showValues);
+    
+    return this.state.cellSize >= MIN_VALUE_CELL_SIZE;
+  }
+  
+  /**
+   * Get the color of a cell
+   * @private
+   * @param {Object} cell - Cell
+   * @returns {string} Color; cells without a value use the panel background
+   */
+  getCellColor(cell) {
+    if (cell.value === null || !this.state.colorScale) return this.theme.panel.background;
+    
+    return this.state.colorScale.scale(cell.value);
+  }
+  
+  /**
+   * Render chart data
+   * @private
+   */
+  renderData() {
+    if (!this.state.chart) return;
+    
+    const { cellGap } = this.options;
+    const { scales, cellSize, grid } = this.state;
+    const showValues = this.showsValues();
+    
+    // Create data group
+    const dataGroup = this.renderer.createElement('g');
+    dataGroup.setAttribute('class', 'visioncharts-data');
+    
+    // Gaps shrink with the cells, so tiny cells don't disappear
+    const gap = Math.min(cellGap, cellSize / 4);
+    
+    grid.cells.forEach(cell => {
+      const color = this.getCellColor(cell);
+      const x = scales.x.scale(cell.column);
+      const y = scales.y.scale(cell.row);
+      
+      const rect = this.renderer.createElement('rect');
+      rect.setAttribute('x', x + gap / 2);
+      rect.setAttribute('y', y + gap / 2);
+      rect.setAttribute('width', Math.max(0, cellSize - gap));
+      rect.setAttribute('height', Math.max(0, cellSize - gap));
+      rect.setAttribute('fill', color);
+      rect.setAttribute('class', cell.value === null ? 'visioncharts-cell visioncharts-cell-empty' : 'visioncharts-cell');
+      dataGroup.appendChild(rect);
+      
+      if (showValues && cell.value !== null) {
+        const text = this.renderer.createElement('text');
+        text.textContent = this.formatCellValue(cell.value);
+        text.setAttribute('x', x + cellSize / 2);
+        text.setAttribute('y', y + cellSize / 2);
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'middle');
+        text.setAttribute('font-size', `${Math.min(12, Math.round(cellSize / 4))}px`);
+        text.setAttribute('font-family', this.theme.fontFamily);
+        text.setAttribute('fill', getContrastColor(color));
+        text.setAttribute('class', 'visioncharts-cell-value');
+        dataGroup.appendChild(text);
+      }
+    });
+    
+    this.getDataLayer().appendChild(dataGroup);
+  }
+  
+  /**
+   * Update chart data
+   * @private
+   */
+  updateData() {
+    if (!this.state.chart) return;
+    
+    // Remove existing data and render it again
+    const dataGroup = this.getDataLayer().querySelector('.visioncharts-data');
+    if (dataGroup) {
+      dataGroup.parentNode.removeChild(dataGroup);
+    }
+    
+    this.renderData();
+  }
+  
+  /**
+   * Format a cell value for display
+   * Correlations get two decimals, other values follow yType.
+   * @private
+   * @param {number} value - Cell value
+   * @returns {string} Formatted value
+   */
+  formatCellValue(value) {
+    if (this.options.layout === 'matrix' && !this.options.matrix) {
+      return value.toFixed(2);
+    }
+    
+    return this.formatValue(value);
+  }
+  
+  /**
+   * Render the color legend in the right margin
+   * Replaces the dataset legend, cells are told apart by color value.
+   * @private
+   */
+  renderLegend() {
+    if (!this.state.svg) return;
+    
+    // Remove the existing legend
+    if (this.state.components.legend) {
+      this.state.components.legend.destroy();
+      this.state.components.legend = null;
+    }
+    
+    const existingLegend = this.state.svg.querySelector('.visioncharts-legend-container');
+    if (existingLegend) {
+      existingLegend.parentNode.removeChild(existingLegend);
+    }
+    
+    const { colorScale, margins, scales } = this.state;
+    if (!this.options.showColorLegend || !colorScale) return;
+    
+    const gridWidth = scales.x.range[1];
+    const gridHeight = scales.y.range[1];
+    
+    const container = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    container.setAttribute('class', 'visioncharts-legend-container');
+    container.setAttribute('transform', `translate(${margins.left + gridWidth + 10},${margins.top})`);
+    this.state.svg.appendChild(container);
+    
+    const legend = new Legend({
+      theme: this.theme,
+      position: 'left',
+      orientation: 'vertical',
+      interactive: false,
+      colorBarLength: Math.max(40, Math.min(200, gridHeight - 10)),
+      fontFamily: this.theme.fontFamily,
+      fontSize: 11
+    });
+    
+    legend.setColorScale(colorScale, value => this.formatCellValue(value));
+    legend.render(container, COLOR_LEGEND_WIDTH, gridHeight);
+    
+    this.state.components.legend = legend;
+  }
+  
+  /**
+   * Find the cell under the cursor
+   * @private
+   * @param {number} mouseX - X coordinate in plot space
+   * @param {number} mouseY - Y coordinate in plot space
+   * @returns {Object|null} Hover data { x, y, xValue, cell, points }
+   */
+  getHoverData(mouseX, mouseY) {
+    const { scales, grid } = this.state;
+    if (!grid) return null;
+    
+    const column = Math.floor(scales.x.invert(mouseX));
+    const row = Math.floor(scales.y.invert(mouseY));
+    const cell = grid.cellIndex.get(`${column},${row}`);
+    
+    if (!cell || cell.value === null) return null;
+    
+    const x = scales.x.scale(column + 0.5);
+    
+    return {
+      x,
+      y: scales.y.scale(row + 0.5),
+      xValue: cell.xValue,
+      cell,
+      points: [{
+        dataset: cell.dataset,
+        point: cell.point,
+        value: cell.value,
+        x
+      }]
+    };
+  }
+  
+  /**
+   * Build the payload of a pointHover or pointClick event
+   * The point sits in the middle of its cell.
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @param {MouseEvent} event - Mouse event
+   * @returns {Object} Event payload
+   */
+  getPointEventPayload(hover, event) {
+    const payload = super.getPointEventPayload(hover, event);
+    
+    return {
+      ...payload,
+      y: hover.y,
+      points: payload.points.map(point => ({ ...point, y: hover.y }))
+    };
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    // Use custom formatter if provided
+    if (typeof this.options.tooltipFormatter === 'function') {
+      return this.options.tooltipFormatter(hover);
+    }
+    
+    const { cell } = hover;
+    const color = this.getCellColor(cell);
+    
+    if (this.options.layout === 'matrix') {
+      const name = this.options.matrix ? 'Value' : 'Correlation';
+      
+      return [
+        `${cell.point.row} / ${cell.point.column}`,
+        { text: `${name}: ${this.formatCellValue(cell.value)}`, color }
+      ];
+    }
+    
+    return [
+      formatDateValue(cell.xValue),
+      { text: `${cell.dataset.name}: ${this.formatCellValue(cell.value)}`, color }
+    ];
+  }
+  
+  /**
+   * Set the layout
+   * @public
+   * @param {string} layout - 'calendar' or 'matrix'
+   * @returns {HeatmapChart} This chart instance
+   */
+  setLayout(layout) {
+    if (!LAYOUTS.includes(layout)) {
+      console.warn('Unknown heatmap layout:', layout);
+      return this;
+    }
+    
+    this.options.layout = layout;
+    return this.update();
+  }
+  
+  /**
+   * Set the color scale
+   * @public
+   * @param {string} type - 'auto', 'sequential' or 'diverging'
+   * @param {string|Array<string>} [scheme] - Scheme name (see COLOR_SCHEMES) or colors
+   * @returns {HeatmapChart} This chart instance
+   */
+  setColorScale(type, scheme) {
+    if (!COLOR_SCALE_TYPES.includes(type)) {
+      console.warn('Unknown color scale:', type);
+      return this;
+    }
+    
+    if (scheme !== undefined && scheme !== null && !Array.isArray(scheme) && !COLOR_SCHEMES[scheme]) {
+      console.warn('Unknown color scheme:', scheme);
+      return this;
+    }
+    
+    this.options.colorScale = type;
+    
+    if (scheme !== undefined) {
+      this.options.colorScheme = scheme;
+    }
+    
+    return this.update();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,621 @@
+import LineChart from './LineChart.js';
+import {
+  extent,
+  mean,
+  standardDeviation,
+  quantile,
+  binEdges,
+  binCounts,
+  kernelDensity,
+  normalDensity
+} from '../utils/math.js';
+
+// Supported bin rules
+const BIN_RULES = ['sturges', 'freedman-diaconis', 'fixed'];
+
+// Supported overlay lines
+const OVERLAYS = ['none', 'normal', 'kde'];
+
+// Number of points the overlay lines are evaluated at
+const OVERLAY_SAMPLES = 100;
+
+// Named markers and the quantile they sit at (VaR markers sit in the left tail)
+const MARKER_QUANTILES = {
+  median: { p: 0.5, label: 'Median' },
+  var95: { p: 0.05, label: 'VaR 95%' },
+  var99: { p: 0.01, label: 'VaR 99%' }
+};
+
+/**
+ * HistogramChart class for distributions (e.g. daily returns)
+ * Datasets hold raw values, which the chart bins itself on a shared,
+ * continuous X axis. Bins are drawn edge-to-edge; a normal or kernel
+ * density overlay and mean/median/percentile markers are optional.
+ */
+export default class HistogramChart extends LineChart {
+  /**
+   * Create a new histogram chart
+   * @param {Object} config - Chart configuration
+   */
+  constructor(config) {
+    // Call parent constructor with merged options
+    super({
+      ...config,
+      options: {
+        chartType: 'histogram',
+        xType: 'number',
+        valueField: 'value', // Field of the raw value when data points are objects
+        valueType: 'number', // 'number', 'percent' - format of the binned values
+        binRule: 'sturges', // 'sturges', 'freedman-diaconis', 'fixed'
+        binWidth: null, // Bin width of the 'fixed' rule
+        binCount: null, // Number of bins, overrides binRule
+        histNorm: 'count', // 'count', 'percent', 'density'
+        overlay: 'none', // 'none', 'normal', 'kde'
+        bandwidth: null, // KDE bandwidth, Silverman's rule of thumb when null
+        markers: [], // 'mean', 'median', 'var95', 'var99' or percentiles (e.g. 2.5)
+        barOpacity: 0.75,
+        showPoints: false,
+        ...config.options
+      }
+    });
+  }
+  
+  /**
+   * Get the type of datasets that don't set one
+   * @private
+   * @returns {string} 'bar'
+   */
+  getDefaultDatasetType() {
+    return 'bar';
+  }
+  
+  /**
+   * Process datasets: bin the raw values and add the overlay lines
+   * All distributions share the same bin edges so they can be compared.
+   * @private
+   */
+  processDatasets() {
+    super.processDatasets();
+    
+    const distributions = this.state.datasets.filter(dataset => !dataset.isStudy && !dataset.paneId);
+    
+    const valuesById = new Map(distributions.map(dataset => [
+      dataset.id,
+      this.getRawValues(dataset).sort((a, b) => a - b)
+    ]));
+    
+    const edges = this.getBinEdges([].concat(...valuesById.values()));
+    this.state.binEdges = edges;
+    
+    const overlays = [];
+    
+    this.state.datasets = this.state.datasets.map(dataset => {
+      if (!valuesById.has(dataset.id)) return dataset;
+      
+      const values = valuesById.get(dataset.id);
+      const binned = {
+        ...dataset,
+        type: 'bar',
+        values,
+        data: this.createBins(values, edges)
+      };
+      
+      const overlay = this.createOverlay(binned, edges);
+      if (overlay) {
+        overlays.push(overlay);
+      }
+      
+      return binned;
+    });
+    
+    // Overlays are drawn on top of the bins
+    this.state.datasets = this.state.datasets.concat(overlays);
+  }
+  
+  /**
+   * Get the raw values of a dataset
+   * Data points are numbers, or objects holding the value in valueField.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Array<number>} Finite values
+   */
+  getRawValues(dataset) {
+    const { valueField } = this.options;
+    
+    return (dataset.data || [])
+      .map(d => (d !== null && typeof d === 'object' ? d[valueField] : d))
+      .filter(value => typeof value === 'number' && isFinite(value));
+  }
+  
+  /**
+   * Get the bin edges for a set of values
+   * @private
+   * @param {Array<number>} values - Values of all distributions
+   * @returns {Array<number>} Bin edges
+   */
+  getBinEdges(values) {
+    const { binRule, binWidth, binCount } = this.options;
+    
+    try {
+      return binEdges(values, { rule: binRule, width: binWidth, count: binCount });
+    } catch (error) {
+      console.warn('Cannot bin values:', error.message);
+      return binEdges(values);
+    }
+  }
+  
+  /**
+   * Count the values of a dataset per bin
+   * @private
+   * @param {Array<number>} values - Sorted values
+   * @param {Array<number>} edges - Bin edges
+   * @returns {Array} Bins { x (center), x0, x1, y (normalized), count }
+   */
+  createBins(values, edges) {
+    const { xField, yField } = this.options;
+    
+    return binCounts(values, edges).map((count, i) => ({
+      [xField]: (edges[i] + edges[i + 1]) / 2,
+      [yField]: this.normalize(count, values.length, edges[i + 1] - edges[i]),
+      x0: edges[i],
+      x1: edges[i + 1],
+      count
+    }));
+  }
+  
+  /**
+   * Convert a bin count to the histNorm unit
+   * @private
+   * @param {number} count - Values in the bin
+   * @param {number} total - Values in the distribution
+   * @param {number} width - Bin width
+   * @returns {number} Count, share of the total (0-1) or density
+   */
+  normalize(count, total, width) {
+    if (!total) return 0;
+    
+    switch (this.options.histNorm) {
+      case 'percent':
+        return count / total;
+      case 'density':
+        return count / (total * width);
+      default:
+        return count;
+    }
+  }
+  
+  /**
+   * Create the overlay line of a distribution
+   * The density is scaled to the histNorm unit so it follows the bars.
+   * @private
+   * @param {Object} dataset - Binned dataset
+   * @param {Array<number>} edges - Bin edges
+   * @returns {Object|null} Overlay dataset, or null without an overlay
+   */
+  createOverlay(dataset, edges) {
+    const { overlay, bandwidth, histNorm, xField, yField } = this.options;
+    const { values } = dataset;
+    
+    if (overlay === 'none' || values.length < 2) return null;
+    
+    const [start, end] = [edges[0], edges[edges.length - 1]];
+    const points = [];
+    for (let i = 0; i <= OVERLAY_SAMPLES; i++) {
+      points.push(start + (end - start) * i / OVERLAY_SAMPLES);
+    }
+    
+    let densities;
+    if (overlay === 'kde') {
+      densities = kernelDensity(values, points, bandwidth);
+    } else {
+      const mu = mean(values);
+      const sigma = standardDeviation(values);
+      densities = points.map(x => normalDensity(x, mu, sigma));
+    }
+    
+    // A density times the bin width is the expected share of values in a bin
+    const binWidth = (end - start) / (edges.length - 1);
+    const factor = histNorm === 'density' ? 1 :
+      histNorm === 'percent' ? binWidth :
+      binWidth * values.length;
+    
+    return {
+      id: `${dataset.id}-${overlay}`,
+      name: `${dataset.name} (${overlay === 'kde' ? 'KDE' : 'Normal'})`,
+      color: dataset.color,
+      width: 2,
+      type: 'line',
+      yAxis: dataset.yAxis,
+      visible: true,
+      isOverlay: true,
+      parentId: dataset.id,
+      data: points.map((x, i) => ({
+        [xField]: x,
+        [yField]: densities[i] * factor
+      }))
+    };
+  }
+  
+  /**
+   * Get the binned distributions
+   * @private
+   * @returns {Array} Datasets drawn as bins
+   */
+  getDistributions() {
+    return this.state.datasets.filter(dataset => Array.isArray(dataset.values));
+  }
+  
+  /**
+   * Update scales with actual data
+   * The X domain spans the bin edges and the Y axis starts at zero.
+   * @private
+   */
+  updateScales() {
+    super.updateScales();
+    
+    const edges = this.state.binEdges;
+    if (edges && edges.length > 1) {
+      this.setXDomain([edges[0], edges[edges.length - 1]]);
+    }
+  }
+  
+  /**
+   * Fit a Y scale to its values
+   * Linear axes start at zero, bars grow from there.
+   * @private
+   * @param {Object} scale - Y scale
+   * @param {Array} yValues - Values the domain must include
+   * @param {boolean|string} isLogarithmic - Logarithmic setting or scale type of the axis
+   */
+  fitYScale(scale, yValues, isLogarithmic) {
+    if (this.getScaleType(isLogarithmic) === 'log') {
+      // Empty bins can't be placed on a log axis
+      super.fitYScale(scale, yValues.filter(value => value > 0), isLogarithmic);
+      return;
+    }
+    
+    const max = yValues.length ? extent(yValues)[1] : 0;
+    
+    scale.setDomain([0, max > 0 ? max * 1.1 : 1]);
+    scale.setRange([this.state.dimensions.innerHeight, 0]);
+  }
+  
+  /**
+   * Format an X axis tick label
+   * @private
+   * @param {number} value - Tick value
+   * @returns {string} Label text
+   */
+  formatXTickValue(value) {
+    const edges = this.state.binEdges || [0, 1];
+    const binWidth = (edges[edges.length - 1] - edges[0]) / Math.max(1, edges.length - 1);
+    
+    if (this.options.valueType === 'percent') {
+      // One more decimal than the bin width needs
+      const digits = Math.max(0, Math.min(4, 1 - Math.floor(Math.log10(binWidth * 100))));
+      return (value * 100).toFixed(digits) + '%';
+    }
+    
+    const digits = Math.max(0, Math.min(6, 1 - Math.floor(Math.log10(binWidth))));
+    return value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+  
+  /**
+   * Format a Y value for display
+   * @private
+   * @param {number} value - Value to format
+   * @returns {string} Formatted value
+   */
+  formatValue(value) {
+    if (typeof value === 'number' && this.options.histNorm === 'percent') {
+      return (value * 100).toFixed(1) + '%';
+    }
+    
+    return super.formatValue(value);
+  }
+  
+  /**
+   * Get the Y axis options
+   * Shares are shown as percentages.
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object} Axis options { scale, isLogarithmic, yType }
+   */
+  getYAxisOptions(side) {
+    const options = super.getYAxisOptions(side);
+    
+    return this.options.histNorm === 'percent' ? { ...options, yType: 'percent' } : options;
+  }
+  
+  /**
+   * Render a single dataset according to its type
+   * Distributions are drawn as edge-to-edge bins with their markers,
+   * other datasets (the overlays) as lines.
+   * @private
+   * @param {Object} dataset - Dataset to render
+   * @returns {SVGElement} Dataset group element
+   */
+  renderDataset(dataset) {
+    if (!Array.isArray(dataset.values)) {
+      return super.renderDataset(dataset);
+    }
+    
+    const yScale = this.getYScale(dataset);
+    
+    const datasetGroup = this.renderer.createElement('g');
+    datasetGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
+    
+    this.renderBins(datasetGroup, dataset, this.state.scales.x, yScale);
+    this.renderMarkers(datasetGroup, dataset, yScale);
+    
+    return datasetGroup;
+  }
+  
+  /**
+   * Render the bins of a distribution as edge-to-edge bars
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Object} dataset - Binned dataset
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Y scale
+   */
+  renderBins(container, dataset, xScale, yScale) {
+    const { yField, barOpacity } = this.options;
+    const isLogarithmic = yScale.domain[0] > 0;
+    const baseY = yScale.scale(isLogarithmic ? yScale.domain[0] : 0);
+    
+    dataset.data.forEach(bin => {
+      if (!(bin[yField] > 0)) return;
+      
+      const x0 = xScale.scale(bin.x0);
+      const x1 = xScale.scale(bin.x1);
+      const valueY = yScale.scale(bin[yField]);
+      
+      // The background colored outline keeps neighbouring bins apart
+      const bar = this.renderer.createElement('rect');
+      bar.setAttribute('x', Math.min(x0, x1));
+      bar.setAttribute('y', Math.min(baseY, valueY));
+      bar.setAttribute('width', Math.abs(x1 - x0));
+      bar.setAttribute('height', Math.abs(baseY - valueY));
+      bar.setAttribute('fill', dataset.color);
+      bar.setAttribute('fill-opacity', barOpacity);
+      bar.setAttribute('stroke', this.theme.background);
+      bar.setAttribute('stroke-width', 1);
+      bar.setAttribute('class', 'visioncharts-bar');
+      
+      container.appendChild(bar);
+    });
+  }
+  
+  /**
+   * Get the markers of a distribution
+   * @private
+   * @param {Object} dataset - Binned dataset
+   * @returns {Array} Markers { value, label }
+   */
+  getMarkers(dataset) {
+    const { values } = dataset;
+    if (!values.length) return [];
+    
+    return (this.options.markers || []).map(marker => {
+      if (marker === 'mean') {
+        return { value: mean(values), label: 'Mean' };
+      }
+      
+      if (MARKER_QUANTILES[marker]) {
+        const { p, label } = MARKER_QUANTILES[marker];
+        return { value: quantile(values, p), label };
+      }
+      
+      // Numbers are percentiles
+      if (typeof marker === 'number' && marker >= 0 && marker <= 100) {
+        return { value: quantile(values, marker / 100), label: `P${marker}` };
+      }
+      
+      console.warn('Unknown histogram marker:', marker);
+      return null;
+    }).filter(Boolean);
+  }
+  
+  /**
+   * Render the markers of a distribution as labelled vertical lines
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Object} dataset - Binned dataset
+   * @param {Object} yScale - Y scale
+   */
+  renderMarkers(container, dataset, yScale) {
+    const markers = this.getMarkers(dataset);
+    if (!markers.length) return;
+    
+    const xScale = this.state.scales.x;
+    const [bottom, top] = yScale.range;
+    
+    // Labels of later distributions go below those of earlier ones
+    const labelRow = this.getDistributions().indexOf(dataset);
+    
+    const markersGroup = this.renderer.createElement('g');
+    markersGroup.setAttribute('class', 'visioncharts-markers');
+    
+    markers.forEach(({ value, label }) => {
+      const x = xScale.scale(value);
+      
+      const line = this.renderer.createElement('line');
+      line.setAttribute('x1', x);
+      line.setAttribute('y1', bottom);
+      line.setAttribute('x2', x);
+      line.setAttribute('y2', top);
+      line.setAttribute('stroke', dataset.color);
+      line.setAttribute('stroke-width', 1.5);
+      line.setAttribute('stroke-dasharray', '4,3');
+      line.setAttribute('class', 'visioncharts-marker');
+      markersGroup.appendChild(line);
+      
+      const text = this.renderer.createElement('text');
+      text.textContent = `${label}: ${this.formatXTickValue(value)}`;
+      text.setAttribute('x', x + 4);
+      text.setAttribute('y', top + 12 + labelRow * 14);
+      text.setAttribute('font-size', '11px');
+      text.setAttribute('font-family', this.theme.fontFamily);
+      text.setAttribute('fill', dataset.color);
+      text.setAttribute('class', 'visioncharts-marker-label');
+      markersGroup.appendChild(text);
+    });
+    
+    container.appendChild(markersGroup);
+  }
+  
+  /**
+   * Render a dataset in its panel
+   * @private
+   * @param {SVGElement} panel - Panel group
+   * @param {Object} dataset - Dataset
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Panel Y scale
+   */
+  renderPanelData(panel, dataset, xScale, yScale) {
+    if (!Array.isArray(dataset.values)) {
+      super.renderPanelData(panel, dataset, xScale, yScale);
+      return;
+    }
+    
+    this.renderBins(panel, dataset, xScale, yScale);
+  }
+  
+  /**
+   * Find the bin under the cursor
+   * Reports the bin of every distribution at the cursor's x.
+   * @private
+   * @param {number} mouseX - X coordinate in plot space
+   * @returns {Object|null} Hover data { x, xValue, bin, points }
+   */
+  getHoverData(mouseX) {
+    const xScale = this.state.scales.x;
+    const value = xScale.invert(mouseX);
+    
+    const points = [];
+    let bin = null;
+    
+    this.getDistributions().forEach(dataset => {
+      const point = dataset.data.find((d, i) =>
+        value >= d.x0 && (value < d.x1 || (i === dataset.data.length - 1 && value <= d.x1))
+      );
+      
+      if (!point) return;
+      
+      bin = point;
+      points.push({
+        dataset,
+        point,
+        value: this.getPointValue(point),
+        x: xScale.scale(point[this.options.xField])
+      });
+    });
+    
+    if (!bin) return null;
+    
+    return {
+      x: xScale.scale(bin[this.options.xField]),
+      xValue: bin[this.options.xField],
+      bin: [bin.x0, bin.x1],
+      points
+    };
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * Shows the bin range and the count and normalized value per distribution.
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    // Use custom formatter if provided
+    if (typeof this.options.tooltipFormatter === 'function') {
+      return this.options.tooltipFormatter(hover);
+    }
+    
+    const [x0, x1] = hover.bin;
+    
+    return [
+      `${this.formatXTickValue(x0)} to ${this.formatXTickValue(x1)}`,
+      ...hover.points.map(({ dataset, point, value }) => ({
+        text: this.options.histNorm === 'count' ?
+          `${dataset.name}: ${point.count}` :
+          `${dataset.name}: ${this.formatValue(value)} (${point.count})`,
+        color: dataset.color
+      }))
+    ];
+  }
+  
+  /**
+   * Set the bin rule
+   * @public
+   * @param {string} rule - 'sturges', 'freedman-diaconis' or 'fixed'
+   * @param {number} [binWidth] - Bin width of the 'fixed' rule
+   * @returns {HistogramChart} This chart instance
+   */
+  setBinRule(rule, binWidth) {
+    if (!BIN_RULES.includes(rule)) {
+      console.warn('Unknown bin rule:', rule);
+      return this;
+    }
+    
+    if (rule === 'fixed' && !(binWidth > 0 || this.options.binWidth > 0)) {
+      console.warn('Fixed bins need a positive bin width:', binWidth);
+      return this;
+    }
+    
+    this.options.binRule = rule;
+    this.options.binCount = null;
+    
+    if (binWidth !== undefined) {
+      this.options.binWidth = binWidth;
+    }
+    
+    return this.update();
+  }
+  
+  /**
+   * Set a fixed number of bins
+   * @public
+   * @param {number|null} binCount - Number of bins, or null to use the bin rule
+   * @returns {HistogramChart} This chart instance
+   */
+  setBinCount(binCount) {
+    if (binCount !== null && !(binCount >= 1)) {
+      console.warn('Invalid bin count:', binCount);
+      return this;
+    }
+    
+    this.options.binCount = binCount;
+    return this.update();
+  }
+  
+  /**
+   * Set the overlay line
+   * @public
+   * @param {string} overlay - 'none', 'normal' or 'kde'
+   * @returns {HistogramChart} This chart instance
+   */
+  setOverlay(overlay) {
+    if (!OVERLAYS.includes(overlay)) {
+      console.warn('Unknown overlay:', overlay);
+      return this;
+    }
+    
+    this.options.overlay = overlay;
+    return this.update();
+  }
+  
+  /**
+   * Set the distribution markers
+   * @public
+   * @param {Array} markers - 'mean', 'median', 'var95', 'var99' or percentiles
+   * @returns {HistogramChart} This chart instance
+   */
+  setMarkers(markers) {
+    this.options.markers = Array.isArray(markers) ? markers : [];
+    return this.update();
+  }
+}
\ No newline at end of file
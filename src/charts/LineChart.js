@@ -1,5 +1,14 @@
 import Chart from '../core/Chart.js';
-import { LinearScale, TimeScale, LogScale } from '../core/Scale.js';
+import {
+  LinearScale,
+  TimeScale,
+  BusinessTimeScale,
+  LogScale,
+  createTimeTickValues,
+  createTimeTickLabels,
+  getTimeTickInterval
+} from '../core/Scale.js';
+import { extent } from '../utils/math.js';
 
 /**
  * LineChart class for rendering line charts
@@ -24,6 +33,11 @@ export default class LineChart extends Chart {
         yField: 'y',
         xType: 'number', // 'number', 'time'
         yType: 'number',
+        barWidth: 0.7, // Width of bar series as a fraction of the space between points
+        lowField: 'low', // Lower bound of band series
+        highField: 'high', // Upper bound of band series
+        bandOpacity: 0.2, // Fill opacity of band series
+        businessCalendar: null, // Exchange calendar of time axes, true for weekdays only (see BusinessTimeScale)
         ...config.options
       }
     });
@@ -38,17 +52,17 @@ export default class LineChart extends Chart {
   createScales() {
     console.log('LineChart.createScales called');
     
-    const { xType, yType, isLogarithmic } = this.options;
+    const { xType, yType, isLogarithmic, isRightLogarithmic } = this.options;
     
     // Create X scale
     this.state.scales.x = xType === 'time' ? 
-      new TimeScale([0, 1], [0, 1]) :
+      this.createTimeScale() :
       new LinearScale([0, 1], [0, 1]);
     
-    // Create Y scale - use LogScale if isLogarithmic is true
-    this.state.scales.y = isLogarithmic ? 
-      new LogScale([0.1, 1], [0, 1]) :
-      new LinearScale([0, 1], [0, 1]);
+    // Create Y scales - use LogScale if isLogarithmic is true
+    // The right scale is only drawn when a dataset has yAxis: 'right'
+    this.state.scales.y = this.createYScale(isLogarithmic);
+    this.state.scales.yRight = this.createYScale(isRightLogarithmic);
     
     // Update scales with actual data
     this.updateScales();
@@ -56,6 +70,133 @@ export default class LineChart extends Chart {
     console.log('LineChart scales created');
   }
   
+  /**
+   * Create an empty time X scale
+   * With a business calendar, non-trading time is collapsed.
+   * @private
+   * @returns {Object} X scale
+   */
+  createTimeScale() {
+    const { businessCalendar } = this.options;
+    
+    if (!businessCalendar) {
+      return new TimeScale([0, 1], [0, 1]);
+    }
+    
+    try {
+      return new BusinessTimeScale([0, 1], [0, 1], this.getBusinessCalendar());
+    } catch (error) {
+      console.error('Invalid business calendar:', error.message);
+      return new TimeScale([0, 1], [0, 1]);
+    }
+  }
+  
+  /**
+   * Get the business calendar option as passed to BusinessTimeScale
+   * A calendar without a time zone or UTC offset of its own follows the
+   * time zone of the chart, unless that is the default 'local'.
+   * @private
+   * @returns {Object} Calendar
+   */
+  getBusinessCalendar() {
+    const { businessCalendar, timeZone } = this.options;
+    const calendar = businessCalendar === true ? {} : businessCalendar;
+    
+    if (calendar.timeZone || calendar.utcOffset !== undefined || !timeZone || timeZone === 'local') {
+      return calendar;
+    }
+    
+    return { ...calendar, timeZone };
+  }
+  
+  /**
+   * Process datasets and fill in the bounds of band series
+   * Band series with between: [firstId, secondId] take their upper bound from
+   * the first dataset and their lower bound from the second, at the X values
+   * both datasets share (hidden datasets and studies included).
+   * @private
+   */
+  processDatasets() {
+    super.processDatasets();
+    
+    this.state.datasets = this.state.datasets.map(dataset => {
+      if (dataset.type !== 'band' || !dataset.between) return dataset;
+      
+      return { ...dataset, data: this.createBandData(dataset.between) };
+    });
+  }
+  
+  /**
+   * Join two datasets into band points
+   * @private
+   * @param {Array} between - [upper dataset ID, lower dataset ID]
+   * @returns {Array} Band points { x, high, low } (named after xField, highField, lowField)
+   */
+  createBandData(between) {
+    const { xField, yField, lowField, highField } = this.options;
+    const [upper, lower] = between.map(id => this.state.allDatasets.find(dataset => dataset.id === id));
+    
+    if (!upper || !lower) {
+      console.warn('Band datasets not found:', between);
+      return [];
+    }
+    
+    const isValue = value => typeof value === 'number' && !isNaN(value);
+    
+    const lowerValues = new Map();
+    lower.data.forEach(d => {
+      if (d[xField] !== undefined && isValue(d[yField])) {
+        lowerValues.set(this.toComparableX(d[xField]), d[yField]);
+      }
+    });
+    
+    return upper.data
+      .filter(d => d[xField] !== undefined && isValue(d[yField]) && lowerValues.has(this.toComparableX(d[xField])))
+      .map(d => ({
+        [xField]: d[xField],
+        [highField]: d[yField],
+        [lowField]: lowerValues.get(this.toComparableX(d[xField]))
+      }));
+  }
+  
+  /**
+   * Get the value fields that are rebased in the comparison mode
+   * Bands with their own bounds are rebased with their value.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Array<string>} Field names
+   */
+  getComparisonFields(dataset) {
+    const { lowField, highField } = this.options;
+    return super.getComparisonFields(dataset).concat(dataset.type === 'band' ? [lowField, highField] : []);
+  }
+  
+  /**
+   * Get the type of datasets that don't set one
+   * @private
+   * @returns {string} 'area' when the area option is on, otherwise 'line'
+   */
+  getDefaultDatasetType() {
+    return this.options.area ? 'area' : 'line';
+  }
+  
+  /**
+   * Create an empty Y scale
+   * @private
+   * @param {boolean|string} isLogarithmic - Logarithmic setting or scale type, see toggleLogarithmic
+   * @returns {Object} Y scale
+   */
+  createYScale(isLogarithmic) {
+    switch (this.getScaleType(isLogarithmic)) {
+      case 'log':
+        return new LogScale([0.1, 1], [0, 1]);
+      case 'symlog':
+        return this.createSymlogScale();
+      default:
+        return new LinearScale([0, 1], [0, 1]);
+    }
+  }
+  
   /**
    * Create axes for the chart
    * @private
@@ -66,7 +207,6 @@ export default class LineChart extends Chart {
     // Create X axis
     this.state.axes.x = {
       render: (container, width, height) => {
-        const { xType, xField } = this.options;
         const scale = this.state.scales.x;
         
         // Create axis group
@@ -79,40 +219,16 @@ export default class LineChart extends Chart {
         axisLine.setAttribute('y1', height);
         axisLine.setAttribute('x2', width);
         axisLine.setAttribute('y2', height);
-        axisLine.setAttribute('stroke', '#ccc');
+        axisLine.setAttribute('stroke', this.theme.axis.line);
         axisLine.setAttribute('stroke-width', 1);
         axisGroup.appendChild(axisLine);
         
         // Generate ticks
-        const tickCount = 5;
-        const domain = scale.domain;
-        
-        // Create tick values based on domain
-        let tickValues = [];
-        
-        if (xType === 'time') {
-          // Time scale ticks
-          const start = domain[0];
-          const end = domain[1];
-          const range = end - start;
-          const timeStep = range / tickCount;
-          
-          for (let i = 0; i <= tickCount; i++) {
-            tickValues.push(new Date(start.getTime() + timeStep * i));
-          }
-        } else {
-          // Numeric scale ticks
-          const start = domain[0];
-          const end = domain[1];
-          const step = (end - start) / tickCount;
-          
-          for (let i = 0; i <= tickCount; i++) {
-            tickValues.push(start + step * i);
-          }
-        }
+        const tickValues = this.getXTickValues();
+        const tickLabels = this.getXTickLabels(tickValues);
         
         // Draw ticks and labels
-        tickValues.forEach(value => {
+        tickValues.forEach((value, index) => {
           const x = scale.scale(value);
           
           // Draw tick
@@ -121,29 +237,35 @@ export default class LineChart extends Chart {
           tick.setAttribute('y1', height);
           tick.setAttribute('x2', x);
           tick.setAttribute('y2', height + 6);
-          tick.setAttribute('stroke', '#ccc');
+          tick.setAttribute('stroke', this.theme.axis.line);
           tick.setAttribute('stroke-width', 1);
           axisGroup.appendChild(tick);
           
-          // Format label text
-          let labelText;
-          if (xType === 'time') {
-            labelText = value.toLocaleDateString();
-          } else {
-            labelText = value.toFixed(1);
-          }
-          
           // Draw label
           const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-          label.textContent = labelText;
+          label.textContent = tickLabels[index].text;
           label.setAttribute('x', x);
           label.setAttribute('y', height + 20);
           label.setAttribute('text-anchor', 'middle');
           label.setAttribute('font-size', '12px');
-          label.setAttribute('font-family', this.options.fontFamily);
-          label.setAttribute('fill', this.options.textColor);
+          label.setAttribute('font-family', this.theme.fontFamily);
+          label.setAttribute('fill', this.theme.textColor);
           axisGroup.appendChild(label);
           
+          // Draw the date context under the label where it changes
+          if (tickLabels[index].secondary) {
+            const secondaryLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            secondaryLabel.textContent = tickLabels[index].secondary;
+            secondaryLabel.setAttribute('x', x);
+            secondaryLabel.setAttribute('y', height + 34);
+            secondaryLabel.setAttribute('text-anchor', 'middle');
+            secondaryLabel.setAttribute('font-size', '11px');
+            secondaryLabel.setAttribute('font-family', this.theme.fontFamily);
+            secondaryLabel.setAttribute('fill', this.theme.textColor);
+            secondaryLabel.setAttribute('class', 'visioncharts-x-axis-secondary');
+            axisGroup.appendChild(secondaryLabel);
+          }
+          
           // Draw grid line if needed
           if (this.options.grid) {
             const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
@@ -151,117 +273,26 @@ export default class LineChart extends Chart {
             gridLine.setAttribute('y1', 0);
             gridLine.setAttribute('x2', x);
             gridLine.setAttribute('y2', height);
-            gridLine.setAttribute('stroke', '#eee');
+            gridLine.setAttribute('stroke', this.theme.grid.stroke);
             gridLine.setAttribute('stroke-width', 1);
-            gridLine.setAttribute('stroke-dasharray', '4,4');
+            gridLine.setAttribute('stroke-dasharray', this.theme.grid.dashArray);
             axisGroup.appendChild(gridLine);
           }
         });
         
-        // Add to container
-        container.appendChild(axisGroup);
-        
-        return axisGroup;
-      }
-    };
-    
-    // Create Y axis
-    this.state.axes.y = {
-      render: (container, width, height) => {
-        const { yType, isLogarithmic } = this.options;
-        const scale = this.state.scales.y;
-        
-        // Create axis group
-        const axisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        axisGroup.setAttribute('class', 'visioncharts-y-axis');
-        
-        // Draw axis line
-        const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        axisLine.setAttribute('x1', 0);
-        axisLine.setAttribute('y1', 0);
-        axisLine.setAttribute('x2', 0);
-        axisLine.setAttribute('y2', height);
-        axisLine.setAttribute('stroke', '#ccc');
-        axisLine.setAttribute('stroke-width', 1);
-        axisGroup.appendChild(axisLine);
-        
-        // Generate ticks
-        const tickCount = 5;
-        const domain = scale.domain;
-        
-        // Create tick values based on domain and scale type
-        let tickValues = [];
-        
-        if (isLogarithmic) {
-          // Logarithmic scale ticks
-          const minExp = Math.floor(Math.log10(domain[0]));
-          const maxExp = Math.ceil(Math.log10(domain[1]));
-          
-          for (let exp = minExp; exp <= maxExp; exp++) {
-            tickValues.push(Math.pow(10, exp));
-          }
-        } else {
-          // Linear scale ticks
-          const start = domain[0];
-          const end = domain[1];
-          const step = (end - start) / tickCount;
-          
-          for (let i = 0; i <= tickCount; i++) {
-            tickValues.push(start + step * i);
-          }
-        }
-        
-        // Draw ticks and labels
-        tickValues.forEach(value => {
-          const y = scale.scale(value);
-          
-          // Skip if out of range
-          if (y < 0 || y > height) return;
+        // Draw short unlabeled minor ticks between the labeled ones
+        this.getXMinorTickValues().forEach(value => {
+          const x = scale.scale(value);
           
-          // Draw tick
           const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-          tick.setAttribute('x1', 0);
-          tick.setAttribute('y1', y);
-          tick.setAttribute('x2', -6);
-          tick.setAttribute('y2', y);
-          tick.setAttribute('stroke', '#ccc');
+          tick.setAttribute('x1', x);
+          tick.setAttribute('y1', height);
+          tick.setAttribute('x2', x);
+          tick.setAttribute('y2', height + 3);
+          tick.setAttribute('stroke', this.theme.axis.line);
           tick.setAttribute('stroke-width', 1);
+          tick.setAttribute('class', 'visioncharts-minor-tick');
           axisGroup.appendChild(tick);
-          
-          // Format label text
-          let labelText;
-          if (yType === 'percent') {
-            labelText = (value * 100).toFixed(0) + '%';
-          } else if (yType === 'currency') {
-            labelText = '$' + value.toFixed(2);
-          } else {
-            labelText = value.toFixed(isLogarithmic ? 0 : 1);
-          }
-          
-          // Draw label
-          const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-          label.textContent = labelText;
-          label.setAttribute('x', -10);
-          label.setAttribute('y', y);
-          label.setAttribute('text-anchor', 'end');
-          label.setAttribute('dominant-baseline', 'middle');
-          label.setAttribute('font-size', '12px');
-          label.setAttribute('font-family', this.options.fontFamily);
-          label.setAttribute('fill', this.options.textColor);
-          axisGroup.appendChild(label);
-          
-          // Draw grid line if needed
-          if (this.options.grid) {
-            const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-            gridLine.setAttribute('x1', 0);
-            gridLine.setAttribute('y1', y);
-            gridLine.setAttribute('x2', width);
-            gridLine.setAttribute('y2', y);
-            gridLine.setAttribute('stroke', '#eee');
-            gridLine.setAttribute('stroke-width', 1);
-            gridLine.setAttribute('stroke-dasharray', '4,4');
-            axisGroup.appendChild(gridLine);
-          }
         });
         
         // Add to container
@@ -271,9 +302,98 @@ export default class LineChart extends Chart {
       }
     };
     
+    // Create Y axes, left and right
+    this.state.axes.y = this.createYAxis('left');
+    this.state.axes.yRight = this.createYAxis('right');
+    
     console.log('LineChart axes created (render functions defined)');
   }
   
+  /**
+   * Get the tick values of the X axis
+   * @private
+   * @returns {Array} Tick values, on calendar boundaries for time axes and
+   *   evenly spaced across the domain otherwise
+   */
+  getXTickValues() {
+    const tickCount = 5;
+    const xScale = this.state.scales.x;
+    const domain = xScale.domain;
+    
+    // Time ticks sit at calendar boundaries, or at session, week, month or
+    // year boundaries for business time
+    if (this.options.xType === 'time') {
+      return createTimeTickValues(domain[0], domain[1], tickCount, xScale, this.getTimeTickOptions());
+    }
+    
+    // Numeric scale ticks
+    const tickValues = [];
+    const start = domain[0];
+    const end = domain[1];
+    const step = (end - start) / tickCount;
+    
+    for (let i = 0; i <= tickCount; i++) {
+      tickValues.push(start + step * i);
+    }
+    
+    return tickValues;
+  }
+  
+  /**
+   * Get the unlabeled minor tick values of the X axis
+   * @private
+   * @returns {Array} Tick values, none by default (see ScatterChart)
+   */
+  getXMinorTickValues() {
+    return [];
+  }
+  
+  /**
+   * Get the labels of the X axis ticks
+   * Time labels suit the tick interval, with the date context on a second row.
+   * @private
+   * @param {Array} tickValues - Tick values from getXTickValues
+   * @returns {Array} Labels { text, secondary }, secondary is null without a second row
+   */
+  getXTickLabels(tickValues) {
+    if (this.options.xType !== 'time') {
+      return tickValues.map(value => ({ text: this.formatXTickValue(value, tickValues), secondary: null }));
+    }
+    
+    // Business time ticks skip closed hours, so their interval is inferred from their spacing
+    const xScale = this.state.scales.x;
+    const interval = xScale instanceof BusinessTimeScale ?
+      null :
+      getTimeTickInterval(xScale.domain[0], xScale.domain[1], 5);
+    
+    const labels = createTimeTickLabels(tickValues, interval, this.getTimeTickOptions());
+    
+    return this.hasSecondaryXLabels() ? labels : labels.map(label => ({ ...label, secondary: null }));
+  }
+  
+  /**
+   * Check whether the X axis labels have a second row
+   * @private
+   * @returns {boolean} True for time X axes with multi-level labels
+   */
+  hasSecondaryXLabels() {
+    return this.options.xType === 'time' && this.options.multiLevelTimeLabels;
+  }
+  
+  /**
+   * Format an X axis tick label
+   * @private
+   * @param {Date|number} value - Tick value
+   * @returns {string} Label text
+   */
+  formatXTickValue(value) {
+    if (this.options.xType === 'time') {
+      return this.getXTickLabels([value])[0].text;
+    }
+    
+    return value.toFixed(1);
+  }
+  
   /**
    * Update scales with actual data
    * @private
@@ -281,7 +401,14 @@ export default class LineChart extends Chart {
   updateScales() {
     console.log('LineChart.updateScales called');
     
-    const { xField, yField, isLogarithmic } = this.options;
+    const { xField, isLogarithmic, isRightLogarithmic } = this.options;
+    
+    // Rebuild a business X scale that follows a changed chart time zone
+    const xScale = this.state.scales.x;
+    if (xScale instanceof BusinessTimeScale &&
+        (xScale.calendar.timeZone || null) !== (this.getBusinessCalendar().timeZone || null)) {
+      this.state.scales.x = this.createTimeScale();
+    }
     
     // Get all data points from all datasets
     const allPoints = this.state.datasets.reduce((acc, dataset) => {
@@ -293,57 +420,234 @@ export default class LineChart extends Chart {
     if (!allPoints.length) {
       // Set default domain if no data
       this.state.scales.x.setDomain([0, 1]);
-      this.state.scales.y.setDomain(isLogarithmic ? [0.1, 1] : [0, 1]);
+      this.state.scales.y.setDomain(this.getScaleType(isLogarithmic) === 'log' ? [0.1, 1] : [0, 1]);
+      this.state.scales.yRight.setDomain(this.getScaleType(isRightLogarithmic) === 'log' ? [0.1, 1] : [0, 1]);
       
       // Set ranges based on dimensions
       this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
       this.state.scales.y.setRange([this.state.dimensions.innerHeight, 0]);
+      this.state.scales.yRight.setRange([this.state.dimensions.innerHeight, 0]);
       console.log('No data points, using default domains');
       return;
     }
     
-    // Extract X and Y values
+    // Extract X values
     const xValues = allPoints.map(d => d[xField]);
-    const yValues = allPoints.map(d => d[yField]);
     
     // Calculate domains
-    let xMin, xMax, yMin, yMax;
+    let xMin, xMax;
     
     if (this.options.xType === 'time') {
       // For time type, convert string dates to Date objects
       const dates = xValues.map(x => x instanceof Date ? x : new Date(x));
-      xMin = new Date(Math.min(...dates.map(d => d.getTime())));
-      xMax = new Date(Math.max(...dates.map(d => d.getTime())));
+      const [minTime, maxTime] = extent(dates.map(d => d.getTime()));
+      xMin = new Date(minTime);
+      xMax = new Date(maxTime);
     } else {
-      xMin = Math.min(...xValues);
-      xMax = Math.max(...xValues);
+      [xMin, xMax] = extent(xValues);
+    }
+    
+    // Set domains, one Y scale per axis (sub-pane studies have their own Y scales)
+    this.setXDomain([xMin, xMax]);
+    this.fitYScale(this.state.scales.y, this.getAxisYValues('left'), isLogarithmic);
+    this.fitYScale(this.state.scales.yRight, this.getAxisYValues('right'), isRightLogarithmic);
+    
+    // Set ranges based on dimensions
+    this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
+    
+    console.log('Scales updated with domains:', 
+        'x:', [xMin, xMax],
+        'y:', this.state.scales.y.domain,
+        'yRight:', this.state.scales.yRight.domain);
+  }
+  
+  /**
+   * Fit a Y scale to its values, with some padding
+   * @private
+   * @param {Object} scale - Y scale
+   * @param {Array} yValues - Values the domain must include
+   * @param {boolean|string} isLogarithmic - Logarithmic setting or scale type of the axis
+   */
+  fitYScale(scale, yValues, isLogarithmic) {
+    const scaleType = this.getScaleType(isLogarithmic);
+    let [yMin, yMax] = extent(yValues);
+    
+    // An axis without datasets keeps a default domain
+    if (!yValues.length) {
+      [yMin, yMax] = scaleType === 'log' ? [0.1, 1] : [0, 1];
     }
     
-    yMin = Math.min(...yValues);
-    yMax = Math.max(...yValues);
+    scale.setRange([this.state.dimensions.innerHeight, 0]);
+    
+    // Symlog axes are padded in symlog space
+    if (scaleType === 'symlog') {
+      scale.setDomain(this.padSymlogDomain(scale, yMin, yMax));
+      return;
+    }
     
     // Add some padding to Y domain
     const yPadding = (yMax - yMin) * 0.1;
     
     // For logarithmic scale, ensure minimum is positive
-    if (isLogarithmic) {
+    if (scaleType === 'log') {
       yMin = Math.max(yMin, 0.01); // Ensure minimum positive value
     }
     
-    // Set domains
-    this.state.scales.x.setDomain([xMin, xMax]);
-    this.state.scales.y.setDomain([
-      isLogarithmic ? yMin : (yMin - yPadding),
+    scale.setDomain([
+      scaleType === 'log' ? yMin : (yMin - yPadding),
       yMax + yPadding
     ]);
+  }
+  
+  /**
+   * Get the values one Y axis must include
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Array} Y values
+   */
+  getAxisYValues(side) {
+    return this.getAxisDatasets(side).reduce((acc, dataset) => {
+      return acc.concat(this.getDatasetYValues(dataset));
+    }, []);
+  }
+  
+  /**
+   * Get the values of a dataset that the Y domain must include
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Array} Y values
+   */
+  getDatasetYValues(dataset) {
+    const { yField, lowField, highField } = this.options;
+    
+    // Band series span both bounds
+    if (dataset.type === 'band') {
+      return (dataset.data || []).reduce((acc, d) => {
+        [lowField, highField, yField].forEach(field => {
+          if (typeof d[field] === 'number' && !isNaN(d[field])) acc.push(d[field]);
+        });
+        return acc;
+      }, []);
+    }
     
-    // Set ranges based on dimensions
-    this.state.scales.x.setRange([0, this.state.dimensions.innerWidth]);
-    this.state.scales.y.setRange([this.state.dimensions.innerHeight, 0]);
+    const values = (dataset.data || [])
+      .map(d => d[yField])
+      .filter(value => value !== undefined && value !== null);
     
-    console.log('Scales updated with domains:', 
-        'x:', [xMin, xMax],
-        'y:', [isLogarithmic ? yMin : (yMin - yPadding), yMax + yPadding]);
+    // Bars grow from zero, so the axis must include it
+    if (dataset.type === 'bar' && values.length) {
+      values.push(0);
+    }
+    
+    return values;
+  }
+  
+  /**
+   * Get the overview lines drawn in the range navigator
+   * @private
+   * @param {Object} xScale - X scale covering the full data range
+   * @param {number} height - Height of the navigator strip
+   * @returns {Array} Overview lines [{ d, color }]
+   */
+  getRangeNavigatorSeries(xScale, height) {
+    const { yField } = this.options;
+    
+    // Only the source series, studies and bands would clutter the overview
+    // Each Y axis gets its own overview scale, like in the plot
+    return ['left', 'right'].reduce((series, side) => {
+      const datasets = this.getAxisDatasets(side).filter(dataset => !dataset.isStudy && dataset.type !== 'band');
+      
+      const yValues = datasets.reduce((acc, dataset) => {
+        return acc.concat((dataset.data || [])
+          .map(d => d[yField])
+          .filter(value => typeof value === 'number'));
+      }, []);
+      
+      if (!yValues.length) return series;
+      
+      // Leave a pixel of padding so the line doesn't touch the strip border
+      const yScale = new LinearScale(extent(yValues), [height - 2, 2]);
+      
+      return series.concat(datasets.map(dataset => ({
+        d: this.generateLinePath(dataset.data || [], xScale, yScale),
+        color: dataset.color
+      })));
+    }, []);
+  }
+  
+  /**
+   * Find the points under the cursor
+   * Band points also report their bounds; bands between two datasets report
+   * the spread between them as their value.
+   * @private
+   * @param {number} mouseX - X coordinate in plot space
+   * @param {number} mouseY - Y coordinate in plot space
+   * @returns {Object|null} Hover data { x, xValue, points }
+   */
+  getHoverData(mouseX, mouseY) {
+    const hover = super.getHoverData(mouseX, mouseY);
+    if (!hover) return null;
+    
+    const { lowField, highField } = this.options;
+    
+    hover.points.forEach(hoverPoint => {
+      const { dataset, point } = hoverPoint;
+      if (dataset.type !== 'band') return;
+      
+      hoverPoint.low = point[lowField];
+      hoverPoint.high = point[highField];
+      
+      if (dataset.between) {
+        hoverPoint.value = point[highField] - point[lowField];
+      }
+    });
+    
+    return hover;
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    if (typeof this.options.tooltipFormatter === 'function') {
+      return super.formatTooltip(hover);
+    }
+    
+    const [title] = super.formatTooltip(hover);
+    
+    return [title, ...hover.points.map(hoverPoint => this.formatPointLine(hoverPoint))];
+  }
+  
+  /**
+   * Format the tooltip line of a hovered point
+   * Bands with their own bounds show the range, after their value if they
+   * have one; bands between two datasets show the spread in its fill color.
+   * @private
+   * @param {Object} hoverPoint - Point from getHoverData
+   * @returns {Object} Tooltip line { text, color }
+   */
+  formatPointLine({ dataset, value, low, high }) {
+    if (dataset.type !== 'band') {
+      return { text: `${dataset.name}: ${this.formatValue(value, dataset)}`, color: dataset.color };
+    }
+    
+    if (dataset.between) {
+      const color = value >= 0 ?
+        dataset.positiveColor || dataset.color :
+        dataset.negativeColor || dataset.color;
+      
+      return { text: `${dataset.name}: ${this.formatValue(value, dataset)}`, color };
+    }
+    
+    const range = `${this.formatValue(low, dataset)} – ${this.formatValue(high, dataset)}`;
+    const text = typeof value === 'number' ?
+      `${dataset.name}: ${this.formatValue(value, dataset)} (${range})` :
+      `${dataset.name}: ${range}`;
+    
+    return { text, color: dataset.color };
   }
   
   /**
@@ -359,11 +663,11 @@ export default class LineChart extends Chart {
         return;
       }
       
-      const { innerWidth, innerHeight } = this.state.dimensions;
+      const { innerWidth, innerHeight, plotHeight } = this.state.dimensions;
       
-      // Render X axis
+      // Render X axis below the last sub-pane
       if (this.state.axes.x && this.state.axes.x.render) {
-        this.state.axes.x.render(this.state.chart, innerWidth, innerHeight);
+        this.state.axes.x.render(this.state.chart, innerWidth, plotHeight);
       }
       
       // Render Y axis
@@ -371,6 +675,11 @@ export default class LineChart extends Chart {
         this.state.axes.y.render(this.state.chart, innerWidth, innerHeight);
       }
       
+      // Render the right Y axis if a dataset uses it
+      if (this.state.axes.yRight && this.hasRightAxis()) {
+        this.state.axes.yRight.render(this.state.chart, innerWidth, innerHeight);
+      }
+      
       console.log('Axes rendered successfully');
     } catch (error) {
       console.error('Error rendering axes:', error);
@@ -381,12 +690,12 @@ export default class LineChart extends Chart {
    * Generate line path based on data
    * @private
    * @param {Array} data - Chart data
+   * @param {Object} [xScale] - X scale, defaults to the chart X scale
+   * @param {Object} [yScale] - Y scale, defaults to the chart Y scale
    * @returns {string} Path definition
    */
-  generateLinePath(data) {
+  generateLinePath(data, xScale = this.state.scales.x, yScale = this.state.scales.y) {
     const { xField, yField, curve } = this.options;
-    const xScale = this.state.scales.x;
-    const yScale = this.state.scales.y;
     
     // Map data points to coordinates
     const points = data
@@ -412,6 +721,26 @@ export default class LineChart extends Chart {
     }
   }
   
+  /**
+   * Generate a path through pixel coordinates with the curve option
+   * @private
+   * @param {Array} points - Array of [x, y] coordinates
+   * @returns {string} Path definition
+   */
+  generateCurvePath(points) {
+    switch (this.options.curve) {
+      case 'step':
+        return this.generateStepPath(points);
+      case 'cardinal':
+        return this.generateCardinalPath(points);
+      case 'monotone':
+        return this.generateMonotonePath(points);
+      case 'linear':
+      default:
+        return this.generateLinearPath(points);
+    }
+  }
+  
   /**
    * Generate linear path
    * @private
@@ -579,12 +908,12 @@ export default class LineChart extends Chart {
    * Generate area path based on data
    * @private
    * @param {Array} data - Chart data
+   * @param {Object} [yScale] - Y scale, defaults to the chart Y scale
    * @returns {string} Path definition
    */
-  generateAreaPath(data) {
+  generateAreaPath(data, yScale = this.state.scales.y) {
     const { xField, yField, curve } = this.options;
     const xScale = this.state.scales.x;
-    const yScale = this.state.scales.y;
     
     // Map data points to coordinates
     const points = data
@@ -629,6 +958,114 @@ export default class LineChart extends Chart {
     return `${linePath} L ${lastX},${baselineY} L ${firstX},${baselineY} Z`;
   }
   
+  /**
+   * Generate the fill paths of a band series
+   * The band is split where its bounds cross, so the parts where the upper
+   * bound is below the lower one can get their own color.
+   * @private
+   * @param {Array} data - Band points
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Y scale
+   * @param {boolean} [split=true] - Whether to split the band where its bounds cross
+   * @returns {Array} Fill paths [{ d, positive }]
+   */
+  generateBandPaths(data, xScale, yScale, split = true) {
+    const { xField, lowField, highField } = this.options;
+    const isValue = value => typeof value === 'number' && !isNaN(value);
+    
+    const points = data
+      .filter(d => d[xField] !== undefined && isValue(d[lowField]) && isValue(d[highField]))
+      .map(d => ({
+        x: xScale.scale(d[xField]),
+        high: yScale.scale(d[highField]),
+        low: yScale.scale(d[lowField]),
+        positive: !split || d[highField] >= d[lowField]
+      }));
+    
+    // Split into runs where the same bound is on top, closing each run at the crossing
+    const runs = [];
+    let run = null;
+    
+    points.forEach((point, index) => {
+      if (run && point.positive !== run.positive) {
+        const previous = points[index - 1];
+        const gap = (previous.high - previous.low) - (point.high - point.low);
+        const t = gap ? (previous.high - previous.low) / gap : 0;
+        const crossing = {
+          x: previous.x + (point.x - previous.x) * t,
+          high: previous.high + (point.high - previous.high) * t
+        };
+        crossing.low = crossing.high;
+        
+        run.points.push(crossing);
+        run = { positive: point.positive, points: [crossing] };
+        runs.push(run);
+      } else if (!run) {
+        run = { positive: point.positive, points: [] };
+        runs.push(run);
+      }
+      
+      run.points.push(point);
+    });
+    
+    // Upper bound forward, lower bound back
+    return runs.map(({ positive, points: runPoints }) => {
+      const upperPath = this.generateCurvePath(runPoints.map(p => [p.x, p.high]));
+      const lowerPath = this.generateCurvePath(runPoints.map(p => [p.x, p.low]).reverse());
+      
+      return {
+        d: `${upperPath} ${lowerPath.replace(/^M/, 'L')} Z`,
+        positive
+      };
+    });
+  }
+  
+  /**
+   * Render a band series: the fill between its bounds, and the line through
+   * its Y values if it has any
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Object} dataset - Band dataset
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Y scale
+   */
+  renderBand(container, dataset, xScale, yScale) {
+    const { yField, bandOpacity } = this.options;
+    
+    // The fill is only split when the two sides have their own colors
+    const split = Boolean(dataset.positiveColor || dataset.negativeColor);
+    
+    this.generateBandPaths(dataset.data, xScale, yScale, split).forEach(({ d, positive }) => {
+      const color = positive ?
+        dataset.positiveColor || dataset.color :
+        dataset.negativeColor || dataset.color;
+      
+      const fill = this.renderer.createElement('path');
+      fill.setAttribute('d', d);
+      fill.setAttribute('fill', color);
+      fill.setAttribute('fill-opacity', bandOpacity);
+      fill.setAttribute('stroke', 'none');
+      fill.setAttribute('class', `visioncharts-band visioncharts-band-${positive ? 'positive' : 'negative'}`);
+      container.appendChild(fill);
+    });
+    
+    // Bands between two datasets leave the lines to those datasets
+    if (dataset.between || !dataset.data.some(d => typeof d[yField] === 'number')) return;
+    
+    const line = this.renderer.createElement('path');
+    line.setAttribute('d', this.generateLinePath(dataset.data, xScale, yScale));
+    line.setAttribute('stroke', dataset.color);
+    line.setAttribute('stroke-width', dataset.width);
+    line.setAttribute('fill', 'none');
+    line.setAttribute('class', 'visioncharts-line');
+    
+    if (dataset.dashArray) {
+      line.setAttribute('stroke-dasharray', dataset.dashArray);
+    }
+    
+    container.appendChild(line);
+  }
+  
   /**
    * Render chart data
    * @private
@@ -642,29 +1079,22 @@ export default class LineChart extends Chart {
     }
     
     try {
-      const {
-        xField,
-        yField,
-        showPoints,
-        pointRadius,
-        area
-      } = this.options;
-      
       // Create data group
-      const dataGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      const dataGroup = this.renderer.createElement('g');
       dataGroup.setAttribute('class', 'visioncharts-data');
+      this.clipToPlot(dataGroup);
       
       // No data to render
       if (!this.state.datasets.length) {
-        this.state.chart.appendChild(dataGroup);
+        this.getDataLayer().appendChild(dataGroup);
         console.log('No datasets to render');
         return;
       }
       
       console.log('Rendering', this.state.datasets.length, 'datasets');
       
-      // Render each dataset
-      this.state.datasets.forEach((dataset, index) => {
+      // Render each main pane dataset
+      this.getMainDatasets().forEach((dataset, index) => {
         if (!dataset.data || !dataset.data.length) {
           console.log('Dataset', index, 'has no data, skipping');
           return;
@@ -672,72 +1102,259 @@ export default class LineChart extends Chart {
         
         console.log('Rendering dataset', index, 'with', dataset.data.length, 'points');
         
-        // Create dataset group
-        const datasetGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        datasetGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
-        
-        // Render area if enabled
-        if (area) {
-          const areaPath = this.generateAreaPath(dataset.data);
-          const areaElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-          areaElement.setAttribute('d', areaPath);
-          areaElement.setAttribute('fill', dataset.color);
-          areaElement.setAttribute('fill-opacity', 0.2);
-          areaElement.setAttribute('stroke', 'none');
-          areaElement.setAttribute('class', 'visioncharts-area');
-          
-          datasetGroup.appendChild(areaElement);
-        }
-        
-        // Render line
-        const linePath = this.generateLinePath(dataset.data);
-        const lineElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-        lineElement.setAttribute('d', linePath);
-        lineElement.setAttribute('stroke', dataset.color);
-        lineElement.setAttribute('stroke-width', dataset.width);
-        lineElement.setAttribute('fill', 'none');
-        lineElement.setAttribute('class', 'visioncharts-line');
-        
-        datasetGroup.appendChild(lineElement);
-        
-        // Render points if enabled
-        if (showPoints) {
-          const pointsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-          pointsGroup.setAttribute('class', 'visioncharts-points');
-          
-          dataset.data.forEach(d => {
-            if (d[xField] === undefined || d[yField] === undefined) return;
-            
-            const x = this.state.scales.x.scale(d[xField]);
-            const y = this.state.scales.y.scale(d[yField]);
-            
-            const point = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-            point.setAttribute('cx', x);
-            point.setAttribute('cy', y);
-            point.setAttribute('r', pointRadius);
-            point.setAttribute('fill', '#fff');
-            point.setAttribute('stroke', dataset.color);
-            point.setAttribute('stroke-width', dataset.width / 2);
-            point.setAttribute('class', 'visioncharts-point');
-            
-            pointsGroup.appendChild(point);
-          });
-          
-          datasetGroup.appendChild(pointsGroup);
-        }
-        
-        // Add to data group
-        dataGroup.appendChild(datasetGroup);
+        dataGroup.appendChild(this.renderDataset(dataset));
       });
       
       // Add data group to chart
-      this.state.chart.appendChild(dataGroup);
+      this.getDataLayer().appendChild(dataGroup);
       console.log('Data rendered successfully');
     } catch (error) {
       console.error('Error rendering data:', error);
     }
   }
   
+  /**
+   * Render a single dataset according to its type
+   * 'line' (with optional points), 'area', 'bar', 'scatter', 'histogram' or 'band'
+   * @private
+   * @param {Object} dataset - Dataset to render
+   * @returns {SVGElement} Dataset group element
+   */
+  renderDataset(dataset) {
+    const {
+      xField,
+      yField,
+      showPoints,
+      pointRadius
+    } = this.options;
+    
+    // Left or right Y axis
+    const yScale = this.getYScale(dataset);
+    
+    // Create dataset group
+    const datasetGroup = this.renderer.createElement('g');
+    datasetGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
+    
+    // Histogram series (e.g. MACD histogram) are drawn as bars from zero
+    if (dataset.type === 'histogram') {
+      this.renderHistogram(datasetGroup, dataset, this.state.scales.x, yScale);
+      return datasetGroup;
+    }
+    
+    // Bar series (e.g. volume under a price line) share the slot between points
+    if (dataset.type === 'bar') {
+      this.renderBars(datasetGroup, dataset, this.state.scales.x, yScale, this.getBarLayout(dataset));
+      return datasetGroup;
+    }
+    
+    // Band series (e.g. confidence intervals) fill between their bounds
+    if (dataset.type === 'band') {
+      this.renderBand(datasetGroup, dataset, this.state.scales.x, yScale);
+      return datasetGroup;
+    }
+    
+    // Scatter series only draw their points
+    const isScatter = dataset.type === 'scatter';
+    
+    // Render area under area series
+    if (dataset.type === 'area') {
+      const areaPath = this.generateAreaPath(dataset.data, yScale);
+      const areaElement = this.renderer.createElement('path');
+      areaElement.setAttribute('d', areaPath);
+      areaElement.setAttribute('fill', dataset.color);
+      areaElement.setAttribute('fill-opacity', 0.2);
+      areaElement.setAttribute('stroke', 'none');
+      areaElement.setAttribute('class', 'visioncharts-area');
+      
+      datasetGroup.appendChild(areaElement);
+    }
+    
+    // Render line
+    if (!isScatter) {
+      const linePath = this.generateLinePath(dataset.data, this.state.scales.x, yScale);
+      const lineElement = this.renderer.createElement('path');
+      lineElement.setAttribute('d', linePath);
+      lineElement.setAttribute('stroke', dataset.color);
+      lineElement.setAttribute('stroke-width', dataset.width);
+      lineElement.setAttribute('fill', 'none');
+      lineElement.setAttribute('class', 'visioncharts-line');
+      
+      if (dataset.dashArray) {
+        lineElement.setAttribute('stroke-dasharray', dataset.dashArray);
+      }
+      
+      datasetGroup.appendChild(lineElement);
+    }
+    
+    // Render points if enabled (studies never show points, scatter series always do)
+    if ((showPoints || isScatter) && !dataset.isStudy) {
+      const pointsGroup = this.renderer.createElement('g');
+      pointsGroup.setAttribute('class', 'visioncharts-points');
+      
+      dataset.data.forEach(d => {
+        if (d[xField] === undefined || d[yField] === undefined) return;
+        
+        const x = this.state.scales.x.scale(d[xField]);
+        const y = yScale.scale(d[yField]);
+        
+        const point = this.renderer.createElement('circle');
+        point.setAttribute('cx', x);
+        point.setAttribute('cy', y);
+        point.setAttribute('r', pointRadius);
+        point.setAttribute('fill', isScatter ? dataset.color : this.theme.point.fill);
+        point.setAttribute('stroke', dataset.color);
+        point.setAttribute('stroke-width', dataset.width / 2);
+        point.setAttribute('class', 'visioncharts-point');
+        
+        pointsGroup.appendChild(point);
+      });
+      
+      datasetGroup.appendChild(pointsGroup);
+    }
+    
+    return datasetGroup;
+  }
+  
+  /**
+   * Render a histogram series as bars from zero
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Object} dataset - Dataset
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Y scale
+   */
+  renderHistogram(container, dataset, xScale, yScale) {
+    const { xField, yField } = this.options;
+    
+    const points = dataset.data.filter(d =>
+      d[xField] !== undefined && typeof d[yField] === 'number' && !isNaN(d[yField])
+    );
+    
+    const width = Math.max(1, this.getSlotWidth(points, xScale) * 0.6);
+    const zeroY = yScale.scale(0);
+    
+    points.forEach(d => {
+      const x = xScale.scale(d[xField]);
+      const valueY = yScale.scale(d[yField]);
+      
+      const bar = this.renderer.createElement('rect');
+      bar.setAttribute('x', x - width / 2);
+      bar.setAttribute('y', Math.min(zeroY, valueY));
+      bar.setAttribute('width', width);
+      bar.setAttribute('height', Math.abs(zeroY - valueY));
+      bar.setAttribute('fill', dataset.color);
+      bar.setAttribute('fill-opacity', 0.6);
+      bar.setAttribute('class', 'visioncharts-histogram-bar');
+      
+      container.appendChild(bar);
+    });
+  }
+  
+  /**
+   * Get where a bar dataset sits among the bar datasets of the main pane
+   * Bar datasets are grouped side by side within the slot between points.
+   * The slot comes from the x spacing of all bar datasets, so bars on a
+   * time axis (e.g. monthly values) are as wide as the gap between periods.
+   * @private
+   * @param {Object} dataset - Bar dataset
+   * @returns {Object} Layout { index, count, slotWidth }
+   */
+  getBarLayout(dataset) {
+    const barDatasets = this.getMainDatasets().filter(d => d.type === 'bar');
+    const points = barDatasets.reduce((acc, d) => acc.concat(d.data || []), []);
+    
+    return {
+      index: Math.max(0, barDatasets.indexOf(dataset)),
+      count: Math.max(1, barDatasets.length),
+      slotWidth: this.getSlotWidth(points, this.state.scales.x)
+    };
+  }
+  
+  /**
+   * Render a bar series, bars grow from zero (or the bottom of a log axis)
+   * @private
+   * @param {SVGElement} container - Container element
+   * @param {Object} dataset - Dataset
+   * @param {Object} xScale - X scale
+   * @param {Object} yScale - Y scale
+   * @param {Object} layout - Bar layout { index, count, slotWidth } from getBarLayout
+   */
+  renderBars(container, dataset, xScale, yScale, layout) {
+    const { xField, yField, barWidth } = this.options;
+    const { index, count, slotWidth } = layout;
+    
+    const points = dataset.data.filter(d =>
+      d[xField] !== undefined && typeof d[yField] === 'number' && !isNaN(d[yField])
+    );
+    
+    // The group of bars fills part of the slot, each dataset gets an equal share
+    const groupWidth = slotWidth * barWidth;
+    const width = Math.max(1, groupWidth / count);
+    const offset = -groupWidth / 2 + index * (groupWidth / count);
+    const baseY = yScale.scale(Math.max(0, yScale.domain[0]));
+    
+    points.forEach(d => {
+      const x = xScale.scale(d[xField]) + offset;
+      const valueY = yScale.scale(d[yField]);
+      
+      const bar = this.renderer.createElement('rect');
+      bar.setAttribute('x', x);
+      bar.setAttribute('y', Math.min(baseY, valueY));
+      bar.setAttribute('width', width);
+      bar.setAttribute('height', Math.abs(baseY - valueY));
+      bar.setAttribute('fill', dataset.color);
+      bar.setAttribute('class', 'visioncharts-bar');
+      
+      container.appendChild(bar);
+    });
+  }
+  
+  /**
+   * Calculate the typical pixel spacing between consecutive points
+   * Uses the median so that gaps (weekends, holidays) do not inflate it
+   * @private
+   * @param {Array} data - Data points
+   * @param {Object} xScale - X scale
+   * @returns {number} Slot width in pixels
+   */
+  getSlotWidth(data, xScale) {
+    const { xField } = this.options;
+    
+    if (data.length < 2) {
+      return this.state.dimensions.innerWidth * 0.05;
+    }
+    
+    const positions = data
+      .map(d => xScale.scale(d[xField]))
+      .sort((a, b) => a - b);
+    
+    const spacings = [];
+    for (let i = 1; i < positions.length; i++) {
+      const spacing = positions[i] - positions[i - 1];
+      if (spacing > 0) spacings.push(spacing);
+    }
+    
+    if (!spacings.length) return 1;
+    
+    spacings.sort((a, b) => a - b);
+    
+    return spacings[Math.floor(spacings.length / 2)];
+  }
+  
+  /**
+   * Render the datasets of a study sub-pane
+   * @private
+   * @param {SVGElement} container - Pane group element
+   * @param {Object} pane - Sub-pane from state.subPanes
+   */
+  renderSubPaneData(container, pane) {
+    console.log('LineChart.renderSubPaneData called:', pane.id);
+    
+    pane.datasets.forEach(dataset => {
+      this.renderPanelData(container, dataset, this.state.scales.x, pane.yScale);
+    });
+  }
+  
   /**
    * Render panels for multi-panel view
    * @private
@@ -751,7 +1368,8 @@ export default class LineChart extends Chart {
     }
     
     try {
-      const { innerWidth, innerHeight } = this.state.dimensions;
+      // Panels use the whole plot height, sub-panes are not drawn in panel view
+      const { innerWidth, plotHeight: innerHeight } = this.state.dimensions;
       
       // Determine number of panels (one per dataset)
       const panelCount = this.state.datasets.length;
@@ -780,39 +1398,42 @@ export default class LineChart extends Chart {
         panelBg.setAttribute('y', 0);
         panelBg.setAttribute('width', innerWidth);
         panelBg.setAttribute('height', effectivePanelHeight);
-        panelBg.setAttribute('fill', '#f9f9f9');
-        panelBg.setAttribute('stroke', '#eee');
+        panelBg.setAttribute('fill', this.theme.panel.background);
+        panelBg.setAttribute('stroke', this.theme.panel.border);
         panelGroup.appendChild(panelBg);
         
-        // Create local scales for this panel
-        const xScale = { ...this.state.scales.x };
-        const yScale = this.options.isLogarithmic ? 
-          new LogScale([0.1, 1], [0, 1]) :
-          new LinearScale([0, 1], [0, 1]);
+        // Panels share the main X scale; only the Y scale is local
+        // and follows the log setting of the dataset's Y axis
+        const side = dataset.yAxis || 'left';
+        const { isLogarithmic, scaleType } = this.getYAxisOptions(side);
+        const xScale = this.state.scales.x;
+        const yScale = this.createYScale(scaleType);
         
         // Update Y scale range to panel height
         yScale.setRange([effectivePanelHeight, 0]);
         
         // Calculate Y domain for this dataset
-        const yValues = dataset.data.map(d => d[this.options.yField]);
+        const yValues = this.getDatasetYValues(dataset);
         if (yValues.length) {
-          const yMin = Math.min(...yValues);
-          const yMax = Math.max(...yValues);
+          const [yMin, yMax] = extent(yValues);
           const yPadding = (yMax - yMin) * 0.1;
           
           // Set domain based on scale type
-          if (this.options.isLogarithmic) {
+          if (isLogarithmic) {
             yScale.setDomain([Math.max(yMin, 0.01), yMax + yPadding]);
+          } else if (scaleType === 'symlog') {
+            yScale.setDomain(this.padSymlogDomain(yScale, yMin, yMax));
           } else {
             yScale.setDomain([yMin - yPadding, yMax + yPadding]);
           }
         }
         
         // Render panel axes
-        this.renderPanelAxes(panelGroup, xScale, yScale, innerWidth, effectivePanelHeight);
+        this.renderPanelAxes(panelGroup, xScale, yScale, innerWidth, effectivePanelHeight, side);
         
-        // Render panel data
-        this.renderPanelData(panelGroup, dataset, xScale, yScale);
+        // Render panel data, clipped so zoomed data stays inside the panel
+        const panelData = this.createDataGroup('visioncharts-panel-data', panelGroup, index * panelHeight);
+        this.renderPanelData(panelData, dataset, xScale, yScale);
         
         // Render panel label
         const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
@@ -837,15 +1458,16 @@ export default class LineChart extends Chart {
   /**
    * Render axes for a panel
    * @private
+   * @param {string} [side='left'] - Y axis of the panel's dataset, for label formatting
    */
-  renderPanelAxes(panel, xScale, yScale, width, height) {
+  renderPanelAxes(panel, xScale, yScale, width, height, side = 'left') {
     // X-axis (simplified, only draw line)
     const xAxis = document.createElementNS('http://www.w3.org/2000/svg', 'line');
     xAxis.setAttribute('x1', 0);
     xAxis.setAttribute('y1', height);
     xAxis.setAttribute('x2', width);
     xAxis.setAttribute('y2', height);
-    xAxis.setAttribute('stroke', '#ccc');
+    xAxis.setAttribute('stroke', this.theme.axis.line);
     xAxis.setAttribute('stroke-width', 1);
     panel.appendChild(xAxis);
     
@@ -855,7 +1477,7 @@ export default class LineChart extends Chart {
     yAxis.setAttribute('y1', 0);
     yAxis.setAttribute('x2', 0);
     yAxis.setAttribute('y2', height);
-    yAxis.setAttribute('stroke', '#ccc');
+    yAxis.setAttribute('stroke', this.theme.axis.line);
     yAxis.setAttribute('stroke-width', 1);
     panel.appendChild(yAxis);
     
@@ -869,24 +1491,14 @@ export default class LineChart extends Chart {
       // Skip if out of range
       if (y < 0 || y > height) return;
       
-      // Format label text
-      let labelText;
-      if (this.options.yType === 'percent') {
-        labelText = (value * 100).toFixed(0) + '%';
-      } else if (this.options.yType === 'currency') {
-        labelText = '$' + value.toFixed(2);
-      } else {
-        labelText = value.toFixed(this.options.isLogarithmic ? 0 : 1);
-      }
-      
       // Draw label
       const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      label.textContent = labelText;
+      label.textContent = this.formatYTickValue(value, side, tickValues);
       label.setAttribute('x', 5);
       label.setAttribute('y', y);
       label.setAttribute('font-size', '10px');
       label.setAttribute('dominant-baseline', 'middle');
-      label.setAttribute('fill', '#666');
+      label.setAttribute('fill', this.theme.mutedTextColor);
       panel.appendChild(label);
     });
   }
@@ -900,6 +1512,28 @@ export default class LineChart extends Chart {
     
     if (!dataset.data || !dataset.data.length) return;
     
+    if (dataset.type === 'histogram') {
+      this.renderHistogram(panel, dataset, xScale, yScale);
+      return;
+    }
+    
+    // A panel holds a single dataset, so its bars get the whole slot
+    if (dataset.type === 'bar') {
+      this.renderBars(panel, dataset, xScale, yScale, {
+        index: 0,
+        count: 1,
+        slotWidth: this.getSlotWidth(dataset.data, xScale)
+      });
+      return;
+    }
+    
+    if (dataset.type === 'band') {
+      this.renderBand(panel, dataset, xScale, yScale);
+      return;
+    }
+    
+    const isScatter = dataset.type === 'scatter';
+    
     // Map data points to coordinates using panel-specific scales
     const points = dataset.data
       .filter(d => d[xField] !== undefined && d[yField] !== undefined)
@@ -926,28 +1560,35 @@ export default class LineChart extends Chart {
         break;
     }
     
-    // Render line
-    const lineElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    lineElement.setAttribute('d', pathD);
-    lineElement.setAttribute('stroke', dataset.color);
-    lineElement.setAttribute('stroke-width', dataset.width);
-    lineElement.setAttribute('fill', 'none');
-    lineElement.setAttribute('class', 'visioncharts-panel-line');
-    panel.appendChild(lineElement);
+    // Render line (scatter series only have points)
+    if (!isScatter) {
+      const lineElement = this.renderer.createElement('path');
+      lineElement.setAttribute('d', pathD);
+      lineElement.setAttribute('stroke', dataset.color);
+      lineElement.setAttribute('stroke-width', dataset.width);
+      lineElement.setAttribute('fill', 'none');
+      lineElement.setAttribute('class', 'visioncharts-panel-line');
+      
+      if (dataset.dashArray) {
+        lineElement.setAttribute('stroke-dasharray', dataset.dashArray);
+      }
+      
+      panel.appendChild(lineElement);
+    }
     
     // Render points if enabled
-    if (showPoints) {
+    if ((showPoints || isScatter) && !dataset.isStudy) {
       dataset.data.forEach(d => {
         if (d[xField] === undefined || d[yField] === undefined) return;
         
         const x = xScale.scale(d[xField]);
         const y = yScale.scale(d[yField]);
         
-        const point = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        const point = this.renderer.createElement('circle');
         point.setAttribute('cx', x);
         point.setAttribute('cy', y);
         point.setAttribute('r', pointRadius);
-        point.setAttribute('fill', '#fff');
+        point.setAttribute('fill', isScatter ? dataset.color : this.theme.point.fill);
         point.setAttribute('stroke', dataset.color);
         point.setAttribute('stroke-width', dataset.width / 2);
         point.setAttribute('class', 'visioncharts-panel-point');
@@ -957,143 +1598,6 @@ export default class LineChart extends Chart {
     }
   }
   
-  /**
-   * Process studies/indicators
-   * @private
-   */
-  processStudies() {
-    console.log('LineChart.processStudies called');
-    
-    const { studies } = this.options;
-    
-    // Skip if no studies
-    if (!studies || !studies.length) {
-      console.log('No studies to process');
-      return;
-    }
-    
-    // Process each study
-    studies.forEach(study => {
-      // Find dataset to apply the study to
-      const dataset = this.state.datasets.find(d => d.id === study.datasetId);
-      if (!dataset || !dataset.data || !dataset.data.length) {
-        console.log('Dataset not found for study:', study.id);
-        return;
-      }
-      
-      console.log('Processing study:', study.type, 'for dataset:', dataset.id);
-      
-      // Create study dataset
-      let studyData;
-      switch (study.type) {
-        case 'sma':
-          studyData = this.calculateSMA(dataset.data, study.params);
-          break;
-        case 'ema':
-          studyData = this.calculateEMA(dataset.data, study.params);
-          break;
-        default:
-          console.warn(`Unsupported study type: ${study.type}`);
-          return;
-      }
-      
-      // Add study dataset
-      this.state.datasets.push({
-        id: study.id,
-        name: study.name || `${study.type.toUpperCase()}(${study.params?.period || 14})`,
-        color: study.color || '#888',
-        width: study.width || 1,
-        type: 'line',
-        data: studyData
-      });
-      
-      console.log('Study added as dataset:', study.id);
-    });
-  }
-  
-  /**
-   * Calculate Simple Moving Average (SMA)
-   * @private
-   * @param {Array} data - Data array
-   * @param {Object} params - SMA parameters
-   * @returns {Array} Data with SMA values
-   */
-  calculateSMA(data, params = {}) {
-    const { period = 14, valueField = 'y' } = params;
-    const xField = this.options.xField;
-    const result = [];
-    
-    // Calculate SMA
-    for (let i = 0; i < data.length; i++) {
-      if (i < period - 1) {
-        // Not enough data yet
-        continue;
-      }
-      
-      let sum = 0;
-      for (let j = 0; j < period; j++) {
-        sum += data[i - j][valueField];
-      }
-      
-      const sma = sum / period;
-      
-      // Create data point
-      result.push({
-        [xField]: data[i][xField],
-        [valueField]: sma
-      });
-    }
-    
-    return result;
-  }
-  
-  /**
-   * Calculate Exponential Moving Average (EMA)
-   * @private
-   * @param {Array} data - Data array
-   * @param {Object} params - EMA parameters
-   * @returns {Array} Data with EMA values
-   */
-  calculateEMA(data, params = {}) {
-    const { period = 14, valueField = 'y' } = params;
-    const xField = this.options.xField;
-    const result = [];
-    
-    // Calculate multiplier
-    const multiplier = 2 / (period + 1);
-    
-    // Calculate EMA
-    let ema = null;
-    
-    for (let i = 0; i < data.length; i++) {
-      if (i < period - 1) {
-        // Not enough data yet
-        continue;
-      }
-      
-      // For the first point, use SMA as the initial EMA
-      if (i === period - 1) {
-        let sum = 0;
-        for (let j = 0; j < period; j++) {
-          sum += data[i - j][valueField];
-        }
-        ema = sum / period;
-      } else {
-        // Calculate EMA using previous EMA
-        const value = data[i][valueField];
-        ema = (value - ema) * multiplier + ema;
-      }
-      
-      // Create data point
-      result.push({
-        [xField]: data[i][xField],
-        [valueField]: ema
-      });
-    }
-    
-    return result;
-  }
-  
   /**
    * Update axes
    * @private
@@ -1146,6 +1650,12 @@ export default class LineChart extends Chart {
         console.error('Error finding Y axis:', error);
       }
       
+      // The right axis may be gone after the update, remove it either way
+      const yRightAxis = this.state.chart.querySelector('.visioncharts-y-right-axis');
+      if (yRightAxis) {
+        yRightAxis.parentNode.removeChild(yRightAxis);
+      }
+      
       // Remove existing axes if found
       if (xAxis) {
         try {
@@ -1189,7 +1699,7 @@ export default class LineChart extends Chart {
     
     try {
       // Remove existing data
-      const dataGroup = this.state.chart.querySelector('.visioncharts-data');
+      const dataGroup = this.getDataLayer().querySelector('.visioncharts-data');
       if (dataGroup) {
         dataGroup.parentNode.removeChild(dataGroup);
         console.log('Removed existing data');
@@ -1207,17 +1717,43 @@ export default class LineChart extends Chart {
   /**
    * Toggle logarithmic scale
    * @public
-   * @param {boolean} isLogarithmic - Whether to use logarithmic scale
+   * @param {boolean|string} isLogarithmic - Whether to use logarithmic scale, or the
+   *   scale type: 'log', 'symlog' (for values that cross zero) or 'linear'
+   * @param {string} [axis='left'] - Y axis to change, 'left' or 'right'
    */
-  toggleLogarithmic(isLogarithmic) {
-    console.log('LineChart.toggleLogarithmic called:', isLogarithmic);
+  toggleLogarithmic(isLogarithmic, axis = 'left') {
+    console.log('LineChart.toggleLogarithmic called:', isLogarithmic, axis);
     
-    this.options.isLogarithmic = isLogarithmic;
+    if (!this.getScaleType(isLogarithmic)) {
+      console.warn('Unknown scale type:', isLogarithmic);
+      return this;
+    }
     
     // Re-create Y scale based on type
-    this.state.scales.y = isLogarithmic ? 
-      new LogScale([0.1, 1], [0, 1]) :
-      new LinearScale([0, 1], [0, 1]);
+    if (axis === 'right') {
+      this.options.isRightLogarithmic = isLogarithmic;
+      this.state.scales.yRight = this.createYScale(isLogarithmic);
+    } else {
+      this.options.isLogarithmic = isLogarithmic;
+      this.state.scales.y = this.createYScale(isLogarithmic);
+    }
+    
+    return this.update();
+  }
+  
+  /**
+   * Set the exchange calendar of the time X axis
+   * @public
+   * @param {Object|boolean|null} calendar - Calendar (see BusinessTimeScale), true for
+   *   weekdays only, or null for continuous time
+   * @returns {LineChart} This chart instance
+   */
+  setBusinessCalendar(calendar) {
+    this.options.businessCalendar = calendar;
+    
+    if (this.options.xType === 'time') {
+      this.state.scales.x = this.createTimeScale();
+    }
     
     return this.update();
   }
@@ -0,0 +1,599 @@
+import LineChart from './LineChart.js';
+import { LinearScale, LogScale, createLogTickValues, createLogMinorTickValues } from '../core/Scale.js';
+import { extent } from '../utils/math.js';
+import { interpolateColor } from '../utils/colors.js';
+import { formatCompactNumber, getCompactNumberPrecision } from '../utils/chartUtils.js';
+
+// Supported point shapes
+const POINT_SHAPES = ['circle', 'square', 'triangle', 'diamond', 'cross'];
+
+// Maximum distance (pixels) between the cursor and a point for it to be hovered
+const HOVER_DISTANCE = 20;
+
+/**
+ * ScatterChart class for cross-sectional data (e.g. P/E against growth)
+ * Both axes are numeric, linear or logarithmic. Points can encode two more
+ * variables: a size field drawn through a radius scale (bubble charts) and a
+ * color field drawn through a color scale. Datasets of another type (e.g. a
+ * 'line' regression fit) are drawn as in a line chart.
+ */
+export default class ScatterChart extends LineChart {
+  /**
+   * Create a new scatter chart
+   * @param {Object} config - Chart configuration
+   */
+  constructor(config) {
+    // Call parent constructor with merged options
+    super({
+      ...config,
+      options: {
+        chartType: 'scatter',
+        xType: 'number',
+        isXLogarithmic: false,
+        pointRadius: 5, // Radius of points without a size value
+        pointShape: 'circle', // 'circle', 'square', 'triangle', 'diamond', 'cross'
+        pointOpacity: 0.7,
+        sizeField: null, // Field holding the size value, e.g. 'size'
+        radiusRange: [4, 24], // Radius of the smallest and largest size value
+        colorField: null, // Field holding the color value, e.g. 'color'
+        colorRange: ['#c6dbef', '#08306b'], // Colors of the lowest and highest numeric color value
+        labelField: 'label', // Field naming a point in the tooltip
+        connectPoints: false, // Connect the points of each dataset (connected scatter)
+        orderField: null, // Field ordering the connected points, e.g. 'date'; data order when null
+        ...config.options
+      }
+    });
+  }
+  
+  /**
+   * Get the type of datasets that don't set one
+   * @private
+   * @returns {string} 'scatter'
+   */
+  getDefaultDatasetType() {
+    return 'scatter';
+  }
+  
+  /**
+   * Create scales for the chart
+   * @private
+   */
+  createScales() {
+    const { isXLogarithmic, isLogarithmic, isRightLogarithmic } = this.options;
+    
+    // Create X scale - use LogScale if isXLogarithmic is true
+    this.state.scales.x = isXLogarithmic ?
+      new LogScale([1, 10], [0, 1]) :
+      new LinearScale([0, 1], [0, 1]);
+    
+    this.state.scales.y = this.createYScale(isLogarithmic);
+    this.state.scales.yRight = this.createYScale(isRightLogarithmic);
+    
+    // Update scales with actual data
+    this.updateScales();
+  }
+  
+  /**
+   * Update scales with actual data
+   * Pads the X domain so points at the edges are not cut in half, and fits
+   * the radius and color scales to the size and color values.
+   * @private
+   */
+  updateScales() {
+    super.updateScales();
+    
+    const { xField, isXLogarithmic } = this.options;
+    
+    const xValues = this.state.datasets
+      .reduce((acc, dataset) => acc.concat(dataset.data || []), [])
+      .map(d => d[xField])
+      .filter(value => typeof value === 'number' && !isNaN(value) && (!isXLogarithmic || value > 0));
+    
+    if (!xValues.length) {
+      this.setXDomain(isXLogarithmic ? [1, 10] : [0, 1]);
+    } else {
+      this.setXDomain(this.padDomain(extent(xValues), isXLogarithmic));
+    }
+    
+    this.updateRadiusScale();
+    this.updateColorScale();
+  }
+  
+  /**
+   * Pad a domain by 5% on each side
+   * @private
+   * @param {Array} domain - Domain [min, max]
+   * @param {boolean} isLogarithmic - Whether to pad in log space
+   * @returns {Array} Padded domain
+   */
+  padDomain([min, max], isLogarithmic) {
+    if (isLogarithmic) {
+      // Pad by a factor, which keeps the minimum positive
+      const factor = min === max ? 2 : Math.pow(max / min, 0.05);
+      return [min / factor, max * factor];
+    }
+    
+    const padding = min === max ? (Math.abs(min) || 1) * 0.1 : (max - min) * 0.05;
+    
+    return [min - padding, max + padding];
+  }
+  
+  /**
+   * Get the datasets drawn as scatter points
+   * @private
+   * @returns {Array} Scatter datasets of the main pane
+   */
+  getScatterDatasets() {
+    return this.getMainDatasets().filter(dataset => dataset.type === 'scatter' && !dataset.isStudy);
+  }
+  
+  /**
+   * Get the values of a field across all scatter points
+   * @private
+   * @param {string} field - Data field
+   * @returns {Array} Values that are set
+   */
+  getFieldValues(field) {
+    return this.getScatterDatasets()
+      .reduce((acc, dataset) => acc.concat(dataset.data), [])
+      .map(d => d[field])
+      .filter(value => value !== undefined && value !== null);
+  }
+  
+  /**
+   * Fit the radius scale to the size values
+   * The scale maps square roots of the sizes, so bubble areas (not radii)
+   * are proportional to the values.
+   * @private
+   */
+  updateRadiusScale() {
+    const { sizeField, radiusRange } = this.options;
+    
+    const sizes = sizeField ?
+      this.getFieldValues(sizeField).filter(value => typeof value === 'number' && value >= 0) :
+      [];
+    
+    if (!sizes.length) {
+      this.state.scales.radius = null;
+      return;
+    }
+    
+    let [min, max] = extent(sizes.map(Math.sqrt));
+    
+    // Equal sizes are all drawn at the largest radius
+    if (min === max) {
+      min = 0;
+    }
+    
+    this.state.scales.radius = new LinearScale([min, max], radiusRange);
+  }
+  
+  /**
+   * Fit the color scale to the color values
+   * Numeric values are interpolated across colorRange, other values are
+   * categories that take the theme palette colors in order of appearance.
+   * @private
+   */
+  updateColorScale() {
+    const { colorField } = this.options;
+    
+    const values = colorField ? this.getFieldValues(colorField) : [];
+    
+    this.state.scales.color = null;
+    this.state.colorCategories = null;
+    
+    if (!values.length) return;
+    
+    if (values.every(value => typeof value === 'number' && !isNaN(value))) {
+      this.state.scales.color = new LinearScale(extent(values), [0, 1]);
+      return;
+    }
+    
+    const { palette } = this.theme;
+    this.state.colorCategories = new Map();
+    
+    values.forEach(value => {
+      const key = String(value);
+      if (!this.state.colorCategories.has(key)) {
+        this.state.colorCategories.set(key, palette[this.state.colorCategories.size % palette.length]);
+      }
+    });
+  }
+  
+  /**
+   * Get the radius of a point
+   * @private
+   * @param {Object} point - Data point
+   * @returns {number} Radius in pixels
+   */
+  getPointRadius(point) {
+    const { sizeField, pointRadius } = this.options;
+    const radiusScale = this.state.scales.radius;
+    const size = sizeField ? point[sizeField] : undefined;
+    
+    if (!radiusScale || typeof size !== 'number' || size < 0) return pointRadius;
+    
+    return radiusScale.scale(Math.sqrt(size));
+  }
+  
+  /**
+   * Get the fill color of a point
+   * @private
+   * @param {Object} dataset - Dataset the point belongs to
+   * @param {Object} point - Data point
+   * @returns {string} Color
+   */
+  getPointColor(dataset, point) {
+    const { colorField, colorRange } = this.options;
+    const value = colorField ? point[colorField] : undefined;
+    
+    if (value === undefined || value === null) return dataset.color;
+    
+    if (this.state.scales.color && typeof value === 'number') {
+      return interpolateColor(colorRange[0], colorRange[1], this.state.scales.color.scale(value));
+    }
+    
+    if (this.state.colorCategories && this.state.colorCategories.has(String(value))) {
+      return this.state.colorCategories.get(String(value));
+    }
+    
+    return dataset.color;
+  }
+  
+  /**
+   * Get the tick values of the X axis
+   * @private
+   * @returns {Array} Tick values
+   */
+  getXTickValues() {
+    if (!this.options.isXLogarithmic) {
+      return super.getXTickValues();
+    }
+    
+    // Powers of the base inside the domain, with 2 and 5 multiples on short domains
+    const { domain, base } = this.state.scales.x;
+    return createLogTickValues(domain[0], domain[1], base);
+  }
+  
+  /**
+   * Get the unlabeled minor tick values of the X axis
+   * @private
+   * @returns {Array} Tick values, only log X axes have minor ticks
+   */
+  getXMinorTickValues() {
+    if (!this.options.isXLogarithmic) return [];
+    
+    const { domain, base } = this.state.scales.x;
+    return createLogMinorTickValues(domain[0], domain[1], base);
+  }
+  
+  /**
+   * Format an X axis tick label
+   * @private
+   * @param {number} value - Tick value
+   * @param {Array<number>} [tickValues] - All ticks of the axis, so log labels show their step
+   * @returns {string} Label text
+   */
+  formatXTickValue(value, tickValues = [value]) {
+    if (this.options.isXLogarithmic) {
+      return formatCompactNumber(value, getCompactNumberPrecision(tickValues));
+    }
+    
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+  }
+  
+  /**
+   * Render a single dataset according to its type
+   * Scatter datasets draw encoded points, optionally connected in order;
+   * other types are drawn by LineChart.
+   * @private
+   * @param {Object} dataset - Dataset to render
+   * @returns {SVGElement} Dataset group element
+   */
+  renderDataset(dataset) {
+    if (dataset.type !== 'scatter' || dataset.isStudy) {
+      return super.renderDataset(dataset);
+    }
+    
+    const { xField, yField, pointOpacity, connectPoints } = this.options;
+    const xScale = this.state.scales.x;
+    const yScale = this.getYScale(dataset);
+    
+    const datasetGroup = this.renderer.createElement('g');
+    datasetGroup.setAttribute('class', `visioncharts-dataset-${dataset.id}`);
+    
+    // Log scales can't place values <= 0, so those points are left out
+    const points = dataset.data.filter(d =>
+      this.isPlottable(d[xField], this.options.isXLogarithmic) &&
+      this.isPlottable(d[yField], this.isLogarithmicDataset(dataset))
+    );
+    
+    // Connected scatter: a line through the points in order, below the points
+    if (connectPoints && points.length > 1) {
+      const path = this.getOrderedPoints(points).map((d, i) => {
+        return `${i === 0 ? 'M' : 'L'}${xScale.scale(d[xField])},${yScale.scale(d[yField])}`;
+      }).join(' ');
+      
+      const line = this.renderer.createElement('path');
+      line.setAttribute('d', path);
+      line.setAttribute('stroke', dataset.color);
+      line.setAttribute('stroke-width', dataset.width);
+      line.setAttribute('stroke-opacity', 0.6);
+      line.setAttribute('fill', 'none');
+      line.setAttribute('class', 'visioncharts-connect-line');
+      
+      datasetGroup.appendChild(line);
+    }
+    
+    const pointsGroup = this.renderer.createElement('g');
+    pointsGroup.setAttribute('class', 'visioncharts-points');
+    
+    // Largest points first, so small points are not hidden behind big bubbles
+    const drawOrder = this.state.scales.radius ?
+      points.slice().sort((a, b) => this.getPointRadius(b) - this.getPointRadius(a)) :
+      points;
+    
+    drawOrder.forEach(d => {
+      const color = this.getPointColor(dataset, d);
+      const point = this.createPointShape(
+        this.getDatasetShape(dataset),
+        xScale.scale(d[xField]),
+        yScale.scale(d[yField]),
+        this.getPointRadius(d)
+      );
+      
+      point.setAttribute('fill', color);
+      point.setAttribute('fill-opacity', pointOpacity);
+      point.setAttribute('stroke', color);
+      point.setAttribute('stroke-width', 1);
+      point.setAttribute('class', 'visioncharts-point');
+      
+      pointsGroup.appendChild(point);
+    });
+    
+    datasetGroup.appendChild(pointsGroup);
+    
+    return datasetGroup;
+  }
+  
+  /**
+   * Check whether a value can be placed on an axis
+   * @private
+   * @param {*} value - Data value
+   * @param {boolean} isLogarithmic - Whether the axis is logarithmic
+   * @returns {boolean} True for finite numbers (positive on log axes)
+   */
+  isPlottable(value, isLogarithmic) {
+    return typeof value === 'number' && isFinite(value) && (!isLogarithmic || value > 0);
+  }
+  
+  /**
+   * Check whether the Y axis of a dataset is logarithmic
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {boolean} True on a logarithmic axis
+   */
+  isLogarithmicDataset(dataset) {
+    return this.getYAxisOptions(dataset.yAxis === 'right' ? 'right' : 'left').isLogarithmic;
+  }
+  
+  /**
+   * Sort points in the order they are connected
+   * @private
+   * @param {Array} points - Data points
+   * @returns {Array} Points ordered by orderField, or in data order
+   */
+  getOrderedPoints(points) {
+    const { orderField } = this.options;
+    if (!orderField) return points;
+    
+    const toOrder = value => value instanceof Date || typeof value === 'string' ?
+      new Date(value).getTime() :
+      value;
+    
+    return points.slice().sort((a, b) => toOrder(a[orderField]) - toOrder(b[orderField]));
+  }
+  
+  /**
+   * Get the point shape of a dataset
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {string} Shape name
+   */
+  getDatasetShape(dataset) {
+    const shape = dataset.shape || this.options.pointShape;
+    
+    return POINT_SHAPES.includes(shape) ? shape : 'circle';
+  }
+  
+  /**
+   * Create a point element
+   * Shapes other than circles are paths of roughly the same area as the circle.
+   * @private
+   * @param {string} shape - Shape name
+   * @param {number} x - Center X coordinate
+   * @param {number} y - Center Y coordinate
+   * @param {number} r - Radius
+   * @returns {SVGElement} Point element
+   */
+  createPointShape(shape, x, y, r) {
+    if (shape === 'circle') {
+      const circle = this.renderer.createElement('circle');
+      circle.setAttribute('cx', x);
+      circle.setAttribute('cy', y);
+      circle.setAttribute('r', r);
+      return circle;
+    }
+    
+    let d;
+    
+    switch (shape) {
+      case 'square': {
+        const s = r * 0.886; // Half side of a square with the circle's area
+        d = `M${x - s},${y - s} L${x + s},${y - s} L${x + s},${y + s} L${x - s},${y + s} Z`;
+        break;
+      }
+      case 'triangle': {
+        const s = r * 1.35; // Distance from the center to a corner
+        d = `M${x},${y - s} L${x + s * 0.866},${y + s / 2} L${x - s * 0.866},${y + s / 2} Z`;
+        break;
+      }
+      case 'diamond': {
+        const s = r * 1.25;
+        d = `M${x},${y - s} L${x + s},${y} L${x},${y + s} L${x - s},${y} Z`;
+        break;
+      }
+      default: {
+        // Cross with arms a third of its width
+        const s = r * 1.1;
+        const t = s / 3;
+        d = `M${x - t},${y - s} L${x + t},${y - s} L${x + t},${y - t} L${x + s},${y - t} ` +
+          `L${x + s},${y + t} L${x + t},${y + t} L${x + t},${y + s} L${x - t},${y + s} ` +
+          `L${x - t},${y + t} L${x - s},${y + t} L${x - s},${y - t} L${x - t},${y - t} Z`;
+      }
+    }
+    
+    const path = this.renderer.createElement('path');
+    path.setAttribute('d', d);
+    return path;
+  }
+  
+  /**
+   * Find the data under the cursor
+   * Scatter points don't share x values, so this picks the single point
+   * nearest to the cursor in both directions.
+   * @private
+   * @param {number} mouseX - X coordinate in plot space
+   * @param {number} mouseY - Y coordinate in plot space
+   * @returns {Object|null} Hover data { x, xValue, points }
+   */
+  getHoverData(mouseX, mouseY) {
+    const { xField, yField } = this.options;
+    const xScale = this.state.scales.x;
+    
+    let nearest = null;
+    let nearestDistance = Infinity;
+    
+    this.getMainDatasets().forEach(dataset => {
+      const yScale = this.getYScale(dataset);
+      const isLogarithmic = this.isLogarithmicDataset(dataset);
+      
+      (dataset.data || []).forEach(point => {
+        if (!this.isPlottable(point[xField], this.options.isXLogarithmic) ||
+            !this.isPlottable(point[yField], isLogarithmic)) return;
+        
+        const x = xScale.scale(point[xField]);
+        const y = yScale.scale(point[yField]);
+        
+        // Large bubbles are hovered anywhere inside them
+        const radius = dataset.type === 'scatter' ? this.getPointRadius(point) : 0;
+        const distance = Math.max(0, Math.hypot(x - mouseX, y - mouseY) - radius);
+        
+        if (distance < nearestDistance) {
+          nearest = { dataset, point, x };
+          nearestDistance = distance;
+        }
+      });
+    });
+    
+    if (!nearest || nearestDistance > HOVER_DISTANCE) return null;
+    
+    const { dataset, point, x } = nearest;
+    
+    return {
+      x,
+      xValue: point[xField],
+      points: [{
+        dataset,
+        point,
+        value: this.getPointValue(point),
+        x
+      }]
+    };
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * Shows the point label (or dataset name), both coordinates and the
+   * size and color values.
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    // Use custom formatter if provided
+    if (typeof this.options.tooltipFormatter === 'function') {
+      return this.options.tooltipFormatter(hover);
+    }
+    
+    const { xField, xAxisName, yAxisName, sizeField, colorField, labelField } = this.options;
+    const { dataset, point, value } = hover.points[0];
+    const color = this.getPointColor(dataset, point);
+    
+    const lines = [
+      point[labelField] !== undefined ? `${point[labelField]} (${dataset.name})` : dataset.name,
+      { text: `${xAxisName || xField}: ${this.formatXTickValue(point[xField])}`, color },
+      { text: `${yAxisName || this.options.yField}: ${this.formatValue(value)}`, color }
+    ];
+    
+    if (sizeField && point[sizeField] !== undefined) {
+      lines.push({ text: `${sizeField}: ${point[sizeField].toLocaleString()}`, color });
+    }
+    
+    if (colorField && point[colorField] !== undefined) {
+      lines.push({ text: `${colorField}: ${point[colorField].toLocaleString()}`, color });
+    }
+    
+    return lines;
+  }
+  
+  /**
+   * Toggle the logarithmic X scale
+   * @public
+   * @param {boolean} isXLogarithmic - Whether to use a logarithmic X scale
+   * @returns {ScatterChart} This chart instance
+   */
+  toggleXLogarithmic(isXLogarithmic) {
+    this.options.isXLogarithmic = Boolean(isXLogarithmic);
+    this.state.zoomDomain = null;
+    
+    this.state.scales.x = this.options.isXLogarithmic ?
+      new LogScale([1, 10], [0, 1]) :
+      new LinearScale([0, 1], [0, 1]);
+    
+    return this.update();
+  }
+  
+  /**
+   * Connect the points of each dataset in order (connected scatter)
+   * @public
+   * @param {boolean} connectPoints - Whether to connect the points
+   * @param {string} [orderField] - Field ordering the points, e.g. 'date'
+   * @returns {ScatterChart} This chart instance
+   */
+  toggleConnectPoints(connectPoints, orderField) {
+    this.options.connectPoints = Boolean(connectPoints);
+    
+    if (orderField !== undefined) {
+      this.options.orderField = orderField;
+    }
+    
+    return this.update();
+  }
+  
+  /**
+   * Set the default point shape
+   * @public
+   * @param {string} shape - 'circle', 'square', 'triangle', 'diamond' or 'cross'
+   * @returns {ScatterChart} This chart instance
+   */
+  setPointShape(shape) {
+    if (!POINT_SHAPES.includes(shape)) {
+      console.warn('Unknown point shape:', shape);
+      return this;
+    }
+    
+    this.options.pointShape = shape;
+    return this.update();
+  }
+}
\ No newline at end of file
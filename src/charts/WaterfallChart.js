@@ -0,0 +1,387 @@
+import BarChart from './BarChart.js';
+
+// Supported step measures
+const MEASURES = ['relative', 'subtotal', 'total'];
+
+/**
+ * WaterfallChart class for bridges and attribution walks
+ * (e.g. a P&L bridge or the contributions to GDP growth)
+ * Data points hold signed deltas that float from the running total, while
+ * subtotal and total points show the running total from zero. Increases,
+ * decreases and totals get their own colors, and connector lines join the
+ * end of each bar to the start of the next.
+ */
+export default class WaterfallChart extends BarChart {
+  /**
+   * Create a new waterfall chart
+   * @param {Object} config - Chart configuration
+   */
+  constructor(config) {
+    // Call parent constructor with merged options
+    super({
+      ...config,
+      options: {
+        chartType: 'waterfall',
+        measureField: 'measure', // Field of the step measure: 'relative' (default), 'subtotal', 'total'
+        increaseColor: null, // Defaults to the theme's up candle color
+        decreaseColor: null, // Defaults to the theme's down candle color
+        totalColor: null, // Defaults to the dataset color
+        subtotalColor: null, // Defaults to the total color
+        showConnectors: true, // Whether to draw lines between consecutive bars
+        ...config.options
+      }
+    });
+  }
+  
+  /**
+   * Process datasets and walk the bar datasets
+   * Subtotal and total points get the running total as their Y value, so
+   * hover events, tooltips and value labels report the total.
+   * @private
+   */
+  processDatasets() {
+    super.processDatasets();
+    
+    this.state.waterfall = new Map();
+    
+    this.state.datasets = this.state.datasets.map(dataset => {
+      if (dataset.isStudy || dataset.paneId || dataset.type !== 'bar') return dataset;
+      
+      const { data, steps } = this.walk(dataset.data);
+      this.state.waterfall.set(dataset.id, steps);
+      
+      return { ...dataset, data };
+    });
+  }
+  
+  /**
+   * Walk the points of a dataset, keeping a running total
+   * Category points are walked in data order, time and number points in X order.
+   * @private
+   * @param {Array} points - Data points
+   * @returns {Object} { data, steps } where steps maps comparable X value ->
+   *   { measure, value, start, end }
+   */
+  walk(points) {
+    const { xField, yField, xType, measureField } = this.options;
+    
+    const ordered = points.filter(d => d[xField] !== undefined);
+    if (xType !== 'category') {
+      ordered.sort((a, b) => this.toComparableX(a[xField]) - this.toComparableX(b[xField]));
+    }
+    
+    const steps = new Map();
+    let runningTotal = 0;
+    
+    const data = ordered.map(d => {
+      let measure = d[measureField] || 'relative';
+      
+      if (!MEASURES.includes(measure)) {
+        console.warn('Unknown waterfall measure:', measure);
+        measure = 'relative';
+      }
+      
+      const key = this.toComparableX(d[xField]);
+      
+      // Totals show the running total, deltas move it
+      if (measure !== 'relative') {
+        steps.set(key, { measure, value: runningTotal, start: 0, end: runningTotal });
+        return { ...d, [yField]: runningTotal };
+      }
+      
+      const value = d[yField];
+      if (typeof value !== 'number' || isNaN(value)) return d;
+      
+      steps.set(key, { measure, value, start: runningTotal, end: runningTotal + value });
+      runningTotal += value;
+      
+      return d;
+    });
+    
+    return { data, steps };
+  }
+  
+  /**
+   * Get the waterfall step of a bar
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @returns {Object|null} Step from walk, or null for bars outside the waterfall
+   */
+  getStep(dataset, xValue) {
+    const steps = this.state.waterfall && this.state.waterfall.get(dataset.id);
+    return (steps && steps.get(this.toComparableX(xValue))) || null;
+  }
+  
+  /**
+   * Check whether bars are stacked
+   * Waterfall bars float on the running total, so they are never stacked.
+   * @private
+   * @returns {boolean} False
+   */
+  isStacked() {
+    return false;
+  }
+  
+  /**
+   * Get the sorted unique X values across all datasets
+   * Categories keep their data order, the order of the walk.
+   * @private
+   * @returns {Array} X values
+   */
+  getUniqueXValues() {
+    if (this.options.xType !== 'category') {
+      return super.getUniqueXValues();
+    }
+    
+    const { xField } = this.options;
+    const allXValues = new Set();
+    
+    this.state.datasets.forEach(dataset => {
+      dataset.data.forEach(d => {
+        if (d[xField] !== undefined) {
+          allXValues.add(d[xField]);
+        }
+      });
+    });
+    
+    return Array.from(allXValues);
+  }
+  
+  /**
+   * Get the values one Y axis must include
+   * Waterfall bars need both ends of every step rather than the deltas.
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Array} Y values
+   */
+  getAxisYValues(side) {
+    const { yField } = this.options;
+    
+    return this.getAxisDatasets(side).reduce((acc, dataset) => {
+      const steps = this.state.waterfall.get(dataset.id);
+      
+      if (steps) {
+        steps.forEach(step => acc.push(step.start, step.end));
+      } else {
+        (dataset.data || []).forEach(d => acc.push(d[yField]));
+      }
+      
+      return acc;
+    }, []);
+  }
+  
+  /**
+   * Get the values a bar spans
+   * Deltas float from the running total before them.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @param {number} yValue - Y value
+   * @param {number} base - Value bars grow from
+   * @returns {Object} Segment { y0, y1 }
+   */
+  getBarSegment(dataset, xValue, yValue, base) {
+    const step = this.getStep(dataset, xValue);
+    if (!step) return super.getBarSegment(dataset, xValue, yValue, base);
+    
+    return step.measure === 'relative' ?
+      { y0: step.start, y1: step.end } :
+      { y0: base, y1: step.end };
+  }
+  
+  /**
+   * Get the fill color of a bar
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @param {number} yValue - Y value
+   * @returns {string} Increase, decrease, subtotal or total color
+   */
+  getBarColor(dataset, xValue, yValue) {
+    const step = this.getStep(dataset, xValue);
+    return step ? this.getStepColor(dataset, step) : super.getBarColor(dataset, xValue, yValue);
+  }
+  
+  /**
+   * Get the color of a waterfall step
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {Object} step - Step from walk
+   * @returns {string} Color
+   */
+  getStepColor(dataset, step) {
+    const { increaseColor, decreaseColor, totalColor, subtotalColor } = this.options;
+    
+    if (step.measure === 'total') {
+      return totalColor || dataset.color;
+    } else if (step.measure === 'subtotal') {
+      return subtotalColor || totalColor || dataset.color;
+    }
+    
+    return step.value >= 0 ?
+      increaseColor || this.theme.candle.up :
+      decreaseColor || this.theme.candle.down;
+  }
+  
+  /**
+   * Format the value label of a bar
+   * Deltas are signed, totals show the running total.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {*} xValue - X value
+   * @param {number} yValue - Y value
+   * @returns {string} Label text
+   */
+  formatBarValue(dataset, xValue, yValue) {
+    const step = this.getStep(dataset, xValue);
+    if (!step) return super.formatBarValue(dataset, xValue, yValue);
+    
+    return step.measure === 'relative' ? this.formatDelta(step.value) : this.formatValue(step.end);
+  }
+  
+  /**
+   * Format a signed change
+   * @private
+   * @param {number} value - Change
+   * @returns {string} Formatted change with its sign
+   */
+  formatDelta(value) {
+    return value > 0 ? `+${this.formatValue(value)}` : this.formatValue(value);
+  }
+  
+  /**
+   * Find the bar group under the cursor
+   * Waterfall points also report their step.
+   * @private
+   * @param {number} mouseX - X coordinate in plot space
+   * @param {number} mouseY - Y coordinate in plot space
+   * @returns {Object|null} Hover data { x, xValue, points }
+   */
+  getHoverData(mouseX, mouseY) {
+    const hover = super.getHoverData(mouseX, mouseY);
+    if (!hover) return null;
+    
+    hover.points.forEach(hoverPoint => {
+      const step = this.getStep(hoverPoint.dataset, hover.xValue);
+      if (step) {
+        hoverPoint.step = step;
+      }
+    });
+    
+    return hover;
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * Deltas show the change and the running total after it.
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    if (typeof this.options.tooltipFormatter === 'function') {
+      return super.formatTooltip(hover);
+    }
+    
+    const [title, ...lines] = super.formatTooltip(hover);
+    
+    // Lines match hover.points one to one
+    return [title, ...lines.map((line, index) => {
+      const { dataset, step } = hover.points[index];
+      if (!step) return line;
+      
+      const text = step.measure === 'relative' ?
+        `${dataset.name}: ${this.formatDelta(step.value)} → ${this.formatValue(step.end)}` :
+        `${dataset.name}: ${this.formatValue(step.end)}`;
+      
+      return { text, color: this.getStepColor(dataset, step) };
+    })];
+  }
+  
+  /**
+   * Render chart data, then the connectors between the bars
+   * @private
+   */
+  renderData() {
+    super.renderData();
+    
+    if (!this.state.chart || !this.options.showConnectors) return;
+    
+    const dataGroup = this.getDataLayer().querySelector('.visioncharts-data');
+    if (dataGroup) {
+      this.renderConnectors(dataGroup);
+    }
+  }
+  
+  /**
+   * Render the connector lines
+   * Each line runs at the running total from the end of one bar to the
+   * start of the next bar of the same dataset.
+   * @private
+   * @param {SVGElement} container - Container element
+   */
+  renderConnectors(container) {
+    const { barWidth, barSpacing, groupBars } = this.options;
+    const uniqueXValues = this.getUniqueXValues();
+    const horizontal = this.isHorizontal();
+    
+    if (!uniqueXValues.length) return;
+    
+    // Same band layout as the bars
+    const totalGroupWidth = this.getBandLength() / uniqueXValues.length;
+    const usableGroupWidth = totalGroupWidth * (1 - barSpacing);
+    const barDatasets = this.state.datasets.filter(dataset => !dataset.isStudy && dataset.type === 'bar');
+    const grouped = groupBars && barDatasets.length > 1;
+    const singleBarWidth = usableGroupWidth * barWidth / (grouped ? barDatasets.length : 1);
+    
+    const connectorsGroup = this.renderer.createElement('g');
+    connectorsGroup.setAttribute('class', 'visioncharts-waterfall-connectors');
+    
+    barDatasets.forEach((dataset, datasetIndex) => {
+      if (!this.state.waterfall.has(dataset.id)) return;
+      
+      const yScale = this.getYScale(dataset);
+      const offset = grouped ? datasetIndex * singleBarWidth : (usableGroupWidth - singleBarWidth) / 2;
+      let previous = null;
+      
+      uniqueXValues.forEach((xValue, xIndex) => {
+        const step = this.getStep(dataset, xValue);
+        if (!step) return;
+        
+        const bandStart = xIndex * totalGroupWidth + (totalGroupWidth - usableGroupWidth) / 2 + offset;
+        
+        if (previous) {
+          const level = yScale.scale(previous.step.end);
+          const from = previous.bandStart + singleBarWidth;
+          
+          const connector = this.renderer.createElement('line');
+          connector.setAttribute('x1', horizontal ? level : from);
+          connector.setAttribute('y1', horizontal ? from : level);
+          connector.setAttribute('x2', horizontal ? level : bandStart);
+          connector.setAttribute('y2', horizontal ? bandStart : level);
+          connector.setAttribute('stroke', this.theme.axis.line);
+          connector.setAttribute('stroke-width', 1);
+          connector.setAttribute('stroke-dasharray', '3,3');
+          connector.setAttribute('class', 'visioncharts-waterfall-connector');
+          connectorsGroup.appendChild(connector);
+        }
+        
+        previous = { step, bandStart };
+      });
+    });
+    
+    container.appendChild(connectorsGroup);
+  }
+  
+  /**
+   * Toggle the connector lines between bars
+   * @public
+   * @param {boolean} showConnectors - Whether to show connectors
+   * @returns {WaterfallChart} This chart instance
+   */
+  toggleConnectors(showConnectors) {
+    this.options.showConnectors = showConnectors;
+    return this.update();
+  }
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 import SvgRenderer from '../renderers/SvgRenderer.js';
+import { getTheme } from '../themes/index.js';
 
 /**
  * Crosshair component for interactive charts
@@ -7,13 +8,16 @@ export default class Crosshair {
   /**
    * Create a new crosshair component
    * @param {Object} options - Crosshair options
+   * @param {string|Object} [options.theme] - Theme name or object providing the default colors
    */
   constructor(options = {}) {
+    const theme = getTheme(options.theme);
+    
     this.options = Object.assign({
       // Default options
       showX: true,
       showY: true,
-      stroke: '#999',
+      stroke: theme.crosshair.stroke,
       strokeWidth: 1,
       strokeDasharray: '4,4',
       snapToData: true
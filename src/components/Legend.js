@@ -1,4 +1,5 @@
 import SvgRenderer from '../renderers/SvgRenderer.js';
+import { getTheme } from '../themes/index.js';
 
 /**
  * Legend component for charts
@@ -7,8 +8,11 @@ export default class Legend {
   /**
    * Create a new legend component
    * @param {Object} options - Legend options
+   * @param {string|Object} [options.theme] - Theme name or object providing the default colors
    */
   constructor(options = {}) {
+    const theme = getTheme(options.theme);
+    
     this.options = Object.assign({
       // Default options
       position: 'bottom', // 'top', 'right', 'bottom', 'left'
@@ -17,15 +21,30 @@ export default class Legend {
       itemMargin: 10,
       symbolSize: 12,
       fontSize: 12,
-      fontFamily: 'sans-serif',
+      fontFamily: theme.fontFamily,
+      textColor: theme.legend.text,
+      inactiveColor: theme.legend.inactive, // Label color of hidden items
+      background: theme.legend.background,
+      border: theme.legend.border,
       interactive: true,  // Allow toggling series visibility
+      isolateOnDoubleClick: true, // Double-click shows only the clicked item
+      doubleClickDelay: 250, // Clicks closer than this (ms) count as a double-click
+      onToggle: null, // Called with (id, visible) when an item is clicked
+      onIsolate: null, // Called with (id) when an item is double-clicked
       wrapText: true,
       maxWidth: null,
+      colorBarLength: 150, // Length of the color bar of a color scale legend
+      colorBarThickness: 12,
+      colorBarSteps: 40, // Number of color bands drawn along the bar
       padding: { top: 5, right: 10, bottom: 5, left: 10 }
     }, options);
     
     this.items = [];
+    this.colorScale = null;
+    this.formatValue = null;
     this.element = null;
+    this.size = { width: 0, height: 0 }; // Rendered size, used for positioning
+    this.clickTimer = null;
   }
   
   /**
@@ -36,15 +55,30 @@ export default class Legend {
   setItems(items) {
     this.items = items.map(item => ({
       label: item.label || '',
-      color: item.color || '#000',
+      color: item.color || this.options.textColor,
       visible: item.visible !== false,
-      type: item.type || 'rect',
+      type: item.type || 'rect', // 'rect', 'line' or 'circle'
       id: item.id || `item-${Math.random().toString(36).substr(2, 9)}`
     }));
     
     return this;
   }
   
+  /**
+   * Show a color scale instead of items
+   * The legend draws a color bar labelled with the ends of the domain (and
+   * the midpoint of a diverging scale).
+   * @param {Object|null} colorScale - Color scale from createColorScale, or null for items
+   * @param {Function} [formatValue] - Formats the labels, String by default
+   * @returns {Legend} This legend instance
+   */
+  setColorScale(colorScale, formatValue = String) {
+    this.colorScale = colorScale;
+    this.formatValue = formatValue;
+    
+    return this;
+  }
+  
   /**
    * Render the legend
    * @param {SVGElement} container - SVG container
@@ -58,14 +92,20 @@ export default class Legend {
       class: 'visioncharts-legend'
     });
     
+    if (this.colorScale) {
+      this.renderColorBar();
+      this.position(container, width, height);
+      return this.element;
+    }
+    
     if (!this.items.length) return this.element;
     
     // Create background
     const background = SvgRenderer.createRect(0, 0, 0, 0, {
       class: 'visioncharts-legend-bg',
-      fill: '#fff',
+      fill: this.options.background,
       'fill-opacity': 0.85,
-      stroke: '#e0e0e0',
+      stroke: this.options.border,
       'stroke-width': 1,
       rx: 4,
       ry: 4
@@ -81,6 +121,8 @@ export default class Legend {
     let y = this.options.padding.top;
     let rowHeight = 0;
     let maxWidth = 0;
+    let contentWidth = 0;
+    let contentHeight = 0;
     
     this.items.forEach(item => {
       // Create item group
@@ -104,6 +146,16 @@ export default class Legend {
             'stroke-width': 2
           }
         );
+      } else if (item.type === 'circle') {
+        symbol = SvgRenderer.createCircle(
+          x + this.options.symbolSize / 2,
+          y + this.options.symbolSize / 2,
+          this.options.symbolSize / 2,
+          {
+            class: 'visioncharts-legend-symbol',
+            fill: item.color
+          }
+        );
       } else {
         symbol = SvgRenderer.createRect(
           x,
@@ -126,7 +178,8 @@ export default class Legend {
           class: 'visioncharts-legend-label',
           'dominant-baseline': 'middle',
           'font-family': this.options.fontFamily,
-          'font-size': this.options.fontSize
+          'font-size': this.options.fontSize,
+          fill: item.visible ? this.options.textColor : this.options.inactiveColor
         }
       );
       
@@ -137,30 +190,25 @@ export default class Legend {
       // Add interactivity
       if (this.options.interactive) {
         itemGroup.style.cursor = 'pointer';
-        itemGroup.addEventListener('click', () => {
-          item.visible = !item.visible;
-          itemGroup.setAttribute('opacity', item.visible ? 1 : 0.5);
-          
-          // Dispatch event
-          const event = new CustomEvent('legend-item-click', {
-            detail: { id: item.id, visible: item.visible }
-          });
-          this.element.dispatchEvent(event);
-        });
+        itemGroup.addEventListener('click', () => this.handleItemClick(item, itemGroup, label));
       }
       
       // Add to items group
       itemsGroup.appendChild(itemGroup);
       
       // Calculate dimensions for next item
-      const labelBBox = label.getBBox();
-      const itemWidth = this.options.symbolSize + 5 + labelBBox.width;
-      const itemHeight = Math.max(this.options.symbolSize, labelBBox.height);
+      const labelSize = this.measureLabel(label, item.label);
+      const itemWidth = this.options.symbolSize + 5 + labelSize.width;
+      const itemHeight = Math.max(this.options.symbolSize, labelSize.height);
       
       // Update max width
       maxWidth = Math.max(maxWidth, itemWidth);
       rowHeight = Math.max(rowHeight, itemHeight);
       
+      // Extent of the items, used to size the background
+      contentWidth = Math.max(contentWidth, x + itemWidth - this.options.padding.left);
+      contentHeight = Math.max(contentHeight, y + itemHeight - this.options.padding.top);
+      
       // Update position for next item
       if (isHorizontal) {
         x += itemWidth + this.options.itemMargin;
@@ -183,14 +231,108 @@ export default class Legend {
     this.element.appendChild(itemsGroup);
     
     // Calculate legend dimensions
-    const legendBBox = itemsGroup.getBBox();
-    const legendWidth = legendBBox.width + this.options.padding.left + this.options.padding.right;
-    const legendHeight = legendBBox.height + this.options.padding.top + this.options.padding.bottom;
+    const legendWidth = contentWidth + this.options.padding.left + this.options.padding.right;
+    const legendHeight = contentHeight + this.options.padding.top + this.options.padding.bottom;
     
     // Update background dimensions
     background.setAttribute('width', legendWidth);
     background.setAttribute('height', legendHeight);
     
+    this.size = { width: legendWidth, height: legendHeight };
+    this.position(container, width, height);
+    
+    return this.element;
+  }
+  
+  /**
+   * Render a color bar with labelled ends
+   * @private
+   */
+  renderColorBar() {
+    const {
+      orientation,
+      colorBarLength,
+      colorBarThickness,
+      colorBarSteps,
+      fontFamily,
+      fontSize,
+      textColor,
+      padding
+    } = this.options;
+    const { domain, midpoint } = this.colorScale;
+    const [min, max] = domain;
+    const isHorizontal = orientation === 'horizontal';
+    
+    const bar = SvgRenderer.createGroup({
+      class: 'visioncharts-legend-color-bar',
+      transform: `translate(${padding.left},${padding.top})`
+    });
+    
+    // Bands of color; vertical bars have the highest value at the top
+    const bandLength = colorBarLength / colorBarSteps;
+    
+    for (let i = 0; i < colorBarSteps; i++) {
+      const value = min + (max - min) * (i + 0.5) / colorBarSteps;
+      const offset = isHorizontal ? i * bandLength : colorBarLength - (i + 1) * bandLength;
+      
+      // Bands overlap slightly so no gaps show between them
+      bar.appendChild(SvgRenderer.createRect(
+        isHorizontal ? offset : 0,
+        isHorizontal ? 0 : offset,
+        isHorizontal ? bandLength + 0.5 : colorBarThickness,
+        isHorizontal ? colorBarThickness : bandLength + 0.5,
+        { fill: this.colorScale.scale(value), stroke: 'none' }
+      ));
+    }
+    
+    // Labels at both ends, and at the midpoint of a diverging scale inside the domain
+    const labels = [min, max];
+    if (midpoint !== null && midpoint !== undefined && midpoint > min && midpoint < max) {
+      labels.push(midpoint);
+    }
+    
+    let labelWidth = 0;
+    
+    labels.forEach(value => {
+      const position = (value - min) / (max - min || 1) * colorBarLength;
+      const text = this.formatValue(value);
+      
+      const label = SvgRenderer.createText(
+        text,
+        isHorizontal ? position : colorBarThickness + 5,
+        isHorizontal ? colorBarThickness + fontSize + 2 : colorBarLength - position,
+        {
+          class: 'visioncharts-legend-label',
+          'text-anchor': isHorizontal ? 'middle' : 'start',
+          'dominant-baseline': isHorizontal ? 'auto' : 'middle',
+          'font-family': fontFamily,
+          'font-size': fontSize,
+          fill: textColor
+        }
+      );
+      
+      bar.appendChild(label);
+      labelWidth = Math.max(labelWidth, this.measureLabel(label, text).width);
+    });
+    
+    this.element.appendChild(bar);
+    
+    // Size used to position the legend
+    this.size = isHorizontal ?
+      { width: colorBarLength + padding.left + padding.right, height: colorBarThickness + fontSize + 2 + padding.top + padding.bottom } :
+      { width: colorBarThickness + 5 + labelWidth + padding.left + padding.right, height: colorBarLength + padding.top + padding.bottom };
+  }
+  
+  /**
+   * Position the legend in its container and add it
+   * @private
+   * @param {SVGElement} container - SVG container
+   * @param {number} width - Container width
+   * @param {number} height - Container height
+   */
+  position(container, width, height) {
+    const { width: legendWidth, height: legendHeight } = this.size;
+    
     // Position legend
     let legendX = 0;
     let legendY = 0;
@@ -231,8 +373,106 @@ export default class Legend {
     
     // Add to container
     container.appendChild(this.element);
+  }
+  
+  /**
+   * Measure a label, estimating its size where SVG layout is unavailable
+   * @private
+   * @param {SVGElement} label - Label element
+   * @param {string} text - Label text
+   * @returns {Object} Size { width, height }
+   */
+  measureLabel(label, text) {
+    try {
+      const bbox = label.getBBox();
+      if (bbox && bbox.width) {
+        return { width: bbox.width, height: bbox.height };
+      }
+    } catch (error) {
+      // getBBox throws when the label is not laid out
+    }
     
-    return this.element;
+    return {
+      width: String(text).length * this.options.fontSize * 0.6,
+      height: this.options.fontSize
+    };
+  }
+  
+  /**
+   * Handle a click on a legend item
+   * A second click within doubleClickDelay isolates the item instead of
+   * toggling it twice.
+   * @private
+   * @param {Object} item - Legend item
+   * @param {SVGElement} itemGroup - Item element
+   * @param {SVGElement} label - Item label element
+   */
+  handleItemClick(item, itemGroup, label) {
+    if (!this.options.isolateOnDoubleClick) {
+      this.toggleItem(item, itemGroup, label);
+      return;
+    }
+    
+    if (this.clickTimer) {
+      clearTimeout(this.clickTimer);
+      this.clickTimer = null;
+      this.isolateItem(item);
+      return;
+    }
+    
+    this.clickTimer = setTimeout(() => {
+      this.clickTimer = null;
+      this.toggleItem(item, itemGroup, label);
+    }, this.options.doubleClickDelay);
+  }
+  
+  /**
+   * Toggle the visibility of an item
+   * @private
+   * @param {Object} item - Legend item
+   * @param {SVGElement} itemGroup - Item element
+   * @param {SVGElement} label - Item label element
+   */
+  toggleItem(item, itemGroup, label) {
+    item.visible = !item.visible;
+    itemGroup.setAttribute('opacity', item.visible ? 1 : 0.5);
+    label.setAttribute('fill', item.visible ? this.options.textColor : this.options.inactiveColor);
+    
+    // Dispatch event
+    if (this.element) {
+      this.element.dispatchEvent(new CustomEvent('legend-item-click', {
+        detail: { id: item.id, visible: item.visible }
+      }));
+    }
+    
+    if (typeof this.options.onToggle === 'function') {
+      this.options.onToggle(item.id, item.visible);
+    }
+  }
+  
+  /**
+   * Show only one item, or all items if it is already the only visible one
+   * @private
+   * @param {Object} item - Legend item
+   */
+  isolateItem(item) {
+    const isolated = item.visible && this.items.every(other => other === item || !other.visible);
+    
+    this.items.forEach(other => {
+      other.visible = isolated || other === item;
+    });
+    
+    if (this.element) {
+      this.element.dispatchEvent(new CustomEvent('legend-item-isolate', {
+        detail: { id: item.id, isolated: !isolated }
+      }));
+    }
+    
+    if (typeof this.options.onIsolate === 'function') {
+      this.options.onIsolate(item.id);
+    } else {
+      this.update();
+    }
   }
   
   /**
@@ -258,6 +498,11 @@ export default class Legend {
    * Destroy the legend
    */
   destroy() {
+    if (this.clickTimer) {
+      clearTimeout(this.clickTimer);
+      this.clickTimer = null;
+    }
+    
     if (this.element && this.element.parentNode) {
       this.element.parentNode.removeChild(this.element);
     }
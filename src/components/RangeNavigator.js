@@ -0,0 +1,359 @@
+import SvgRenderer from '../renderers/SvgRenderer.js';
+import { getTheme } from '../themes/index.js';
+
+/**
+ * RangeNavigator component for time series charts
+ * Draws an overview of the full data with a draggable, resizable window
+ * that selects the visible range of the main plot
+ */
+export default class RangeNavigator {
+  /**
+   * Create a range navigator
+   * @param {Object} options - Range navigator options
+   * @param {string|Object} [options.theme] - Theme name or object providing the default colors
+   */
+  constructor(options = {}) {
+    const theme = getTheme(options.theme);
+    
+    this.options = Object.assign({
+      height: 50, // Height of the overview strip
+      presets: ['1M', '6M', 'YTD', '1Y', '5Y', 'Max'],
+      presetRowHeight: 18,
+      handleWidth: 6,
+      minWindowWidth: 10,
+      background: theme.panel.background,
+      border: theme.panel.border,
+      windowColor: theme.crosshair.stroke,
+      windowOpacity: 0.25,
+      textColor: theme.textColor,
+      activeColor: theme.palette[0],
+      fontFamily: theme.fontFamily,
+      fontSize: 11,
+      onChange: null // Called with the selected [start, end]
+    }, options);
+    
+    this.elements = {
+      group: null,
+      strip: null,
+      window: null,
+      leftHandle: null,
+      rightHandle: null,
+      presets: []
+    };
+    
+    this.xScale = null;
+    this.width = 0;
+    this.range = null;
+    this.drag = null;
+    
+    this.dragMoveHandler = this.handleDragMove.bind(this);
+    this.dragEndHandler = this.handleDragEnd.bind(this);
+  }
+  
+  /**
+   * Render the range navigator
+   * @param {SVGElement} container - Container element
+   * @param {number} width - Navigator width
+   * @param {Object} xScale - X scale covering the full data range
+   * @param {Array} series - Overview lines [{ d, color }]
+   * @returns {SVGElement} Navigator group element
+   */
+  render(container, width, xScale, series = []) {
+    const { height, presetRowHeight, handleWidth } = this.options;
+    
+    this.xScale = xScale;
+    this.width = width;
+    
+    this.elements.group = SvgRenderer.createGroup({
+      class: 'visioncharts-range-navigator'
+    });
+    
+    // Preset buttons
+    this.renderPresets();
+    
+    // Overview strip
+    this.elements.strip = SvgRenderer.createGroup({
+      class: 'visioncharts-range-navigator-strip',
+      transform: `translate(0, ${presetRowHeight})`
+    });
+    
+    const background = SvgRenderer.createRect(0, 0, width, height, {
+      class: 'visioncharts-range-navigator-bg',
+      fill: this.options.background,
+      stroke: this.options.border
+    });
+    background.addEventListener('mousedown', event => this.startDrag(event, 'jump'));
+    this.elements.strip.appendChild(background);
+    
+    series.forEach(({ d, color }) => {
+      this.elements.strip.appendChild(SvgRenderer.createPath(d, {
+        class: 'visioncharts-range-navigator-line',
+        stroke: color,
+        'stroke-width': 1,
+        fill: 'none',
+        'pointer-events': 'none'
+      }));
+    });
+    
+    // Selected window and its resize handles
+    this.elements.window = SvgRenderer.createRect(0, 0, width, height, {
+      class: 'visioncharts-range-navigator-window',
+      fill: this.options.windowColor,
+      'fill-opacity': this.options.windowOpacity,
+      cursor: 'move'
+    });
+    this.elements.window.addEventListener('mousedown', event => this.startDrag(event, 'move'));
+    
+    this.elements.leftHandle = SvgRenderer.createRect(0, 0, handleWidth, height, {
+      class: 'visioncharts-range-navigator-handle left',
+      fill: this.options.windowColor,
+      cursor: 'ew-resize'
+    });
+    this.elements.leftHandle.addEventListener('mousedown', event => this.startDrag(event, 'left'));
+    
+    this.elements.rightHandle = SvgRenderer.createRect(width - handleWidth, 0, handleWidth, height, {
+      class: 'visioncharts-range-navigator-handle right',
+      fill: this.options.windowColor,
+      cursor: 'ew-resize'
+    });
+    this.elements.rightHandle.addEventListener('mousedown', event => this.startDrag(event, 'right'));
+    
+    this.elements.strip.appendChild(this.elements.window);
+    this.elements.strip.appendChild(this.elements.leftHandle);
+    this.elements.strip.appendChild(this.elements.rightHandle);
+    this.elements.group.appendChild(this.elements.strip);
+    
+    container.appendChild(this.elements.group);
+    
+    this.setRange(this.range || xScale.domain);
+    
+    return this.elements.group;
+  }
+  
+  /**
+   * Render the preset buttons (1M, 6M, YTD, ...)
+   * @private
+   */
+  renderPresets() {
+    const { presets, fontFamily, fontSize, textColor } = this.options;
+    
+    // Presets are calendar based, so they only apply to time scales
+    const domainStart = this.xScale.domain[0];
+    if (!(domainStart instanceof Date)) return;
+    
+    let x = 0;
+    
+    this.elements.presets = presets.map(preset => {
+      const label = SvgRenderer.createText(preset, x, 12, {
+        class: 'visioncharts-range-preset',
+        'data-preset': preset,
+        'font-family': fontFamily,
+        'font-size': fontSize,
+        fill: textColor,
+        cursor: 'pointer'
+      });
+      
+      label.addEventListener('click', () => this.selectPreset(preset));
+      this.elements.group.appendChild(label);
+      
+      // Approximate label width, the presets are short
+      x += preset.length * fontSize * 0.7 + 12;
+      
+      return label;
+    });
+  }
+  
+  /**
+   * Get the range selected by a preset, counted back from the end of the data
+   * @param {string} preset - Preset name ('1M', '6M', 'YTD', '1Y', '5Y', 'Max')
+   * @returns {Array|null} Range [start, end], or null for an unknown preset
+   */
+  getPresetRange(preset) {
+    if (!this.xScale) return null;
+    
+    const [domainStart, domainEnd] = this.xScale.domain;
+    const end = new Date(domainEnd);
+    let start = new Date(domainEnd);
+    
+    switch (preset) {
+      case '1M':
+        start.setMonth(start.getMonth() - 1);
+        break;
+      case '6M':
+        start.setMonth(start.getMonth() - 6);
+        break;
+      case 'YTD':
+        start = new Date(end.getFullYear(), 0, 1);
+        break;
+      case '1Y':
+        start.setFullYear(start.getFullYear() - 1);
+        break;
+      case '5Y':
+        start.setFullYear(start.getFullYear() - 5);
+        break;
+      case 'Max':
+        start = new Date(domainStart);
+        break;
+      default:
+        console.warn('Unknown range preset:', preset);
+        return null;
+    }
+    
+    return [new Date(Math.max(start.getTime(), new Date(domainStart).getTime())), end];
+  }
+  
+  /**
+   * Select a preset range
+   * @param {string} preset - Preset name
+   */
+  selectPreset(preset) {
+    const range = this.getPresetRange(preset);
+    
+    if (range && typeof this.options.onChange === 'function') {
+      this.options.onChange(range);
+    }
+  }
+  
+  /**
+   * Move the window to a range
+   * @param {Array} range - Visible range [start, end]
+   */
+  setRange(range) {
+    if (!this.elements.window || !range) return;
+    
+    this.range = range;
+    
+    const { handleWidth } = this.options;
+    const x0 = Math.max(0, this.xScale.scale(range[0]));
+    const x1 = Math.min(this.width, this.xScale.scale(range[1]));
+    
+    this.elements.window.setAttribute('x', x0);
+    this.elements.window.setAttribute('width', Math.max(0, x1 - x0));
+    this.elements.leftHandle.setAttribute('x', x0);
+    this.elements.rightHandle.setAttribute('x', x1 - handleWidth);
+  }
+  
+  /**
+   * Check whether the window or one of its handles is being dragged
+   * @returns {boolean} True during a drag
+   */
+  isDragging() {
+    return Boolean(this.drag);
+  }
+  
+  /**
+   * Start dragging the window or one of its handles
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   * @param {string} mode - 'move', 'left', 'right' or 'jump' (click on the strip)
+   */
+  startDrag(event, mode) {
+    if (event.button !== 0) return;
+    
+    event.preventDefault();
+    event.stopPropagation();
+    
+    let x0 = Number(this.elements.window.getAttribute('x'));
+    let x1 = x0 + Number(this.elements.window.getAttribute('width'));
+    
+    // Clicking the strip centers the window on the click
+    if (mode === 'jump') {
+      const stripLeft = this.elements.strip.getBoundingClientRect().left;
+      const center = event.clientX - stripLeft;
+      const half = (x1 - x0) / 2;
+      
+      x0 = center - half;
+      x1 = center + half;
+      this.applyWindow(x0, x1, 'move');
+      
+      x0 = Number(this.elements.window.getAttribute('x'));
+      x1 = x0 + Number(this.elements.window.getAttribute('width'));
+      mode = 'move';
+    }
+    
+    this.drag = { mode, startClientX: event.clientX, x0, x1 };
+    
+    window.addEventListener('mousemove', this.dragMoveHandler);
+    window.addEventListener('mouseup', this.dragEndHandler);
+  }
+  
+  /**
+   * Update the window while dragging
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleDragMove(event) {
+    if (!this.drag) return;
+    
+    const { mode, startClientX, x0, x1 } = this.drag;
+    const dx = event.clientX - startClientX;
+    
+    if (mode === 'move') {
+      this.applyWindow(x0 + dx, x1 + dx, mode);
+    } else if (mode === 'left') {
+      this.applyWindow(x0 + dx, x1, mode);
+    } else {
+      this.applyWindow(x0, x1 + dx, mode);
+    }
+  }
+  
+  /**
+   * Stop dragging
+   * @private
+   */
+  handleDragEnd() {
+    this.drag = null;
+    
+    window.removeEventListener('mousemove', this.dragMoveHandler);
+    window.removeEventListener('mouseup', this.dragEndHandler);
+  }
+  
+  /**
+   * Clamp a pixel window to the strip and report the selected range
+   * @private
+   * @param {number} x0 - Window start in pixels
+   * @param {number} x1 - Window end in pixels
+   * @param {string} mode - Drag mode
+   */
+  applyWindow(x0, x1, mode) {
+    const { minWindowWidth } = this.options;
+    
+    if (mode === 'move') {
+      // Keep the width, push the window back inside the strip
+      const windowWidth = x1 - x0;
+      x0 = Math.max(0, Math.min(x0, this.width - windowWidth));
+      x1 = x0 + windowWidth;
+    } else if (mode === 'left') {
+      x0 = Math.max(0, Math.min(x0, x1 - minWindowWidth));
+    } else {
+      x1 = Math.min(this.width, Math.max(x1, x0 + minWindowWidth));
+    }
+    
+    const range = [this.xScale.invert(x0), this.xScale.invert(x1)];
+    this.setRange(range);
+    
+    if (typeof this.options.onChange === 'function') {
+      this.options.onChange(range);
+    }
+  }
+  
+  /**
+   * Destroy the range navigator
+   */
+  destroy() {
+    this.handleDragEnd();
+    
+    if (this.elements.group && this.elements.group.parentNode) {
+      this.elements.group.parentNode.removeChild(this.elements.group);
+    }
+    
+    this.elements = {
+      group: null,
+      strip: null,
+      window: null,
+      leftHandle: null,
+      rightHandle: null,
+      presets: []
+    };
+  }
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 import SvgRenderer from '../renderers/SvgRenderer.js';
+import { getTheme } from '../themes/index.js';
 
 /**
  * RecessionLines component for financial charts
@@ -8,13 +9,17 @@ export default class RecessionLines {
   /**
    * Create a recession lines component
    * @param {Object} options - Recession lines options
+   * @param {string|Object} [options.theme] - Theme name or object providing the default colors
    */
   constructor(options = {}) {
+    const theme = getTheme(options.theme);
+    
     this.options = Object.assign({
-      color: 'rgba(235, 54, 54, 0.15)',
-      border: 'rgba(235, 54, 54, 0.3)',
+      color: theme.recession.fill,
+      border: theme.recession.stroke,
       borderWidth: 1,
-      labelColor: '#888',
+      labelColor: theme.recession.label,
+      fontFamily: theme.fontFamily,
       labelFontSize: 10,
       showLabels: true,
       labelPosition: 'top', // 'top', 'bottom'
@@ -114,7 +119,7 @@ export default class RecessionLines {
             'dominant-baseline': this.options.labelPosition === 'top' ? 'hanging' : 'text-after-edge',
             'font-size': this.options.labelFontSize,
             'fill': this.options.labelColor,
-            'font-family': 'sans-serif',
+            'font-family': this.options.fontFamily,
             'pointer-events': 'none'
           }
         );
@@ -1,4 +1,5 @@
 import SvgRenderer from '../renderers/SvgRenderer.js';
+import { getTheme } from '../themes/index.js';
 
 /**
  * Tooltip component for charts
@@ -7,20 +8,24 @@ export default class Tooltip {
   /**
    * Create a new tooltip component
    * @param {Object} options - Tooltip options
+   * @param {string|Object} [options.theme] - Theme name or object providing the default colors
    */
   constructor(options = {}) {
+    const theme = getTheme(options.theme);
+    
     this.options = Object.assign({
       // Default options
       followCursor: true,
       offset: { x: 10, y: 10 },
       padding: { top: 8, right: 8, bottom: 8, left: 8 },
-      background: '#fff',
-      border: '#ccc',
+      background: theme.tooltip.background,
+      border: theme.tooltip.border,
+      textColor: theme.tooltip.text,
       borderWidth: 1,
       borderRadius: 4,
       fontSize: 12,
-      fontFamily: 'sans-serif',
-      boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+      fontFamily: theme.fontFamily,
+      boxShadow: theme.tooltip.shadow,
       maxWidth: 300,
       formatter: null,
       position: 'auto' // 'auto', 'top', 'right', 'bottom', 'left'
@@ -56,14 +61,15 @@ export default class Tooltip {
       'stroke-width': this.options.borderWidth,
       rx: this.options.borderRadius,
       ry: this.options.borderRadius,
-      'filter': this.options.boxShadow ? 'drop-shadow(0px 2px 3px rgba(0,0,0,0.2))' : null
+      'filter': this.options.boxShadow || null
     });
     
     // Create content container
     this.elements.content = SvgRenderer.createText('', 0, 0, {
       class: 'visioncharts-tooltip-text',
       'font-family': this.options.fontFamily,
-      'font-size': this.options.fontSize
+      'font-size': this.options.fontSize,
+      fill: this.options.textColor
     });
     
     // Add to tooltip
@@ -100,13 +106,19 @@ export default class Tooltip {
     }
     
     // Create text elements for multiline support
+    // Lines may be plain strings or { text, color } objects
     const lines = Array.isArray(content) ? content : String(content).split('\n');
     
     lines.forEach((line, i) => {
       const tspan = document.createElementNS('http://www.w3.org/2000/svg', 'tspan');
-      tspan.textContent = line;
+      tspan.textContent = typeof line === 'object' && line !== null ? line.text : line;
       tspan.setAttribute('x', this.options.padding.left);
       tspan.setAttribute('dy', i === 0 ? this.options.padding.top + 16 : 16);
+      
+      if (line && line.color) {
+        tspan.setAttribute('fill', line.color);
+      }
+      
       this.elements.content.appendChild(tspan);
     });
     
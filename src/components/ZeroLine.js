@@ -1,4 +1,5 @@
 import SvgRenderer from '../renderers/SvgRenderer.js';
+import { getTheme } from '../themes/index.js';
 
 /**
  * ZeroLine component for charts
@@ -7,10 +8,13 @@ export default class ZeroLine {
   /**
    * Create a zero line component
    * @param {Object} options - Zero line options
+   * @param {string|Object} [options.theme] - Theme name or object providing the default colors
    */
   constructor(options = {}) {
+    const theme = getTheme(options.theme);
+    
     this.options = Object.assign({
-      color: '#666',
+      color: theme.zeroLine.stroke,
       width: 1,
       dashArray: '',
       opacity: 0.5
@@ -1,5 +1,20 @@
 import SvgRenderer from '../renderers/SvgRenderer.js';
-import { createNiceDomain, createTimeTickValues } from './Scale.js';
+import { getTheme } from '../themes/index.js';
+import { formatCompactNumber, getCompactNumberPrecision } from '../utils/chartUtils.js';
+import {
+  LogScale,
+  SymlogScale,
+  createNiceDomain,
+  createSymlogTickValues,
+  createLogTickValues,
+  createLogMinorTickValues,
+  createTimeTickValues,
+  createTimeTickLabels,
+  getTimeTickInterval
+} from './Scale.js';
+
+// Distance between the tick labels and the second row of time labels
+const SECONDARY_LABEL_OFFSET = 14;
 
 /**
  * Axis class for rendering chart axes
@@ -8,24 +23,36 @@ export default class Axis {
   /**
    * Create an axis
    * @param {Object} options - Axis options
+   * @param {string|Object} [options.theme] - Theme name or object providing the default colors
    */
   constructor(options = {}) {
+    const theme = getTheme(options.theme);
+    
     this.options = Object.assign({
       // Default options
       orientation: 'bottom', // 'bottom', 'top', 'left', 'right'
       scale: null,
       tickCount: 5,
+      tickValues: null, // Explicit tick values, overrides tickCount
       tickSize: 6,
       tickPadding: 3,
       tickFormat: null,
+      minorTicks: true, // Whether log axes draw unlabeled ticks between the labeled ones
       formatType: 'number', // 'number', 'time', 'percent', 'currency'
       formatOptions: {},
+      timeZone: 'local', // Time zone of time ticks: 'local', 'UTC' or an IANA name
+      fiscalYearStart: 1, // First month of the fiscal year for quarter and year ticks
+      weekStart: 1, // First day of a week for weekly ticks, 0 = Sunday
+      multiLevelTimeLabels: true, // Whether time labels get a second row with the date context
       label: '',
+      lineColor: theme.axis.line,
+      textColor: theme.axis.text,
+      fontFamily: theme.fontFamily,
       grid: false,
       gridStyle: {
-        stroke: '#e0e0e0',
+        stroke: theme.grid.stroke,
         'stroke-width': 1,
-        'stroke-dasharray': '4,4'
+        'stroke-dasharray': theme.grid.dashArray
       }
     }, options);
     
@@ -61,12 +88,26 @@ export default class Axis {
     const scale = this.options.scale;
     if (!scale) return [];
     
+    // Use explicit tick values if provided
+    if (Array.isArray(this.options.tickValues)) {
+      return this.options.tickValues;
+    }
+    
     const domain = scale.domain;
     
-    // Handle time scale
-    if (domain[0] instanceof Date || (typeof domain[0] === 'number' && 
-        domain[0] > 1000000000000)) { // Assume timestamp if > 2001
-      return createTimeTickValues(domain[0], domain[1], this.options.tickCount);
+    // Handle time scale, whose ticks fall on calendar boundaries
+    if (this.isTimeDomain()) {
+      return createTimeTickValues(domain[0], domain[1], this.options.tickCount, scale, this.getCalendarOptions());
+    }
+    
+    // Handle log scale, whose ticks sit at the powers of its base
+    if (scale instanceof LogScale) {
+      return createLogTickValues(domain[0], domain[1], scale.base, this.options.tickCount);
+    }
+    
+    // Handle symlog scale, whose ticks follow the decades on both sides of zero
+    if (scale instanceof SymlogScale) {
+      return createSymlogTickValues(domain[0], domain[1], scale.threshold, this.options.tickCount);
     }
     
     // Handle numeric domain
@@ -83,17 +124,82 @@ export default class Axis {
     return tickValues;
   }
   
+  /**
+   * Generate the unlabeled minor tick values
+   * @returns {Array} Array of tick values, only log scales have minor ticks
+   */
+  generateMinorTickValues() {
+    const { scale, minorTicks, tickCount } = this.options;
+    
+    if (!minorTicks || !(scale instanceof LogScale) || Array.isArray(this.options.tickValues)) {
+      return [];
+    }
+    
+    return createLogMinorTickValues(scale.domain[0], scale.domain[1], scale.base, tickCount);
+  }
+  
+  /**
+   * Check whether the scale domain holds dates
+   * @returns {boolean} True for Date domains and timestamps
+   */
+  isTimeDomain() {
+    const domain = this.options.scale.domain;
+    
+    return domain[0] instanceof Date || (typeof domain[0] === 'number' &&
+      domain[0] > 1000000000000); // Assume timestamp if > 2001
+  }
+  
+  /**
+   * Get the calendar options of time ticks
+   * @returns {Object} Options { timeZone, fiscalYearStart, weekStart, locale }
+   */
+  getCalendarOptions() {
+    const { timeZone, fiscalYearStart, weekStart, formatOptions } = this.options;
+    return { timeZone, fiscalYearStart, weekStart, locale: formatOptions.locale };
+  }
+  
+  /**
+   * Create the labels of the ticks
+   * Time ticks without a custom formatter get labels that suit their interval,
+   * with the date context on a second row.
+   * @param {Array} tickValues - Tick values
+   * @returns {Array} Labels { text, secondary }, secondary is null without a second row
+   */
+  generateTickLabels(tickValues) {
+    const { scale, tickCount, tickFormat, formatType, multiLevelTimeLabels } = this.options;
+    
+    if (typeof tickFormat === 'function' || formatType !== 'time' || !this.isTimeDomain()) {
+      return tickValues.map(value => ({ text: this.formatTickValue(value, tickValues), secondary: null }));
+    }
+    
+    // Explicit tick values have their interval inferred from their spacing
+    const interval = Array.isArray(this.options.tickValues) ?
+      null :
+      getTimeTickInterval(scale.domain[0], scale.domain[1], tickCount);
+    
+    return createTimeTickLabels(tickValues, interval, this.getCalendarOptions()).map(label => ({
+      text: label.text,
+      secondary: multiLevelTimeLabels ? label.secondary : null
+    }));
+  }
+  
   /**
    * Format tick value
    * @param {number|Date} value - Tick value
+   * @param {Array} [tickValues] - All ticks of the axis, so log labels show their step
    * @returns {string} Formatted tick value
    */
-  formatTickValue(value) {
+  formatTickValue(value, tickValues = [value]) {
     // Use custom formatter if provided
     if (typeof this.options.tickFormat === 'function') {
       return this.options.tickFormat(value);
     }
     
+    // Log ticks span powers of the base, e.g. 1k, 10k, 100k
+    if (this.options.formatType === 'number' && this.options.scale instanceof LogScale) {
+      return formatCompactNumber(value, getCompactNumberPrecision(tickValues));
+    }
+    
     // Use built-in formatters
     return SvgRenderer.formatTickValue(
       value,
@@ -130,8 +236,9 @@ export default class Axis {
       container.appendChild(this.gridElement);
     }
     
-    // Generate tick values
+    // Generate tick values and their labels
     const tickValues = this.generateTickValues();
+    const tickLabels = this.generateTickLabels(tickValues);
     
     // Determine axis position and orientation
     const isHorizontal = this.options.orientation === 'bottom' || this.options.orientation === 'top';
@@ -144,14 +251,14 @@ export default class Axis {
       const y = isBottom ? 0 : height;
       line = SvgRenderer.createLine(0, y, width, y, {
         class: 'visioncharts-axis-line',
-        stroke: '#000',
+        stroke: this.options.lineColor,
         'stroke-width': 1
       });
     } else {
       const x = isLeft ? 0 : width;
       line = SvgRenderer.createLine(x, 0, x, height, {
         class: 'visioncharts-axis-line',
-        stroke: '#000',
+        stroke: this.options.lineColor,
         'stroke-width': 1
       });
     }
@@ -159,9 +266,9 @@ export default class Axis {
     this.element.appendChild(line);
     
     // Draw ticks and labels
-    tickValues.forEach(value => {
+    tickValues.forEach((value, index) => {
       let x, y, textX, textY, gridX1, gridY1, gridX2, gridY2;
-      const formattedValue = this.formatTickValue(value);
+      const { text: formattedValue, secondary } = tickLabels[index];
       
       // Scale the value to get the position
       const pos = scale.scale(value);
@@ -194,7 +301,7 @@ export default class Axis {
         isHorizontal ? (isBottom ? y + this.options.tickSize : y - this.options.tickSize) : y,
         {
           class: 'visioncharts-tick',
-          stroke: '#000',
+          stroke: this.options.lineColor,
           'stroke-width': 1
         }
       );
@@ -205,7 +312,8 @@ export default class Axis {
         'text-anchor': isHorizontal ? 'middle' : (isLeft ? 'end' : 'start'),
         'dominant-baseline': isHorizontal ? (isBottom ? 'hanging' : 'auto') : 'central',
         'font-size': '12px',
-        'font-family': 'sans-serif'
+        'font-family': this.options.fontFamily,
+        fill: this.options.textColor
       });
       
       // Create grid line if needed
@@ -219,6 +327,45 @@ export default class Axis {
       
       this.element.appendChild(tick);
       this.element.appendChild(label);
+      
+      // Date context on a second row, away from the axis line
+      if (secondary && isHorizontal) {
+        const secondaryLabel = SvgRenderer.createText(secondary, textX, textY + (isBottom ? SECONDARY_LABEL_OFFSET : -SECONDARY_LABEL_OFFSET), {
+          class: 'visioncharts-tick-label visioncharts-tick-label-secondary',
+          'text-anchor': 'middle',
+          'dominant-baseline': isBottom ? 'hanging' : 'auto',
+          'font-size': '11px',
+          'font-family': this.options.fontFamily,
+          fill: this.options.textColor
+        });
+        
+        this.element.appendChild(secondaryLabel);
+      }
+    });
+    
+    // Draw half-length minor ticks, without labels or grid lines
+    this.generateMinorTickValues().forEach(value => {
+      const pos = scale.scale(value);
+      const tickSize = this.options.tickSize / 2;
+      let tick;
+      
+      if (isHorizontal) {
+        const y = isBottom ? 0 : height;
+        tick = SvgRenderer.createLine(pos, y, pos, isBottom ? y + tickSize : y - tickSize, {
+          class: 'visioncharts-tick visioncharts-tick-minor',
+          stroke: this.options.lineColor,
+          'stroke-width': 1
+        });
+      } else {
+        const x = isLeft ? 0 : width;
+        tick = SvgRenderer.createLine(x, pos, isLeft ? x - tickSize : x + tickSize, pos, {
+          class: 'visioncharts-tick visioncharts-tick-minor',
+          stroke: this.options.lineColor,
+          'stroke-width': 1
+        });
+      }
+      
+      this.element.appendChild(tick);
     });
     
     // Add axis label if provided
@@ -226,8 +373,10 @@ export default class Axis {
       let labelX, labelY, rotate = false;
       
       if (isHorizontal) {
+        // Move the label past a second row of tick labels
+        const offset = tickLabels.some(label => label.secondary) ? 40 + SECONDARY_LABEL_OFFSET : 40;
         labelX = width / 2;
-        labelY = isBottom ? 40 : -40;
+        labelY = isBottom ? offset : -offset;
       } else {
         labelX = isLeft ? -40 : 40;
         labelY = height / 2;
@@ -239,7 +388,8 @@ export default class Axis {
         'text-anchor': 'middle',
         'font-size': '14px',
         'font-weight': 'bold',
-        'font-family': 'sans-serif',
+        'font-family': this.options.fontFamily,
+        fill: this.options.textColor,
         transform: rotate ? `rotate(${isLeft ? -90 : 90} ${labelX} ${labelY})` : null
       });
       
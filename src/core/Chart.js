@@ -1,7 +1,62 @@
+import Axis from './Axis.js';
+import EventEmitter from './EventEmitter.js';
+import {
+  LinearScale,
+  SymlogScale,
+  createNiceDomain,
+  createSymlogTickValues,
+  createLogTickValues,
+  createLogMinorTickValues,
+  getTimeZoneOffset
+} from './Scale.js';
+import Tooltip from '../components/Tooltip.js';
+import Crosshair from '../components/Crosshair.js';
+import Legend from '../components/Legend.js';
+import RangeNavigator from '../components/RangeNavigator.js';
+import SvgRenderer from '../renderers/SvgRenderer.js';
+import CanvasRenderer from '../renderers/CanvasRenderer.js';
+import { formatDateValue, formatCompactNumber, getCompactNumberPrecision, formatPercent, getPercentDecimals } from '../utils/chartUtils.js';
+import { createStudyDatasets, getStudyPane } from '../utils/studies.js';
+import { getTheme } from '../themes/index.js';
+import { extent } from '../utils/math.js';
+
+// Zoom factor applied per mouse-wheel step
+const ZOOM_STEP = 1.2;
+
+// Smallest zoom window as a fraction of the full X range
+const MIN_ZOOM_RATIO = 0.002;
+
+// Brush selections narrower than this (in pixels) are treated as clicks
+const MIN_BRUSH_WIDTH = 5;
+
+// Space between the plot and the range navigator, taken by the X axis labels
+const RANGE_NAVIGATOR_OFFSET = 30;
+
+// Height of the second row of X axis labels, holding the date context of time ticks
+const X_AXIS_SECONDARY_ROW_HEIGHT = 14;
+
+// Height of the preset button row above the range navigator strip
+const RANGE_PRESET_ROW_HEIGHT = 18;
+
+// Distance from a Y axis line to its tick labels
+const Y_AXIS_LABEL_OFFSET = 10;
+
+// Approximate width of a 12px tick label character, used to size the margins
+const Y_AXIS_CHAR_WIDTH = 7;
+
+// Margin space taken by a rotated Y axis name
+const Y_AXIS_NAME_SPACE = 25;
+
+// Supported comparison modes
+const COMPARISON_MODES = ['none', 'percent', 'index100'];
+
 /**
  * Base Chart class that handles common chart functionality
+ *
+ * Emits lifecycle events (beforeRender, render, update, resize, destroy) and
+ * interaction events (pointHover, pointClick, legendToggle, zoom); see on/off/once.
  */
-export default class Chart {
+export default class Chart extends EventEmitter {
   /**
    * Create a new chart instance
    * @param {Object} config - Chart configuration
@@ -10,6 +65,7 @@ export default class Chart {
    * @param {Object} config.options - Chart options
    */
   constructor(config) {
+    super();
     console.log('Chart constructor called');
     
     // Store the configuration
@@ -29,23 +85,54 @@ export default class Chart {
       title: '',
       xAxisName: '',
       yAxisName: '',
-      isLogarithmic: false,
+      isLogarithmic: false, // true or 'log', 'symlog', false or 'linear'
+      rightYAxisName: '', // Right-hand Y axis, used by datasets with yAxis: 'right'
+      isRightLogarithmic: false,
+      symlogThreshold: 1, // Size of the linear region around zero of symlog axes
+      rightYType: null, // Defaults to yType
       isPanelView: false,
       showRecessionLines: false,
       recessions: [],
       showZeroLine: false,
       
+      // Time axis calendar
+      timeZone: 'local', // Time zone of the X ticks: 'local', 'UTC' or an IANA name such as 'America/New_York'
+      fiscalYearStart: 1, // First month of the fiscal year for quarter and year ticks, 1 = January
+      weekStart: 1, // First day of a week for weekly ticks, 0 = Sunday, 1 = Monday
+      multiLevelTimeLabels: true, // Whether the date context goes on a second row under the X labels
+      
       // Data display options
-      colors: ['#1468a8', '#34A853', '#FBBC05', '#EA4335'],
+      colors: null, // Defaults to the theme palette
       lineWidth: 2,
+      hiddenDatasets: [], // Ids of datasets hidden from the legend
+      
+      // Comparison: rebase every series at an anchor X value
+      comparisonMode: 'none', // 'none', 'percent' (change since the anchor) or 'index100' (anchor = 100)
+      comparisonAnchor: null, // X value to rebase at, null for the first visible point
+      comparisonAnchorOnClick: false, // Whether clicking the plot moves the anchor
       
       // Studies/indicators
       studies: [],
+      subPaneHeight: 0.2, // Default height of an oscillator sub-pane (fraction of plot height)
+      subPaneGap: 10,
+      
+      // Interaction
+      showTooltip: true,
+      showCrosshair: true,
+      tooltipFormatter: null,
+      zoomable: true, // Wheel zoom, drag to pan, shift-drag to brush-select
+      showRangeNavigator: false, // Overview strip below the plot that drives the zoom
+      rangeNavigatorHeight: 40,
+      rangePresets: ['1M', '6M', 'YTD', '1Y', '5Y', 'Max'],
       
       // Theme options
-      theme: 'light',
-      fontFamily: 'sans-serif',
-      textColor: '#333',
+      theme: 'light', // Theme name (see registerTheme) or theme object
+      fontFamily: null, // Defaults to the theme font
+      textColor: null, // Defaults to the theme text color
+      
+      // Data layer renderer: 'svg', or 'canvas' for very large datasets
+      // (axes, legend and tooltip are SVG either way)
+      renderer: 'svg',
       
       // Animation
       animation: {
@@ -61,27 +148,63 @@ export default class Chart {
       chart: null,
       scales: {},
       axes: {},
+      margins: null, // Margins grown to fit the Y axis labels (see computeMargins)
       dimensions: {
         width: 0,
         height: 0,
         innerWidth: 0,
-        innerHeight: 0
+        innerHeight: 0,
+        plotHeight: 0
       },
       rendered: false,
-      datasets: [],
+      datasets: [], // Visible datasets
+      allDatasets: [], // All datasets, including hidden ones (for the legend)
+      subPanes: [],
+      fullXDomain: null, // X domain of all data
+      zoomDomain: null, // Visible X window, null when not zoomed
+      drag: null,
+      suppressClick: false, // Set after a drag so the trailing click is ignored
+      hoverKey: null, // Dataset and x of the last pointHover event
+      xIndexes: new WeakMap(), // Data array -> points sorted by x, for hover lookups
+      clipId: `visioncharts-clip-${Math.random().toString(36).substr(2, 9)}`,
       processedData: [],
       components: {
         recessionLines: null,
         zeroLine: null,
         tooltip: null,
+        crosshair: null,
         legend: null,
+        rangeNavigator: null,
         panels: []
       }
     };
 
+    // Resolve the theme before datasets pick their colors
+    this.applyTheme();
+    
+    // Data elements are created through the renderer (see setupRenderer)
+    this.renderer = SvgRenderer;
+    
     // Initialize the chart
     this.init();
   }
+  
+  /**
+   * Resolve the theme option into this.theme
+   * Explicit colors, fontFamily and textColor options take precedence over the theme.
+   * @private
+   */
+  applyTheme() {
+    const theme = getTheme(this.options.theme);
+    const { colors, fontFamily, textColor } = this.options;
+    
+    this.theme = {
+      ...theme,
+      palette: colors && colors.length ? colors : theme.palette,
+      fontFamily: fontFamily || theme.fontFamily,
+      textColor: textColor || theme.textColor
+    };
+  }
 
   /**
    * Initialize the chart
@@ -135,18 +258,30 @@ export default class Chart {
     const width = Math.max(1, this.options.width || containerRect.width || 300);
     const height = Math.max(1, this.options.height || containerRect.height || 200);
     
+    // Margins grow to fit the Y axis labels on both sides
+    const margins = this.computeMargins();
+    this.state.margins = margins;
+    
     // Inner chart area dimensions (excluding margins)
-    const innerWidth = Math.max(1, width - this.options.margins.left - this.options.margins.right);
-    const innerHeight = Math.max(1, height - this.options.margins.top - this.options.margins.bottom);
+    const innerWidth = Math.max(1, width - margins.left - margins.right);
+    const innerHeight = Math.max(1, height - margins.top - margins.bottom);
+    
+    // The range navigator sits below the X axis, inside the inner area
+    const plotHeight = Math.max(1, innerHeight - this.getRangeNavigatorSpace());
     
     // Update state
+    // innerHeight is the main pane, plotHeight also covers the study sub-panes
     this.state.dimensions = {
       width,
       height,
       innerWidth,
-      innerHeight
+      innerHeight: plotHeight,
+      plotHeight
     };
     
+    // Shrink the main pane to make room for sub-panes
+    this.layoutSubPanes();
+    
     // Update scales if already created
     if (Object.keys(this.state.scales).length > 0) {
       this.updateScales();
@@ -155,6 +290,115 @@ export default class Chart {
     // DO NOT update axes here at all
     console.log('Dimensions set, scales updated, skipping axes update');
   }
+  
+  /**
+   * Get the margins around the plot
+   * The configured margins grow so the Y axis labels (and axis names) fit,
+   * on the right only when a dataset uses the right-hand Y axis, and at the
+   * bottom for a second row of X labels.
+   * @private
+   * @returns {Object} Margins { top, right, bottom, left }
+   */
+  computeMargins() {
+    const margins = { ...this.options.margins };
+    
+    // A second row of X labels goes in the bottom margin, or above the range navigator
+    if (this.hasSecondaryXLabels() && !this.getRangeNavigatorSpace()) {
+      margins.bottom += X_AXIS_SECONDARY_ROW_HEIGHT;
+    }
+    
+    // Scales are created after the first layout
+    if (!this.state.scales.y) return margins;
+    
+    const { yAxisName, rightYAxisName } = this.options;
+    
+    margins.left = Math.max(margins.left, this.getAxisMargin(this.getYAxisLabelWidth('left'), yAxisName));
+    
+    if (this.hasRightAxis()) {
+      margins.right = Math.max(margins.right, this.getAxisMargin(this.getYAxisLabelWidth('right'), rightYAxisName));
+    }
+    
+    return margins;
+  }
+  
+  /**
+   * Check whether the X axis labels have a second row
+   * Charts with time X axes override this, see LineChart.
+   * @private
+   * @returns {boolean} True if space is kept for a second row of X labels
+   */
+  hasSecondaryXLabels() {
+    return false;
+  }
+  
+  /**
+   * Get the calendar options of time ticks
+   * Invalid options fall back to their defaults.
+   * @private
+   * @returns {Object} Options { timeZone, fiscalYearStart, weekStart } for createTimeTickValues
+   */
+  getTimeTickOptions() {
+    let { timeZone, fiscalYearStart, weekStart } = this.options;
+    
+    try {
+      getTimeZoneOffset(Date.now(), timeZone);
+    } catch (error) {
+      console.warn('Unknown time zone:', timeZone);
+      timeZone = 'local';
+    }
+    
+    if (!Number.isInteger(fiscalYearStart) || fiscalYearStart < 1 || fiscalYearStart > 12) {
+      console.warn('Invalid fiscal year start:', fiscalYearStart);
+      fiscalYearStart = 1;
+    }
+    
+    if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+      console.warn('Invalid week start:', weekStart);
+      weekStart = 1;
+    }
+    
+    return { timeZone, fiscalYearStart, weekStart };
+  }
+  
+  /**
+   * Get the margin an axis needs for its labels and name
+   * @private
+   * @param {number} labelSize - Size of the labels across the axis in pixels
+   * @param {string} [axisName] - Axis name, if any
+   * @returns {number} Margin in pixels
+   */
+  getAxisMargin(labelSize, axisName) {
+    return labelSize + Y_AXIS_LABEL_OFFSET + (axisName ? Y_AXIS_NAME_SPACE : 0);
+  }
+  
+  /**
+   * Estimate the width of the widest of some axis labels
+   * @private
+   * @param {Array} labels - Label texts
+   * @returns {number} Width in pixels
+   */
+  getLabelWidth(labels) {
+    const lengths = labels.map(label => String(label).length);
+    return lengths.length ? Math.max(...lengths) * Y_AXIS_CHAR_WIDTH : 0;
+  }
+  
+  /**
+   * Lay the chart out again if the Y axis labels need different margins
+   * @private
+   * @returns {boolean} True if the margins changed
+   */
+  refreshMargins() {
+    const margins = this.computeMargins();
+    const current = this.state.margins;
+    
+    const changed = !current || ['top', 'right', 'bottom', 'left'].some(side => margins[side] !== current[side]);
+    
+    if (changed) {
+      this.setDimensionsWithoutUpdatingAxes();
+    }
+    
+    return changed;
+  }
 
   /**
    * Get the container element
@@ -194,6 +438,9 @@ export default class Chart {
     
     const data = this.config.data;
     
+    // Hover lookups index the data arrays built below
+    this.state.xIndexes = new WeakMap();
+    
     // Skip if no data
     if (!data) {
       this.state.datasets = [];
@@ -204,14 +451,22 @@ export default class Chart {
     if (Array.isArray(data)) {
       if (data.length === 0) {
         this.state.datasets = [];
-      } else if (data[0] && data[0].hasOwnProperty('data')) {
+      } else if (data[0] && (data[0].hasOwnProperty('data') || data[0].hasOwnProperty('between'))) {
         // Array of datasets
         this.state.datasets = data.map((dataset, index) => ({
-          id: dataset.id || `dataset-${Math.random().toString(36).substr(2, 9)}`,
+          // Stable default ids so hidden state survives re-processing
+          id: dataset.id || `dataset-${index + 1}`,
           name: dataset.name || `Dataset ${index + 1}`,
-          color: dataset.color || this.options.colors[index % this.options.colors.length],
+          color: dataset.color || this.theme.palette[index % this.theme.palette.length],
           width: dataset.width || this.options.lineWidth,
-          type: dataset.type || 'line',
+          type: dataset.type || this.getDefaultDatasetType(),
+          yAxis: dataset.yAxis === 'right' ? 'right' : 'left',
+          // Point shape of scatter series, defaults to the pointShape option
+          shape: dataset.shape || null,
+          // Band series fill between two datasets, colored by which one is on top
+          between: Array.isArray(dataset.between) ? dataset.between : null,
+          positiveColor: dataset.positiveColor || null,
+          negativeColor: dataset.negativeColor || null,
           data: Array.isArray(dataset.data) ? dataset.data : []
         }));
       } else {
@@ -219,9 +474,10 @@ export default class Chart {
         this.state.datasets = [{
           id: 'dataset-1',
           name: 'Dataset',
-          color: this.options.colors[0],
+          color: this.theme.palette[0],
           width: this.options.lineWidth,
-          type: 'line',
+          type: this.getDefaultDatasetType(),
+          yAxis: 'left',
           data: data
         }];
       }
@@ -230,9 +486,10 @@ export default class Chart {
       this.state.datasets = [{
         id: 'dataset-1',
         name: 'Dataset',
-        color: this.options.colors[0],
+        color: this.theme.palette[0],
         width: this.options.lineWidth,
-        type: 'line',
+        type: this.getDefaultDatasetType(),
+        yAxis: 'left',
         data: data.data || []
       }];
     }
@@ -242,18 +499,193 @@ export default class Chart {
       this.processStudies();
     }
     
+    // Rebase series and their overlay studies for the comparison mode
+    this.applyComparison();
+    
     // Apply date filtering if needed
     this.applyDateFilter();
     
+    // Hidden datasets stay in the legend but are left out of scales and rendering
+    const hidden = this.options.hiddenDatasets || [];
+    this.state.datasets.forEach(dataset => {
+      dataset.visible = !hidden.includes(dataset.id);
+    });
+    this.state.allDatasets = this.state.datasets;
+    this.state.datasets = this.state.datasets.filter(dataset => dataset.visible);
+    
+    // Group separate-pane studies into sub-panes
+    this.processSubPanes();
+    
     console.log('Datasets processed:', this.state.datasets.length);
   }
   
+  /**
+   * Get the type of datasets that don't set one
+   * Each dataset is drawn according to its type ('line', 'area', 'bar', 'scatter'),
+   * so one chart can combine several series types.
+   * @private
+   * @returns {string} Dataset type
+   */
+  getDefaultDatasetType() {
+    return 'line';
+  }
+  
   /**
    * Process studies/indicators
+   * Every chart type goes through the shared study engine, which adds one
+   * dataset per study output (e.g. Bollinger upper/middle/lower).
    * @private
    */
   processStudies() {
-    // To be implemented by subclasses
+    console.log('processStudies called');
+    
+    const { studies, xField, yField } = this.options;
+    
+    // Skip if no studies
+    if (!studies || !studies.length) return;
+    
+    studies.forEach(study => {
+      // Find dataset to apply the study to
+      const dataset = this.state.datasets.find(d => d.id === study.datasetId);
+      if (!dataset || !dataset.data || !dataset.data.length) {
+        console.warn('Dataset not found for study:', study.id);
+        return;
+      }
+      
+      try {
+        const studyDatasets = createStudyDatasets(study, dataset, { xField, yField }, this.theme);
+        
+        // Overlays share the Y axis of their source dataset
+        studyDatasets.forEach(studyDataset => {
+          studyDataset.yAxis = dataset.yAxis;
+        });
+        
+        this.state.datasets.push(...studyDatasets);
+      } catch (error) {
+        console.warn(`Could not process study ${study.id}:`, error.message);
+      }
+    });
+  }
+  
+  /**
+   * Group study datasets that live outside the main pane into sub-panes
+   * @private
+   */
+  processSubPanes() {
+    const { studies } = this.options;
+    
+    this.state.subPanes = [];
+    
+    (studies || []).forEach(study => {
+      const pane = getStudyPane(study);
+      if (!pane) return;
+      
+      const datasets = this.state.datasets.filter(d => d.paneId === pane.id);
+      if (!datasets.length) return;
+      
+      this.state.subPanes.push({
+        ...pane,
+        datasets,
+        top: 0,
+        height: 0,
+        yScale: new LinearScale([0, 1], [0, 1])
+      });
+    });
+    
+    this.layoutSubPanes();
+  }
+  
+  /**
+   * Split the plot height between the main pane and the sub-panes
+   * and fit each sub-pane's Y scale to its datasets
+   * @private
+   */
+  layoutSubPanes() {
+    const { subPaneHeight, subPaneGap, yField } = this.options;
+    const { plotHeight } = this.state.dimensions;
+    const panes = this.state.subPanes;
+    
+    if (!panes.length) {
+      this.state.dimensions.innerHeight = plotHeight;
+      return;
+    }
+    
+    // Sub-panes never take more than 60% of the plot
+    const ratios = panes.map(pane => pane.heightRatio || subPaneHeight);
+    const totalRatio = ratios.reduce((sum, ratio) => sum + ratio, 0);
+    const shrink = totalRatio > 0.6 ? 0.6 / totalRatio : 1;
+    
+    const available = Math.max(1, plotHeight - subPaneGap * panes.length);
+    let top = available * (1 - totalRatio * shrink);
+    
+    this.state.dimensions.innerHeight = Math.max(1, top);
+    
+    panes.forEach((pane, index) => {
+      pane.top = top + subPaneGap;
+      pane.height = Math.max(1, available * ratios[index] * shrink);
+      top = pane.top + pane.height;
+      
+      // Y domain: fixed for bounded studies (RSI), otherwise fitted to the data
+      let domain = pane.domain;
+      
+      if (!domain) {
+        const values = pane.datasets.reduce((acc, dataset) => {
+          dataset.data.forEach(d => {
+            if (typeof d[yField] === 'number' && !isNaN(d[yField])) acc.push(d[yField]);
+          });
+          return acc;
+        }, [...pane.referenceLines]);
+        
+        domain = values.length ?
+          createNiceDomain(...extent(values), 2) :
+          [0, 1];
+      }
+      
+      pane.yScale.setDomain(domain);
+      pane.yScale.setRange([pane.height, 0]);
+    });
+  }
+  
+  /**
+   * Get the datasets drawn in the main pane
+   * @private
+   * @returns {Array} Datasets that are not in a sub-pane
+   */
+  getMainDatasets() {
+    return this.state.datasets.filter(dataset => !dataset.paneId);
+  }
+  
+  /**
+   * Get the main pane datasets plotted against one Y axis
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Array} Datasets
+   */
+  getAxisDatasets(side) {
+    return this.getMainDatasets().filter(dataset => (dataset.yAxis || 'left') === side);
+  }
+  
+  /**
+   * Check whether a visible dataset uses the right-hand Y axis
+   * @private
+   * @returns {boolean} True if the right axis is drawn
+   */
+  hasRightAxis() {
+    return Boolean(this.state.scales.yRight) && this.getAxisDatasets('right').length > 0;
+  }
+  
+  /**
+   * Get the Y scale a dataset is plotted against
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Object} Y scale
+   */
+  getYScale(dataset) {
+    if (dataset && dataset.yAxis === 'right' && this.state.scales.yRight) {
+      return this.state.scales.yRight;
+    }
+    
+    return this.state.scales.y;
   }
   
   /**
@@ -299,6 +731,148 @@ export default class Chart {
     });
   }
 
+  /**
+   * Check whether the datasets are rebased for comparison
+   * @private
+   * @returns {boolean} True in the 'percent' and 'index100' comparison modes
+   */
+  isComparing() {
+    const { comparisonMode } = this.options;
+    return comparisonMode !== 'none' && COMPARISON_MODES.includes(comparisonMode);
+  }
+  
+  /**
+   * Get the X value the datasets are rebased at
+   * The comparisonAnchor option wins, otherwise the anchor follows the start
+   * of the zoom window or of the date filter.
+   * @private
+   * @returns {number} Comparable X value, -Infinity for the first point
+   */
+  getComparisonAnchorX() {
+    const { comparisonAnchor, startDate } = this.options;
+    
+    if (comparisonAnchor !== null && comparisonAnchor !== undefined) {
+      return this.toComparableX(comparisonAnchor);
+    }
+    
+    if (this.state.zoomDomain) {
+      return this.toComparableX(this.state.zoomDomain[0]);
+    }
+    
+    if (startDate && !isNaN(new Date(startDate).getTime())) {
+      return this.toComparableX(new Date(startDate));
+    }
+    
+    return -Infinity;
+  }
+  
+  /**
+   * Rebase datasets for the comparison mode
+   * Each series is divided by its value at the anchor, so 'percent' shows the
+   * change since the anchor and 'index100' starts every series at 100.
+   * Overlay studies are rebased with their source dataset, sub-pane studies
+   * (RSI, MACD) keep their own units.
+   * @private
+   */
+  applyComparison() {
+    if (!this.isComparing()) return;
+    
+    const anchor = this.getComparisonAnchorX();
+    const bases = new Map();
+    
+    this.state.datasets.forEach(dataset => {
+      if (dataset.isStudy || !dataset.data.length) return;
+      
+      const base = this.getComparisonBase(dataset, anchor);
+      
+      if (base) {
+        bases.set(dataset.id, base);
+      } else {
+        console.warn('No positive value to rebase dataset at:', dataset.name);
+      }
+    });
+    
+    this.state.datasets = this.state.datasets.map(dataset => {
+      if (dataset.paneId) return dataset;
+      
+      const base = bases.get(dataset.isStudy ? dataset.sourceId : dataset.id);
+      if (!base) return dataset;
+      
+      return {
+        ...dataset,
+        comparisonBase: base,
+        data: dataset.data.map(point => this.rebasePoint(dataset, point, base.value))
+      };
+    });
+  }
+  
+  /**
+   * Find the value a dataset is rebased at
+   * That is the first point at or after the anchor, or the last point if the
+   * anchor is past the data. Zero and negative values can't be rebased, so
+   * they are skipped.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @param {number} anchor - Comparable anchor X value
+   * @returns {Object|null} Base { x, value }, null if no point has a positive value
+   */
+  getComparisonBase(dataset, anchor) {
+    const { xField } = this.options;
+    let first = null;
+    let last = null;
+    
+    dataset.data.forEach(point => {
+      const field = this.getComparisonFields(dataset).find(name => typeof point[name] === 'number');
+      const value = field ? point[field] : NaN;
+      const x = this.toComparableX(point[xField]);
+      
+      if (!(value > 0) || isNaN(x)) return;
+      
+      if (x >= anchor && (!first || x < first.x)) {
+        first = { x, value };
+      }
+      
+      if (!last || x > last.x) {
+        last = { x, value };
+      }
+    });
+    
+    return first || last;
+  }
+  
+  /**
+   * Get the value fields that are rebased in the comparison mode
+   * The first field holding a number gives the base value.
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {Array<string>} Field names
+   */
+  getComparisonFields(dataset) {
+    return [this.options.yField];
+  }
+  
+  /**
+   * Rebase the value fields of a data point
+   * @private
+   * @param {Object} dataset - Dataset the point belongs to
+   * @param {Object} point - Data point
+   * @param {number} base - Value at the anchor
+   * @returns {Object} Rebased copy of the point
+   */
+  rebasePoint(dataset, point, base) {
+    const rebased = { ...point };
+    
+    this.getComparisonFields(dataset).forEach(field => {
+      if (typeof point[field] === 'number') {
+        rebased[field] = this.options.comparisonMode === 'percent' ?
+          point[field] / base - 1 :
+          point[field] / base * 100;
+      }
+    });
+    
+    return rebased;
+  }
+  
   /**
    * Create scales for the chart
    * @private
@@ -318,53 +892,333 @@ export default class Chart {
     console.log('createAxes called - to be implemented by subclass');
     // To be implemented by subclasses
   }
-
+  
   /**
-   * Update the chart dimensions - but don't call updateAxes unless the chart is rendered
+   * Get the scale and formatting of one Y axis
    * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object} { scale, isLogarithmic, scaleType, yType }, where
+   *   isLogarithmic is only true on a log axis and scaleType is 'log', 'symlog' or 'linear'
    */
-  updateDimensions() {
-    console.log('updateDimensions called');
+  getYAxisOptions(side) {
+    const { rightYType, isLogarithmic, isRightLogarithmic } = this.options;
     
-    this.setDimensionsWithoutUpdatingAxes();
+    // Percent changes since the comparison anchor are shown as percentages
+    const yType = this.options.comparisonMode === 'percent' ? 'percent' : this.options.yType;
     
-    // IMPORTANT: Only update axes if the chart has already been rendered
-    if (this.state.rendered && this.state.chart) {
-      console.log('Chart is already rendered, safe to update axes');
-      this.updateAxes();
-    } else {
-      console.log('Chart is not rendered yet, skipping axes update');
+    if (side === 'right') {
+      const scaleType = this.getScaleType(isRightLogarithmic);
+      
+      return {
+        scale: this.state.scales.yRight,
+        isLogarithmic: scaleType === 'log',
+        scaleType,
+        yType: this.options.comparisonMode === 'percent' ? 'percent' : rightYType || yType
+      };
     }
+    
+    const scaleType = this.getScaleType(isLogarithmic);
+    
+    return { scale: this.state.scales.y, isLogarithmic: scaleType === 'log', scaleType, yType };
   }
-
+  
   /**
-   * Create event listeners
+   * Get the scale type of a logarithmic setting
    * @private
+   * @param {boolean|string} setting - true or 'log', 'symlog', false or 'linear'
+   * @returns {string|null} 'log', 'symlog' or 'linear', null for an unknown setting
    */
-  bindEvents() {
-    console.log('bindEvents called');
-    
-    // Window resize event - using debounced handler to prevent excessive updates
-    const debounce = (func, wait) => {
-      let timeout;
-      return function executedFunction(...args) {
-        const later = () => {
-          clearTimeout(timeout);
-          func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-      };
-    };
-    
-    // Debounced resize handler
-    this.resizeHandler = debounce(this.handleResize.bind(this), 250);
-    window.addEventListener('resize', this.resizeHandler);
+  getScaleType(setting) {
+    if (setting === true || setting === 'log') return 'log';
+    if (setting === 'symlog') return 'symlog';
+    if (!setting || setting === 'linear') return 'linear';
     
-    console.log('Resize event handler bound');
-    // Additional events to be implemented by subclasses
+    return null;
   }
-
+  
+  /**
+   * Create an empty symlog Y scale with the symlogThreshold option
+   * @private
+   * @returns {SymlogScale} Y scale, with the default threshold if the option is invalid
+   */
+  createSymlogScale() {
+    try {
+      return new SymlogScale([0, 1], [0, 1], this.options.symlogThreshold);
+    } catch (error) {
+      console.error('Invalid symlog threshold:', error.message);
+      return new SymlogScale([0, 1], [0, 1]);
+    }
+  }
+  
+  /**
+   * Pad a symlog domain by 10% on each side
+   * The padding is added in symlog space, so it looks the same at both ends.
+   * @private
+   * @param {SymlogScale} scale - Symlog scale
+   * @param {number} min - Smallest value
+   * @param {number} max - Largest value
+   * @returns {Array} Padded domain
+   */
+  padSymlogDomain(scale, min, max) {
+    const low = scale.transform(min);
+    const high = scale.transform(max);
+    const padding = (high - low) * 0.1 || 0.1;
+    
+    return [scale.untransform(low - padding), scale.untransform(high + padding)];
+  }
+  
+  /**
+   * Get the tick values of a Y axis
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Array} Tick values
+   */
+  getYTickValues(side) {
+    const { scale, isLogarithmic } = this.getYAxisOptions(side);
+    if (!scale) return [];
+    
+    const tickCount = 5;
+    const domain = scale.domain;
+    const tickValues = [];
+    
+    if (scale instanceof SymlogScale) {
+      // Symlog ticks at zero and the decades beyond the threshold
+      return createSymlogTickValues(domain[0], domain[1], scale.threshold, tickCount);
+    }
+    
+    if (isLogarithmic) {
+      // Logarithmic scale ticks at the powers of the base
+      return createLogTickValues(domain[0], domain[1], scale.base, tickCount);
+    }
+    
+    // Linear scale ticks
+    const start = domain[0];
+    const end = domain[1];
+    const step = (end - start) / tickCount;
+    
+    for (let i = 0; i <= tickCount; i++) {
+      tickValues.push(start + step * i);
+    }
+    
+    return tickValues;
+  }
+  
+  /**
+   * Get the unlabeled minor tick values of a Y axis
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Array} Tick values, only log axes have minor ticks
+   */
+  getYMinorTickValues(side) {
+    const { scale, isLogarithmic } = this.getYAxisOptions(side);
+    if (!scale || !isLogarithmic) return [];
+    
+    return createLogMinorTickValues(scale.domain[0], scale.domain[1], scale.base);
+  }
+  
+  /**
+   * Format a Y axis tick label
+   * @private
+   * @param {number} value - Tick value
+   * @param {string} side - 'left' or 'right'
+   * @param {Array<number>} [tickValues] - All ticks of the axis, so log and percent labels show their step
+   * @returns {string} Label text
+   */
+  formatYTickValue(value, side, tickValues = [value]) {
+    const { yType, isLogarithmic, scaleType } = this.getYAxisOptions(side);
+    
+    if (yType === 'percent') {
+      return formatPercent(value, getPercentDecimals(tickValues));
+    } else if (yType === 'currency') {
+      return '$' + value.toFixed(2);
+    } else if (scaleType === 'symlog') {
+      // Symlog ticks may be fractions of the threshold
+      return String(Number(value.toPrecision(6)));
+    } else if (isLogarithmic) {
+      // Log ticks span powers of the base, e.g. 1k, 10k, 100k
+      return formatCompactNumber(value, getCompactNumberPrecision(tickValues));
+    }
+    
+    return value.toFixed(1);
+  }
+  
+  /**
+   * Estimate the width of the widest tick label of a Y axis
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {number} Width in pixels
+   */
+  getYAxisLabelWidth(side) {
+    const { scale } = this.getYAxisOptions(side);
+    if (!scale) return 0;
+    
+    const [domainMin, domainMax] = scale.domain;
+    
+    const tickValues = this.getYTickValues(side);
+    const labels = tickValues
+      .filter(value => isFinite(value) && value >= domainMin && value <= domainMax)
+      .map(value => this.formatYTickValue(value, side, tickValues));
+    
+    return this.getLabelWidth(labels);
+  }
+  
+  /**
+   * Create a Y axis
+   * The left axis is drawn at x = 0 with labels to its left, the right axis
+   * at the plot width with labels to its right. Only the left axis draws grid lines.
+   * @private
+   * @param {string} side - 'left' or 'right'
+   * @returns {Object} Axis with a render(container, width, height) function
+   */
+  createYAxis(side) {
+    const isRight = side === 'right';
+    
+    return {
+      render: (container, width, height) => {
+        const { scale } = this.getYAxisOptions(side);
+        if (!scale) return null;
+        
+        const axisX = isRight ? width : 0;
+        const direction = isRight ? 1 : -1;
+        
+        // Create axis group
+        const axisGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        axisGroup.setAttribute('class', isRight ? 'visioncharts-y-right-axis' : 'visioncharts-y-axis');
+        
+        // Draw axis line
+        const axisLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        axisLine.setAttribute('x1', axisX);
+        axisLine.setAttribute('y1', 0);
+        axisLine.setAttribute('x2', axisX);
+        axisLine.setAttribute('y2', height);
+        axisLine.setAttribute('stroke', this.theme.axis.line);
+        axisLine.setAttribute('stroke-width', 1);
+        axisGroup.appendChild(axisLine);
+        
+        // Draw ticks and labels
+        const tickValues = this.getYTickValues(side);
+        tickValues.forEach(value => {
+          const y = scale.scale(value);
+          
+          // Skip if out of range
+          if (y < 0 || y > height) return;
+          
+          // Draw tick
+          const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+          tick.setAttribute('x1', axisX);
+          tick.setAttribute('y1', y);
+          tick.setAttribute('x2', axisX + direction * 6);
+          tick.setAttribute('y2', y);
+          tick.setAttribute('stroke', this.theme.axis.line);
+          tick.setAttribute('stroke-width', 1);
+          axisGroup.appendChild(tick);
+          
+          // Draw label
+          const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+          label.textContent = this.formatYTickValue(value, side, tickValues);
+          label.setAttribute('x', axisX + direction * Y_AXIS_LABEL_OFFSET);
+          label.setAttribute('y', y);
+          label.setAttribute('text-anchor', isRight ? 'start' : 'end');
+          label.setAttribute('dominant-baseline', 'middle');
+          label.setAttribute('font-size', '12px');
+          label.setAttribute('font-family', this.theme.fontFamily);
+          label.setAttribute('fill', this.theme.textColor);
+          axisGroup.appendChild(label);
+          
+          // Draw grid line if needed (the right axis shares the left axis grid)
+          if (this.options.grid && !isRight) {
+            const gridLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+            gridLine.setAttribute('x1', 0);
+            gridLine.setAttribute('y1', y);
+            gridLine.setAttribute('x2', width);
+            gridLine.setAttribute('y2', y);
+            gridLine.setAttribute('stroke', this.theme.grid.stroke);
+            gridLine.setAttribute('stroke-width', 1);
+            gridLine.setAttribute('stroke-dasharray', this.theme.grid.dashArray);
+            axisGroup.appendChild(gridLine);
+          }
+        });
+        
+        // Draw short unlabeled minor ticks between the labeled ones
+        this.getYMinorTickValues(side).forEach(value => {
+          const y = scale.scale(value);
+          if (y < 0 || y > height) return;
+          
+          const tick = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+          tick.setAttribute('x1', axisX);
+          tick.setAttribute('y1', y);
+          tick.setAttribute('x2', axisX + direction * 3);
+          tick.setAttribute('y2', y);
+          tick.setAttribute('stroke', this.theme.axis.line);
+          tick.setAttribute('stroke-width', 1);
+          tick.setAttribute('class', 'visioncharts-minor-tick');
+          axisGroup.appendChild(tick);
+        });
+        
+        // Add to container
+        container.appendChild(axisGroup);
+        
+        return axisGroup;
+      }
+    };
+  }
+
+  /**
+   * Update the chart dimensions - but don't call updateAxes unless the chart is rendered
+   * @private
+   */
+  updateDimensions() {
+    console.log('updateDimensions called');
+    
+    this.setDimensionsWithoutUpdatingAxes();
+    
+    // IMPORTANT: Only update axes if the chart has already been rendered
+    if (this.state.rendered && this.state.chart) {
+      console.log('Chart is already rendered, safe to update axes');
+      this.updateAxes();
+    } else {
+      console.log('Chart is not rendered yet, skipping axes update');
+    }
+  }
+
+  /**
+   * Create event listeners
+   * @private
+   */
+  bindEvents() {
+    console.log('bindEvents called');
+    
+    // Window resize event - using debounced handler to prevent excessive updates
+    const debounce = (func, wait) => {
+      let timeout;
+      return function executedFunction(...args) {
+        const later = () => {
+          clearTimeout(timeout);
+          func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+      };
+    };
+    
+    // Debounced resize handler
+    this.resizeHandler = debounce(this.handleResize.bind(this), 250);
+    window.addEventListener('resize', this.resizeHandler);
+    
+    console.log('Resize event handler bound');
+    
+    // Hover handlers are attached to the SVG each time it is created
+    this.mouseMoveHandler = this.handleMouseMove.bind(this);
+    this.mouseLeaveHandler = this.handleMouseLeave.bind(this);
+    this.clickHandler = this.handleClick.bind(this);
+    
+    // Zoom handlers; drag move/end go on the window so a drag can leave the chart
+    this.wheelHandler = this.handleWheel.bind(this);
+    this.mouseDownHandler = this.handleMouseDown.bind(this);
+    this.dragMoveHandler = this.handleDragMove.bind(this);
+    this.dragEndHandler = this.handleDragEnd.bind(this);
+  }
+
   /**
    * Handle window resize
    * @private
@@ -378,6 +1232,12 @@ export default class Chart {
       if (this.state.rendered) {
         this.update();
       }
+      
+      this.emit('resize', {
+        chart: this,
+        width: this.state.dimensions.width,
+        height: this.state.dimensions.height
+      });
     }
   }
 
@@ -399,17 +1259,61 @@ export default class Chart {
     svg.setAttribute('height', this.state.dimensions.height);
     svg.setAttribute('class', 'visioncharts-svg');
     
+    // Pick the data layer renderer
+    this.setupRenderer();
+    const useCanvas = this.usesCanvas();
+    
+    // Background fill from the theme (kept in exported images)
+    // With the canvas renderer the canvas paints it, under the SVG
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', useCanvas ? 'none' : this.theme.background);
+    background.setAttribute('class', 'visioncharts-background');
+    svg.appendChild(background);
+    
     // Create chart group with transform for margins
     const chart = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    chart.setAttribute('transform', `translate(${this.options.margins.left},${this.options.margins.top})`);
+    chart.setAttribute('transform', `translate(${this.state.margins.left},${this.state.margins.top})`);
     chart.setAttribute('class', 'visioncharts-chart');
     
+    // Clip path for the plot area so zoomed data stays out of the margins
+    const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+    const clipPath = document.createElementNS('http://www.w3.org/2000/svg', 'clipPath');
+    clipPath.setAttribute('id', this.state.clipId);
+    
+    const clipRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    clipRect.setAttribute('x', 0);
+    clipRect.setAttribute('y', 0);
+    clipRect.setAttribute('width', this.state.dimensions.innerWidth);
+    clipRect.setAttribute('height', this.state.dimensions.plotHeight);
+    
+    clipPath.appendChild(clipRect);
+    defs.appendChild(clipPath);
+    svg.appendChild(defs);
+    
     // Add chart group to SVG
     svg.appendChild(chart);
     
     // Add SVG to container
     this.state.container.appendChild(svg);
     
+    // Canvas goes underneath the SVG
+    if (useCanvas) {
+      if (window.getComputedStyle(this.state.container).position === 'static') {
+        this.state.container.style.position = 'relative';
+      }
+      svg.style.position = 'relative';
+      
+      this.renderer.mount(this.state.container, {
+        width: this.state.dimensions.width,
+        height: this.state.dimensions.height,
+        transform: chart.getAttribute('transform'),
+        defs: svg,
+        background: this.theme.background
+      });
+    }
+    
     // Update state
     this.state.svg = svg;
     this.state.chart = chart;
@@ -417,6 +1321,82 @@ export default class Chart {
     console.log('SVG created and added to DOM, chart reference stored');
   }
 
+  /**
+   * Select the data layer renderer from the renderer option
+   * @private
+   */
+  setupRenderer() {
+    const { renderer } = this.options;
+    
+    if (renderer !== 'svg' && renderer !== 'canvas') {
+      console.warn(`Unknown renderer "${renderer}", using svg`);
+    }
+    
+    if (renderer === 'canvas') {
+      if (!(this.renderer instanceof CanvasRenderer)) {
+        this.renderer = new CanvasRenderer();
+      }
+      return;
+    }
+    
+    if (this.renderer instanceof CanvasRenderer) {
+      this.renderer.destroy();
+    }
+    
+    this.renderer = SvgRenderer;
+  }
+  
+  /**
+   * Check whether data is drawn on a canvas
+   * @private
+   * @returns {boolean} True with the canvas renderer
+   */
+  usesCanvas() {
+    return this.renderer instanceof CanvasRenderer;
+  }
+  
+  /**
+   * Get the element data groups are added to
+   * @private
+   * @returns {SVGElement|Object} Chart group (SVG) or canvas scene root
+   */
+  getDataLayer() {
+    return this.usesCanvas() ? this.renderer.root : this.state.chart;
+  }
+  
+  /**
+   * Create a clipped data group inside a panel or sub-pane
+   * With the canvas renderer the group goes to the canvas scene, offset like its SVG parent.
+   * @private
+   * @param {string} className - Group class name
+   * @param {SVGElement} parent - SVG group the data belongs to
+   * @param {number} [offsetY] - Vertical offset of the parent group
+   * @returns {SVGElement|Object} Data group
+   */
+  createDataGroup(className, parent, offsetY = 0) {
+    const group = this.renderer.createGroup({ class: className });
+    this.clipToPlot(group);
+    
+    if (this.usesCanvas()) {
+      group.setAttribute('transform', `translate(0, ${offsetY})`);
+      this.renderer.root.appendChild(group);
+    } else {
+      parent.appendChild(group);
+    }
+    
+    return group;
+  }
+  
+  /**
+   * Paint the canvas data layer (no-op for SVG)
+   * @private
+   */
+  drawCanvas() {
+    if (this.usesCanvas()) {
+      this.renderer.draw();
+    }
+  }
+  
   /**
    * Render the chart
    * @public
@@ -430,6 +1410,11 @@ export default class Chart {
       return this;
     }
     
+    this.emit('beforeRender', { chart: this });
+    
+    // The Y axis labels may need different margins since the last layout
+    this.refreshMargins();
+    
     this.state.container.innerHTML = '';
     
     // Create SVG
@@ -459,17 +1444,30 @@ export default class Chart {
       if (this.options.showRecessionLines && this.options.recessions && this.options.recessions.length) {
         this.renderRecessionLines();
       }
+      
+      // Render study sub-panes below the main pane
+      this.renderSubPanes();
     }
     
+    // Overview strip below the X axis
+    this.renderRangeNavigator();
+    
     // Common components for both modes
     this.renderLegend();
     this.renderTitle();
     
+    // Hover interaction goes last so it sits above the data
+    this.renderInteraction();
+    
     // Update state
     this.state.rendered = true;
     
+    this.drawCanvas();
+    
     console.log('Chart rendering completed, rendered=true');
     
+    this.emit('render', { chart: this });
+    
     return this;
   }
   
@@ -503,7 +1501,7 @@ export default class Chart {
       zeroLine.setAttribute('y1', zeroY);
       zeroLine.setAttribute('x2', this.state.dimensions.innerWidth);
       zeroLine.setAttribute('y2', zeroY);
-      zeroLine.setAttribute('stroke', '#666');
+      zeroLine.setAttribute('stroke', this.theme.zeroLine.stroke);
       zeroLine.setAttribute('stroke-width', 1);
       zeroLine.setAttribute('stroke-dasharray', '4,4');
       zeroLine.setAttribute('class', 'visioncharts-zero-line');
@@ -530,6 +1528,7 @@ export default class Chart {
     // Create recession lines group
     const recessionsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
     recessionsGroup.setAttribute('class', 'visioncharts-recession-lines');
+    this.clipToPlot(recessionsGroup);
     
     // Process each recession period
     recessions.forEach((recession, index) => {
@@ -561,8 +1560,8 @@ export default class Chart {
         recessionArea.setAttribute('y', 0);
         recessionArea.setAttribute('width', endX - startX);
         recessionArea.setAttribute('height', innerHeight);
-        recessionArea.setAttribute('fill', 'rgba(235, 54, 54, 0.15)');
-        recessionArea.setAttribute('stroke', 'rgba(235, 54, 54, 0.3)');
+        recessionArea.setAttribute('fill', this.theme.recession.fill);
+        recessionArea.setAttribute('stroke', this.theme.recession.stroke);
         recessionArea.setAttribute('stroke-width', 1);
         recessionArea.setAttribute('class', `visioncharts-recession-area recession-${index}`);
         
@@ -578,7 +1577,7 @@ export default class Chart {
           label.setAttribute('y', 15);
           label.setAttribute('text-anchor', 'middle');
           label.setAttribute('font-size', '10px');
-          label.setAttribute('fill', '#888');
+          label.setAttribute('fill', this.theme.recession.label);
           label.setAttribute('class', 'visioncharts-recession-label');
           
           recessionsGroup.appendChild(label);
@@ -593,190 +1592,1080 @@ export default class Chart {
   }
 
   /**
-   * Render axes
+   * Render study sub-panes below the main pane
+   * Each sub-pane has its own Y scale and axis and shares the main X scale
    * @private
-   * This should be implemented by subclasses
    */
-  renderAxes() {
-    console.log('renderAxes called - to be implemented by subclass');
-    // To be implemented by subclasses
+  renderSubPanes() {
+    console.log('renderSubPanes called');
+    
+    if (!this.state.chart || !this.state.subPanes.length) return;
+    
+    const { innerWidth } = this.state.dimensions;
+    
+    // Create sub-panes group
+    const panesGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    panesGroup.setAttribute('class', 'visioncharts-sub-panes');
+    
+    this.state.subPanes.forEach(pane => {
+      const { yScale, height, referenceLines } = pane;
+      const [domainMin, domainMax] = yScale.domain;
+      
+      // Create pane group
+      const paneGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      paneGroup.setAttribute('class', `visioncharts-sub-pane sub-pane-${pane.id}`);
+      paneGroup.setAttribute('transform', `translate(0, ${pane.top})`);
+      
+      // Pane border separates it from the pane above
+      const border = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      border.setAttribute('x', 0);
+      border.setAttribute('y', 0);
+      border.setAttribute('width', innerWidth);
+      border.setAttribute('height', height);
+      border.setAttribute('fill', 'none');
+      border.setAttribute('stroke', this.theme.panel.border);
+      border.setAttribute('class', 'visioncharts-sub-pane-border');
+      paneGroup.appendChild(border);
+      
+      // Reference lines (e.g. RSI 30/70, MACD zero)
+      referenceLines.forEach(value => {
+        if (value < domainMin || value > domainMax) return;
+        
+        const y = yScale.scale(value);
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', 0);
+        line.setAttribute('y1', y);
+        line.setAttribute('x2', innerWidth);
+        line.setAttribute('y2', y);
+        line.setAttribute('stroke', this.theme.referenceLine.stroke);
+        line.setAttribute('stroke-width', 1);
+        line.setAttribute('stroke-dasharray', '4,4');
+        line.setAttribute('class', 'visioncharts-reference-line');
+        paneGroup.appendChild(line);
+      });
+      
+      // Y axis labels the domain bounds and the reference lines
+      const tickValues = Array.from(new Set([domainMin, ...referenceLines, domainMax]))
+        .filter(value => value >= domainMin && value <= domainMax)
+        .sort((a, b) => a - b);
+      
+      pane.axis = new Axis({
+        orientation: 'left',
+        scale: yScale,
+        tickValues,
+        theme: this.theme
+      });
+      pane.axis.render(paneGroup, innerWidth, height);
+      
+      // Render pane data
+      const paneData = this.createDataGroup('visioncharts-sub-pane-data', paneGroup, pane.top);
+      this.renderSubPaneData(paneData, pane);
+      
+      // Pane label
+      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      label.textContent = pane.name;
+      label.setAttribute('x', 5);
+      label.setAttribute('y', 12);
+      label.setAttribute('font-size', '11px');
+      label.setAttribute('font-family', this.theme.fontFamily);
+      label.setAttribute('fill', this.theme.textColor);
+      label.setAttribute('class', 'visioncharts-sub-pane-label');
+      paneGroup.appendChild(label);
+      
+      panesGroup.appendChild(paneGroup);
+    });
+    
+    this.state.chart.appendChild(panesGroup);
   }
-
+  
   /**
-   * Render chart data
+   * Render the datasets of a sub-pane
    * @private
    * This should be implemented by subclasses
+   * @param {SVGElement} container - Pane group element
+   * @param {Object} pane - Sub-pane from state.subPanes
    */
-  renderData() {
-    console.log('renderData called - to be implemented by subclass');
+  renderSubPaneData(container, pane) {
+    console.log('renderSubPaneData called - to be implemented by subclass');
     // To be implemented by subclasses
   }
-
+  
   /**
-   * Render chart legend
+   * Update study sub-panes
    * @private
    */
-  renderLegend() {
-    console.log('renderLegend called');
+  updateSubPanes() {
+    console.log('updateSubPanes called');
     
-    if (!this.state.svg) return;
-    
-    // Only render legend if we have multiple datasets
-    if (this.state.datasets.length <= 1) return;
+    if (!this.state.chart) return;
     
-    // Create legend group
-    const legendGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    legendGroup.setAttribute('class', 'visioncharts-legend');
+    // Remove existing sub-panes
+    const existingPanes = this.state.chart.querySelector('.visioncharts-sub-panes');
+    if (existingPanes) {
+      existingPanes.parentNode.removeChild(existingPanes);
+    }
     
-    // Calculate legend position
-    const legendX = 40;
-    const legendY = this.options.margins.top / 2;
-    legendGroup.setAttribute('transform', `translate(${legendX},${legendY})`);
+    // Canvas pane data lives in the scene, not in the pane groups
+    if (this.usesCanvas()) {
+      this.getDataLayer().querySelectorAll('.visioncharts-sub-pane-data').forEach(paneData => {
+        paneData.parentNode.removeChild(paneData);
+      });
+    }
     
-    // Calculate legend items
-    const legendItems = this.state.datasets.map(dataset => ({
-      id: dataset.id,
-      name: dataset.name,
-      color: dataset.color,
-      type: dataset.type
-    }));
+    // Panel view gives every dataset its own panel instead
+    if (!this.options.isPanelView) {
+      this.renderSubPanes();
+    }
+  }
+  
+  /**
+   * Update the panels of panel view
+   * @private
+   */
+  updatePanels() {
+    console.log('updatePanels called');
     
-    // Create legend items
-    let currentX = 0;
-    const itemHeight = 20;
-    const itemSpacing = 20;
+    if (!this.state.chart) return;
     
-    legendItems.forEach((item, index) => {
-      // Create item group
-      const itemGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-      itemGroup.setAttribute('transform', `translate(${currentX},0)`);
-      
-      // Create symbol based on item type
-      if (item.type === 'line' || item.type === 'area') {
-        // Line symbol
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', 0);
-        line.setAttribute('y1', itemHeight / 2);
-        line.setAttribute('x2', 15);
-        line.setAttribute('y2', itemHeight / 2);
-        line.setAttribute('stroke', item.color);
-        line.setAttribute('stroke-width', 2);
-        itemGroup.appendChild(line);
-      } else {
-        // Rectangle symbol for other types
-        const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
-        rect.setAttribute('x', 0);
-        rect.setAttribute('y', itemHeight / 2 - 5);
-        rect.setAttribute('width', 15);
-        rect.setAttribute('height', 10);
-        rect.setAttribute('fill', item.color);
-        itemGroup.appendChild(rect);
-      }
-      
-      // Create label
-      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      label.textContent = item.name;
-      label.setAttribute('x', 20);
-      label.setAttribute('y', itemHeight / 2);
-      label.setAttribute('dominant-baseline', 'middle');
-      label.setAttribute('font-size', '12px');
-      label.setAttribute('font-family', this.options.fontFamily);
-      label.setAttribute('fill', this.options.textColor);
-      itemGroup.appendChild(label);
-      
-      // Add to legend group
-      legendGroup.appendChild(itemGroup);
-      
-      // Calculate width for next item
-      let labelWidth = 80; // Default width estimate
-      try {
-        if (label.getComputedTextLength) {
-          labelWidth = label.getComputedTextLength();
-        }
-      } catch (error) {
-        console.warn('Error getting text length, using default', error);
-      }
-      
-      currentX += 20 + labelWidth + itemSpacing;
+    // Remove existing panels
+    this.state.chart.querySelectorAll('.visioncharts-panel').forEach(panel => {
+      panel.parentNode.removeChild(panel);
     });
     
-    // Add to SVG
-    this.state.svg.appendChild(legendGroup);
+    // Canvas panel data lives in the scene, not in the panel groups
+    if (this.usesCanvas()) {
+      this.getDataLayer().querySelectorAll('.visioncharts-panel-data').forEach(panelData => {
+        panelData.parentNode.removeChild(panelData);
+      });
+    }
+    
+    this.renderPanels();
   }
-
+  
   /**
-   * Render chart title
+   * Get the vertical space taken by the range navigator
    * @private
+   * @returns {number} Height in pixels, 0 when the navigator is off
    */
-  renderTitle() {
-    console.log('renderTitle called');
+  getRangeNavigatorSpace() {
+    if (!this.options.showRangeNavigator || !this.options.zoomable) return 0;
+    
+    return this.getRangeNavigatorOffset() + RANGE_PRESET_ROW_HEIGHT + this.options.rangeNavigatorHeight;
+  }
+  
+  /**
+   * Get the space between the plot and the range navigator
+   * @private
+   * @returns {number} Height in pixels of the X axis labels
+   */
+  getRangeNavigatorOffset() {
+    return RANGE_NAVIGATOR_OFFSET + (this.hasSecondaryXLabels() ? X_AXIS_SECONDARY_ROW_HEIGHT : 0);
+  }
+  
+  /**
+   * Render the range navigator below the X axis
+   * The navigator always shows all data; moving its window zooms the main plot.
+   * @private
+   */
+  renderRangeNavigator() {
+    console.log('renderRangeNavigator called');
+    
+    // Keep the navigator that is being dragged, destroying it would end the drag
+    const current = this.state.components.rangeNavigator;
+    if (current && current.isDragging() && this.state.chart && this.getRangeNavigatorSpace()) {
+      const currentContainer = current.elements.group.parentNode;
+      
+      if (currentContainer.parentNode !== this.state.chart) {
+        this.state.chart.appendChild(currentContainer);
+      }
+      
+      current.setRange(this.getVisibleRange());
+      return;
+    }
+    
+    // Remove the existing navigator
+    if (this.state.components.rangeNavigator) {
+      this.state.components.rangeNavigator.destroy();
+      this.state.components.rangeNavigator = null;
+    }
+    
+    const existingNavigator = this.state.chart && this.state.chart.querySelector('.visioncharts-range-navigator-container');
+    if (existingNavigator) {
+      existingNavigator.parentNode.removeChild(existingNavigator);
+    }
+    
+    if (!this.getRangeNavigatorSpace() || !this.state.fullXDomain || !this.state.chart) return;
+    
+    const { innerWidth, plotHeight } = this.state.dimensions;
+    const { rangeNavigatorHeight, rangePresets } = this.options;
+    
+    // Same scale type as the main X scale, but fixed to the full data range
+    const xScale = this.state.scales.x.copy()
+      .setDomain(this.state.fullXDomain)
+      .setRange([0, innerWidth]);
+    
+    const container = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    container.setAttribute('class', 'visioncharts-range-navigator-container');
+    container.setAttribute('transform', `translate(0, ${plotHeight + this.getRangeNavigatorOffset()})`);
+    this.state.chart.appendChild(container);
+    
+    const navigator = new RangeNavigator({
+      theme: this.theme,
+      height: rangeNavigatorHeight,
+      presets: rangePresets,
+      presetRowHeight: RANGE_PRESET_ROW_HEIGHT,
+      fontFamily: this.theme.fontFamily,
+      textColor: this.theme.textColor,
+      onChange: ([start, end]) => this.zoomTo(start, end)
+    });
+    
+    navigator.render(container, innerWidth, xScale, this.getRangeNavigatorSeries(xScale, rangeNavigatorHeight));
+    navigator.setRange(this.getVisibleRange());
+    
+    this.state.components.rangeNavigator = navigator;
+  }
+  
+  /**
+   * Get the overview lines drawn in the range navigator
+   * @private
+   * This should be implemented by subclasses
+   * @param {Object} xScale - X scale covering the full data range
+   * @param {number} height - Height of the navigator strip
+   * @returns {Array} Overview lines [{ d, color }]
+   */
+  getRangeNavigatorSeries(xScale, height) {
+    console.log('getRangeNavigatorSeries called - to be implemented by subclass');
+    return [];
+  }
+  
+  /**
+   * Render axes
+   * @private
+   * This should be implemented by subclasses
+   */
+  renderAxes() {
+    console.log('renderAxes called - to be implemented by subclass');
+    // To be implemented by subclasses
+  }
+
+  /**
+   * Render chart data
+   * @private
+   * This should be implemented by subclasses
+   */
+  renderData() {
+    console.log('renderData called - to be implemented by subclass');
+    // To be implemented by subclasses
+  }
+
+  /**
+   * Render chart legend
+   * @private
+   */
+  renderLegend() {
+    console.log('renderLegend called');
+    
+    if (!this.state.svg) return;
+    
+    // Remove the existing legend
+    if (this.state.components.legend) {
+      this.state.components.legend.destroy();
+      this.state.components.legend = null;
+    }
+    
+    const existingLegend = this.state.svg.querySelector('.visioncharts-legend-container');
+    if (existingLegend) {
+      existingLegend.parentNode.removeChild(existingLegend);
+    }
+    
+    // Only render legend if we have multiple datasets (hidden ones included)
+    if (this.state.allDatasets.length <= 1) return;
+    
+    const { innerWidth } = this.state.dimensions;
+    
+    // Legend sits in the top margin, aligned with the plot
+    const container = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    container.setAttribute('class', 'visioncharts-legend-container');
+    container.setAttribute('transform', `translate(${this.state.margins.left},0)`);
+    this.state.svg.appendChild(container);
+    
+    const legend = new Legend({
+      theme: this.theme,
+      position: 'top',
+      align: 'start',
+      maxWidth: innerWidth,
+      fontFamily: this.theme.fontFamily,
+      onToggle: (datasetId, visible) => {
+        this.toggleDataset(datasetId, visible);
+        this.emitLegendToggle(datasetId, false);
+      },
+      onIsolate: datasetId => {
+        this.isolateDataset(datasetId);
+        this.emitLegendToggle(datasetId, true);
+      }
+    });
+    
+    legend.setItems(this.state.allDatasets.map(dataset => ({
+      id: dataset.id,
+      label: dataset.name,
+      color: dataset.color,
+      visible: dataset.visible,
+      type: this.getLegendSymbol(dataset)
+    })));
+    
+    legend.render(container, innerWidth, this.state.margins.top);
+    
+    this.state.components.legend = legend;
+  }
+  
+  /**
+   * Get the legend symbol of a dataset
+   * @private
+   * @param {Object} dataset - Dataset
+   * @returns {string} 'line', 'circle' or 'rect'
+   */
+  getLegendSymbol(dataset) {
+    if (dataset.type === 'line' || dataset.type === 'area') return 'line';
+    if (dataset.type === 'scatter') return 'circle';
+    
+    return 'rect';
+  }
+  
+  /**
+   * Emit legendToggle after a legend click
+   * @private
+   * @param {string} datasetId - Clicked dataset ID
+   * @param {boolean} isolated - Whether the click was a double-click (isolate)
+   */
+  emitLegendToggle(datasetId, isolated) {
+    const dataset = this.state.allDatasets.find(d => d.id === datasetId);
+    
+    this.emit('legendToggle', {
+      chart: this,
+      datasetId,
+      dataset,
+      visible: dataset ? dataset.visible : false,
+      isolated,
+      hiddenDatasets: this.options.hiddenDatasets.slice()
+    });
+  }
+
+  /**
+   * Render chart title
+   * @private
+   */
+  renderTitle() {
+    console.log('renderTitle called');
+    
+    if (!this.state.svg) return;
+    
+    if (this.options.title) {
+      const title = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      title.textContent = this.options.title;
+      title.setAttribute('x', this.state.dimensions.width / 2);
+      title.setAttribute('y', 15);
+      title.setAttribute('text-anchor', 'middle');
+      title.setAttribute('font-size', '16px');
+      title.setAttribute('font-weight', 'bold');
+      title.setAttribute('font-family', this.theme.fontFamily);
+      title.setAttribute('fill', this.theme.textColor);
+      title.setAttribute('class', 'visioncharts-title');
+      
+      this.state.svg.appendChild(title);
+    }
+    
+    // Render axis names if provided
+    this.renderAxisNames();
+  }
+  
+  /**
+   * Render axis names
+   * @private
+   */
+  renderAxisNames() {
+    console.log('renderAxisNames called');
+    
+    if (!this.state.svg) return;
+    
+    const { xAxisName, yAxisName, rightYAxisName } = this.options;
+    const { width, height, innerWidth, innerHeight } = this.state.dimensions;
+    const { left, top, right, bottom } = this.state.margins;
+    
+    // X-axis name
+    if (xAxisName) {
+      const xAxisNameElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      xAxisNameElement.textContent = xAxisName;
+      xAxisNameElement.setAttribute('x', left + innerWidth / 2);
+      xAxisNameElement.setAttribute('y', height - 5);
+      xAxisNameElement.setAttribute('text-anchor', 'middle');
+      xAxisNameElement.setAttribute('font-size', '14px');
+      xAxisNameElement.setAttribute('font-family', this.theme.fontFamily);
+      xAxisNameElement.setAttribute('fill', this.theme.textColor);
+      xAxisNameElement.setAttribute('class', 'visioncharts-axis-name x-axis-name');
+      
+      this.state.svg.appendChild(xAxisNameElement);
+    }
+    
+    // Y-axis name
+    if (yAxisName) {
+      const yAxisNameElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      yAxisNameElement.textContent = yAxisName;
+      yAxisNameElement.setAttribute('x', 15);
+      yAxisNameElement.setAttribute('y', top + innerHeight / 2);
+      yAxisNameElement.setAttribute('text-anchor', 'middle');
+      yAxisNameElement.setAttribute('transform', `rotate(-90, 15, ${top + innerHeight / 2})`);
+      yAxisNameElement.setAttribute('font-size', '14px');
+      yAxisNameElement.setAttribute('font-family', this.theme.fontFamily);
+      yAxisNameElement.setAttribute('fill', this.theme.textColor);
+      yAxisNameElement.setAttribute('class', 'visioncharts-axis-name y-axis-name');
+      
+      this.state.svg.appendChild(yAxisNameElement);
+    }
+    
+    // Right Y-axis name, reads top to bottom along the right edge
+    if (rightYAxisName && this.hasRightAxis()) {
+      const nameX = width - 15;
+      const rightAxisNameElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      rightAxisNameElement.textContent = rightYAxisName;
+      rightAxisNameElement.setAttribute('x', nameX);
+      rightAxisNameElement.setAttribute('y', top + innerHeight / 2);
+      rightAxisNameElement.setAttribute('text-anchor', 'middle');
+      rightAxisNameElement.setAttribute('transform', `rotate(90, ${nameX}, ${top + innerHeight / 2})`);
+      rightAxisNameElement.setAttribute('font-size', '14px');
+      rightAxisNameElement.setAttribute('font-family', this.theme.fontFamily);
+      rightAxisNameElement.setAttribute('fill', this.theme.textColor);
+      rightAxisNameElement.setAttribute('class', 'visioncharts-axis-name y-right-axis-name');
+      
+      this.state.svg.appendChild(rightAxisNameElement);
+    }
+  }
+
+  /**
+   * Render hover interaction components (crosshair and tooltip)
+   * @private
+   */
+  renderInteraction() {
+    console.log('renderInteraction called');
+    
+    if (!this.state.svg || !this.state.chart) return;
+    
+    const { showTooltip, showCrosshair } = this.options;
+    const { innerWidth, plotHeight } = this.state.dimensions;
+    
+    // Crosshair lives inside the plot area and spans the sub-panes
+    if (showCrosshair) {
+      this.state.components.crosshair = new Crosshair({ theme: this.theme });
+      this.state.components.crosshair.render(this.state.chart, innerWidth, plotHeight);
+      this.state.components.crosshair.elements.group.setAttribute('pointer-events', 'none');
+    }
+    
+    // Tooltip lives in the SVG root so it can overflow the plot area
+    if (showTooltip) {
+      this.state.components.tooltip = new Tooltip({
+        theme: this.theme,
+        formatter: hover => this.formatTooltip(hover)
+      });
+      this.state.components.tooltip.render(this.state.svg);
+      this.state.components.tooltip.elements.tooltip.setAttribute('pointer-events', 'none');
+    }
+    
+    // Always listen so pointHover and pointClick fire without tooltip or crosshair
+    this.state.svg.addEventListener('mousemove', this.mouseMoveHandler);
+    this.state.svg.addEventListener('mouseleave', this.mouseLeaveHandler);
+    this.state.svg.addEventListener('click', this.clickHandler);
+    
+    if (this.options.zoomable) {
+      this.state.svg.addEventListener('wheel', this.wheelHandler, { passive: false });
+      this.state.svg.addEventListener('mousedown', this.mouseDownHandler);
+    }
+  }
+  
+  /**
+   * Update hover interaction components
+   * @private
+   */
+  updateInteraction() {
+    console.log('updateInteraction called');
+    
+    this.destroyInteraction();
+    this.renderInteraction();
+  }
+  
+  /**
+   * Remove hover interaction components and listeners
+   * @private
+   */
+  destroyInteraction() {
+    const { crosshair, tooltip } = this.state.components;
+    
+    if (crosshair) {
+      crosshair.destroy();
+      this.state.components.crosshair = null;
+    }
+    
+    if (tooltip) {
+      tooltip.destroy();
+      this.state.components.tooltip = null;
+    }
+    
+    if (this.state.svg) {
+      this.state.svg.removeEventListener('mousemove', this.mouseMoveHandler);
+      this.state.svg.removeEventListener('mouseleave', this.mouseLeaveHandler);
+      this.state.svg.removeEventListener('click', this.clickHandler);
+      this.state.svg.removeEventListener('wheel', this.wheelHandler);
+      this.state.svg.removeEventListener('mousedown', this.mouseDownHandler);
+    }
+  }
+  
+  /**
+   * Get mouse position relative to the plot area
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   * @returns {Object} Position { x, y } in plot coordinates
+   */
+  getPlotPosition(event) {
+    const rect = this.state.svg.getBoundingClientRect();
+    
+    return {
+      x: event.clientX - rect.left - this.state.margins.left,
+      y: event.clientY - rect.top - this.state.margins.top
+    };
+  }
+  
+  /**
+   * Check whether a plot position is inside the plot area
+   * @private
+   * @param {Object} position - Position { x, y } in plot coordinates
+   * @returns {boolean} True if inside the plot area (including sub-panes)
+   */
+  isInPlot({ x, y }) {
+    const { innerWidth, plotHeight } = this.state.dimensions;
+    return x >= 0 && x <= innerWidth && y >= 0 && y <= plotHeight;
+  }
+  
+  /**
+   * Clip an element to the plot area
+   * @private
+   * @param {SVGElement} element - Element to clip
+   */
+  clipToPlot(element) {
+    element.setAttribute('clip-path', `url(#${this.state.clipId})`);
+  }
+  
+  /**
+   * Set the X scale domain from the data, keeping the zoom window if there is one
+   * @private
+   * @param {Array} domain - Domain of all data [min, max]
+   */
+  setXDomain(domain) {
+    this.state.fullXDomain = domain;
+    
+    if (this.state.zoomDomain) {
+      // Keep the zoom window inside the (possibly changed) data range
+      const [min, max] = domain.map(value => this.toComparableX(value));
+      const start = Math.max(min, this.toComparableX(this.state.zoomDomain[0]));
+      const end = Math.min(max, this.toComparableX(this.state.zoomDomain[1]));
+      
+      this.state.zoomDomain = start < end ?
+        [this.fromComparableX(start), this.fromComparableX(end)] :
+        null;
+    }
+    
+    this.state.scales.x.setDomain(this.state.zoomDomain || domain);
+  }
+  
+  /**
+   * Handle mouse wheel zoom, anchored at the cursor
+   * @private
+   * @param {WheelEvent} event - Wheel event
+   */
+  handleWheel(event) {
+    const position = this.getPlotPosition(event);
+    const xScale = this.state.scales.x;
+    
+    if (!this.isInPlot(position) || !xScale || !this.state.fullXDomain) return;
+    
+    event.preventDefault();
+    
+    const { innerWidth } = this.state.dimensions;
+    const factor = event.deltaY > 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+    
+    // Scale the window around the cursor, measured along the X scale so
+    // scales that skip time (business time) zoom evenly
+    this.zoomTo(
+      xScale.invert(position.x * (1 - factor)),
+      xScale.invert(position.x + (innerWidth - position.x) * factor)
+    );
+  }
+  
+  /**
+   * Start panning (drag) or brush selection (shift-drag)
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMouseDown(event) {
+    const position = this.getPlotPosition(event);
+    
+    if (event.button !== 0 || !this.isInPlot(position) || !this.state.fullXDomain) return;
+    
+    event.preventDefault();
+    this.hideHover();
+    
+    this.state.drag = {
+      mode: event.shiftKey ? 'brush' : 'pan',
+      startX: position.x,
+      domain: this.state.scales.x.domain.map(value => this.toComparableX(value)),
+      brush: null
+    };
+    
+    // Brush rectangle covering the selected x range
+    if (this.state.drag.mode === 'brush') {
+      const brush = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      brush.setAttribute('x', position.x);
+      brush.setAttribute('y', 0);
+      brush.setAttribute('width', 0);
+      brush.setAttribute('height', this.state.dimensions.plotHeight);
+      brush.setAttribute('fill', this.theme.crosshair.stroke);
+      brush.setAttribute('fill-opacity', 0.2);
+      brush.setAttribute('pointer-events', 'none');
+      brush.setAttribute('class', 'visioncharts-brush');
+      
+      this.state.chart.appendChild(brush);
+      this.state.drag.brush = brush;
+    }
+    
+    window.addEventListener('mousemove', this.dragMoveHandler);
+    window.addEventListener('mouseup', this.dragEndHandler);
+  }
+  
+  /**
+   * Pan the chart or resize the brush while dragging
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleDragMove(event) {
+    const { drag } = this.state;
+    if (!drag || !this.state.svg) return;
+    
+    const { innerWidth } = this.state.dimensions;
+    const x = Math.max(0, Math.min(innerWidth, this.getPlotPosition(event).x));
+    
+    drag.moved = true;
+    
+    if (drag.mode === 'brush') {
+      drag.brush.setAttribute('x', Math.min(drag.startX, x));
+      drag.brush.setAttribute('width', Math.abs(x - drag.startX));
+      return;
+    }
+    
+    // Shift the window by the dragged distance, measured along the X scale
+    // as it was when the drag started
+    const xScale = this.state.scales.x;
+    const shift = drag.startX - x;
+    
+    xScale.setDomain(drag.domain.map(value => this.fromComparableX(value)));
+    this.zoomTo(xScale.invert(shift), xScale.invert(innerWidth + shift));
+  }
+  
+  /**
+   * Finish panning or apply the brush selection
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleDragEnd(event) {
+    const { drag } = this.state;
+    
+    window.removeEventListener('mousemove', this.dragMoveHandler);
+    window.removeEventListener('mouseup', this.dragEndHandler);
+    this.state.drag = null;
+    
+    // A drag is not a click
+    this.state.suppressClick = Boolean(drag && drag.moved);
+    
+    if (!drag || drag.mode !== 'brush') return;
+    
+    if (drag.brush.parentNode) {
+      drag.brush.parentNode.removeChild(drag.brush);
+    }
+    
+    const { innerWidth } = this.state.dimensions;
+    const x = Math.max(0, Math.min(innerWidth, this.getPlotPosition(event).x));
+    
+    if (Math.abs(x - drag.startX) < MIN_BRUSH_WIDTH) return;
+    
+    const xScale = this.state.scales.x;
+    this.zoomTo(
+      xScale.invert(Math.min(drag.startX, x)),
+      xScale.invert(Math.max(drag.startX, x))
+    );
+  }
+  
+  /**
+   * Handle mouse movement over the chart
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleMouseMove(event) {
+    if (!this.state.svg || this.state.drag) return;
+    
+    const { x, y } = this.getPlotPosition(event);
+    const { innerWidth, plotHeight } = this.state.dimensions;
+    
+    // Hide everything while the cursor is in the margins
+    if (x < 0 || x > innerWidth || y < 0 || y > plotHeight) {
+      this.hideHover();
+      return;
+    }
+    
+    const hover = this.getHoverData(x, y);
+    
+    if (!hover || !hover.points.length) {
+      this.hideHover();
+      return;
+    }
+    
+    // Only emit when the hovered point changes
+    const payload = this.getPointEventPayload(hover, event);
+    const hoverKey = `${payload.datasetId}:${this.toComparableX(payload.xValue)}`;
+    
+    if (hoverKey !== this.state.hoverKey) {
+      this.state.hoverKey = hoverKey;
+      this.emit('pointHover', payload);
+    }
+    
+    const { crosshair, tooltip } = this.state.components;
+    const { left, top } = this.state.margins;
+    
+    if (crosshair) {
+      crosshair.update(hover.x, y);
+    }
+    
+    if (tooltip) {
+      tooltip.show(hover, hover.x + left, y + top, {
+        width: this.state.dimensions.width,
+        height: this.state.dimensions.height
+      });
+    }
+  }
+  
+  /**
+   * Emit pointClick for the point under the cursor
+   * @private
+   * @param {MouseEvent} event - Mouse event
+   */
+  handleClick(event) {
+    if (!this.state.svg) return;
+    
+    // Ignore the click that ends a pan or brush
+    if (this.state.suppressClick) {
+      this.state.suppressClick = false;
+      return;
+    }
+    
+    const position = this.getPlotPosition(event);
+    if (!this.isInPlot(position)) return;
+    
+    const hover = this.getHoverData(position.x, position.y);
+    if (!hover || !hover.points.length) return;
+    
+    this.emit('pointClick', this.getPointEventPayload(hover, event));
+    
+    // Rebase the comparison at the clicked point
+    if (this.isComparing() && this.options.comparisonAnchorOnClick) {
+      this.setComparisonAnchor(hover.xValue);
+    }
+  }
+  
+  /**
+   * Build the payload of a pointHover or pointClick event
+   * The primary point is the one vertically closest to the cursor.
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @param {MouseEvent} event - Mouse event
+   * @returns {Object} Event payload
+   */
+  getPointEventPayload(hover, event) {
+    const { y } = this.getPlotPosition(event);
+    const { yField } = this.options;
+    
+    // Stacked points are drawn at their stacked y, not at the value they report
+    const points = hover.points.map(({ dataset, point, value, x }) => ({
+      datasetId: dataset.id,
+      dataset,
+      point,
+      value,
+      x,
+      y: this.getPointPixelY(dataset, typeof point[yField] === 'number' ? point[yField] : value)
+    }));
+    
+    const primary = points.reduce((nearest, candidate) => {
+      return Math.abs(candidate.y - y) < Math.abs(nearest.y - y) ? candidate : nearest;
+    });
+    
+    return {
+      chart: this,
+      datasetId: primary.datasetId,
+      dataset: primary.dataset,
+      point: primary.point,
+      value: primary.value,
+      xValue: hover.xValue,
+      x: primary.x,
+      y: primary.y,
+      clientX: event.clientX,
+      clientY: event.clientY,
+      points
+    };
+  }
+  
+  /**
+   * Get the pixel Y position of a value, in plot coordinates
+   * @private
+   * @param {Object} dataset - Dataset the value belongs to
+   * @param {number} value - Data value
+   * @returns {number} Y coordinate
+   */
+  getPointPixelY(dataset, value) {
+    const pane = dataset.paneId && this.state.subPanes.find(subPane => subPane.id === dataset.paneId);
+    
+    if (pane) {
+      return pane.top + pane.yScale.scale(value);
+    }
+    
+    const yScale = this.getYScale(dataset);
+    
+    return yScale ? yScale.scale(value) : NaN;
+  }
+  
+  /**
+   * Handle the mouse leaving the chart
+   * @private
+   */
+  handleMouseLeave() {
+    this.hideHover();
+  }
+  
+  /**
+   * Hide crosshair and tooltip
+   * @private
+   */
+  hideHover() {
+    const { crosshair, tooltip } = this.state.components;
+    
+    this.state.hoverKey = null;
+    
+    if (crosshair) crosshair.hide();
+    if (tooltip) tooltip.hide();
+  }
+  
+  /**
+   * Find the data under the cursor
+   * Snaps to the x value nearest to the cursor and collects the value of
+   * every dataset at that x. Subclasses with non-continuous x positioning
+   * (e.g. bar charts) override this.
+   * @private
+   * @param {number} mouseX - X coordinate in plot space
+   * @param {number} mouseY - Y coordinate in plot space
+   * @returns {Object|null} Hover data { x, xValue, points }
+   */
+  getHoverData(mouseX, mouseY) {
+    const xScale = this.state.scales.x;
+    if (!xScale || typeof xScale.invert !== 'function') return null;
+    
+    const { xField } = this.options;
+    const target = this.toComparableX(xScale.invert(mouseX));
+    
+    // Nearest point of each dataset
+    const candidates = [];
+    this.state.datasets.forEach(dataset => {
+      const point = this.findNearestPoint(dataset.data, target);
+      if (point) {
+        candidates.push({ dataset, point });
+      }
+    });
+    
+    if (!candidates.length) return null;
+    
+    // Snap to the x value closest to the cursor across all datasets
+    let snapped = candidates[0];
+    candidates.forEach(candidate => {
+      const distance = Math.abs(this.toComparableX(candidate.point[xField]) - target);
+      const snappedDistance = Math.abs(this.toComparableX(snapped.point[xField]) - target);
+      if (distance < snappedDistance) {
+        snapped = candidate;
+      }
+    });
+    
+    const xValue = snapped.point[xField];
+    const snappedX = this.toComparableX(xValue);
+    
+    // Keep only datasets that have a value at the snapped x
+    const points = candidates
+      .filter(({ point }) => this.toComparableX(point[xField]) === snappedX)
+      .map(({ dataset, point }) => ({
+        dataset,
+        point,
+        value: this.getPointValue(point),
+        x: xScale.scale(point[xField])
+      }));
+    
+    return {
+      x: xScale.scale(xValue),
+      xValue,
+      points
+    };
+  }
+  
+  /**
+   * Find the point whose x value is nearest to a target
+   * Binary search over the x index of the data, so hovering stays fast on
+   * large datasets. Of two equally near points the one with the lower x wins.
+   * @private
+   * @param {Array} data - Dataset data
+   * @param {number} target - Target x value (comparable form)
+   * @returns {Object|null} Nearest data point
+   */
+  findNearestPoint(data, target) {
+    if (!data || isNaN(target)) return null;
+    
+    const { xs, points } = this.getXIndex(data);
+    if (!xs.length) return null;
+    
+    // First point at or after the target
+    let low = 0;
+    let high = xs.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (xs[middle] < target) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    
+    // The point before the target wins ties, as it comes first in x order;
+    // step back to the first of the points sharing its x
+    let index = low;
+    if (low === xs.length || (low > 0 && target - xs[low - 1] <= xs[low] - target)) {
+      index = low - 1;
+      while (index > 0 && xs[index - 1] === xs[index]) index--;
+    }
+    
+    return points[index];
+  }
+  
+  /**
+   * Get the points of a data array sorted by their comparable x value
+   * Built on first use and kept until the datasets are processed again.
+   * Points without a numeric x are left out.
+   * @private
+   * @param {Array} data - Dataset data
+   * @returns {Object} Index { xs, points }, xs holds the sorted x values
+   */
+  getXIndex(data) {
+    let index = this.state.xIndexes.get(data);
+    if (index) return index;
+    
+    const { xField } = this.options;
+    
+    // Stable sort, so points sharing an x keep their data order
+    const entries = data
+      .filter(point => point && point[xField] !== undefined && point[xField] !== null)
+      .map(point => ({ x: this.toComparableX(point[xField]), point }))
+      .filter(entry => typeof entry.x === 'number' && !isNaN(entry.x))
+      .sort((a, b) => a.x - b.x);
+    
+    index = {
+      xs: Float64Array.from(entries, entry => entry.x),
+      points: entries.map(entry => entry.point)
+    };
+    this.state.xIndexes.set(data, index);
+    
+    return index;
+  }
+  
+  /**
+   * Convert an x value to a number that can be compared
+   * @private
+   * @param {Date|string|number} value - X value
+   * @returns {number} Comparable value
+   */
+  toComparableX(value) {
+    if (value instanceof Date) return value.getTime();
+    if (this.options.xType === 'time') return new Date(value).getTime();
+    return value;
+  }
+  
+  /**
+   * Convert a comparable x value back to a domain value
+   * @private
+   * @param {number} value - Comparable value
+   * @returns {Date|number} X value
+   */
+  fromComparableX(value) {
+    return this.options.xType === 'time' ? new Date(value) : value;
+  }
+  
+  /**
+   * Get the value to report for a data point
+   * Stacked data keeps the unstacked value in originalValue.
+   * @private
+   * @param {Object} point - Data point
+   * @returns {number} Point value
+   */
+  getPointValue(point) {
+    return point.originalValue !== undefined ? point.originalValue : point[this.options.yField];
+  }
+  
+  /**
+   * Format tooltip content for hover data
+   * @private
+   * @param {Object} hover - Hover data from getHoverData
+   * @returns {Array} Tooltip lines
+   */
+  formatTooltip(hover) {
+    // Use custom formatter if provided
+    if (typeof this.options.tooltipFormatter === 'function') {
+      return this.options.tooltipFormatter(hover);
+    }
     
-    if (!this.state.svg) return;
+    const { xValue, points } = hover;
     
-    if (this.options.title) {
-      const title = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      title.textContent = this.options.title;
-      title.setAttribute('x', this.state.dimensions.width / 2);
-      title.setAttribute('y', 15);
-      title.setAttribute('text-anchor', 'middle');
-      title.setAttribute('font-size', '16px');
-      title.setAttribute('font-weight', 'bold');
-      title.setAttribute('font-family', this.options.fontFamily);
-      title.setAttribute('fill', this.options.textColor);
-      title.setAttribute('class', 'visioncharts-title');
-      
-      this.state.svg.appendChild(title);
-    }
+    const title = this.options.xType === 'time' ?
+      formatDateValue(xValue) : String(xValue);
     
-    // Render axis names if provided
-    this.renderAxisNames();
+    return [
+      title,
+      ...points.map(({ dataset, value }) => ({
+        text: `${dataset.name}: ${this.formatValue(value, dataset)}`,
+        color: dataset.color
+      }))
+    ];
   }
   
   /**
-   * Render axis names
+   * Format a y value for display
    * @private
+   * @param {number} value - Value to format
+   * @param {Object} [dataset] - Dataset of the value; sub-pane studies keep their
+   *   units in the 'percent' comparison mode
+   * @returns {string} Formatted value
    */
-  renderAxisNames() {
-    console.log('renderAxisNames called');
-    
-    if (!this.state.svg) return;
+  formatValue(value, dataset = null) {
+    if (typeof value !== 'number' || isNaN(value)) return String(value);
     
-    const { xAxisName, yAxisName } = this.options;
-    const { width, height, innerWidth, innerHeight } = this.state.dimensions;
-    const { left, top, right, bottom } = this.options.margins;
+    const yType = this.options.comparisonMode === 'percent' && !(dataset && dataset.paneId) ?
+      'percent' :
+      this.options.yType;
     
-    // X-axis name
-    if (xAxisName) {
-      const xAxisNameElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      xAxisNameElement.textContent = xAxisName;
-      xAxisNameElement.setAttribute('x', left + innerWidth / 2);
-      xAxisNameElement.setAttribute('y', height - 5);
-      xAxisNameElement.setAttribute('text-anchor', 'middle');
-      xAxisNameElement.setAttribute('font-size', '14px');
-      xAxisNameElement.setAttribute('font-family', this.options.fontFamily);
-      xAxisNameElement.setAttribute('fill', this.options.textColor);
-      xAxisNameElement.setAttribute('class', 'visioncharts-axis-name x-axis-name');
-      
-      this.state.svg.appendChild(xAxisNameElement);
+    if (yType === 'percent') {
+      return (value * 100).toFixed(1) + '%';
+    } else if (yType === 'currency') {
+      return '$' + value.toFixed(2);
     }
     
-    // Y-axis name
-    if (yAxisName) {
-      const yAxisNameElement = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      yAxisNameElement.textContent = yAxisName;
-      yAxisNameElement.setAttribute('x', 15);
-      yAxisNameElement.setAttribute('y', top + innerHeight / 2);
-      yAxisNameElement.setAttribute('text-anchor', 'middle');
-      yAxisNameElement.setAttribute('transform', `rotate(-90, 15, ${top + innerHeight / 2})`);
-      yAxisNameElement.setAttribute('font-size', '14px');
-      yAxisNameElement.setAttribute('font-family', this.options.fontFamily);
-      yAxisNameElement.setAttribute('fill', this.options.textColor);
-      yAxisNameElement.setAttribute('class', 'visioncharts-axis-name y-axis-name');
-      
-      this.state.svg.appendChild(yAxisNameElement);
-    }
+    return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
   }
-
+  
   /**
    * Update the chart
    * @public
@@ -800,6 +2689,13 @@ export default class Chart {
     // Update scales
     this.updateScales();
     
+    // Wider or narrower Y axis labels (or a right axis coming or going) move the plot
+    if (this.refreshMargins()) {
+      this.render();
+      this.emit('update', { chart: this });
+      return this;
+    }
+    
     // Update components - these operations are now safe as the chart has been rendered
     this.updateAxes();
     this.updateData();
@@ -814,6 +2710,22 @@ export default class Chart {
       this.updateRecessionLines();
     }
     
+    // Update study sub-panes
+    this.updateSubPanes();
+    
+    // Redraw the overview, the data may have changed
+    this.renderRangeNavigator();
+    
+    // Legend items follow the datasets
+    this.renderLegend();
+    
+    // Re-create hover components on top of the refreshed data
+    this.updateInteraction();
+    
+    this.drawCanvas();
+    
+    this.emit('update', { chart: this });
+    
     return this;
   }
 
@@ -910,6 +2822,7 @@ export default class Chart {
     console.log('setOptions called');
     
     this.options = Object.assign(this.options, options);
+    this.applyTheme();
     return this.update();
   }
 
@@ -934,13 +2847,85 @@ export default class Chart {
   /**
    * Toggle logarithmic scale
    * @public
-   * @param {boolean} isLogarithmic - Whether to use logarithmic scale
+   * @param {boolean|string} isLogarithmic - Whether to use logarithmic scale, or the
+   *   scale type: 'log', 'symlog' (for values that cross zero) or 'linear'
+   * @param {string} [axis='left'] - Y axis to change, 'left' or 'right'
+   * @returns {Chart} This chart instance
+   */
+  toggleLogarithmic(isLogarithmic, axis = 'left') {
+    console.log('toggleLogarithmic called:', isLogarithmic, axis);
+    
+    if (!this.getScaleType(isLogarithmic)) {
+      console.warn('Unknown scale type:', isLogarithmic);
+      return this;
+    }
+    
+    if (axis === 'right') {
+      this.options.isRightLogarithmic = isLogarithmic;
+    } else {
+      this.options.isLogarithmic = isLogarithmic;
+    }
+    
+    return this.update();
+  }
+  
+  /**
+   * Set the size of the linear region around zero of symlog axes
+   * @public
+   * @param {number} threshold - Positive threshold, e.g. 1000 for flows in the thousands
+   * @returns {Chart} This chart instance
+   */
+  setSymlogThreshold(threshold) {
+    if (typeof threshold !== 'number' || !(threshold > 0) || !isFinite(threshold)) {
+      console.warn('Invalid symlog threshold:', threshold);
+      return this;
+    }
+    
+    this.options.symlogThreshold = threshold;
+    
+    // Panel scales are created on render, the main scales are kept
+    [this.state.scales.y, this.state.scales.yRight].forEach(scale => {
+      if (scale instanceof SymlogScale) {
+        scale.setThreshold(threshold);
+      }
+    });
+    
+    return this.update();
+  }
+  
+  /**
+   * Set the time zone of the X ticks and labels of time axes
+   * @public
+   * @param {string} timeZone - 'local', 'UTC' or an IANA name such as 'America/New_York'
+   * @returns {Chart} This chart instance
+   */
+  setTimeZone(timeZone) {
+    try {
+      getTimeZoneOffset(Date.now(), timeZone);
+    } catch (error) {
+      console.warn('Unknown time zone:', timeZone);
+      return this;
+    }
+    
+    this.options.timeZone = timeZone;
+    
+    return this.update();
+  }
+  
+  /**
+   * Set the first month of the fiscal year, used by quarter and year ticks
+   * @public
+   * @param {number} month - Month number, 1 = January, e.g. 10 for years starting in October
    * @returns {Chart} This chart instance
    */
-  toggleLogarithmic(isLogarithmic) {
-    console.log('toggleLogarithmic called:', isLogarithmic);
+  setFiscalYearStart(month) {
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      console.warn('Invalid fiscal year start:', month);
+      return this;
+    }
+    
+    this.options.fiscalYearStart = month;
     
-    this.options.isLogarithmic = isLogarithmic;
     return this.update();
   }
   
@@ -957,6 +2942,102 @@ export default class Chart {
     return this.render(); // Full re-render needed for panel view change
   }
   
+  /**
+   * Show or hide a dataset
+   * The Y domain is refitted to the visible datasets.
+   * @public
+   * @param {string} datasetId - Dataset ID
+   * @param {boolean} [visible] - Whether to show the dataset; toggles when omitted
+   * @returns {Chart} This chart instance
+   */
+  toggleDataset(datasetId, visible) {
+    console.log('toggleDataset called:', datasetId, visible);
+    
+    const hidden = this.options.hiddenDatasets || [];
+    const isVisible = visible === undefined ? hidden.includes(datasetId) : visible;
+    
+    this.options.hiddenDatasets = isVisible ?
+      hidden.filter(id => id !== datasetId) :
+      hidden.concat(hidden.includes(datasetId) ? [] : [datasetId]);
+    
+    return this.refreshVisibility();
+  }
+  
+  /**
+   * Show only one dataset, or all datasets if it is already the only visible one
+   * @public
+   * @param {string} datasetId - Dataset ID
+   * @returns {Chart} This chart instance
+   */
+  isolateDataset(datasetId) {
+    console.log('isolateDataset called:', datasetId);
+    
+    const others = this.state.allDatasets
+      .map(dataset => dataset.id)
+      .filter(id => id !== datasetId);
+    const hidden = this.options.hiddenDatasets || [];
+    const isIsolated = !hidden.includes(datasetId) && others.every(id => hidden.includes(id));
+    
+    this.options.hiddenDatasets = isIsolated ? [] : others;
+    
+    return this.refreshVisibility();
+  }
+  
+  /**
+   * Re-process datasets and redraw after a visibility change
+   * @private
+   * @returns {Chart} This chart instance
+   */
+  refreshVisibility() {
+    this.processDatasets();
+    this.updateScales();
+    
+    if (!this.state.rendered) return this;
+    
+    return this.render(); // Full re-render so the legend and sub-panes follow
+  }
+  
+  /**
+   * Toggle the range navigator below the plot
+   * @public
+   * @param {boolean} showRangeNavigator - Whether to show the range navigator
+   * @returns {Chart} This chart instance
+   */
+  toggleRangeNavigator(showRangeNavigator) {
+    console.log('toggleRangeNavigator called:', showRangeNavigator);
+    
+    this.options.showRangeNavigator = showRangeNavigator;
+    
+    // The plot shrinks or grows to make room for the navigator
+    this.setDimensionsWithoutUpdatingAxes();
+    
+    if (!this.state.rendered) return this;
+    
+    return this.render();
+  }
+  
+  /**
+   * Switch the chart theme
+   * Dataset colors that came from the old palette are re-assigned from the new one.
+   * @public
+   * @param {string|Object} theme - Registered theme name or theme object
+   * @returns {Chart} This chart instance
+   */
+  setTheme(theme) {
+    console.log('setTheme called:', theme);
+    
+    this.options.theme = theme;
+    this.applyTheme();
+    
+    // Re-assign palette colors
+    this.processDatasets();
+    this.updateScales();
+    
+    if (!this.state.rendered) return this;
+    
+    return this.render(); // Full re-render so title, legend and background pick up the theme
+  }
+  
   /**
    * Toggle recession lines
    * @public
@@ -1021,18 +3102,30 @@ export default class Chart {
    * Set Y axis name
    * @public
    * @param {string} name - Y axis name
+   * @param {string} [axis='left'] - Y axis to name, 'left' or 'right'
    * @returns {Chart} This chart instance
    */
-  setYAxisName(name) {
-    console.log('setYAxisName called:', name);
+  setYAxisName(name, axis = 'left') {
+    console.log('setYAxisName called:', name, axis);
     
-    this.options.yAxisName = name;
+    const isRight = axis === 'right';
+    
+    if (isRight) {
+      this.options.rightYAxisName = name;
+    } else {
+      this.options.yAxisName = name;
+    }
     
     if (this.state.rendered && this.state.svg) {
+      // Adding or removing a name changes the margin it needs
+      if (this.refreshMargins()) {
+        return this.render();
+      }
+      
       // Update axis name
-      const yAxisName = this.state.svg.querySelector('.y-axis-name');
-      if (yAxisName) {
-        yAxisName.textContent = name;
+      const axisName = this.state.svg.querySelector(isRight ? '.y-right-axis-name' : '.y-axis-name');
+      if (axisName) {
+        axisName.textContent = name;
       } else {
         this.renderAxisNames();
       }
@@ -1065,6 +3158,123 @@ export default class Chart {
     return this;
   }
   
+  /**
+   * Zoom the X axis to a range
+   * Only the X scale domain changes; the data itself is kept. The range is
+   * clamped to the data, and the chart emits a `zoom` event on its container.
+   * @public
+   * @param {Date|string|number} start - Start of the visible range
+   * @param {Date|string|number} end - End of the visible range
+   * @returns {Chart} This chart instance
+   */
+  zoomTo(start, end) {
+    if (!this.state.fullXDomain) return this;
+    
+    const [min, max] = this.state.fullXDomain.map(value => this.toComparableX(value));
+    let from = this.toComparableX(start);
+    let to = this.toComparableX(end);
+    
+    if (isNaN(from) || isNaN(to) || from === to) {
+      console.warn('Invalid zoom range:', start, end);
+      return this;
+    }
+    
+    if (from > to) {
+      [from, to] = [to, from];
+    }
+    
+    // Keep the window size while pushing it back inside the data range
+    const fullSpan = max - min;
+    const span = Math.min(fullSpan, Math.max(to - from, fullSpan * MIN_ZOOM_RATIO));
+    from = Math.max(min, Math.min(from, max - span));
+    to = from + span;
+    
+    this.state.zoomDomain = span >= fullSpan ?
+      null :
+      [this.fromComparableX(from), this.fromComparableX(to)];
+    
+    return this.redrawZoom();
+  }
+  
+  /**
+   * Reset the zoom to show all data
+   * @public
+   * @returns {Chart} This chart instance
+   */
+  resetZoom() {
+    console.log('resetZoom called');
+    
+    this.state.zoomDomain = null;
+    return this.redrawZoom();
+  }
+  
+  /**
+   * Get the visible X range
+   * @public
+   * @returns {Array|null} Visible range [start, end], or null before data is loaded
+   */
+  getVisibleRange() {
+    return this.state.zoomDomain || this.state.fullXDomain;
+  }
+  
+  /**
+   * Redraw everything that depends on the X domain after a zoom change
+   * @private
+   * @returns {Chart} This chart instance
+   */
+  redrawZoom() {
+    if (this.state.fullXDomain) {
+      this.state.scales.x.setDomain(this.state.zoomDomain || this.state.fullXDomain);
+    }
+    
+    if (this.state.rendered && this.state.chart) {
+      // Series rebased at the first visible point change with the window,
+      // other datasets and studies are unchanged, so skip processDatasets
+      if (this.isComparing() && this.options.comparisonAnchor === null) {
+        this.processDatasets();
+        this.updateScales();
+      }
+      
+      if (this.options.isPanelView) {
+        this.updatePanels();
+        this.updateInteraction();
+      } else {
+        this.updateAxes();
+        this.updateData();
+        
+        // Rebased series move the zero of the Y scale
+        if (this.options.showZeroLine) {
+          this.updateZeroLine();
+        }
+        
+        this.updateRecessionLines();
+        this.updateSubPanes();
+      }
+      
+      // Move the navigator window, its overview is unchanged. The navigator
+      // is not rendered again, as that would end a drag of its window
+      if (this.state.components.rangeNavigator) {
+        this.state.components.rangeNavigator.setRange(this.getVisibleRange());
+      }
+      
+      this.drawCanvas();
+    }
+    
+    // Notify listeners, both on the chart and as a DOM event on the container
+    const detail = {
+      range: this.getVisibleRange(),
+      isZoomed: Boolean(this.state.zoomDomain)
+    };
+    
+    this.emit('zoom', Object.assign({ chart: this }, detail));
+    
+    if (this.state.container) {
+      this.state.container.dispatchEvent(new CustomEvent('zoom', { detail }));
+    }
+    
+    return this;
+  }
+  
   /**
    * Filter data by date range
    * @public
@@ -1081,6 +3291,55 @@ export default class Chart {
     return this.update();
   }
   
+  /**
+   * Set the comparison mode, rebasing every series at an anchor
+   * @public
+   * @param {string} comparisonMode - 'none', 'percent' (change since the anchor)
+   *   or 'index100' (every series starts at 100)
+   * @param {Date|string|number|null} [anchor] - X value to rebase at, null for the
+   *   first visible point; the current anchor is kept when omitted
+   * @returns {Chart} This chart instance
+   */
+  setComparisonMode(comparisonMode, anchor) {
+    console.log('setComparisonMode called:', comparisonMode, anchor);
+    
+    if (!COMPARISON_MODES.includes(comparisonMode)) {
+      console.warn('Unknown comparison mode:', comparisonMode);
+      return this;
+    }
+    
+    if (anchor !== undefined && anchor !== null && isNaN(this.toComparableX(anchor))) {
+      console.warn('Invalid comparison anchor:', anchor);
+      return this;
+    }
+    
+    this.options.comparisonMode = comparisonMode;
+    
+    if (anchor !== undefined) {
+      this.options.comparisonAnchor = anchor;
+    }
+    
+    return this.update();
+  }
+  
+  /**
+   * Set the X value the comparison series are rebased at
+   * @public
+   * @param {Date|string|number|null} anchor - Anchor X value, null to follow the
+   *   first visible point through zoom and filterByDate changes
+   * @returns {Chart} This chart instance
+   */
+  setComparisonAnchor(anchor) {
+    if (anchor !== null && isNaN(this.toComparableX(anchor))) {
+      console.warn('Invalid comparison anchor:', anchor);
+      return this;
+    }
+    
+    this.options.comparisonAnchor = anchor;
+    
+    return this.update();
+  }
+  
   /**
    * Add a dataset
    * @public
@@ -1177,12 +3436,33 @@ export default class Chart {
     
     if (!this.state.svg) return '';
     
+    return this.serializeSvg(true);
+  }
+  
+  /**
+   * Serialize the SVG
+   * @private
+   * @param {boolean} includeCanvas - Embed the canvas data layer as an image
+   * @returns {string} SVG string
+   */
+  serializeSvg(includeCanvas) {
     // Clone the SVG to avoid modifying the original
     const svgClone = this.state.svg.cloneNode(true);
     
     // Set explicit dimensions
     svgClone.setAttribute('width', this.state.dimensions.width);
     svgClone.setAttribute('height', this.state.dimensions.height);
+    svgClone.removeAttribute('style');
+    
+    // The canvas data layer sits underneath everything else
+    if (includeCanvas && this.usesCanvas()) {
+      const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+      image.setAttribute('href', this.renderer.toDataURL());
+      image.setAttribute('width', this.state.dimensions.width);
+      image.setAttribute('height', this.state.dimensions.height);
+      image.setAttribute('class', 'visioncharts-canvas-image');
+      svgClone.insertBefore(image, svgClone.firstChild);
+    }
     
     // Convert to string
     const serializer = new XMLSerializer();
@@ -1204,8 +3484,8 @@ export default class Chart {
         return;
       }
       
-      // Get SVG data
-      const svgData = this.exportSVG();
+      // Get SVG data; the canvas data layer is drawn separately
+      const svgData = this.serializeSvg(false);
       const svgBlob = new Blob([svgData], {type: 'image/svg+xml;charset=utf-8'});
       const svgUrl = URL.createObjectURL(svgBlob);
       
@@ -1222,6 +3502,11 @@ export default class Chart {
           const ctx = canvas.getContext('2d');
           ctx.scale(scale, scale);
           
+          // Canvas data layer first, the SVG (axes, legend) on top
+          if (this.usesCanvas()) {
+            this.renderer.drawTo(ctx);
+          }
+          
           // Draw image
           ctx.drawImage(img, 0, 0);
           
@@ -1266,9 +3551,18 @@ export default class Chart {
       showZeroLine: this.options.showZeroLine || false,
       xAxisName: this.options.xAxisName || '',
       yAxisName: this.options.yAxisName || '',
+      rightYAxisName: this.options.rightYAxisName || '',
+      isRightLogarithmic: this.options.isRightLogarithmic || false,
       studies: this.options.studies || [],
+      hiddenDatasets: (this.options.hiddenDatasets || []).slice(),
+      showRangeNavigator: this.options.showRangeNavigator || false,
+      comparisonMode: this.options.comparisonMode || 'none',
+      comparisonAnchor: this.options.comparisonAnchor === undefined ? null : this.options.comparisonAnchor,
+      timeZone: this.options.timeZone || 'local',
+      fiscalYearStart: this.options.fiscalYearStart || 1,
+      theme: this.options.theme || 'light',
       // Store datasets without the data array to save space
-      datasets: this.state.datasets.map(dataset => {
+      datasets: this.state.allDatasets.map(dataset => {
         const { data, ...rest } = dataset;
         return rest;
       })
@@ -1286,6 +3580,7 @@ export default class Chart {
     
     // Update options with loaded configuration
     Object.assign(this.options, config);
+    this.applyTheme();
     
     // Datasets are handled separately since they typically
     // need to be reloaded with actual data
@@ -1303,6 +3598,23 @@ export default class Chart {
     
     // Remove event listeners
     window.removeEventListener('resize', this.resizeHandler);
+    window.removeEventListener('mousemove', this.dragMoveHandler);
+    window.removeEventListener('mouseup', this.dragEndHandler);
+    this.destroyInteraction();
+    
+    if (this.state.components.legend) {
+      this.state.components.legend.destroy();
+      this.state.components.legend = null;
+    }
+    
+    if (this.state.components.rangeNavigator) {
+      this.state.components.rangeNavigator.destroy();
+      this.state.components.rangeNavigator = null;
+    }
+    
+    if (this.usesCanvas()) {
+      this.renderer.destroy();
+    }
     
     // Remove SVG
     if (this.state.svg && this.state.container) {
@@ -1315,5 +3627,7 @@ export default class Chart {
     this.state.rendered = false;
     this.state.svg = null;
     this.state.chart = null;
+    
+    this.emit('destroy', { chart: this });
   }
 }
\ No newline at end of file
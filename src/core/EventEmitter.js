@@ -0,0 +1,112 @@
+/**
+ * Minimal event emitter
+ * Base class for objects that let callers observe what happens inside them
+ */
+export default class EventEmitter {
+  /**
+   * Create an event emitter
+   */
+  constructor() {
+    // Event name -> array of handlers
+    this.eventHandlers = {};
+  }
+  
+  /**
+   * Register an event handler
+   * @public
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler called with the event payload
+   * @returns {EventEmitter} This instance
+   */
+  on(event, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for "${event}" must be a function`);
+    }
+    
+    if (!this.eventHandlers[event]) {
+      this.eventHandlers[event] = [];
+    }
+    
+    this.eventHandlers[event].push(handler);
+    return this;
+  }
+  
+  /**
+   * Register an event handler that is removed after its first call
+   * @public
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler called with the event payload
+   * @returns {EventEmitter} This instance
+   */
+  once(event, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for "${event}" must be a function`);
+    }
+    
+    const wrapper = payload => {
+      this.off(event, wrapper);
+      handler.call(this, payload);
+    };
+    
+    // Lets off(event, handler) remove the handler before it fires
+    wrapper.handler = handler;
+    
+    return this.on(event, wrapper);
+  }
+  
+  /**
+   * Remove event handlers
+   * Without a handler, all handlers of the event are removed; without an
+   * event, all handlers are removed.
+   * @public
+   * @param {string} [event] - Event name
+   * @param {Function} [handler] - Handler to remove
+   * @returns {EventEmitter} This instance
+   */
+  off(event, handler) {
+    if (event === undefined) {
+      this.eventHandlers = {};
+      return this;
+    }
+    
+    if (!this.eventHandlers[event]) return this;
+    
+    if (handler === undefined) {
+      delete this.eventHandlers[event];
+      return this;
+    }
+    
+    this.eventHandlers[event] = this.eventHandlers[event]
+      .filter(registered => registered !== handler && registered.handler !== handler);
+    
+    if (!this.eventHandlers[event].length) {
+      delete this.eventHandlers[event];
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Call every handler of an event
+   * A failing handler is logged and does not stop the others.
+   * @protected
+   * @param {string} event - Event name
+   * @param {Object} [payload] - Event payload
+   * @returns {boolean} True if the event had handlers
+   */
+  emit(event, payload = {}) {
+    const handlers = this.eventHandlers[event];
+    if (!handlers || !handlers.length) return false;
+    
+    // Copy so handlers can call off() or once() safely
+    handlers.slice().forEach(handler => {
+      try {
+        handler.call(this, payload);
+      } catch (error) {
+        console.error(`Error in "${event}" handler:`, error);
+      }
+    });
+    
+    return true;
+  }
+}
\ No newline at end of file
@@ -1,3 +1,29 @@
+// Length of a day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Time tick intervals from the finest to the coarsest, each with a calendar
+// unit, a step in that unit and its approximate length, which is only used to
+// pick an interval for a range
+const TIME_INTERVALS = [
+  ['second', 1, 1000], ['second', 2, 2000], ['second', 5, 5000], ['second', 10, 10000],
+  ['second', 15, 15000], ['second', 30, 30000],
+  ['minute', 1, 60000], ['minute', 2, 120000], ['minute', 5, 300000], ['minute', 10, 600000],
+  ['minute', 15, 900000], ['minute', 30, 1800000],
+  ['hour', 1, 3600000], ['hour', 2, 2 * 3600000], ['hour', 3, 3 * 3600000], ['hour', 6, 6 * 3600000],
+  ['hour', 12, 12 * 3600000],
+  ['day', 1, DAY_MS], ['day', 2, 2 * DAY_MS], ['week', 1, 7 * DAY_MS],
+  ['month', 1, 30.44 * DAY_MS], ['quarter', 1, 91.31 * DAY_MS], ['quarter', 2, 182.62 * DAY_MS],
+  ['year', 1, 365.25 * DAY_MS], ['year', 2, 730.5 * DAY_MS], ['year', 5, 1826.25 * DAY_MS],
+  ['decade', 1, 3652.5 * DAY_MS], ['decade', 2, 7305 * DAY_MS], ['decade', 5, 18262.5 * DAY_MS],
+  ['decade', 10, 36525 * DAY_MS]
+].map(([unit, step, length]) => ({ unit, step, length }));
+
+// Length of the calendar units that ticks are stepped through
+const UNIT_MS = { second: 1000, minute: 60000, hour: 3600000, day: DAY_MS };
+
+// Formatters resolving the wall-clock time in a time zone, by zone name
+const zoneFormatters = new Map();
+
 /**
  * Scale base class for transforming data values to visual coordinates
  */
@@ -32,6 +58,14 @@ export class Scale {
       return this;
     }
     
+    /**
+     * Create a copy of the scale with the same domain, range and settings
+     * @returns {Scale} New scale instance
+     */
+    copy() {
+      return new this.constructor(this.domain.slice(), this.range.slice());
+    }
+    
     /**
      * Convert a domain value to a range value
      * @param {number} value - Value to convert
@@ -109,9 +143,289 @@ export class Scale {
      * @returns {Date} Converted value as Date
      */
     invert(value) {
-      const timestamp = super.invert(value);
-      return new Date(timestamp);
+      const [d0, d1] = this.domain;
+      const [r0, r1] = this.range;
+      
+      // Work with timestamps so Date domains don't get string-concatenated
+      const t0 = d0 instanceof Date ? d0.getTime() : d0;
+      const t1 = d1 instanceof Date ? d1.getTime() : d1;
+      
+      // Handle edge cases
+      if (r0 === r1) return new Date(t0);
+      
+      return new Date(t0 + (value - r0) * (t1 - t0) / (r1 - r0));
+    }
+  }
+  
+  /**
+   * Business time scale for trading data
+   * Maps dates through the trading time elapsed since 1970, so weekends,
+   * holidays and the hours outside the trading session take no space and
+   * regularly sampled bars sit in evenly spaced slots. Dates outside trading
+   * time collapse onto the nearest session boundary.
+   */
+  export class BusinessTimeScale extends TimeScale {
+    /**
+     * Create a business time scale
+     * @param {Array} domain - Data domain [min, max]
+     * @param {Array} range - Output range [min, max]
+     * @param {Object} [calendar] - Exchange calendar
+     * @param {Array<number>} [calendar.weekend=[0, 6]] - Weekdays without trading (0 is Sunday)
+     * @param {Array<string|Date>} [calendar.holidays=[]] - Dates without trading ('YYYY-MM-DD')
+     * @param {Object} [calendar.session] - Trading hours { open: 'HH:MM', close: 'HH:MM' }, whole days when omitted
+     * @param {number} [calendar.utcOffset=0] - Exchange time minus UTC, in minutes
+     * @param {string} [calendar.timeZone] - Exchange time zone such as 'America/New_York',
+     *   'UTC' or 'local', following daylight saving time; overrides utcOffset
+     */
+    constructor(domain, range, calendar = {}) {
+      super(domain, range);
+      this.setCalendar(calendar);
+    }
+    
+    /**
+     * Set the exchange calendar
+     * @param {Object} calendar - Exchange calendar, see the constructor
+     * @returns {BusinessTimeScale} This scale instance
+     */
+    setCalendar(calendar = {}) {
+      const { weekend = [0, 6], holidays = [], session = null, utcOffset = 0, timeZone = null } = calendar;
+      
+      // Throws for unknown time zones
+      if (timeZone) getTimeZoneOffset(0, timeZone);
+      
+      this.calendar = { weekend, holidays, session, utcOffset, timeZone };
+      this.offset = utcOffset * 60 * 1000;
+      this.offsets = new Map();
+      this.weekend = [0, 1, 2, 3, 4, 5, 6].map(weekday => weekend.includes(weekday));
+      this.tradingDaysPerWeek = this.weekend.filter(isWeekend => !isWeekend).length;
+      
+      if (!this.tradingDaysPerWeek) {
+        throw new Error('Business calendar has no trading days');
+      }
+      
+      this.open = session ? parseSessionTime(session.open) : 0;
+      this.close = session ? parseSessionTime(session.close) : DAY_MS;
+      
+      if (!(this.close > this.open)) {
+        throw new Error(`Invalid trading session: ${session.open}-${session.close}`);
+      }
+      
+      this.sessionLength = this.close - this.open;
+      
+      // Holidays are calendar dates, as sorted day numbers; weekend holidays change nothing
+      this.holidays = Array.from(new Set(holidays.map(holiday => {
+        const time = holiday instanceof Date ? holiday.getTime() : Date.parse(holiday);
+        
+        if (isNaN(time)) {
+          throw new Error(`Invalid holiday: ${holiday}`);
+        }
+        
+        return Math.floor(time / DAY_MS);
+      })))
+        .filter(day => !this.weekend[this.getWeekday(day)])
+        .sort((a, b) => a - b);
+      this.holidaySet = new Set(this.holidays);
+      
+      return this;
+    }
+    
+    /**
+     * Create a copy of the scale with the same domain, range and calendar
+     * @returns {BusinessTimeScale} New scale instance
+     */
+    copy() {
+      return new BusinessTimeScale(this.domain.slice(), this.range.slice(), this.calendar);
+    }
+    
+    /**
+     * Get the weekday of a day number
+     * @param {number} day - Days since 1970-01-01
+     * @returns {number} Weekday, 0 is Sunday
+     */
+    getWeekday(day) {
+      // 1970-01-01 was a Thursday
+      return ((day + 4) % 7 + 7) % 7;
+    }
+    
+    /**
+     * Get the offset of exchange time from UTC at a point in time
+     * Offsets of a time zone are cached by the hour they apply in.
+     * @param {number} timestamp - Timestamp
+     * @returns {number} Exchange time minus UTC, in milliseconds
+     */
+    getOffset(timestamp) {
+      const { timeZone } = this.calendar;
+      if (!timeZone) return this.offset;
+      
+      const hour = Math.floor(timestamp / 3600000);
+      let offset = this.offsets.get(hour);
+      
+      if (offset === undefined) {
+        offset = getTimeZoneOffset(hour * 3600000, timeZone);
+        this.offsets.set(hour, offset);
+      }
+      
+      return offset;
+    }
+    
+    /**
+     * Convert exchange wall-clock time to a timestamp
+     * @param {number} wall - Exchange time, read with the UTC getters of a Date
+     * @returns {number} Timestamp
+     */
+    fromExchangeTime(wall) {
+      return wall - this.getOffset(wall - this.getOffset(wall));
+    }
+    
+    /**
+     * Get the exchange day a date falls on
+     * @param {Date|number} value - Date or timestamp
+     * @returns {number} Days since 1970-01-01 in exchange time
+     */
+    getDay(value) {
+      const timestamp = value instanceof Date ? value.getTime() : value;
+      return Math.floor((timestamp + this.getOffset(timestamp)) / DAY_MS);
+    }
+    
+    /**
+     * Check whether the exchange trades on a day
+     * @param {number} day - Days since 1970-01-01
+     * @returns {boolean} True for trading days
+     */
+    isTradingDay(day) {
+      return !this.weekend[this.getWeekday(day)] && !this.holidaySet.has(day);
+    }
+    
+    /**
+     * Count the trading days before a day
+     * @param {number} day - Days since 1970-01-01
+     * @returns {number} Trading days from 1970-01-01 up to the day (negative before 1970)
+     */
+    countTradingDays(day) {
+      const weeks = Math.floor(day / 7);
+      let count = weeks * this.tradingDaysPerWeek;
+      
+      for (let d = weeks * 7; d < day; d++) {
+        if (!this.weekend[this.getWeekday(d)]) count++;
+      }
+      
+      return count - (this.countHolidaysBefore(day) - this.countHolidaysBefore(0));
+    }
+    
+    /**
+     * Count the holidays before a day
+     * @param {number} day - Days since 1970-01-01
+     * @returns {number} Number of holidays earlier than the day
+     */
+    countHolidaysBefore(day) {
+      let low = 0;
+      let high = this.holidays.length;
+      
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (this.holidays[middle] < day) {
+          low = middle + 1;
+        } else {
+          high = middle;
+        }
+      }
+      
+      return low;
+    }
+    
+    /**
+     * Get the start of the trading session on a day
+     * @param {number} day - Days since 1970-01-01
+     * @returns {Date} Session open
+     */
+    getSessionStart(day) {
+      return new Date(this.fromExchangeTime(day * DAY_MS + this.open));
+    }
+    
+    /**
+     * Convert a date to business time
+     * @param {Date|number} value - Date or timestamp
+     * @returns {number} Trading milliseconds since 1970-01-01
+     */
+    toBusinessTime(value) {
+      const timestamp = value instanceof Date ? value.getTime() : value;
+      const day = this.getDay(timestamp);
+      const base = this.countTradingDays(day) * this.sessionLength;
+      
+      if (!this.isTradingDay(day)) return base;
+      
+      // Time into the session, clamped to the session
+      const timeOfDay = timestamp + this.getOffset(timestamp) - day * DAY_MS;
+      return base + Math.max(0, Math.min(this.sessionLength, timeOfDay - this.open));
+    }
+    
+    /**
+     * Convert business time back to a date
+     * @param {number} businessTime - Trading milliseconds since 1970-01-01
+     * @returns {Date} Date
+     */
+    fromBusinessTime(businessTime) {
+      const index = Math.floor(businessTime / this.sessionLength);
+      const timeInSession = businessTime - index * this.sessionLength;
+      
+      // Estimate the day, correct the estimate for holidays, then step to
+      // the trading day with this index
+      let day = Math.floor(index * 7 / this.tradingDaysPerWeek);
+      for (let attempt = 0; attempt < 10; attempt++) {
+        const error = index - this.countTradingDays(day);
+        if (Math.abs(error) <= 1) break;
+        day += Math.trunc(error * 7 / this.tradingDaysPerWeek);
+      }
+      while (this.countTradingDays(day) > index) day--;
+      while (this.countTradingDays(day + 1) <= index) day++;
+      
+      return new Date(this.getSessionStart(day).getTime() + timeInSession);
+    }
+    
+    /**
+     * Convert a domain value to a range value
+     * @param {Date|number} value - Value to convert
+     * @returns {number} Converted value
+     */
+    scale(value) {
+      const [d0, d1] = this.domain.map(date => this.toBusinessTime(date));
+      const [r0, r1] = this.range;
+      
+      // Handle edge cases
+      if (d0 === d1) return r0;
+      
+      return r0 + (this.toBusinessTime(value) - d0) * (r1 - r0) / (d1 - d0);
+    }
+    
+    /**
+     * Invert a range value back to a domain value
+     * @param {number} value - Value to convert
+     * @returns {Date} Converted value as Date
+     */
+    invert(value) {
+      const [d0, d1] = this.domain.map(date => this.toBusinessTime(date));
+      const [r0, r1] = this.range;
+      
+      // Handle edge cases
+      if (r0 === r1) return this.fromBusinessTime(d0);
+      
+      return this.fromBusinessTime(d0 + (value - r0) * (d1 - d0) / (r1 - r0));
+    }
+  }
+  
+  /**
+   * Parse a session time of day
+   * @param {string} time - Time as 'HH:MM'
+   * @returns {number} Milliseconds since midnight
+   */
+  function parseSessionTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time).trim());
+    
+    if (!match || +match[1] > 24 || +match[2] > 59) {
+      throw new Error(`Invalid session time: ${time}`);
     }
+    
+    return (+match[1] * 60 + +match[2]) * 60 * 1000;
   }
   
   /**
@@ -131,6 +445,14 @@ export class Scale {
       this.pow = value => Math.pow(base, value);
     }
     
+    /**
+     * Create a copy of the scale with the same domain, range and base
+     * @returns {LogScale} New scale instance
+     */
+    copy() {
+      return new LogScale(this.domain.slice(), this.range.slice(), this.base);
+    }
+    
     /**
      * Convert a domain value to a range value
      * @param {number} value - Value to convert
@@ -165,6 +487,102 @@ export class Scale {
     }
   }
   
+  /**
+   * Symmetric log scale for data that crosses zero (e.g. net flows or trade balances)
+   * Values are mapped through sign(x) * log10(1 + |x| / threshold): linear
+   * around zero, logarithmic beyond the threshold on both sides.
+   */
+  export class SymlogScale extends Scale {
+    /**
+     * Create a symmetric log scale
+     * @param {Array} domain - Data domain [min, max]
+     * @param {Array} range - Output range [min, max]
+     * @param {number} threshold - Size of the linear region around zero (default: 1)
+     */
+    constructor(domain, range, threshold = 1) {
+      super(domain, range);
+      this.setThreshold(threshold);
+    }
+    
+    /**
+     * Set the size of the linear region around zero
+     * @param {number} threshold - Positive threshold
+     * @returns {SymlogScale} This scale instance
+     */
+    setThreshold(threshold) {
+      if (typeof threshold !== 'number' || !(threshold > 0) || !isFinite(threshold)) {
+        throw new Error(`Symlog threshold must be a positive number: ${threshold}`);
+      }
+      
+      this.threshold = threshold;
+      return this;
+    }
+    
+    /**
+     * Create a copy of the scale with the same domain, range and threshold
+     * @returns {SymlogScale} New scale instance
+     */
+    copy() {
+      return new SymlogScale(this.domain.slice(), this.range.slice(), this.threshold);
+    }
+    
+    /**
+     * Transform a value into symlog space
+     * @param {number} value - Domain value
+     * @returns {number} Transformed value
+     */
+    transform(value) {
+      return Math.sign(value) * Math.log10(1 + Math.abs(value) / this.threshold);
+    }
+    
+    /**
+     * Transform a value back from symlog space
+     * @param {number} value - Transformed value
+     * @returns {number} Domain value
+     */
+    untransform(value) {
+      return Math.sign(value) * (Math.pow(10, Math.abs(value)) - 1) * this.threshold;
+    }
+    
+    /**
+     * Convert a domain value to a range value
+     * @param {number} value - Value to convert
+     * @returns {number} Converted value
+     */
+    scale(value) {
+      const [d0, d1] = this.domain;
+      const [r0, r1] = this.range;
+      
+      // Handle edge cases
+      if (d0 === d1) return r0;
+      
+      // Linear interpolation in symlog space
+      const t0 = this.transform(d0);
+      const t1 = this.transform(d1);
+      
+      return r0 + (this.transform(value) - t0) * (r1 - r0) / (t1 - t0);
+    }
+    
+    /**
+     * Invert a range value back to a domain value
+     * @param {number} value - Value to convert
+     * @returns {number} Converted value
+     */
+    invert(value) {
+      const [d0, d1] = this.domain;
+      const [r0, r1] = this.range;
+      
+      // Handle edge cases
+      if (r0 === r1) return d0;
+      
+      // Linear interpolation in symlog space
+      const t0 = this.transform(d0);
+      const t1 = this.transform(d1);
+      
+      return this.untransform(t0 + (value - r0) * (t1 - t0) / (r1 - r0));
+    }
+  }
+  
   /**
    * Create a nice domain for axis ticks
    * @param {number} min - Minimum value
@@ -194,115 +612,509 @@ export class Scale {
     return [niceMin, niceMax];
   }
   
+  /**
+   * Create symlog axis ticks
+   * Ticks sit at zero and at the powers of ten from the threshold outwards,
+   * mirrored on the negative side. Wide domains skip decades, narrow ones add
+   * 2x and 5x ticks, and domains inside the linear region get linear ticks.
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @param {number} threshold - Size of the linear region around zero
+   * @param {number} count - Desired number of ticks per side
+   * @returns {Array} Sorted tick values
+   */
+  export function createSymlogTickValues(min, max, threshold = 1, count = 5) {
+    const lower = Math.min(min, max);
+    const upper = Math.max(min, max);
+    
+    // Decades from the first power of ten at or above the threshold
+    const firstExp = Math.ceil(Math.log10(threshold) - 1e-9);
+    const lastExp = Math.floor(Math.log10(Math.max(Math.abs(lower), Math.abs(upper))) + 1e-9);
+    const decades = Math.max(0, lastExp - firstExp + 1);
+    
+    const every = Math.max(1, Math.ceil(decades / count));
+    const multiples = decades <= 2 ? [1, 2, 5] : [1];
+    const tickValues = lower <= 0 && upper >= 0 ? [0] : [];
+    
+    for (let exp = firstExp; exp <= lastExp; exp += every) {
+      multiples.forEach(multiple => {
+        // Round off floating point noise of negative powers
+        const value = Number((multiple * Math.pow(10, exp)).toPrecision(12));
+        
+        if (value >= lower && value <= upper) tickValues.push(value);
+        if (-value >= lower && -value <= upper) tickValues.push(-value);
+      });
+    }
+    
+    // Domains inside the linear region get evenly spaced ticks
+    if (tickValues.length < 3) {
+      const step = (upper - lower) / count;
+      return Array.from({ length: count + 1 }, (_, i) => Number((lower + step * i).toPrecision(12)));
+    }
+    
+    return tickValues.sort((a, b) => a - b);
+  }
+  
+  /**
+   * Get the range of exponents a log domain covers
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @param {number} base - Logarithm base
+   * @returns {Array} [lowest, highest] exponent, the powers around the domain
+   */
+  function getLogExponents(min, max, base) {
+    const log = value => Math.log(value) / Math.log(base);
+    
+    // Nudged so exact powers are not lost to rounding, e.g. log10(1000) = 2.9999999999999996
+    return [Math.floor(log(min) + 1e-9), Math.ceil(log(max) - 1e-9)];
+  }
+  
+  /**
+   * Get the multiples of each power that get ticks between the powers
+   * @param {number} base - Logarithm base
+   * @returns {Array} Whole multiples below the base, e.g. 2 to 9 for base 10
+   */
+  function getLogMultiples(base) {
+    return Array.from({ length: Math.max(0, Math.ceil(base) - 2) }, (_, i) => i + 2);
+  }
+  
+  /**
+   * Create the ticks at the powers of a log axis
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @param {number} base - Logarithm base
+   * @param {number} count - Desired number of ticks
+   * @returns {Object} { major, minor } sorted tick values
+   */
+  function createLogPowerTicks(min, max, base, count) {
+    const [lowest, highest] = getLogExponents(min, max, base);
+    const log = value => Math.log(value) / Math.log(base);
+    
+    // Wide domains label every few powers, those with fewer than three
+    // powers inside add 2x and 5x ticks
+    const inside = Math.floor(log(max) + 1e-9) - Math.ceil(log(min) - 1e-9) + 1;
+    const every = Math.max(1, Math.ceil(inside / count));
+    const labeled = inside < 3 ? [1, 2, 5].filter(multiple => multiple < base) : [1];
+    const multiples = every > 1 ? [1] : [1, ...getLogMultiples(base)];
+    const major = [];
+    const minor = [];
+    
+    for (let exp = lowest; exp <= highest; exp++) {
+      multiples.forEach(multiple => {
+        const value = Number((multiple * Math.pow(base, exp)).toPrecision(12));
+        if (value < min || value > max) return;
+        
+        if (labeled.includes(multiple) && exp % every === 0) {
+          major.push(value);
+        } else {
+          minor.push(value);
+        }
+      });
+    }
+    
+    return { major, minor };
+  }
+  
+  /**
+   * Create log axis ticks
+   * Ticks sit at the powers of the base. Wide domains skip powers, domains
+   * with fewer than three powers add 2x and 5x ticks, and domains inside one
+   * power get evenly spaced ticks.
+   * @param {number} min - Minimum value, positive
+   * @param {number} max - Maximum value
+   * @param {number} [base=10] - Logarithm base
+   * @param {number} [count=5] - Desired number of ticks
+   * @returns {Array} Sorted tick values
+   */
+  export function createLogTickValues(min, max, base = 10, count = 5) {
+    if (!(min > 0) || !(max > min)) {
+      throw new Error('Log scale domain must be positive');
+    }
+    
+    const { major } = createLogPowerTicks(min, max, base, count);
+    if (major.length >= 3) return major;
+    
+    // Domains inside one power get evenly spaced ticks
+    const [niceMin, niceMax] = createNiceDomain(min, max, count);
+    const step = Number(((niceMax - niceMin) / count).toPrecision(1));
+    const tickValues = [];
+    
+    for (let value = Math.ceil(min / step) * step; value <= max; value += step) {
+      tickValues.push(Number(value.toPrecision(12)));
+    }
+    
+    return tickValues;
+  }
+  
+  /**
+   * Create the unlabeled minor ticks of a log axis
+   * These are the whole multiples of each power (2x to 9x for base 10), or
+   * the skipped powers when createLogTickValues skips powers.
+   * @param {number} min - Minimum value, positive
+   * @param {number} max - Maximum value
+   * @param {number} [base=10] - Logarithm base
+   * @param {number} [count=5] - Desired number of major ticks
+   * @returns {Array} Sorted tick values, empty when the major ticks are evenly spaced
+   */
+  export function createLogMinorTickValues(min, max, base = 10, count = 5) {
+    if (!(min > 0) || !(max > min)) {
+      throw new Error('Log scale domain must be positive');
+    }
+    
+    const { major, minor } = createLogPowerTicks(min, max, base, count);
+    
+    return major.length >= 3 ? minor : [];
+  }
+  
+  /**
+   * Get the offset of a time zone from UTC at a point in time
+   * @param {number} timestamp - Timestamp
+   * @param {string} [timeZone='local'] - 'local', 'UTC' or an IANA name such as 'America/New_York'
+   * @returns {number} Wall-clock time minus UTC, in milliseconds
+   */
+  export function getTimeZoneOffset(timestamp, timeZone = 'local') {
+    if (!timeZone || timeZone === 'local') {
+      return -new Date(timestamp).getTimezoneOffset() * 60 * 1000;
+    }
+    
+    if (timeZone === 'UTC') return 0;
+    
+    if (!zoneFormatters.has(timeZone)) {
+      try {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          second: 'numeric'
+        }));
+      } catch (error) {
+        throw new Error(`Unknown time zone: ${timeZone}`);
+      }
+    }
+    
+    const parts = {};
+    zoneFormatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+      parts[type] = +value;
+    });
+    
+    const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    
+    return wall - Math.floor(timestamp / 1000) * 1000;
+  }
+  
+  /**
+   * Convert a timestamp to wall-clock time, read with the UTC getters of a Date
+   * @param {number} timestamp - Timestamp
+   * @param {string} timeZone - Time zone, see getTimeZoneOffset
+   * @returns {number} Wall-clock time
+   */
+  function toWallTime(timestamp, timeZone) {
+    return timestamp + getTimeZoneOffset(timestamp, timeZone);
+  }
+  
+  /**
+   * Convert wall-clock time back to a timestamp
+   * Wall-clock times skipped by a daylight saving change move forward.
+   * @param {number} wall - Wall-clock time
+   * @param {string} timeZone - Time zone, see getTimeZoneOffset
+   * @returns {number} Timestamp
+   */
+  function fromWallTime(wall, timeZone) {
+    const guess = wall - getTimeZoneOffset(wall, timeZone);
+    return wall - getTimeZoneOffset(guess, timeZone);
+  }
+  
+  /**
+   * Get the fiscal year of a wall-clock date
+   * Fiscal years are named after the calendar year they end in.
+   * @param {Date} date - Wall-clock date
+   * @param {number} fiscalYearStart - First month of the fiscal year, 1 = January
+   * @returns {number} Fiscal year
+   */
+  function getFiscalYear(date, fiscalYearStart) {
+    const year = date.getUTCFullYear();
+    return fiscalYearStart > 1 && date.getUTCMonth() >= fiscalYearStart - 1 ? year + 1 : year;
+  }
+  
+  /**
+   * Pick the tick interval for a time range
+   * That is the calendar interval giving the number of ticks closest to the
+   * desired number.
+   * @param {Date|number} min - Minimum date/time
+   * @param {Date|number} max - Maximum date/time
+   * @param {number} count - Desired number of ticks
+   * @returns {Object} Interval { unit, step }, unit is 'second', 'minute',
+   *   'hour', 'day', 'week', 'month', 'quarter', 'year' or 'decade'
+   */
+  export function getTimeTickInterval(min, max, count = 5) {
+    const span = Math.abs(new Date(max).getTime() - new Date(min).getTime()) || 1000;
+    
+    // Closest by ratio, so twice too many ticks is as far off as half too few
+    const distance = ({ length }) => Math.abs(Math.log(span / length / count));
+    const interval = TIME_INTERVALS.reduce((best, candidate) =>
+      distance(candidate) < distance(best) ? candidate : best);
+    
+    return { unit: interval.unit, step: interval.step };
+  }
+  
   /**
    * Create nice time domain ticks
+   * Ticks fall on calendar boundaries in the given time zone: whole seconds,
+   * minutes, hours, days, weeks, months, quarters, years or decades. Quarters
+   * and years follow the fiscal year. Business time scales get their ticks at
+   * session or period boundaries of the real trading days, see
+   * createBusinessTimeTickValues.
    * @param {Date|number} min - Minimum date/time
    * @param {Date|number} max - Maximum date/time
    * @param {number} count - Desired number of ticks
+   * @param {Scale} [scale] - Scale the ticks are for
+   * @param {Object} [options] - Calendar options
+   * @param {string} [options.timeZone='local'] - 'local', 'UTC' or an IANA time zone name
+   * @param {number} [options.fiscalYearStart=1] - First month of the fiscal year, 1 = January
+   * @param {number} [options.weekStart=1] - First day of a week, 0 = Sunday, 1 = Monday
    * @returns {Array} Array of tick values as Date objects
    */
-  export function createTimeTickValues(min, max, count = 5) {
-    // Convert to Date objects if needed
-    const minDate = min instanceof Date ? min : new Date(min);
-    const maxDate = max instanceof Date ? max : new Date(max);
-    
-    // Get timestamps
-    const minTime = minDate.getTime();
-    const maxTime = maxDate.getTime();
-    const range = maxTime - minTime;
-    
-    // Choose appropriate interval based on range
-    let interval, intervalMs;
-    
-    if (range < 1000 * 60 * 60) {
-      // Less than an hour: use minutes
-      interval = 'minute';
-      intervalMs = 1000 * 60;
-    } else if (range < 1000 * 60 * 60 * 24) {
-      // Less than a day: use hours
-      interval = 'hour';
-      intervalMs = 1000 * 60 * 60;
-    } else if (range < 1000 * 60 * 60 * 24 * 7) {
-      // Less than a week: use days
-      interval = 'day';
-      intervalMs = 1000 * 60 * 60 * 24;
-    } else if (range < 1000 * 60 * 60 * 24 * 30) {
-      // Less than a month: use weeks
-      interval = 'week';
-      intervalMs = 1000 * 60 * 60 * 24 * 7;
-    } else if (range < 1000 * 60 * 60 * 24 * 365) {
-      // Less than a year: use months
-      interval = 'month';
-      // Approximate month in milliseconds
-      intervalMs = 1000 * 60 * 60 * 24 * 30;
-    } else {
-      // More than a year: use years
-      interval = 'year';
-      // Approximate year in milliseconds
-      intervalMs = 1000 * 60 * 60 * 24 * 365;
+  export function createTimeTickValues(min, max, count = 5, scale = null, options = {}) {
+    if (scale instanceof BusinessTimeScale) {
+      return createBusinessTimeTickValues(scale, min, max, count);
     }
     
-    // Calculate step size
-    const step = Math.max(1, Math.round(range / (count * intervalMs)));
+    const { timeZone = 'local', fiscalYearStart = 1, weekStart = 1 } = options;
+    const minTime = new Date(min).getTime();
+    const maxTime = new Date(max).getTime();
+    const { unit, step } = getTimeTickInterval(minTime, maxTime, count);
+    
+    // Walk the wall clock in whole units, days for weeks and months for longer intervals
+    const walkUnit = unit === 'week' ? 'day' : (UNIT_MS[unit] ? unit : 'month');
+    const firstMonth = fiscalYearStart - 1;
+    
+    const isTick = date => {
+      switch (unit) {
+        case 'second': return date.getUTCSeconds() % step === 0;
+        case 'minute': return date.getUTCMinutes() % step === 0;
+        case 'hour': return date.getUTCHours() % step === 0;
+        case 'day': return (date.getUTCDate() - 1) % step === 0;
+        case 'week': return date.getUTCDay() === weekStart;
+        case 'month': return date.getUTCMonth() % step === 0;
+        case 'quarter': return (date.getUTCMonth() - firstMonth + 12) % (3 * step) === 0;
+        case 'year': return date.getUTCMonth() === firstMonth && getFiscalYear(date, fiscalYearStart) % step === 0;
+        default: return date.getUTCMonth() === firstMonth && getFiscalYear(date, fiscalYearStart) % (10 * step) === 0;
+      }
+    };
+    
+    // Start of the walk unit containing the minimum
+    const start = new Date(toWallTime(minTime, timeZone));
+    let wall;
+    
+    if (walkUnit === 'month') {
+      wall = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1);
+    } else {
+      wall = Math.floor(start.getTime() / UNIT_MS[walkUnit]) * UNIT_MS[walkUnit];
+    }
     
-    // Generate tick values
     const tickValues = [];
-    const startDate = new Date(minDate);
-    
-    // Adjust to nice starting point
-    switch (interval) {
-      case 'minute':
-        startDate.setSeconds(0, 0);
-        break;
-      case 'hour':
-        startDate.setMinutes(0, 0, 0);
-        break;
-      case 'day':
-        startDate.setHours(0, 0, 0, 0);
-        break;
-      case 'week':
-        // Start on a Sunday or Monday
-        const day = startDate.getDay();
-        startDate.setDate(startDate.getDate() - day);
-        startDate.setHours(0, 0, 0, 0);
-        break;
-      case 'month':
-        startDate.setDate(1);
-        startDate.setHours(0, 0, 0, 0);
-        break;
-      case 'year':
-        startDate.setMonth(0, 1);
-        startDate.setHours(0, 0, 0, 0);
-        break;
-    }
-    
-    // Generate ticks
-    const currentDate = new Date(startDate);
-    while (currentDate <= maxDate) {
-      tickValues.push(new Date(currentDate));
-      
-      // Increment by step
-      switch (interval) {
-        case 'minute':
-          currentDate.setMinutes(currentDate.getMinutes() + step);
+    
+    for (let time = fromWallTime(wall, timeZone); time <= maxTime; time = fromWallTime(wall, timeZone)) {
+      const date = new Date(wall);
+      
+      if (time >= minTime && isTick(date) && (!tickValues.length || time > tickValues[tickValues.length - 1].getTime())) {
+        tickValues.push(new Date(time));
+      }
+      
+      wall = walkUnit === 'month' ?
+        Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1) :
+        wall + UNIT_MS[walkUnit];
+    }
+    
+    return tickValues;
+  }
+  
+  /**
+   * Create labels for time ticks
+   * Labels suit the tick interval ('14:30', '15', 'Mar', 'Q2', '2024'), and the
+   * wider context ('Mar 15', 'Mar 2024', '2024') goes on a second row under
+   * the first tick and wherever the context changes, e.g. the year under
+   * January.
+   * @param {Array} values - Tick values
+   * @param {Object} [interval] - Interval { unit, step } from getTimeTickInterval,
+   *   inferred from the spacing of the ticks when omitted
+   * @param {Object} [options] - Calendar options, see createTimeTickValues
+   * @param {string} [options.locale] - Locale of the month names
+   * @returns {Array} Labels { text, secondary }, secondary is null between context changes
+   */
+  export function createTimeTickLabels(values, interval = null, options = {}) {
+    const { timeZone = 'local', fiscalYearStart = 1, locale } = options;
+    const { unit } = interval || inferTimeTickInterval(values);
+    
+    // Month names of wall-clock dates
+    const monthFormat = new Intl.DateTimeFormat(locale, { month: 'short', timeZone: 'UTC' });
+    const pad = value => String(value).padStart(2, '0');
+    const month = date => monthFormat.format(date);
+    const year = date => fiscalYearStart > 1 ?
+      `FY${getFiscalYear(date, fiscalYearStart)}` :
+      String(date.getUTCFullYear());
+    
+    let previousContext = null;
+    
+    return values.map(value => {
+      const date = new Date(toWallTime(new Date(value).getTime(), timeZone));
+      let text;
+      let context = null;
+      
+      switch (unit) {
+        case 'second':
+          text = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+          context = `${month(date)} ${date.getUTCDate()}`;
           break;
+        case 'minute':
         case 'hour':
-          currentDate.setHours(currentDate.getHours() + step);
+          text = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+          context = `${month(date)} ${date.getUTCDate()}`;
           break;
         case 'day':
-          currentDate.setDate(currentDate.getDate() + step);
-          break;
         case 'week':
-          currentDate.setDate(currentDate.getDate() + 7 * step);
+          text = String(date.getUTCDate());
+          context = `${month(date)} ${date.getUTCFullYear()}`;
           break;
         case 'month':
-          currentDate.setMonth(currentDate.getMonth() + step);
+          text = month(date);
+          context = String(date.getUTCFullYear());
           break;
-        case 'year':
-          currentDate.setFullYear(currentDate.getFullYear() + step);
+        case 'quarter':
+          text = `Q${Math.floor((date.getUTCMonth() - fiscalYearStart + 1 + 12) % 12 / 3) + 1}`;
+          context = year(date);
           break;
+        default:
+          text = year(date);
       }
+      
+      const secondary = context !== null && context !== previousContext ? context : null;
+      previousContext = context;
+      
+      return { text, secondary };
+    });
+  }
+  
+  /**
+   * Infer the interval of time ticks from their spacing
+   * @param {Array} values - Tick values
+   * @returns {Object} Interval { unit, step }, days for fewer than two ticks
+   */
+  function inferTimeTickInterval(values) {
+    const gaps = values.slice(1)
+      .map((value, index) => new Date(value).getTime() - new Date(values[index]).getTime())
+      .sort((a, b) => a - b);
+    
+    if (!gaps.length) return { unit: 'day', step: 1 };
+    
+    // The coarsest interval that fits the typical gap
+    const gap = gaps[Math.floor(gaps.length / 2)];
+    const fitting = TIME_INTERVALS.filter(({ length }) => length <= gap * 1.1);
+    const interval = fitting.length ? fitting[fitting.length - 1] : TIME_INTERVALS[0];
+    
+    return { unit: interval.unit, step: interval.step };
+  }
+  
+  /**
+   * Create ticks for a business time scale
+   * Short ranges get ticks inside the sessions, starting at the session open.
+   * Longer ranges get a tick at the open of every n-th trading day, or of the
+   * first trading day of every n-th week, month or year.
+   * @param {BusinessTimeScale} scale - Business time scale
+   * @param {Date|number} min - Minimum date/time
+   * @param {Date|number} max - Maximum date/time
+   * @param {number} count - Desired number of ticks
+   * @returns {Array} Array of tick values as Date objects
+   */
+  function createBusinessTimeTickValues(scale, min, max, count) {
+    const start = scale.toBusinessTime(min);
+    const end = scale.toBusinessTime(max);
+    const { sessionLength } = scale;
+    
+    // A session close and the next open are the same business time, so
+    // ticks are kept by their real dates
+    const minTime = min instanceof Date ? min.getTime() : min;
+    const maxTime = max instanceof Date ? max.getTime() : max;
+    const inRange = tick => tick.getTime() >= minTime && tick.getTime() <= maxTime;
+    const sessions = (end - start) / sessionLength;
+    
+    if (!(end > start)) return [];
+    
+    // Within sessions: steps of business time from each session open
+    if (sessions <= 2) {
+      const minutes = [1, 5, 10, 15, 30, 60, 120, 240, 360, 720];
+      const stepMinutes = minutes.find(m => m * 60 * 1000 >= (end - start) / count) || 1440;
+      const step = stepMinutes * 60 * 1000;
+      const ticks = [];
+      
+      for (let index = Math.floor(start / sessionLength); index * sessionLength <= end; index++) {
+        for (let offset = 0; offset < sessionLength; offset += step) {
+          const tick = scale.fromBusinessTime(index * sessionLength + offset);
+          if (inRange(tick)) {
+            ticks.push(tick);
+          }
+        }
+      }
+      
+      return ticks;
     }
     
-    return tickValues;
+    // Period of a trading day and the step between ticks, by range
+    let period;
+    let step;
+    
+    if (sessions <= count * 2) {
+      period = 'day';
+      step = Math.ceil(sessions / count);
+    } else if (sessions <= count * 15) {
+      period = 'week';
+      step = Math.ceil(sessions / 5 / count);
+    } else if (sessions <= count * 21 * 6) {
+      period = 'month';
+      step = [1, 2, 3, 6].find(months => months * 21 * (count + 1) >= sessions);
+    } else {
+      period = 'year';
+      step = [1, 2, 5, 10, 20, 50].find(years => years * 252 * (count + 1) >= sessions) || 100;
+    }
+    
+    // Period number of a day: trading day index, week (from Monday), month or year
+    const getPeriod = day => {
+      if (period === 'day') return scale.countTradingDays(day);
+      if (period === 'week') return Math.floor((day + 3) / 7);
+      
+      const date = new Date(day * DAY_MS);
+      return period === 'month' ?
+        date.getUTCFullYear() * 12 + date.getUTCMonth() :
+        date.getUTCFullYear();
+    };
+    
+    const firstDay = scale.getDay(min);
+    const lastDay = scale.getDay(max);
+    const ticks = [];
+    
+    // Period of the last trading day before the range
+    let previousDay = firstDay - 1;
+    while (!scale.isTradingDay(previousDay)) previousDay--;
+    let previous = getPeriod(previousDay);
+    
+    for (let day = firstDay; day <= lastDay; day++) {
+      if (!scale.isTradingDay(day)) continue;
+      
+      // A tick at the first trading day of every step-th period
+      const current = getPeriod(day);
+      if (current !== previous && current % step === 0) {
+        const tick = scale.getSessionStart(day);
+        if (inRange(tick)) {
+          ticks.push(tick);
+        }
+      }
+      
+      previous = current;
+    }
+    
+    return ticks;
   }
\ No newline at end of file
@@ -0,0 +1,142 @@
+import {
+  createTimeTickValues,
+  createTimeTickLabels,
+  getTimeTickInterval,
+  createSymlogTickValues,
+  createLogTickValues,
+  createLogMinorTickValues
+} from '../Scale.js';
+
+const iso = date => new Date(date).toISOString().slice(0, 16);
+
+describe('createTimeTickValues', () => {
+  test('steps through seconds on short ranges', () => {
+    const ticks = createTimeTickValues(new Date('2024-01-01T00:00:00Z'), new Date('2024-01-01T00:00:30Z'), 5, null, { timeZone: 'UTC' });
+    
+    expect(ticks.map(tick => tick.getUTCSeconds())).toEqual([0, 5, 10, 15, 20, 25, 30]);
+  });
+  
+  test('picks the interval closest to the tick count', () => {
+    expect(getTimeTickInterval(Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 2), 5)).toEqual({ unit: 'hour', step: 6 });
+  });
+  
+  test('keeps hour ticks on local wall-clock hours across the spring DST change', () => {
+    // New York moves from UTC-5 to UTC-4 on 2024-03-10
+    const ticks = createTimeTickValues(new Date('2024-03-09T05:00Z'), new Date('2024-03-11T04:00Z'), 8, null, { timeZone: 'America/New_York' });
+    
+    expect(ticks.map(iso)).toEqual([
+      '2024-03-09T05:00', '2024-03-09T11:00', '2024-03-09T17:00', '2024-03-09T23:00',
+      '2024-03-10T05:00', '2024-03-10T10:00', '2024-03-10T16:00', '2024-03-10T22:00',
+      '2024-03-11T04:00'
+    ]);
+  });
+  
+  test('keeps hour ticks on local wall-clock hours across the autumn DST change', () => {
+    // New York moves from UTC-4 to UTC-5 on 2024-11-03
+    const ticks = createTimeTickValues(new Date('2024-11-02T04:00Z'), new Date('2024-11-04T05:00Z'), 6, null, { timeZone: 'America/New_York' });
+    
+    expect(ticks.map(iso)).toEqual([
+      '2024-11-02T04:00', '2024-11-02T10:00', '2024-11-02T16:00', '2024-11-02T22:00',
+      '2024-11-03T04:00', '2024-11-03T11:00', '2024-11-03T17:00', '2024-11-03T23:00',
+      '2024-11-04T05:00'
+    ]);
+  });
+  
+  test('places week ticks on local midnights of the week start across DST', () => {
+    const ticks = createTimeTickValues(new Date('2024-03-01T05:00Z'), new Date('2024-03-20T04:00Z'), 5, null, { timeZone: 'America/New_York' });
+    
+    expect(ticks.map(iso)).toEqual(['2024-03-04T05:00', '2024-03-11T04:00', '2024-03-18T04:00']);
+  });
+  
+  test('starts weeks on the configured weekday', () => {
+    const ticks = createTimeTickValues(new Date('2024-01-01T00:00Z'), new Date('2024-02-15T00:00Z'), 6, null, { timeZone: 'UTC', weekStart: 0 });
+    
+    expect(ticks.every(tick => tick.getUTCDay() === 0)).toBe(true);
+    expect(iso(ticks[0])).toBe('2024-01-07T00:00');
+  });
+  
+  test('aligns quarter ticks to the fiscal year', () => {
+    const options = { timeZone: 'UTC', fiscalYearStart: 10 };
+    const ticks = createTimeTickValues(new Date('2022-01-01T00:00Z'), new Date('2022-12-31T00:00Z'), 4, null, options);
+    
+    expect(ticks.map(iso)).toEqual(['2022-01-01T00:00', '2022-04-01T00:00', '2022-07-01T00:00', '2022-10-01T00:00']);
+  });
+});
+
+describe('createTimeTickLabels', () => {
+  test('shows the date on the second row at the first tick of each day', () => {
+    const options = { timeZone: 'America/New_York' };
+    const ticks = createTimeTickValues(new Date('2024-03-09T05:00Z'), new Date('2024-03-11T04:00Z'), 8, null, options);
+    const labels = createTimeTickLabels(ticks, null, options);
+    
+    expect(labels.map(label => label.text)).toEqual(['00:00', '06:00', '12:00', '18:00', '00:00', '06:00', '12:00', '18:00', '00:00']);
+    expect(labels.map(label => label.secondary)).toEqual(['Mar 9', null, null, null, 'Mar 10', null, null, null, 'Mar 11']);
+  });
+  
+  test('labels quarters and years of a fiscal year starting in October', () => {
+    const options = { timeZone: 'UTC', fiscalYearStart: 10 };
+    const ticks = createTimeTickValues(new Date('2022-01-01T00:00Z'), new Date('2024-12-31T00:00Z'), 12, null, options);
+    const labels = createTimeTickLabels(ticks, null, options);
+    
+    expect(labels.slice(0, 5)).toEqual([
+      { text: 'Q2', secondary: 'FY2022' },
+      { text: 'Q3', secondary: null },
+      { text: 'Q4', secondary: null },
+      { text: 'Q1', secondary: 'FY2023' },
+      { text: 'Q2', secondary: null }
+    ]);
+  });
+});
+
+describe('createSymlogTickValues', () => {
+  test('places ticks at zero and the decades on both sides', () => {
+    expect(createSymlogTickValues(-1000, 1000, 1)).toEqual([-1000, -100, -10, -1, 0, 1, 10, 100, 1000]);
+  });
+  
+  test('adds 1-2-5 steps when few decades are in the domain', () => {
+    expect(createSymlogTickValues(0, 5, 1)).toEqual([0, 1, 2, 5]);
+  });
+  
+  test('keeps ticks inside a domain within the threshold', () => {
+    const ticks = createSymlogTickValues(-0.5, 0.5, 1);
+    
+    expect(ticks.length).toBeGreaterThan(2);
+    expect(ticks.every(tick => tick >= -0.5 && tick <= 0.5)).toBe(true);
+    expect(ticks).toEqual(ticks.slice().sort((a, b) => a - b));
+  });
+});
+
+describe('createLogTickValues', () => {
+  test('skips powers of ten on wide domains', () => {
+    expect(createLogTickValues(1, 1e6)).toEqual([1, 100, 10000, 1000000]);
+  });
+  
+  test('places ticks at every power when there are few', () => {
+    expect(createLogTickValues(0.001, 1)).toEqual([0.001, 0.01, 0.1, 1]);
+  });
+  
+  test('adds 2 and 5 multiples on domains of two or three decades', () => {
+    expect(createLogTickValues(3, 800)).toEqual([5, 10, 20, 50, 100, 200, 500]);
+  });
+  
+  test('follows the base', () => {
+    expect(createLogTickValues(1, 1024, 2)).toEqual([1, 8, 64, 512]);
+  });
+  
+  test('falls back to evenly spaced ticks on narrow domains', () => {
+    const ticks = createLogTickValues(100, 101.2);
+    
+    expect(ticks.map(tick => Number(tick.toFixed(6)))).toEqual([100, 100.2, 100.4, 100.6, 100.8, 101]);
+    expect(createLogMinorTickValues(100, 101.2)).toEqual([]);
+  });
+  
+  test('rejects domains that are not positive', () => {
+    expect(() => createLogTickValues(0, 10)).toThrow('Log scale domain must be positive');
+  });
+});
+
+describe('createLogMinorTickValues', () => {
+  test('places minor ticks at the multiples between powers', () => {
+    expect(createLogMinorTickValues(1, 100)).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 20, 30, 40, 50, 60, 70, 80, 90]);
+  });
+});
\ No newline at end of file
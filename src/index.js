@@ -9,32 +9,47 @@
 // Core classes
 import Chart from './core/Chart.js';
 import Axis from './core/Axis.js';
-import { Scale, LinearScale, TimeScale, LogScale } from './core/Scale.js';
+import EventEmitter from './core/EventEmitter.js';
+import { Scale, LinearScale, TimeScale, BusinessTimeScale, LogScale, SymlogScale } from './core/Scale.js';
 
 // Components
 import ZeroLine from './components/ZeroLine.js';
 import Tooltip from './components/Tooltip.js';
 import Legend from './components/Legend.js';
 import Crosshair from './components/Crosshair.js';
+import RangeNavigator from './components/RangeNavigator.js';
 import RecessionLines from './components/RecessionLines.js';
 
 // Renderers
 import SvgRenderer from './renderers/SvgRenderer.js';
+import CanvasRenderer from './renderers/CanvasRenderer.js';
 
 // Chart types
 import LineChart from './charts/LineChart.js';
 import BarChart from './charts/BarChart.js';
 import AreaChart from './charts/AreaChart.js';
+import CandlestickChart from './charts/CandlestickChart.js';
+import ScatterChart from './charts/ScatterChart.js';
+import HistogramChart from './charts/HistogramChart.js';
+import HeatmapChart from './charts/HeatmapChart.js';
+import WaterfallChart from './charts/WaterfallChart.js';
+
+// Themes
+import { registerTheme, getTheme } from './themes/index.js';
 
 // Utility functions
 import { 
   formatDateValue,
+  formatCompactNumber,
+  getCompactNumberPrecision,
+  formatPercent,
+  getPercentDecimals,
   calculateIndicator
 } from './utils/chartUtils.js';
 
 /**
  * Create a chart instance based on type
- * @param {string} type - Chart type ('line', 'bar', 'area')
+ * @param {string} type - Chart type ('line', 'bar', 'area', 'candlestick', 'ohlc', 'scatter', 'bubble', 'histogram', 'heatmap', 'waterfall')
  * @param {Object} config - Chart configuration
  * @returns {Chart} Chart instance
  */
@@ -46,6 +61,27 @@ export function createChart(type, config) {
       return new BarChart(config);
     case 'area':
       return new AreaChart(config);
+    case 'candlestick':
+      return new CandlestickChart(config);
+    case 'ohlc':
+      return new CandlestickChart({
+        ...config,
+        options: { ...config.options, candleStyle: 'ohlc' }
+      });
+    case 'scatter':
+      return new ScatterChart(config);
+    case 'bubble':
+      // Bubble charts are scatter charts that size points by their size field
+      return new ScatterChart({
+        ...config,
+        options: { chartType: 'bubble', sizeField: 'size', ...config.options }
+      });
+    case 'histogram':
+      return new HistogramChart(config);
+    case 'heatmap':
+      return new HeatmapChart(config);
+    case 'waterfall':
+      return new WaterfallChart(config);
     default:
       throw new Error(`Unsupported chart type: ${type}`);
   }
@@ -110,29 +146,47 @@ export {
   // Core
   Chart,
   Axis,
+  EventEmitter,
   Scale,
   LinearScale,
   TimeScale,
+  BusinessTimeScale,
   LogScale,
+  SymlogScale,
   
   // Components
   ZeroLine,
   Tooltip,
   Legend,
   Crosshair,
+  RangeNavigator,
   RecessionLines,
   
   // Renderers
   SvgRenderer,
+  CanvasRenderer,
   
   // Charts
   LineChart,
   BarChart,
   AreaChart,
+  CandlestickChart,
+  ScatterChart,
+  HistogramChart,
+  HeatmapChart,
+  WaterfallChart,
+  
+  // Themes
+  registerTheme,
+  getTheme,
   
   // Utils
   calculateIndicator,
   formatDateValue,
+  formatCompactNumber,
+  getCompactNumberPrecision,
+  formatPercent,
+  getPercentDecimals,
 };
 
 // Export library version
@@ -146,23 +200,40 @@ export default {
   
   Chart,
   Axis,
+  EventEmitter,
   Scale,
   LinearScale,
   TimeScale,
+  BusinessTimeScale,
   LogScale,
+  SymlogScale,
   
   ZeroLine,
   Tooltip,
   Legend,
   Crosshair,
+  RangeNavigator,
   RecessionLines,
   
   SvgRenderer,
+  CanvasRenderer,
   
   LineChart,
   BarChart,
   AreaChart,
+  CandlestickChart,
+  ScatterChart,
+  HistogramChart,
+  HeatmapChart,
+  WaterfallChart,
+  
+  registerTheme,
+  getTheme,
   
   calculateIndicator,
   formatDateValue,
+  formatCompactNumber,
+  getCompactNumberPrecision,
+  formatPercent,
+  getPercentDecimals,
 };
\ No newline at end of file
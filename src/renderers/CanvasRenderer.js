@@ -0,0 +1,613 @@
+/**
+ * Canvas Renderer for large datasets
+ *
+ * Implements the same element primitives as SvgRenderer, but the elements are
+ * lightweight nodes that are painted onto a single <canvas> instead of being
+ * added to the DOM. References such as clip-path="url(#id)" and gradient fills
+ * are resolved against the chart's SVG <defs>.
+ */
+
+/**
+ * Minimal stand-in for an SVG element
+ * Supports the part of the DOM element API the charts use to build their data layer.
+ * @private
+ */
+class CanvasNode {
+  /**
+   * Create a node
+   * @param {string} tagName - SVG tag name the node stands in for
+   */
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.attributes = {};
+    this.children = [];
+    this.parentNode = null;
+    this.textContent = '';
+    this.style = {};
+  }
+  
+  /**
+   * Set an attribute
+   * @param {string} name - Attribute name
+   * @param {*} value - Attribute value
+   */
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+  
+  /**
+   * Get an attribute
+   * @param {string} name - Attribute name
+   * @returns {string|null} Attribute value
+   */
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+  
+  /**
+   * Remove an attribute
+   * @param {string} name - Attribute name
+   */
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+  
+  /**
+   * Append a child node
+   * @param {CanvasNode} child - Child node
+   * @returns {CanvasNode} The child node
+   */
+  appendChild(child) {
+    if (child.parentNode) {
+      child.parentNode.removeChild(child);
+    }
+    
+    child.parentNode = this;
+    this.children.push(child);
+    
+    return child;
+  }
+  
+  /**
+   * Remove a child node
+   * @param {CanvasNode} child - Child node
+   * @returns {CanvasNode} The removed node
+   */
+  removeChild(child) {
+    const index = this.children.indexOf(child);
+    
+    if (index !== -1) {
+      this.children.splice(index, 1);
+      child.parentNode = null;
+    }
+    
+    return child;
+  }
+  
+  /**
+   * Canvas nodes are not interactive; hover and click work from the data
+   */
+  addEventListener() {}
+  
+  /**
+   * Canvas nodes are not interactive
+   */
+  removeEventListener() {}
+  
+  /**
+   * Find the first descendant matching a class selector (".name")
+   * @param {string} selector - Class selector
+   * @returns {CanvasNode|null} Matching node
+   */
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+  
+  /**
+   * Find all descendants matching a class selector (".name")
+   * @param {string} selector - Class selector
+   * @returns {Array} Matching nodes
+   */
+  querySelectorAll(selector) {
+    const className = selector.charAt(0) === '.' ? selector.slice(1) : null;
+    const matches = [];
+    
+    if (!className) {
+      console.warn('CanvasRenderer only supports class selectors:', selector);
+      return matches;
+    }
+    
+    const visit = node => {
+      node.children.forEach(child => {
+        const classes = (child.attributes.class || '').split(/\s+/);
+        if (classes.includes(className)) {
+          matches.push(child);
+        }
+        visit(child);
+      });
+    };
+    
+    visit(this);
+    return matches;
+  }
+}
+
+/**
+ * Default paint properties (SVG initial values)
+ * @private
+ */
+const DEFAULT_STYLE = {
+  fill: '#000',
+  stroke: 'none',
+  'stroke-width': 1,
+  'stroke-dasharray': 'none',
+  'fill-opacity': 1,
+  'stroke-opacity': 1,
+  'font-size': '12px',
+  'font-family': 'sans-serif',
+  'font-weight': 'normal',
+  'text-anchor': 'start',
+  'dominant-baseline': 'auto'
+};
+
+/**
+ * Paint properties inherited from parent groups, as in SVG
+ * @private
+ */
+const INHERITED = Object.keys(DEFAULT_STYLE);
+
+export default class CanvasRenderer {
+  /**
+   * Create a canvas renderer
+   * @param {Object} options - Renderer options
+   * @param {number} [options.pixelRatio] - Device pixel ratio, defaults to window.devicePixelRatio
+   */
+  constructor(options = {}) {
+    this.options = Object.assign({
+      pixelRatio: (typeof window !== 'undefined' && window.devicePixelRatio) || 1
+    }, options);
+    
+    this.canvas = null;
+    this.context = null;
+    this.root = null;
+    this.defs = null;
+    this.width = 0;
+    this.height = 0;
+  }
+  
+  /**
+   * Create an element
+   * @param {string} tagName - SVG element tag name
+   * @param {Object} attributes - Element attributes
+   * @returns {CanvasNode} The created node
+   */
+  createElement(tagName, attributes = {}) {
+    const element = new CanvasNode(tagName);
+    
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (value !== null && value !== undefined) {
+        element.setAttribute(key, value);
+      }
+    });
+    
+    return element;
+  }
+  
+  /**
+   * Create a path element
+   * @param {string} d - Path definition string
+   * @param {Object} attributes - Additional attributes
+   * @returns {CanvasNode} The created node
+   */
+  createPath(d, attributes = {}) {
+    return this.createElement('path', { d, ...attributes });
+  }
+  
+  /**
+   * Create a line element
+   * @param {number} x1 - Start X coordinate
+   * @param {number} y1 - Start Y coordinate
+   * @param {number} x2 - End X coordinate
+   * @param {number} y2 - End Y coordinate
+   * @param {Object} attributes - Additional attributes
+   * @returns {CanvasNode} The created node
+   */
+  createLine(x1, y1, x2, y2, attributes = {}) {
+    return this.createElement('line', { x1, y1, x2, y2, ...attributes });
+  }
+  
+  /**
+   * Create a circle element
+   * @param {number} cx - Center X coordinate
+   * @param {number} cy - Center Y coordinate
+   * @param {number} r - Radius
+   * @param {Object} attributes - Additional attributes
+   * @returns {CanvasNode} The created node
+   */
+  createCircle(cx, cy, r, attributes = {}) {
+    return this.createElement('circle', { cx, cy, r, ...attributes });
+  }
+  
+  /**
+   * Create a rectangle element
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} attributes - Additional attributes
+   * @returns {CanvasNode} The created node
+   */
+  createRect(x, y, width, height, attributes = {}) {
+    return this.createElement('rect', { x, y, width, height, ...attributes });
+  }
+  
+  /**
+   * Create a text element
+   * @param {string} text - Text content
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {Object} attributes - Additional attributes
+   * @returns {CanvasNode} The created node
+   */
+  createText(text, x, y, attributes = {}) {
+    const element = this.createElement('text', { x, y, ...attributes });
+    element.textContent = text;
+    
+    return element;
+  }
+  
+  /**
+   * Create a group element
+   * @param {Object} attributes - Group attributes
+   * @returns {CanvasNode} The created node
+   */
+  createGroup(attributes = {}) {
+    return this.createElement('g', attributes);
+  }
+  
+  /**
+   * Create the canvas and an empty scene
+   * The canvas is placed under the chart SVG, which must have a transparent
+   * background for the canvas to show through.
+   * @param {HTMLElement} container - Chart container
+   * @param {Object} options - Mount options
+   * @param {number} options.width - Canvas width in CSS pixels
+   * @param {number} options.height - Canvas height in CSS pixels
+   * @param {string} [options.transform] - Transform of the scene root (chart margins)
+   * @param {SVGElement} [options.defs] - Element holding clip paths and gradients
+   * @param {string} [options.background] - Background color painted before the scene
+   * @returns {HTMLCanvasElement} The canvas element
+   */
+  mount(container, { width, height, transform, defs, background }) {
+    this.destroy();
+    
+    const { pixelRatio } = this.options;
+    
+    this.width = width;
+    this.height = height;
+    this.defs = defs || null;
+    this.background = background || null;
+    
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.canvas.setAttribute('class', 'visioncharts-canvas');
+    
+    Object.assign(this.canvas.style, {
+      position: 'absolute',
+      left: '0',
+      top: '0',
+      width: `${width}px`,
+      height: `${height}px`,
+      pointerEvents: 'none'
+    });
+    
+    this.context = this.canvas.getContext('2d');
+    if (!this.context) {
+      console.error('Canvas 2D context is not available');
+    }
+    
+    this.root = this.createGroup(transform ? { transform } : {});
+    
+    // The SVG is positioned relative to the container, on top of the canvas
+    container.insertBefore(this.canvas, container.firstChild);
+    
+    return this.canvas;
+  }
+  
+  /**
+   * Paint the scene onto the canvas
+   */
+  draw() {
+    if (!this.context || !this.root) return;
+    
+    const { pixelRatio } = this.options;
+    
+    this.context.setTransform(1, 0, 0, 1, 0, 0);
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    
+    this.drawTo(this.context);
+  }
+  
+  /**
+   * Paint the scene onto any 2D context (used by PNG export)
+   * @param {CanvasRenderingContext2D} context - Target context
+   */
+  drawTo(context) {
+    if (!this.root) return;
+    
+    if (this.background) {
+      context.fillStyle = this.background;
+      context.fillRect(0, 0, this.width, this.height);
+    }
+    
+    this.drawNode(context, this.root, DEFAULT_STYLE);
+  }
+  
+  /**
+   * Paint a node and its children
+   * @private
+   * @param {CanvasRenderingContext2D} context - Target context
+   * @param {CanvasNode} node - Node to paint
+   * @param {Object} parentStyle - Inherited paint properties
+   */
+  drawNode(context, node, parentStyle) {
+    const attributes = node.attributes;
+    
+    if (attributes.display === 'none' || attributes.visibility === 'hidden') return;
+    
+    // Inherit paint properties from the parent group
+    const style = Object.assign({}, parentStyle);
+    INHERITED.forEach(name => {
+      if (attributes[name] !== undefined) {
+        style[name] = attributes[name];
+      }
+    });
+    
+    context.save();
+    
+    if (attributes.transform) {
+      this.applyTransform(context, attributes.transform);
+    }
+    
+    if (attributes.opacity !== undefined) {
+      context.globalAlpha *= parseFloat(attributes.opacity);
+    }
+    
+    if (attributes['clip-path']) {
+      this.applyClip(context, attributes['clip-path']);
+    }
+    
+    const number = name => parseFloat(attributes[name]) || 0;
+    
+    switch (node.tagName) {
+      case 'g':
+        node.children.forEach(child => this.drawNode(context, child, style));
+        break;
+      
+      case 'path':
+        if (attributes.d && typeof Path2D !== 'undefined') {
+          this.paint(context, style, new Path2D(attributes.d));
+        }
+        break;
+      
+      case 'rect':
+        context.beginPath();
+        context.rect(number('x'), number('y'), number('width'), number('height'));
+        this.paint(context, style);
+        break;
+      
+      case 'circle':
+        context.beginPath();
+        context.arc(number('cx'), number('cy'), number('r'), 0, Math.PI * 2);
+        this.paint(context, style);
+        break;
+      
+      case 'line':
+        context.beginPath();
+        context.moveTo(number('x1'), number('y1'));
+        context.lineTo(number('x2'), number('y2'));
+        this.paint(context, Object.assign({}, style, { fill: 'none' }));
+        break;
+      
+      case 'text':
+        this.paintText(context, style, node.textContent, number('x'), number('y'));
+        break;
+      
+      default:
+        // Unsupported elements (e.g. defs) are skipped
+        break;
+    }
+    
+    context.restore();
+  }
+  
+  /**
+   * Fill and stroke the current path (or a Path2D)
+   * @private
+   * @param {CanvasRenderingContext2D} context - Target context
+   * @param {Object} style - Paint properties
+   * @param {Path2D} [shape] - Shape to paint, defaults to the current path
+   */
+  paint(context, style, shape) {
+    const alpha = context.globalAlpha;
+    
+    if (style.fill && style.fill !== 'none') {
+      context.fillStyle = this.resolvePaint(context, style.fill);
+      context.globalAlpha = alpha * parseFloat(style['fill-opacity']);
+      shape ? context.fill(shape) : context.fill();
+    }
+    
+    const strokeWidth = parseFloat(style['stroke-width']);
+    
+    if (style.stroke && style.stroke !== 'none' && strokeWidth > 0) {
+      context.strokeStyle = this.resolvePaint(context, style.stroke);
+      context.lineWidth = strokeWidth;
+      context.globalAlpha = alpha * parseFloat(style['stroke-opacity']);
+      
+      const dash = style['stroke-dasharray'];
+      context.setLineDash(dash && dash !== 'none' ? dash.split(/[\s,]+/).map(Number) : []);
+      
+      shape ? context.stroke(shape) : context.stroke();
+    }
+    
+    context.globalAlpha = alpha;
+  }
+  
+  /**
+   * Paint text
+   * @private
+   * @param {CanvasRenderingContext2D} context - Target context
+   * @param {Object} style - Paint properties
+   * @param {string} text - Text content
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   */
+  paintText(context, style, text, x, y) {
+    if (!text || !style.fill || style.fill === 'none') return;
+    
+    const fontSize = /^\d+(\.\d+)?$/.test(style['font-size']) ? `${style['font-size']}px` : style['font-size'];
+    const anchors = { start: 'left', middle: 'center', end: 'right' };
+    
+    context.font = `${style['font-weight']} ${fontSize} ${style['font-family']}`;
+    context.textAlign = anchors[style['text-anchor']] || 'left';
+    context.textBaseline = style['dominant-baseline'] === 'middle' ? 'middle' : 'alphabetic';
+    context.fillStyle = this.resolvePaint(context, style.fill);
+    context.globalAlpha *= parseFloat(style['fill-opacity']);
+    context.fillText(String(text), x, y);
+  }
+  
+  /**
+   * Apply an SVG transform attribute (translate and scale)
+   * @private
+   * @param {CanvasRenderingContext2D} context - Target context
+   * @param {string} transform - Transform attribute
+   */
+  applyTransform(context, transform) {
+    const pattern = /(translate|scale)\(([^)]*)\)/g;
+    let match;
+    
+    while ((match = pattern.exec(transform)) !== null) {
+      const values = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+      
+      if (match[1] === 'translate') {
+        context.translate(values[0] || 0, values[1] || 0);
+      } else {
+        context.scale(values[0], values[1] === undefined ? values[0] : values[1]);
+      }
+    }
+  }
+  
+  /**
+   * Clip to a rectangular SVG clipPath referenced as url(#id)
+   * @private
+   * @param {CanvasRenderingContext2D} context - Target context
+   * @param {string} reference - clip-path attribute value
+   */
+  applyClip(context, reference) {
+    const clipPath = this.findDefinition(reference);
+    const rect = clipPath && clipPath.querySelector('rect');
+    if (!rect) return;
+    
+    const number = name => parseFloat(rect.getAttribute(name)) || 0;
+    
+    context.beginPath();
+    context.rect(number('x'), number('y'), number('width'), number('height'));
+    context.clip();
+  }
+  
+  /**
+   * Resolve a fill or stroke value, including url(#gradient) references
+   * Gradients span the canvas area, which matches the vertical area fills.
+   * @private
+   * @param {CanvasRenderingContext2D} context - Target context
+   * @param {string} value - Paint value
+   * @returns {string|CanvasGradient} Canvas paint
+   */
+  resolvePaint(context, value) {
+    const gradient = this.findDefinition(value);
+    if (!gradient) return value;
+    
+    const stops = Array.from(gradient.querySelectorAll('stop'));
+    if (!stops.length) return 'none';
+    
+    const fraction = name => {
+      const attribute = gradient.getAttribute(name);
+      if (attribute === null) return name === 'x2' ? 1 : 0;
+      return attribute.endsWith('%') ? parseFloat(attribute) / 100 : parseFloat(attribute);
+    };
+    
+    const canvasGradient = context.createLinearGradient(
+      fraction('x1') * this.width,
+      fraction('y1') * this.height,
+      fraction('x2') * this.width,
+      fraction('y2') * this.height
+    );
+    
+    stops.forEach(stop => {
+      const offset = stop.getAttribute('offset') || '0';
+      canvasGradient.addColorStop(
+        offset.endsWith('%') ? parseFloat(offset) / 100 : parseFloat(offset),
+        this.withOpacity(stop.getAttribute('stop-color') || '#000', stop.getAttribute('stop-opacity'))
+      );
+    });
+    
+    return canvasGradient;
+  }
+  
+  /**
+   * Find a definition referenced as url(#id)
+   * @private
+   * @param {string} reference - Attribute value
+   * @returns {Element|null} Referenced element
+   */
+  findDefinition(reference) {
+    const match = /^url\(#([^)]+)\)$/.exec(String(reference).trim());
+    if (!match || !this.defs) return null;
+    
+    return this.defs.querySelector(`[id="${match[1]}"]`);
+  }
+  
+  /**
+   * Apply an opacity to a hex color
+   * @private
+   * @param {string} color - Color
+   * @param {string|null} opacity - Opacity (0-1)
+   * @returns {string} Color with opacity
+   */
+  withOpacity(color, opacity) {
+    if (opacity === null || opacity === undefined) return color;
+    
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (!hex) return color;
+    
+    const digits = hex[1].length === 3 ?
+      hex[1].split('').map(digit => digit + digit) :
+      hex[1].match(/../g);
+    const [r, g, b] = digits.map(digit => parseInt(digit, 16));
+    
+    return `rgba(${r}, ${g}, ${b}, ${parseFloat(opacity)})`;
+  }
+  
+  /**
+   * Get the canvas contents as a data URL
+   * @returns {string} PNG data URL, or an empty string before mounting
+   */
+  toDataURL() {
+    return this.canvas ? this.canvas.toDataURL('image/png') : '';
+  }
+  
+  /**
+   * Remove the canvas and clear the scene
+   */
+  destroy() {
+    if (this.canvas && this.canvas.parentNode) {
+      this.canvas.parentNode.removeChild(this.canvas);
+    }
+    
+    this.canvas = null;
+    this.context = null;
+    this.root = null;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Dark theme
+ * For dashboards with a dark background
+ */
+export default {
+  name: 'dark',
+  background: '#131722',
+  fontFamily: 'sans-serif',
+  textColor: '#d1d4dc',
+  mutedTextColor: '#9598a1',
+  
+  // Dataset colors, assigned in order
+  palette: ['#4da3ff', '#5bd178', '#ffd54f', '#ff7066'],
+  
+  axis: {
+    line: '#434651',
+    tick: '#434651',
+    text: '#d1d4dc'
+  },
+  grid: {
+    stroke: '#2a2e39',
+    dashArray: '4,4'
+  },
+  point: {
+    fill: '#131722'
+  },
+  panel: {
+    background: '#1b1f2a',
+    border: '#2a2e39'
+  },
+  tooltip: {
+    background: '#1e222d',
+    border: '#434651',
+    text: '#d1d4dc',
+    shadow: 'drop-shadow(0px 2px 3px rgba(0,0,0,0.6))'
+  },
+  crosshair: {
+    stroke: '#758696'
+  },
+  legend: {
+    text: '#d1d4dc',
+    background: '#1e222d',
+    border: '#434651',
+    inactive: '#50535e'
+  },
+  recession: {
+    fill: 'rgba(255, 99, 99, 0.12)',
+    stroke: 'rgba(255, 99, 99, 0.35)',
+    label: '#9598a1'
+  },
+  zeroLine: {
+    stroke: '#9598a1'
+  },
+  referenceLine: {
+    stroke: '#758696'
+  },
+  candle: {
+    up: '#26a69a',
+    down: '#ef5350'
+  },
+  study: {
+    line: '#b2b5be',
+    signal: '#ff7066',
+    histogram: '#5d606b'
+  }
+};
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Theme registry
+ * Themes are plain objects; see light.js for the full set of keys.
+ */
+import light from './light.js';
+import dark from './dark.js';
+
+const themes = {
+  light,
+  dark
+};
+
+/**
+ * Merge theme overrides onto a base theme
+ * Nested style groups (axis, tooltip, ...) are merged key by key,
+ * arrays such as the palette are replaced.
+ * @private
+ * @param {Object} base - Base theme
+ * @param {Object} overrides - Partial theme
+ * @returns {Object} Merged theme
+ */
+function mergeTheme(base, overrides) {
+  const merged = { ...base };
+  
+  Object.keys(overrides).forEach(key => {
+    const value = overrides[key];
+    
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        base[key] && typeof base[key] === 'object' && !Array.isArray(base[key])) {
+      merged[key] = { ...base[key], ...value };
+    } else {
+      merged[key] = value;
+    }
+  });
+  
+  return merged;
+}
+
+/**
+ * Register a theme so charts can use it by name
+ * Missing keys are taken from the theme named in `extends` (default 'light').
+ * @param {string} name - Theme name
+ * @param {Object} theme - Theme definition
+ * @returns {Object} The registered theme
+ */
+export function registerTheme(name, theme) {
+  if (!name || !theme || typeof theme !== 'object') {
+    throw new Error('registerTheme requires a name and a theme object');
+  }
+  
+  const base = themes[theme.extends] || light;
+  themes[name] = mergeTheme(base, { ...theme, name });
+  
+  return themes[name];
+}
+
+/**
+ * Resolve a theme by name or from a (partial) theme object
+ * Unknown names fall back to the light theme.
+ * @param {string|Object} [theme] - Theme name or theme object
+ * @returns {Object} Complete theme
+ */
+export function getTheme(theme) {
+  if (theme && typeof theme === 'object') {
+    return mergeTheme(themes[theme.extends] || light, theme);
+  }
+  
+  if (typeof theme === 'string') {
+    if (themes[theme]) return themes[theme];
+    
+    console.warn(`Unknown theme "${theme}", using light theme`);
+  }
+  
+  return light;
+}
+
+export { light, dark };
\ No newline at end of file
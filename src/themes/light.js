@@ -0,0 +1,66 @@
+/**
+ * Light theme
+ * Default look of VisionCharts
+ */
+export default {
+  name: 'light',
+  background: '#ffffff',
+  fontFamily: 'sans-serif',
+  textColor: '#333',
+  mutedTextColor: '#666',
+  
+  // Dataset colors, assigned in order
+  palette: ['#1468a8', '#34A853', '#FBBC05', '#EA4335'],
+  
+  axis: {
+    line: '#ccc',
+    tick: '#ccc',
+    text: '#333'
+  },
+  grid: {
+    stroke: '#eee',
+    dashArray: '4,4'
+  },
+  point: {
+    fill: '#fff'
+  },
+  panel: {
+    background: '#f9f9f9',
+    border: '#eee'
+  },
+  tooltip: {
+    background: '#fff',
+    border: '#ccc',
+    text: '#333',
+    shadow: 'drop-shadow(0px 2px 3px rgba(0,0,0,0.2))'
+  },
+  crosshair: {
+    stroke: '#999'
+  },
+  legend: {
+    text: '#333',
+    background: '#fff',
+    border: '#e0e0e0',
+    inactive: '#ccc'
+  },
+  recession: {
+    fill: 'rgba(235, 54, 54, 0.15)',
+    stroke: 'rgba(235, 54, 54, 0.3)',
+    label: '#888'
+  },
+  zeroLine: {
+    stroke: '#666'
+  },
+  referenceLine: {
+    stroke: '#999'
+  },
+  candle: {
+    up: '#26a69a',
+    down: '#ef5350'
+  },
+  study: {
+    line: '#888',
+    signal: '#EA4335',
+    histogram: '#9e9e9e'
+  }
+};
\ No newline at end of file
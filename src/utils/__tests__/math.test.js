@@ -0,0 +1,68 @@
+import { quantile, binEdges } from '../math.js';
+
+describe('quantile', () => {
+  test('interpolates between neighbouring values', () => {
+    expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(quantile([1, 2, 3, 4], 0.25)).toBe(1.75);
+  });
+  
+  test('returns the extremes at 0 and 1', () => {
+    expect(quantile([1, 2, 3, 4], 0)).toBe(1);
+    expect(quantile([1, 2, 3, 4], 1)).toBe(4);
+  });
+  
+  test('returns the value of a single-value array', () => {
+    expect(quantile([5], 0.3)).toBe(5);
+  });
+  
+  test('returns NaN for an empty array', () => {
+    expect(quantile([], 0.5)).toBeNaN();
+  });
+  
+  test('rejects quantiles outside 0 to 1', () => {
+    expect(() => quantile([1], 2)).toThrow('Quantile must be between 0 and 1: 2');
+  });
+});
+
+describe('binEdges', () => {
+  test('returns a unit bin for empty input', () => {
+    expect(binEdges([])).toEqual([0, 1]);
+  });
+  
+  test('centres one bin on constant input', () => {
+    expect(binEdges([3, 3, 3])).toEqual([2.5, 3.5]);
+    expect(binEdges([3, 3, 3], { rule: 'freedman-diaconis' })).toEqual([2.5, 3.5]);
+  });
+  
+  test('uses log2(n) + 1 bins by default', () => {
+    expect(binEdges([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10])).toEqual([0, 2, 4, 6, 8, 10]);
+  });
+  
+  test('puts fixed-width edges on multiples of the width', () => {
+    expect(binEdges([0.3, 9.7], { rule: 'fixed', width: 2 })).toEqual([0, 2, 4, 6, 8, 10]);
+  });
+  
+  test('lets a bin count override the rule', () => {
+    expect(binEdges([0, 10], { rule: 'fixed', width: 1, count: 4 })).toEqual([0, 2.5, 5, 7.5, 10]);
+  });
+  
+  test('limits the number of bins', () => {
+    const edges = binEdges([0, 1e6], { rule: 'fixed', width: 1, maxBins: 10 });
+    
+    expect(edges).toHaveLength(11);
+    expect(edges[edges.length - 1]).toBe(1e6);
+  });
+  
+  test('covers all values with Freedman-Diaconis bins', () => {
+    const values = [1, 2, 2, 2, 2, 2, 2, 3, 50];
+    const edges = binEdges(values, { rule: 'freedman-diaconis' });
+    
+    expect(edges[0]).toBeLessThanOrEqual(1);
+    expect(edges[edges.length - 1]).toBeGreaterThanOrEqual(50);
+  });
+  
+  test('rejects unknown rules and missing fixed widths', () => {
+    expect(() => binEdges([1, 2], { rule: 'nope' })).toThrow('Unknown bin rule: nope');
+    expect(() => binEdges([1, 2], { rule: 'fixed' })).toThrow('Fixed bin width must be positive');
+  });
+});
\ No newline at end of file
@@ -65,6 +65,87 @@ export function formatDateValue(date, format = 'MMM dd, yyyy') {
     return new Intl.DateTimeFormat('en-US', options).format(dateObj);
   }
   
+  /**
+   * Format a number compactly with a thousands suffix
+   * Values keep up to three significant digits by default, e.g. 1k, 250k, 1.5M, 0.05.
+   * @param {number} value - Value to format
+   * @param {number} [precision=3] - Significant digits, see getCompactNumberPrecision
+   * @returns {string} Formatted value
+   */
+  export function formatCompactNumber(value, precision = 3) {
+    if (!isFinite(value)) return String(value);
+    
+    // Round first, so 999.6 becomes 1k rather than 1000
+    const rounded = Number(value.toPrecision(precision));
+    const suffixes = ['', 'k', 'M', 'B', 'T'];
+    const tier = Math.floor(Math.log10(Math.abs(rounded)) / 3);
+    
+    if (tier >= suffixes.length) {
+      return rounded.toExponential();
+    } else if (!(tier > 0)) {
+      return String(rounded);
+    }
+    
+    return String(Number((rounded / Math.pow(1000, tier)).toPrecision(precision))) + suffixes[tier];
+  }
+  
+  /**
+   * Get the significant digits that keep compact tick labels distinct
+   * Ticks on powers or 1-2-5 multiples need no more than three, closely
+   * spaced ticks such as 100, 100.3, 100.6 need enough digits to show their step.
+   * @param {Array<number>} values - Tick values
+   * @returns {number} Significant digits for formatCompactNumber
+   */
+  export function getCompactNumberPrecision(values) {
+    const ticks = values.filter(value => isFinite(value)).sort((a, b) => a - b);
+    let precision = 3;
+    
+    for (let i = 1; i < ticks.length; i++) {
+      const step = ticks[i] - ticks[i - 1];
+      if (!(step > 0)) continue;
+      
+      const magnitude = Math.max(Math.abs(ticks[i]), Math.abs(ticks[i - 1]));
+      const digits = Math.floor(Math.log10(magnitude)) - Math.floor(Math.log10(step)) + 1;
+      precision = Math.max(precision, digits);
+    }
+    
+    // toPrecision is exact to about 15 digits
+    return Math.min(precision, 15);
+  }
+  
+  /**
+   * Format a share as a percentage, e.g. 0.125 as 12.5%
+   * Values that round to zero print as 0%, never -0%.
+   * @param {number} value - Value, 1 is 100%
+   * @param {number} [decimals=0] - Decimals of the percentage, see getPercentDecimals
+   * @returns {string} Formatted value
+   */
+  export function formatPercent(value, decimals = 0) {
+    const text = (value * 100).toFixed(decimals);
+    
+    return (Number(text) === 0 ? (0).toFixed(decimals) : text) + '%';
+  }
+  
+  /**
+   * Get the decimals that keep percent tick labels distinct
+   * Ticks 25% apart need none, ticks 0.2% apart need one.
+   * @param {Array<number>} values - Tick values, 1 is 100%
+   * @returns {number} Decimals for formatPercent
+   */
+  export function getPercentDecimals(values) {
+    const ticks = values.filter(value => isFinite(value)).sort((a, b) => a - b);
+    let decimals = 0;
+    
+    for (let i = 1; i < ticks.length; i++) {
+      const step = (ticks[i] - ticks[i - 1]) * 100;
+      if (!(step > 0)) continue;
+      
+      decimals = Math.max(decimals, -Math.floor(Math.log10(step)));
+    }
+    
+    return Math.min(decimals, 10);
+  }
+  
   /**
    * Calculate technical indicator values
    * @param {string} indicator - Indicator type
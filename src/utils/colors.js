@@ -0,0 +1,134 @@
+/**
+ * Color utility functions for VisionCharts
+ */
+
+/**
+ * Named color schemes, from the lowest to the highest value
+ * Sequential schemes run from light to dark, diverging schemes have a
+ * neutral middle color for the midpoint.
+ */
+export const COLOR_SCHEMES = {
+  // Sequential
+  blues: ['#f7fbff', '#c6dbef', '#6baed6', '#2171b5', '#08306b'],
+  greens: ['#f7fcf5', '#c7e9c0', '#74c476', '#238b45', '#00441b'],
+  reds: ['#fff5f0', '#fcbba1', '#fb6a4a', '#cb181d', '#67000d'],
+  viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+  
+  // Diverging
+  'red-green': ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641'],
+  'red-blue': ['#ca0020', '#f4a582', '#f7f7f7', '#92c5de', '#0571b0']
+};
+
+/**
+ * Parse a color into its channels
+ * @param {string} color - Hex color ('#rgb' or '#rrggbb') or 'rgb(r, g, b)'
+ * @returns {Array<number>} [r, g, b]
+ */
+export function parseColor(color) {
+  const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(String(color).trim());
+  if (rgb) {
+    return rgb.slice(1, 4).map(Number);
+  }
+  
+  let hex = String(color).trim().replace(/^#/, '');
+  
+  if (hex.length === 3) {
+    hex = hex.split('').map(c => c + c).join('');
+  }
+  
+  if (!/^[0-9a-f]{6}$/i.test(hex)) {
+    throw new Error(`Invalid color: ${color}`);
+  }
+  
+  return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Interpolate between two colors
+ * @param {string} from - Color at t = 0
+ * @param {string} to - Color at t = 1
+ * @param {number} t - Position between the colors, clamped to [0, 1]
+ * @returns {string} Interpolated color as 'rgb(r, g, b)'
+ */
+export function interpolateColor(from, to, t) {
+  const [r0, g0, b0] = parseColor(from);
+  const [r1, g1, b1] = parseColor(to);
+  const k = Math.max(0, Math.min(1, isNaN(t) ? 0 : t));
+  
+  const channel = (c0, c1) => Math.round(c0 + (c1 - c0) * k);
+  
+  return `rgb(${channel(r0, r1)}, ${channel(g0, g1)}, ${channel(b0, b1)})`;
+}
+
+/**
+ * Interpolate along a list of evenly spaced colors
+ * @param {Array<string>} colors - Colors at t = 0, ..., t = 1
+ * @param {number} t - Position along the colors, clamped to [0, 1]
+ * @returns {string} Interpolated color as 'rgb(r, g, b)'
+ */
+export function interpolateColors(colors, t) {
+  if (colors.length === 1) return interpolateColor(colors[0], colors[0], 0);
+  
+  const k = Math.max(0, Math.min(1, isNaN(t) ? 0 : t));
+  const position = k * (colors.length - 1);
+  const index = Math.min(colors.length - 2, Math.floor(position));
+  
+  return interpolateColor(colors[index], colors[index + 1], position - index);
+}
+
+/**
+ * Get a text color that reads well on a background color
+ * @param {string} background - Background color
+ * @returns {string} Dark text on light backgrounds, white text on dark ones
+ */
+export function getContrastColor(background) {
+  const [r, g, b] = parseColor(background);
+  
+  // Perceived brightness (ITU-R BT.601 weights)
+  const brightness = (r * 299 + g * 587 + b * 114) / 1000;
+  
+  return brightness > 140 ? '#222' : '#fff';
+}
+
+/**
+ * Create a color scale
+ * A sequential scale spreads the colors over [min, max]. A diverging scale
+ * puts the middle color at the midpoint and spreads both sides over the same
+ * distance, so equal deviations get equally strong colors.
+ * @param {Object} options - Color scale options
+ * @param {string} [options.type='sequential'] - 'sequential' or 'diverging'
+ * @param {string|Array<string>} [options.scheme] - Scheme name (see COLOR_SCHEMES) or colors
+ * @param {Array<number>} options.domain - Value domain [min, max]
+ * @param {number} [options.midpoint=0] - Value of the middle color of a diverging scale
+ * @returns {Object} Color scale { type, domain, midpoint, colors, scale(value) }
+ */
+export function createColorScale({ type = 'sequential', scheme, domain, midpoint = 0 }) {
+  if (type !== 'sequential' && type !== 'diverging') {
+    throw new Error(`Unknown color scale type: ${type}`);
+  }
+  
+  const schemeName = scheme || (type === 'diverging' ? 'red-blue' : 'blues');
+  const colors = Array.isArray(schemeName) ? schemeName : COLOR_SCHEMES[schemeName];
+  
+  if (!colors || !colors.length) {
+    throw new Error(`Unknown color scheme: ${schemeName}`);
+  }
+  
+  const [min, max] = domain;
+  
+  let position;
+  if (type === 'diverging') {
+    const deviation = Math.max(Math.abs(min - midpoint), Math.abs(max - midpoint));
+    position = value => deviation ? 0.5 + (value - midpoint) / (2 * deviation) : 0.5;
+  } else {
+    position = value => max !== min ? (value - min) / (max - min) : 0.5;
+  }
+  
+  return {
+    type,
+    domain: [min, max],
+    midpoint: type === 'diverging' ? midpoint : null,
+    colors,
+    scale: value => interpolateColors(colors, position(value))
+  };
+}
\ No newline at end of file
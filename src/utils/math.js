@@ -0,0 +1,244 @@
+/**
+ * Math utility functions for VisionCharts
+ */
+
+/**
+ * Get the minimum and maximum of an array of numbers
+ * Unlike Math.min(...values), this does not run out of call stack on large
+ * arrays (tens of thousands of points).
+ * @param {Array<number>} values - Values
+ * @returns {Array<number>} [min, max], or [Infinity, -Infinity] for an empty array
+ */
+export function extent(values) {
+  let min = Infinity;
+  let max = -Infinity;
+  
+  for (let i = 0; i < values.length; i++) {
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  }
+  
+  return [min, max];
+}
+
+/**
+ * Get the mean of an array of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Mean, or NaN for an empty array
+ */
+export function mean(values) {
+  if (!values.length) return NaN;
+  
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+  }
+  
+  return sum / values.length;
+}
+
+/**
+ * Get the sample standard deviation of an array of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number} Standard deviation, or 0 for fewer than two values
+ */
+export function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  
+  const average = mean(values);
+  let sum = 0;
+  
+  for (let i = 0; i < values.length; i++) {
+    sum += (values[i] - average) * (values[i] - average);
+  }
+  
+  return Math.sqrt(sum / (values.length - 1));
+}
+
+/**
+ * Get a quantile of sorted values, interpolating between neighbours
+ * @param {Array<number>} sortedValues - Values in ascending order
+ * @param {number} p - Quantile between 0 and 1 (0.5 is the median)
+ * @returns {number} Quantile, or NaN for an empty array
+ */
+export function quantile(sortedValues, p) {
+  if (!sortedValues.length) return NaN;
+  
+  if (p < 0 || p > 1) {
+    throw new Error(`Quantile must be between 0 and 1: ${p}`);
+  }
+  
+  const position = (sortedValues.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * Get the edges of histogram bins covering a set of values
+ * Rules: 'sturges' (log2(n) + 1 bins), 'freedman-diaconis' (bin width from
+ * the interquartile range, robust to fat tails) or 'fixed' (the given width,
+ * with edges on multiples of it). A bin count overrides the rule.
+ * @param {Array<number>} values - Values to bin
+ * @param {Object} [options] - Binning options
+ * @param {string} [options.rule='sturges'] - Bin rule
+ * @param {number} [options.width] - Bin width for the 'fixed' rule
+ * @param {number} [options.count] - Number of bins
+ * @param {number} [options.maxBins=1000] - Upper limit on the number of bins
+ * @returns {Array<number>} Bin edges, one more than the number of bins
+ */
+export function binEdges(values, { rule = 'sturges', width, count, maxBins = 1000 } = {}) {
+  if (!values.length) return [0, 1];
+  
+  const [min, max] = extent(values);
+  
+  // All values equal, one bin around them
+  if (min === max) return [min - 0.5, max + 0.5];
+  
+  let binWidth;
+  let start = min;
+  
+  if (count > 0) {
+    binWidth = (max - min) / Math.round(count);
+  } else if (rule === 'fixed') {
+    if (!(width > 0)) {
+      throw new Error(`Fixed bin width must be positive: ${width}`);
+    }
+    
+    binWidth = width;
+    start = Math.floor(min / width) * width;
+  } else if (rule === 'freedman-diaconis') {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+    
+    // Without spread in the middle half, fall back to Sturges
+    binWidth = iqr > 0 ?
+      2 * iqr / Math.cbrt(values.length) :
+      (max - min) / (Math.ceil(Math.log2(values.length)) + 1);
+  } else if (rule === 'sturges') {
+    binWidth = (max - min) / (Math.ceil(Math.log2(values.length)) + 1);
+  } else {
+    throw new Error(`Unknown bin rule: ${rule}`);
+  }
+  
+  const binCount = Math.min(maxBins, Math.max(1, Math.ceil((max - start) / binWidth - 1e-9)));
+  
+  // Recompute the width if the bin limit was hit
+  if (start + binCount * binWidth < max) {
+    binWidth = (max - start) / binCount;
+  }
+  
+  const edges = [];
+  for (let i = 0; i <= binCount; i++) {
+    edges.push(start + binWidth * i);
+  }
+  
+  return edges;
+}
+
+/**
+ * Count values per bin
+ * Bins include their lower edge; the last bin also includes its upper edge.
+ * @param {Array<number>} values - Values to count
+ * @param {Array<number>} edges - Bin edges from binEdges
+ * @returns {Array<number>} Count per bin
+ */
+export function binCounts(values, edges) {
+  const binCount = edges.length - 1;
+  const counts = new Array(Math.max(0, binCount)).fill(0);
+  const start = edges[0];
+  const end = edges[binCount];
+  
+  values.forEach(value => {
+    if (value < start || value > end) return;
+    
+    // Bins are evenly spaced, so the index can be computed, then corrected for rounding
+    let index = Math.min(binCount - 1, Math.floor((value - start) / (end - start) * binCount));
+    while (index > 0 && value < edges[index]) index--;
+    while (index < binCount - 1 && value >= edges[index + 1]) index++;
+    
+    counts[index]++;
+  });
+  
+  return counts;
+}
+
+/**
+ * Estimate a probability density with a Gaussian kernel
+ * @param {Array<number>} values - Sample values
+ * @param {Array<number>} points - Points to evaluate the density at
+ * @param {number} [bandwidth] - Kernel bandwidth, Silverman's rule of thumb by default
+ * @returns {Array<number>} Density at each point
+ */
+export function kernelDensity(values, points, bandwidth) {
+  if (!values.length) return points.map(() => 0);
+  
+  let h = bandwidth;
+  
+  if (!(h > 0)) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const iqr = quantile(sorted, 0.75) - quantile(sorted, 0.25);
+    const spread = Math.min(standardDeviation(values), iqr > 0 ? iqr / 1.34 : Infinity);
+    
+    h = 0.9 * (spread > 0 && isFinite(spread) ? spread : 1) * Math.pow(values.length, -0.2);
+  }
+  
+  const norm = 1 / (values.length * h * Math.sqrt(2 * Math.PI));
+  
+  return points.map(point => {
+    let sum = 0;
+    
+    for (let i = 0; i < values.length; i++) {
+      const u = (point - values[i]) / h;
+      sum += Math.exp(-0.5 * u * u);
+    }
+    
+    return sum * norm;
+  });
+}
+
+/**
+ * Get the normal probability density
+ * @param {number} x - Value
+ * @param {number} mu - Mean
+ * @param {number} sigma - Standard deviation
+ * @returns {number} Density
+ */
+export function normalDensity(x, mu, sigma) {
+  if (!(sigma > 0)) return 0;
+  
+  const z = (x - mu) / sigma;
+  
+  return Math.exp(-0.5 * z * z) / (sigma * Math.sqrt(2 * Math.PI));
+}
+
+/**
+ * Get the Pearson correlation of two equally long arrays of numbers
+ * @param {Array<number>} a - First values
+ * @param {Array<number>} b - Second values, paired with the first
+ * @returns {number} Correlation between -1 and 1, or NaN without enough variation
+ */
+export function correlation(a, b) {
+  if (a.length !== b.length) {
+    throw new Error('Correlated arrays must have the same length');
+  }
+  
+  if (a.length < 2) return NaN;
+  
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) * (a[i] - meanA);
+    varianceB += (b[i] - meanB) * (b[i] - meanB);
+  }
+  
+  if (!varianceA || !varianceB) return NaN;
+  
+  return covariance / Math.sqrt(varianceA * varianceB);
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * Study engine shared by all chart types
+ * Turns study configurations into chart datasets using calculateIndicator
+ */
+import { calculateIndicator } from './chartUtils.js';
+import { getTheme } from '../themes/index.js';
+
+/**
+ * Study definitions
+ * Each output maps a field of the calculateIndicator result to a series.
+ * An output key of 'value' means the indicator writes to the value field itself.
+ * An output's themeColor names its color in the theme's study colors.
+ * Studies whose values do not share the price scale default to a separate
+ * sub-pane with its own y-axis and reference lines.
+ */
+export const STUDY_DEFINITIONS = {
+  sma: {
+    label: params => `SMA(${params.period})`,
+    defaults: { period: 14 },
+    outputs: [
+      { key: 'value' }
+    ]
+  },
+  ema: {
+    label: params => `EMA(${params.period})`,
+    defaults: { period: 14 },
+    outputs: [
+      { key: 'value' }
+    ]
+  },
+  bollinger: {
+    label: params => `BB(${params.period}, ${params.deviations})`,
+    defaults: { period: 20, deviations: 2 },
+    outputs: [
+      { key: 'upper', label: 'Upper' },
+      { key: 'middle', label: 'Middle', dashArray: '4,4' },
+      { key: 'lower', label: 'Lower' }
+    ]
+  },
+  rsi: {
+    label: params => `RSI(${params.period})`,
+    defaults: { period: 14 },
+    pane: 'separate',
+    domain: [0, 100],
+    referenceLines: [30, 70],
+    outputs: [
+      { key: 'rsi' }
+    ]
+  },
+  macd: {
+    label: params => `MACD(${params.fastPeriod}, ${params.slowPeriod}, ${params.signalPeriod})`,
+    defaults: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+    pane: 'separate',
+    referenceLines: [0],
+    outputs: [
+      { key: 'macd', label: 'MACD' },
+      { key: 'signal', label: 'Signal', themeColor: 'signal' },
+      { key: 'histogram', label: 'Histogram', type: 'histogram', themeColor: 'histogram' }
+    ]
+  }
+};
+
+/**
+ * Check whether a study type is supported
+ * @param {string} type - Study type
+ * @returns {boolean} True if the study engine can calculate it
+ */
+export function isStudySupported(type) {
+  return Boolean(type) && Object.prototype.hasOwnProperty.call(STUDY_DEFINITIONS, type.toLowerCase());
+}
+
+/**
+ * Get the sub-pane settings of a study
+ * A study config can override the definition with pane ('main' or 'separate'),
+ * paneHeight (fraction of the plot height), domain and referenceLines.
+ * @param {Object} study - Study configuration
+ * @returns {Object|null} Pane settings { id, name, heightRatio, domain, referenceLines }, or null for the main pane
+ */
+export function getStudyPane(study) {
+  if (!isStudySupported(study.type)) return null;
+  
+  const definition = STUDY_DEFINITIONS[study.type.toLowerCase()];
+  const pane = study.pane || definition.pane || 'main';
+  
+  if (pane !== 'separate') return null;
+  
+  return {
+    id: study.id,
+    name: study.name || definition.label({ ...definition.defaults, ...study.params }),
+    heightRatio: study.paneHeight || null,
+    domain: study.domain || definition.domain || null,
+    referenceLines: study.referenceLines || definition.referenceLines || []
+  };
+}
+
+/**
+ * Create chart datasets for a study
+ * Multi-output studies (Bollinger, MACD) produce one dataset per output.
+ * @param {Object} study - Study configuration { id, type, params, name, color, colors, width, pane }
+ * @param {Object} dataset - Source dataset
+ * @param {Object} fields - Chart fields { xField, yField }
+ * @param {Object} [theme] - Theme with the study colors, the light theme by default
+ * @returns {Array} Study datasets
+ */
+export function createStudyDatasets(study, dataset, { xField = 'x', yField = 'y' } = {}, theme = getTheme()) {
+  if (!isStudySupported(study.type)) {
+    throw new Error(`Unsupported study type: ${study.type}`);
+  }
+  
+  const type = study.type.toLowerCase();
+  const definition = STUDY_DEFINITIONS[type];
+  
+  const params = {
+    ...definition.defaults,
+    valueField: yField,
+    xField,
+    ...study.params
+  };
+  
+  // Indicators need numeric values, so drop gaps before calculating
+  const source = (dataset.data || []).filter(d =>
+    d && typeof d[params.valueField] === 'number' && !isNaN(d[params.valueField])
+  );
+  
+  const results = calculateIndicator(type, source, params);
+  const baseName = study.name || definition.label(params);
+  const colors = study.colors || {};
+  const themeColors = theme.study;
+  const isMultiOutput = definition.outputs.length > 1;
+  const pane = getStudyPane(study);
+  
+  return definition.outputs.map((output, index) => {
+    const field = output.key === 'value' ? params.valueField : output.key;
+    
+    return {
+      id: isMultiOutput ? `${study.id}-${output.key}` : study.id,
+      name: isMultiOutput ? `${baseName} ${output.label}` : baseName,
+      color: colors[output.key] ||
+        (index === 0 ? study.color : themeColors[output.themeColor]) ||
+        study.color ||
+        themeColors.line,
+      width: study.width || 1,
+      type: output.type || 'line',
+      dashArray: output.dashArray || null,
+      isStudy: true,
+      studyId: study.id,
+      studyType: type,
+      sourceId: dataset.id,
+      paneId: pane ? pane.id : null,
+      data: results.map(point => ({
+        [xField]: point[params.xField],
+        [yField]: point[field]
+      }))
+    };
+  });
+}
\ No newline at end of file